@@ -0,0 +1,58 @@
+/**
+ * Geocode API Route
+ *
+ * GET /api/geocode?at=lat,lng
+ * Proxies and caches Nominatim reverse geocoding.
+ *
+ * GET /api/geocode?q=place+name[&near=lat,lng]
+ * Proxies and caches Nominatim place search, preferring results near `near`.
+ */
+
+import { NextResponse } from 'next/server'
+import {
+  queryReverseGeocode,
+  querySearchGeocode,
+  errorStatus,
+  parseLatLng,
+} from '../../../utils/upstreams'
+
+export const dynamic = 'force-dynamic'
+
+// Longest search text we'll pass on to Nominatim
+const MAX_QUERY_LENGTH = 200
+
+export async function GET(request) {
+  const { searchParams } = request.nextUrl
+
+  if (searchParams.has('q')) {
+    const query = searchParams.get('q').trim()
+    if (!query || query.length > MAX_QUERY_LENGTH) {
+      return NextResponse.json(
+        { error: `"q" must be between 1 and ${MAX_QUERY_LENGTH} characters` },
+        { status: 400 }
+      )
+    }
+
+    try {
+      const data = await querySearchGeocode(query, parseLatLng(searchParams.get('near')))
+      return NextResponse.json(data)
+    } catch (error) {
+      console.error('Geocode search upstream error:', error)
+      return NextResponse.json({ error: error.message }, { status: errorStatus(error) })
+    }
+  }
+
+  const at = parseLatLng(searchParams.get('at'))
+
+  if (!at) {
+    return NextResponse.json({ error: 'Missing or invalid "at" parameter' }, { status: 400 })
+  }
+
+  try {
+    const data = await queryReverseGeocode(at.lat, at.lng)
+    return NextResponse.json(data)
+  } catch (error) {
+    console.error('Geocode upstream error:', error)
+    return NextResponse.json({ error: error.message }, { status: errorStatus(error) })
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Prices API Route
+ *
+ * GET  /api/prices?stations=node/1,way/2&currency=USD  - latest reported price per grade
+ * POST /api/prices {stationKey, grade, price, currency} - submit a price report
+ *
+ * Prices are per US gallon. Reports in other currencies are kept apart: GET only
+ * returns reports made in the currency asked for (USD when none is given).
+ */
+
+import { NextResponse } from 'next/server'
+import { getPriceStore } from '../../../utils/priceStore'
+import { createRateLimit } from '../../../utils/apiCache'
+import {
+  PRICE_GRADES,
+  PRICE_LIMITS,
+  LEGACY_PRICE_CURRENCY,
+  isValidStationKey,
+} from '../../../utils/fuelPrices'
+
+export const dynamic = 'force-dynamic'
+
+// Enough for every station in a dense search area
+const MAX_STATIONS = 200
+
+// Basic flood protection: 20 reports per client every 10 minutes
+const allowReport = createRateLimit({ limit: 20, windowMs: 10 * 60 * 1000 })
+
+export async function GET(request) {
+  const { searchParams } = request.nextUrl
+  const keys = (searchParams.get('stations') || '').split(',').filter(isValidStationKey).slice(0, MAX_STATIONS)
+  const currency = searchParams.get('currency') || LEGACY_PRICE_CURRENCY
+
+  if (!PRICE_LIMITS[currency]) {
+    return NextResponse.json({ error: 'Unsupported currency' }, { status: 400 })
+  }
+
+  try {
+    const prices = await getPriceStore().latestPrices(keys, currency)
+    return NextResponse.json({ prices })
+  } catch (error) {
+    console.error('Error reading prices:', error)
+    return NextResponse.json({ error: 'Failed to read prices' }, { status: 500 })
+  }
+}
+
+export async function POST(request) {
+  const body = await request.json().catch(() => null)
+  const { stationKey, grade } = body || {}
+  const price = Number(body?.price)
+  const currency = body?.currency || LEGACY_PRICE_CURRENCY
+  const limits = PRICE_LIMITS[currency]
+
+  if (!isValidStationKey(stationKey)) {
+    return NextResponse.json({ error: 'Invalid station' }, { status: 400 })
+  }
+  if (!PRICE_GRADES.some((g) => g.key === grade)) {
+    return NextResponse.json({ error: 'Unknown fuel grade' }, { status: 400 })
+  }
+  if (!limits) {
+    return NextResponse.json({ error: 'Unsupported currency' }, { status: 400 })
+  }
+  if (!Number.isFinite(price) || price < limits.min || price > limits.max) {
+    return NextResponse.json(
+      { error: `Price must be between ${limits.min} and ${limits.max} ${currency} per gallon` },
+      { status: 400 }
+    )
+  }
+
+  const clientId = request.headers.get('x-forwarded-for')?.split(',')[0].trim() || 'local'
+  if (!allowReport(clientId)) {
+    return NextResponse.json({ error: 'Too many reports - try again later' }, { status: 429 })
+  }
+
+  try {
+    const report = await getPriceStore().addReport({
+      stationKey,
+      grade,
+      price: Math.round(price * 1000) / 1000,
+      currency,
+      unit: 'gal',
+      reportedAt: Date.now(),
+    })
+    return NextResponse.json({ report }, { status: 201 })
+  } catch (error) {
+    console.error('Error saving price report:', error)
+    return NextResponse.json({ error: 'Failed to save price' }, { status: 500 })
+  }
+}
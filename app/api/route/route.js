@@ -0,0 +1,48 @@
+/**
+ * Route API Route
+ *
+ * GET /api/route?from=lat,lng&to=lat,lng[&via=lat,lng;lat,lng][&profile=moped]
+ * Proxies and caches route requests to the configured routing backend
+ * (OSRM or Valhalla), always answering in OSRM's format. Optional `via`
+ * points (e.g. fuel stops on a trip) are visited in order, giving one route
+ * leg per stop. `profile` is 'car' (default), 'moped' or 'bicycle'.
+ */
+
+import { NextResponse } from 'next/server'
+import { queryRoute, errorStatus, parseLatLng, parseLatLngList } from '../../../utils/upstreams'
+import { ROUTING_PROFILES } from '../../../utils/routingProfiles'
+
+export const dynamic = 'force-dynamic'
+
+// The public OSRM instance is slow with many waypoints
+const MAX_VIA = 10
+
+export async function GET(request) {
+  const { searchParams } = request.nextUrl
+  const from = parseLatLng(searchParams.get('from'))
+  const to = parseLatLng(searchParams.get('to'))
+  const via = searchParams.has('via') ? parseLatLngList(searchParams.get('via')) : []
+  const profile = searchParams.get('profile') || 'car'
+
+  if (!from || !to) {
+    return NextResponse.json({ error: 'Missing or invalid "from"/"to" parameters' }, { status: 400 })
+  }
+  if (!via || via.length > MAX_VIA) {
+    return NextResponse.json({ error: `"via" must be up to ${MAX_VIA} lat,lng points` }, { status: 400 })
+  }
+
+  if (!ROUTING_PROFILES[profile]) {
+    return NextResponse.json(
+      { error: `"profile" must be one of ${Object.keys(ROUTING_PROFILES).join(', ')}` },
+      { status: 400 }
+    )
+  }
+
+  try {
+    const data = await queryRoute([from, ...via, to], profile)
+    return NextResponse.json(data)
+  } catch (error) {
+    console.error('Route upstream error:', error)
+    return NextResponse.json({ error: error.message }, { status: errorStatus(error) })
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * Live Share Session API Route
+ *
+ * GET    /api/share/[id] - watch a share as server-sent events: `update` with the
+ *                          rider's latest {name, location, station, route, routingProfile,
+ *                          updatedAt, expiresAt}, then `end` with {reason: 'stopped'|'expired'}
+ * PUT    /api/share/[id] {location?, station?, route?, routingProfile?} - publish (sharer only)
+ * DELETE /api/share/[id] - stop sharing (sharer only)
+ *
+ * The sharer proves who they are with the session token: `Authorization: Bearer <token>`.
+ */
+
+import { NextResponse } from 'next/server'
+import { getShareBroker } from '../../../../utils/shareBroker'
+import { parseLatLng } from '../../../../utils/upstreams'
+import { ROUTING_PROFILES } from '../../../../utils/routingProfiles'
+import { MAX_SHARE_ROUTE_POINTS } from '../../../../utils/liveShare'
+
+export const dynamic = 'force-dynamic'
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25000
+
+const MAX_TEXT_LENGTH = 200
+
+/**
+ * Read the session token from the Authorization header
+ */
+function bearerToken(request) {
+  const match = /^Bearer (\S+)$/.exec(request.headers.get('authorization') || '')
+  return match ? match[1] : null
+}
+
+/**
+ * A short string, or null
+ */
+function parseText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_TEXT_LENGTH) : null
+}
+
+/**
+ * A finite number, or null
+ */
+function parseNumber(value) {
+  return Number.isFinite(value) ? value : null
+}
+
+/**
+ * Validate a published update, keeping only the fields we know
+ *
+ * @returns {Object} {update} or {error}
+ */
+function parseUpdate(body) {
+  if (!body || typeof body !== 'object') return { error: 'Invalid update' }
+  const update = {}
+
+  if ('location' in body) {
+    const location = parseLatLng(`${body.location?.lat},${body.location?.lng}`)
+    if (!location) return { error: 'Invalid location' }
+    update.location = location
+  }
+
+  if ('station' in body) {
+    const { station } = body
+    const at = station && parseLatLng(`${station.lat},${station.lng}`)
+    if (station && !at) return { error: 'Invalid station' }
+
+    update.station = station && {
+      id: parseText(String(station.id ?? '')),
+      type: parseText(station.type),
+      name: parseText(station.name) || 'Gas Station',
+      brand: parseText(station.brand),
+      address: parseText(station.address),
+      ...at,
+      distance: parseNumber(station.distance),
+      duration: parseNumber(station.duration),
+    }
+  }
+
+  if ('route' in body) {
+    const { route } = body
+    const valid =
+      route === null ||
+      (Array.isArray(route) &&
+        route.length <= MAX_SHARE_ROUTE_POINTS &&
+        route.every((point) => Array.isArray(point) && parseLatLng(`${point[0]},${point[1]}`)))
+    if (!valid) return { error: `Route must be up to ${MAX_SHARE_ROUTE_POINTS} [lat, lng] points` }
+    update.route = route && route.map(([lat, lng]) => [lat, lng])
+  }
+
+  if ('routingProfile' in body) {
+    if (!ROUTING_PROFILES[body.routingProfile]) return { error: 'Unknown routing profile' }
+    update.routingProfile = body.routingProfile
+  }
+
+  return { update }
+}
+
+export async function GET(request, { params }) {
+  const broker = getShareBroker()
+  const session = await broker.getSession(params.id)
+  if (!session) {
+    return NextResponse.json({ error: 'This share has ended' }, { status: 404 })
+  }
+
+  const encoder = new TextEncoder()
+  let closed = false
+  let cleanup = () => {}
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const write = (text) => {
+        if (!closed) controller.enqueue(encoder.encode(text))
+      }
+      const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+      const close = () => {
+        if (closed) return
+        cleanup()
+        closed = true
+        controller.close()
+      }
+
+      // Ask EventSource to wait 5 s before reconnecting after a drop
+      write('retry: 5000\n\n')
+      if (session.state.location) send('update', { ...session.state, expiresAt: session.expiresAt })
+
+      const unsubscribe = await broker.subscribe(params.id, (event, data) => {
+        send(event, event === 'update' ? { ...data, expiresAt: session.expiresAt } : data)
+        if (event === 'end') close()
+      })
+      if (!unsubscribe) {
+        // Ended between the lookup and subscribing
+        send('end', { reason: 'expired' })
+        close()
+        return
+      }
+
+      const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_MS)
+      cleanup = () => {
+        clearInterval(heartbeat)
+        unsubscribe()
+      }
+      request.signal.addEventListener('abort', close)
+    },
+
+    // The viewer went away
+    cancel() {
+      closed = true
+      cleanup()
+    },
+  })
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx buffering the stream
+      'X-Accel-Buffering': 'no',
+    },
+  })
+}
+
+export async function PUT(request, { params }) {
+  const { update, error } = parseUpdate(await request.json().catch(() => null))
+  if (error) {
+    return NextResponse.json({ error }, { status: 400 })
+  }
+
+  try {
+    const state = await getShareBroker().publish(params.id, bearerToken(request), update)
+    if (!state) {
+      return NextResponse.json({ error: 'This share has ended' }, { status: 404 })
+    }
+    return NextResponse.json({ updatedAt: state.updatedAt })
+  } catch (err) {
+    console.error('Error publishing live share:', err)
+    return NextResponse.json({ error: 'Failed to share location' }, { status: 500 })
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const ended = await getShareBroker().endSession(params.id, bearerToken(request))
+    if (!ended) {
+      return NextResponse.json({ error: 'This share has ended' }, { status: 404 })
+    }
+    return NextResponse.json({ ended: true })
+  } catch (error) {
+    console.error('Error stopping live share:', error)
+    return NextResponse.json({ error: 'Failed to stop sharing' }, { status: 500 })
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Live Share API Route
+ *
+ * POST /api/share {minutes, name?} - start sharing; responds with {id, token, expiresAt}
+ *
+ * Watching, publishing and stopping happen on /api/share/[id].
+ */
+
+import { NextResponse } from 'next/server'
+import { getShareBroker } from '../../../utils/shareBroker'
+import { createRateLimit } from '../../../utils/apiCache'
+import { SHARE_DURATIONS, MAX_SHARE_NAME_LENGTH } from '../../../utils/liveShare'
+
+export const dynamic = 'force-dynamic'
+
+// Basic flood protection: 10 shares per client every hour
+const allowShare = createRateLimit({ limit: 10, windowMs: 60 * 60 * 1000 })
+
+export async function POST(request) {
+  const body = await request.json().catch(() => null)
+  const minutes = Number(body?.minutes)
+  const name = typeof body?.name === 'string' ? body.name.trim() : ''
+
+  if (!SHARE_DURATIONS.some((duration) => duration.minutes === minutes)) {
+    return NextResponse.json(
+      { error: `Sharing can last ${SHARE_DURATIONS.map((duration) => duration.label).join(', ')}` },
+      { status: 400 }
+    )
+  }
+  if (name.length > MAX_SHARE_NAME_LENGTH) {
+    return NextResponse.json({ error: `Name can be up to ${MAX_SHARE_NAME_LENGTH} characters` }, { status: 400 })
+  }
+
+  const clientId = request.headers.get('x-forwarded-for')?.split(',')[0].trim() || 'local'
+  if (!allowShare(clientId)) {
+    return NextResponse.json({ error: 'Too many shares - try again later' }, { status: 429 })
+  }
+
+  try {
+    const session = await getShareBroker().createSession({
+      name: name || null,
+      expiresAt: Date.now() + minutes * 60 * 1000,
+    })
+    return NextResponse.json(session, { status: 201 })
+  } catch (error) {
+    console.error('Error starting live share:', error)
+    return NextResponse.json({ error: 'Sharing is unavailable right now' }, { status: 503 })
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Stations API Route
+ *
+ * GET /api/stations?at=lat,lng&radius=8000
+ * Stations around a point, merged from every configured provider
+ * (see utils/stationProviders.js). Responds with {stations}.
+ *
+ * GET /api/stations?along=lat,lng;lat,lng;...&radius=1500
+ * Same, for stations within `radius` meters of a route line (trip planning).
+ *
+ * GET /api/stations?id=node/123
+ * One station by its type/id key (station links). Responds with {station}.
+ *
+ * POST /api/stations {lat, lng, name, brand?, fuels?: ['diesel', ...]}
+ * Submit a station that's missing from the map (needs the `user` provider).
+ */
+
+import { NextResponse } from 'next/server'
+import { errorStatus, parseLatLng, parseLatLngList } from '../../../utils/upstreams'
+import {
+  findStations,
+  findStationsAlongRoute,
+  findStationById,
+  getStationProviders,
+} from '../../../utils/stationProviders'
+import { createRateLimit } from '../../../utils/apiCache'
+import { FUEL_OPTIONS } from '../../../utils/stationFilters'
+
+export const dynamic = 'force-dynamic'
+
+// Keep queries small enough for Overpass's fair-use limits
+const MAX_RADIUS = 25000
+const MAX_CORRIDOR_RADIUS = 5000
+const MAX_ROUTE_POINTS = 200
+
+// Basic flood protection: 5 submissions per client every hour
+const allowSubmission = createRateLimit({ limit: 5, windowMs: 60 * 60 * 1000 })
+const MAX_NAME_LENGTH = 100
+
+export async function GET(request) {
+  const { searchParams } = request.nextUrl
+  const radius = parseInt(searchParams.get('radius') || '5000', 10)
+
+  if (searchParams.has('id')) {
+    const [type, id] = searchParams.get('id').split('/')
+    if (!type || !id) {
+      return NextResponse.json({ error: '"id" must be a station key like node/123' }, { status: 400 })
+    }
+
+    try {
+      const station = await findStationById(type, id)
+      if (!station) return NextResponse.json({ error: 'Station not found' }, { status: 404 })
+      return NextResponse.json({ station })
+    } catch (error) {
+      console.error('Stations upstream error:', error)
+      return NextResponse.json({ error: error.message }, { status: errorStatus(error) })
+    }
+  }
+
+  if (searchParams.has('along')) {
+    const points = parseLatLngList(searchParams.get('along'))
+
+    if (!points || points.length < 2 || points.length > MAX_ROUTE_POINTS) {
+      return NextResponse.json(
+        { error: `"along" must be between 2 and ${MAX_ROUTE_POINTS} lat,lng points` },
+        { status: 400 }
+      )
+    }
+    if (Number.isNaN(radius) || radius <= 0 || radius > MAX_CORRIDOR_RADIUS) {
+      return NextResponse.json(
+        { error: `Radius must be between 1 and ${MAX_CORRIDOR_RADIUS} meters` },
+        { status: 400 }
+      )
+    }
+
+    try {
+      const stations = await findStationsAlongRoute(points, radius)
+      return NextResponse.json({ stations })
+    } catch (error) {
+      console.error('Stations upstream error:', error)
+      return NextResponse.json({ error: error.message }, { status: errorStatus(error) })
+    }
+  }
+
+  const at = parseLatLng(searchParams.get('at'))
+
+  if (!at) {
+    return NextResponse.json({ error: 'Missing or invalid "at" parameter' }, { status: 400 })
+  }
+  if (Number.isNaN(radius) || radius <= 0 || radius > MAX_RADIUS) {
+    return NextResponse.json({ error: `Radius must be between 1 and ${MAX_RADIUS} meters` }, { status: 400 })
+  }
+
+  try {
+    const stations = await findStations(at.lat, at.lng, radius)
+    return NextResponse.json({ stations })
+  } catch (error) {
+    console.error('Stations upstream error:', error)
+    return NextResponse.json({ error: error.message }, { status: errorStatus(error) })
+  }
+}
+
+export async function POST(request) {
+  const store = getStationProviders().find((provider) => provider.add)
+  if (!store) {
+    return NextResponse.json({ error: 'Station submissions are turned off' }, { status: 403 })
+  }
+
+  const body = await request.json().catch(() => null)
+  const at = parseLatLng(`${body?.lat},${body?.lng}`)
+  const name = typeof body?.name === 'string' ? body.name.trim() : ''
+  const brand = typeof body?.brand === 'string' ? body.brand.trim() : ''
+  const fuels = Array.isArray(body?.fuels) ? body.fuels : []
+
+  if (!at) {
+    return NextResponse.json({ error: 'Invalid location' }, { status: 400 })
+  }
+  if (!name || name.length > MAX_NAME_LENGTH || brand.length > MAX_NAME_LENGTH) {
+    return NextResponse.json({ error: `Name must be 1 to ${MAX_NAME_LENGTH} characters` }, { status: 400 })
+  }
+  if (!fuels.every((fuel) => FUEL_OPTIONS.some((option) => option.key === fuel))) {
+    return NextResponse.json({ error: 'Unknown fuel type' }, { status: 400 })
+  }
+
+  const clientId = request.headers.get('x-forwarded-for')?.split(',')[0].trim() || 'local'
+  if (!allowSubmission(clientId)) {
+    return NextResponse.json({ error: 'Too many submissions - try again later' }, { status: 429 })
+  }
+
+  try {
+    const tags = { name, ...(brand && { brand }) }
+    for (const fuel of fuels) tags[`fuel:${fuel}`] = 'yes'
+
+    const station = await store.add({ lat: at.lat, lng: at.lng, tags })
+    return NextResponse.json({ station }, { status: 201 })
+  } catch (error) {
+    console.error('Error saving submitted station:', error)
+    return NextResponse.json({ error: 'Failed to save station' }, { status: 500 })
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Travel Time Table API Route
+ *
+ * GET /api/table?from=lat,lng&to=lat,lng;lat,lng[&profile=moped]
+ * Proxies and caches one-to-many travel time requests to the configured
+ * routing backend (OSRM's table service, or Valhalla's matrix), always
+ * answering in OSRM's table format: one row of durations (seconds) and
+ * distances (meters), null where a destination can't be reached.
+ */
+
+import { NextResponse } from 'next/server'
+import { queryTable, errorStatus, parseLatLng, parseLatLngList } from '../../../utils/upstreams'
+import { ROUTING_PROFILES } from '../../../utils/routingProfiles'
+
+export const dynamic = 'force-dynamic'
+
+// Plenty for comparing stations, and well within the public OSRM instance's table limit
+const MAX_DESTINATIONS = 25
+
+export async function GET(request) {
+  const { searchParams } = request.nextUrl
+  const from = parseLatLng(searchParams.get('from'))
+  const to = parseLatLngList(searchParams.get('to'))
+  const profile = searchParams.get('profile') || 'car'
+
+  if (!from) {
+    return NextResponse.json({ error: 'Missing or invalid "from" parameter' }, { status: 400 })
+  }
+  if (!to || to.length > MAX_DESTINATIONS) {
+    return NextResponse.json({ error: `"to" must be 1 to ${MAX_DESTINATIONS} lat,lng points` }, { status: 400 })
+  }
+
+  if (!ROUTING_PROFILES[profile]) {
+    return NextResponse.json(
+      { error: `"profile" must be one of ${Object.keys(ROUTING_PROFILES).join(', ')}` },
+      { status: 400 }
+    )
+  }
+
+  try {
+    const data = await queryTable(from, to, profile)
+    return NextResponse.json(data)
+  } catch (error) {
+    console.error('Table upstream error:', error)
+    return NextResponse.json({ error: error.message }, { status: errorStatus(error) })
+  }
+}
@@ -1,4 +1,6 @@
 import './globals.css'
+import ServiceWorkerRegistration from '../components/ServiceWorkerRegistration'
+import { THEME_COLORS, THEME_INIT_SCRIPT } from '../utils/theme'
 
 /**
  * Root Layout Component
@@ -6,14 +8,7 @@ import './globals.css'
  */
 export const metadata = {
   title: 'MopedFuel - Find Your Next Gas Station',
-  description: 'Live GPS tracker for finding the nearest gas stations in Madison, WI with a fun moped theme',
-  viewport: {
-    width: 'device-width',
-    initialScale: 1,
-    maximumScale: 1,
-    userScalable: false, // Prevent zoom on mobile for app-like experience
-  },
-  themeColor: '#B8E6F5',
+  description: 'Live GPS tracker for finding the nearest gas stations wherever you ride, with a fun moped theme',
   appleWebApp: {
     capable: true,
     statusBarStyle: 'default',
@@ -21,10 +16,20 @@ export const metadata = {
   },
 }
 
+export const viewport = {
+  width: 'device-width',
+  initialScale: 1, // Pinch-zoom stays on, for riders who need larger text
+  themeColor: THEME_COLORS.light, // Switched by utils/theme in the night theme
+}
+
 export default function RootLayout({ children }) {
   return (
-    <html lang="en">
+    // The theme script may add the `dark` class before React hydrates
+    <html lang="en" suppressHydrationWarning>
       <head>
+        {/* Night theme before the first paint (see utils/theme) */}
+        <script dangerouslySetInnerHTML={{ __html: THEME_INIT_SCRIPT }} />
+
         {/* Leaflet CSS - Critical for map rendering */}
         <link
           rel="stylesheet"
@@ -35,15 +40,17 @@ export default function RootLayout({ children }) {
 
         {/* Preconnect to map tile servers for faster loading */}
         <link rel="preconnect" href="https://tile.openstreetmap.org" />
-        <link rel="preconnect" href="https://a.basemaps.cartocdn.com" />
-        <link rel="preconnect" href="https://b.basemaps.cartocdn.com" />
-        <link rel="preconnect" href="https://c.basemaps.cartocdn.com" />
+        <link rel="preconnect" href="https://a.basemaps.cartocdn.com" crossOrigin="" />
+        <link rel="preconnect" href="https://b.basemaps.cartocdn.com" crossOrigin="" />
+        <link rel="preconnect" href="https://c.basemaps.cartocdn.com" crossOrigin="" />
 
-        {/* PWA manifest for mobile installation */}
+        {/* PWA support - the manifest link is added by app/manifest.js */}
         <meta name="mobile-web-app-capable" content="yes" />
+        <link rel="apple-touch-icon" href="/moped-icon.svg" />
       </head>
       <body className="antialiased">
         {children}
+        <ServiceWorkerRegistration />
       </body>
     </html>
   )
@@ -0,0 +1,29 @@
+/**
+ * Web App Manifest
+ * Served at /manifest.webmanifest so the app can be installed to the home screen
+ */
+export default function manifest() {
+  return {
+    name: 'MopedFuel - Find Your Next Gas Station',
+    short_name: 'MopedFuel',
+    description: 'Live GPS tracker for finding the nearest gas stations with a fun moped theme',
+    start_url: '/',
+    display: 'standalone',
+    orientation: 'portrait',
+    background_color: '#B8E6F5',
+    theme_color: '#B8E6F5',
+    icons: [
+      {
+        src: '/moped-icon.svg',
+        sizes: 'any',
+        type: 'image/svg+xml',
+        purpose: 'any',
+      },
+      {
+        src: '/favicon.ico',
+        sizes: '48x48',
+        type: 'image/x-icon',
+      },
+    ],
+  }
+}
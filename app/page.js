@@ -4,14 +4,115 @@
  * MopedFuel - Main Page Component
  *
  * This is the main entry point for the app. It handles:
- * - User geolocation tracking
+ * - User geolocation tracking, with a picked or saved location when GPS is off
  * - Gas station discovery
  * - UI state management
  * - Route calculation
+ * - Turn-by-turn navigation mode
+ * - Links to a map view or a station (/?at=lat,lng&z=15, /?station=node/123)
  */
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react'
 import dynamic from 'next/dynamic'
+import VehiclePanel from '../components/VehiclePanel'
+import FilterPanel from '../components/FilterPanel'
+import FavoritesDrawer from '../components/FavoritesDrawer'
+import FillUpForm from '../components/FillUpForm'
+import FillUpHistory from '../components/FillUpHistory'
+import PriceReportForm from '../components/PriceReportForm'
+import TripPlanner from '../components/TripPlanner'
+import NavigationView from '../components/NavigationView'
+import LocationPicker from '../components/LocationPicker'
+import Toasts from '../components/Toasts'
+import RideLog from '../components/RideLog'
+import SharePanel from '../components/SharePanel'
+import StationSheet from '../components/StationSheet'
+import StationComparison from '../components/StationComparison'
+import SettingsPanel from '../components/SettingsPanel'
+import NotificationPanel from '../components/NotificationPanel'
+import StationList from '../components/StationList'
+import { DEFAULT_VEHICLE, estimateRange } from '../utils/fuelRange'
+import {
+  formatTimeAgo,
+  formatDistance,
+  fetchRoute,
+  calculateDistance,
+  fetchStationsAlongRoute,
+  fetchStation,
+} from '../utils/getNearestStation'
+import { DEFAULT_FILTERS, countActiveFilters, filterStations } from '../utils/stationFilters'
+import { loadFavorites, saveFavorites, toggleFavorite, stationKey } from '../utils/favorites'
+import {
+  loadFillUps,
+  saveFillUps,
+  createFillUp,
+  mergeFillUps,
+  sortFillUps,
+  summarizeFillUps,
+} from '../utils/fillUpLog'
+import { loadJSON, saveJSON } from '../utils/storage'
+import { getRoutingProfile, routeOptionsFor, googleMapsUrl } from '../utils/routingProfiles'
+import {
+  DEFAULT_REGION,
+  loadLastLocation,
+  saveLastLocation,
+  loadRecentPlaces,
+  saveRecentPlaces,
+  addRecentPlace,
+} from '../utils/locations'
+import {
+  DEFAULT_PRICE_MODE,
+  fetchPrices,
+  formatPrice,
+  getStationPrice,
+} from '../utils/fuelPrices'
+import { createRide, addTrackPoint } from '../utils/rideLog'
+import { saveRide, loadRides, deleteRide } from '../utils/offlineStore'
+import {
+  startLiveShare,
+  publishLiveShare,
+  stopLiveShare,
+  shareableStation,
+  shareableRoute,
+  loadActiveShare,
+  saveActiveShare,
+} from '../utils/liveShare'
+import {
+  THEME_MODES,
+  DEFAULT_THEME_MODE,
+  resolveTheme,
+  applyTheme,
+  watchSystemDarkMode,
+} from '../utils/theme'
+import { DEFAULT_LOCALE, detectLocale, setLocale, t } from '../utils/i18n'
+import { DEFAULT_UNITS, unitsForLocale, setUnits, toDisplayDistance, unitLabels } from '../utils/units'
+import { CORRIDOR_METERS, thinRoute } from '../utils/tripPlanner'
+import {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  loadNotificationSettings,
+  saveNotificationSettings,
+  createFuelOdometer,
+  loadFuelOdometer,
+  saveFuelOdometer,
+  addFixToOdometer,
+  refuelOdometer,
+  isQuietTime,
+  showNotification,
+  lowFuelAlert,
+  stationAheadAlerts,
+  findStationGaps,
+  lastStationAlert,
+} from '../utils/notifications'
+import { watchReducedMotion, nearestStationAnnouncement } from '../utils/accessibility'
+import { smoothFix } from '../utils/gpsSmoothing'
+import {
+  DEFAULT_LINK_ZOOM,
+  STATION_LINK_ZOOM,
+  parseMapLink,
+  replaceMapLink,
+  shareLink,
+  stationUrl,
+} from '../utils/deepLinks'
 
 // Dynamically import Map component (Leaflet requires window object)
 const Map = dynamic(() => import('../components/Map'), {
@@ -19,16 +120,44 @@ const Map = dynamic(() => import('../components/Map'), {
   loading: () => (
     <div className="w-full h-screen flex items-center justify-center bg-gradient-to-br from-sky-pastel to-yellow-pastel">
       <div className="text-center">
-        <div className="text-6xl mb-4 animate-bounce">🛵</div>
-        <p className="text-2xl font-bold text-gray-700">Warming up your engine...</p>
+        <div className="text-6xl mb-4 motion-safe:animate-bounce">🛵</div>
+        <p className="text-2xl font-bold text-gray-700">{t('app.loading')}</p>
       </div>
     </div>
   ),
 })
 
 export default function Home() {
-  // User's current GPS position
-  const [userLocation, setUserLocation] = useState(null)
+  // Latest GPS position, smoothed and with a heading (see utils/gpsSmoothing), and whether
+  // GPS is 'waiting', 'ok', 'denied', 'unavailable' or 'unsupported'
+  const [gpsLocation, setGpsLocation] = useState(null)
+  const [gpsStatus, setGpsStatus] = useState('waiting')
+
+  // A place picked by hand (overrides GPS), the saved or default place used until
+  // there's a GPS fix, and the places picked recently
+  const [manualPlace, setManualPlace] = useState(null)
+  const [fallbackPlace, setFallbackPlace] = useState(null)
+  const [recentPlaces, setRecentPlaces] = useState([])
+
+  // Where the rider is: the picked place, else GPS, else the fallback
+  const userLocation = useMemo(() => {
+    const place = manualPlace || (!gpsLocation && fallbackPlace)
+    return place ? { lat: place.lat, lng: place.lng } : gpsLocation
+  }, [manualPlace, gpsLocation, fallbackPlace])
+
+  // Light, dark or auto theme (persisted), the system dark-mode setting, and a
+  // clock that ticks each minute so auto mode switches at sunset and sunrise
+  const [themeMode, setThemeMode] = useState(DEFAULT_THEME_MODE)
+  const [prefersDark, setPrefersDark] = useState(false)
+  const [clock, setClock] = useState(() => Date.now())
+
+  // UI language and units (persisted), see utils/i18n and utils/units
+  const [preferences, setPreferences] = useState({ locale: DEFAULT_LOCALE, units: DEFAULT_UNITS })
+
+  const theme = useMemo(
+    () => resolveTheme(themeMode, { location: userLocation, prefersDark, now: new Date(clock) }),
+    [themeMode, userLocation, prefersDark, clock]
+  )
 
   // Nearby gas stations from OpenStreetMap
   const [gasStations, setGasStations] = useState([])
@@ -36,11 +165,13 @@ export default function Home() {
   // The nearest station with route info
   const [nearestStation, setNearestStation] = useState(null)
 
-  // Current address (reverse geocoded from coordinates)
-  const [currentAddress, setCurrentAddress] = useState('Locating...')
+  // Stations compared for that pick, quickest first, and the one the rider
+  // chose from the comparison instead (automatic pick when null)
+  const [alternatives, setAlternatives] = useState([])
+  const [chosenStationKey, setChosenStationKey] = useState(null)
 
-  // Loading state
-  const [isLoading, setIsLoading] = useState(true)
+  // Current address (reverse geocoded from coordinates), null while locating
+  const [currentAddress, setCurrentAddress] = useState(null)
 
   // Toggle between showing all stations vs. nearest only
   const [showAllStations, setShowAllStations] = useState(true)
@@ -48,13 +179,104 @@ export default function Home() {
   // Track if we should center on user (for recenter button)
   const [shouldRecenter, setShouldRecenter] = useState(false)
 
+  // Whether the map keeps the rider centered and turned to their direction of travel
+  // (turned off by panning the map)
+  const [following, setFollowing] = useState(false)
+
+  // Moped profile and fuel gauge, used to work out which stations are reachable
+  const [vehicle, setVehicle] = useState(DEFAULT_VEHICLE)
+
+  // Fuel type, amenity, payment and opening-hours filters
+  const [filters, setFilters] = useState(DEFAULT_FILTERS)
+
+  // Starred stations (persisted) and how far out of our way we'll go for one
+  const [favorites, setFavorites] = useState({})
+  const [preferFavoritesMiles, setPreferFavoritesMiles] = useState(0)
+  const [hasLoadedSaved, setHasLoadedSaved] = useState(false)
+
+  // Fill-up log, and the station a fill-up is being logged for (form open when set)
+  const [fillUps, setFillUps] = useState([])
+  const [fillUpStation, setFillUpStation] = useState(null)
+
+  // Latest crowd-sourced prices for nearby stations, the "cheapest" mode settings,
+  // and the station a price is being reported for (form open when set)
+  const [prices, setPrices] = useState({})
+  const [priceMode, setPriceMode] = useState(DEFAULT_PRICE_MODE)
+  const [priceReportStation, setPriceReportStation] = useState(null)
+
+  // Station whose full details are showing (bottom sheet open when set)
+  const [detailStation, setDetailStation] = useState(null)
+
+  // Planned trip to a destination, with fuel stops (see utils/tripPlanner)
+  const [trip, setTrip] = useState(null)
+
+  // Active turn-by-turn navigation {station, route} - takes over the screen when set
+  const [navigation, setNavigation] = useState(null)
+
+  // Point the map should fly to (e.g. a favorite picked from the drawer)
+  const [focusTarget, setFocusTarget] = useState(null)
+
+  // Where the map is looking {at, zoom}, kept in the address bar, and a station the page
+  // was opened for {key, zoom} until it's been looked up (see utils/deepLinks)
+  const [mapView, setMapView] = useState(null)
+  const [stationLink, setStationLink] = useState(null)
+
+  // Saved rides (newest first), the ride being recorded, and the ride drawn on the map
+  const [rides, setRides] = useState([])
+  const [recording, setRecording] = useState(null)
+  const [viewedRideId, setViewedRideId] = useState(null)
+  const lastRideSaveRef = useRef(0)
+
+  // Live location share {id, token, expiresAt} while sharing, and what was last published
+  const [liveShare, setLiveShare] = useState(null)
+  const lastSharedRef = useRef(null)
+
+  // Ride alert settings, distance ridden since the last fill-up, stations followed by a long
+  // gap on the planned trip, and when each station was last announced (see utils/notifications)
+  const [notificationSettings, setNotificationSettings] = useState(DEFAULT_NOTIFICATION_SETTINGS)
+  const [fuelOdometer, setFuelOdometer] = useState(createFuelOdometer)
+  const [tripGaps, setTripGaps] = useState([])
+  const notifiedStationsRef = useRef({})
+
+  // Which panel is open ('vehicle', 'filters', 'favorites', 'fillUps', 'rides', 'share', 'trip', 'compare',
+  // 'location', 'settings', 'notifications', 'list', 'more' (the menu of less-used buttons) or null)
+  const [activePanel, setActivePanel] = useState(null)
+
+  // Offline status and when the station list was last fetched
+  const [isOffline, setIsOffline] = useState(false)
+  const [stationsStatus, setStationsStatus] = useState({ savedAt: null, isStale: false })
+
+  // Bumped to make the map refetch stations and re-route (e.g. "Retry" on an error)
+  const [refreshKey, setRefreshKey] = useState(0)
+
+  // Whether the system asks for reduced motion, and the latest screen-reader announcement
+  const [reducedMotion, setReducedMotion] = useState(false)
+  const [announcement, setAnnouncement] = useState('')
+  const announcedKeyRef = useRef(null)
+
+  // Non-blocking notices - errors, degraded data, GPS problems (see components/Toasts)
+  const [toasts, setToasts] = useState([])
+
+  const showToast = useCallback((toast) => {
+    setToasts((prev) => [...prev.filter((shown) => shown.id !== toast.id), toast])
+  }, [])
+
+  const dismissToast = useCallback((id) => {
+    setToasts((prev) => (prev.some((shown) => shown.id === id) ? prev.filter((shown) => shown.id !== id) : prev))
+  }, [])
+
+  const handleRetry = useCallback(() => setRefreshKey((key) => key + 1), [])
+
+  // Stations matching the active filters - these are the ones shown on the map
+  const matchingStations = useMemo(() => filterStations(gasStations, filters), [gasStations, filters])
+
   /**
    * Initialize geolocation tracking on component mount
    * Uses browser's Geolocation API with high accuracy mode
    */
   useEffect(() => {
     if (!navigator.geolocation) {
-      alert('Geolocation is not supported by your browser')
+      setGpsStatus('unsupported')
       return
     }
 
@@ -65,23 +287,18 @@ export default function Home() {
       maximumAge: 5000, // Allow cached position up to 5 seconds old
     }
 
-    // Success callback - update user location
+    // Success callback - smooth the fix into the user location (a dropped fix leaves it as it was)
     const success = (position) => {
-      const { latitude, longitude } = position.coords
-      setUserLocation({ lat: latitude, lng: longitude })
-      setIsLoading(false)
-
-      // Reverse geocode to get readable address
-      reverseGeocode(latitude, longitude)
+      const { latitude, longitude, accuracy, speed, heading } = position.coords
+      const fix = { lat: latitude, lng: longitude, accuracy, speed, heading, timestamp: position.timestamp }
+      setGpsLocation((prev) => smoothFix(prev, fix))
+      setGpsStatus('ok')
     }
 
-    // Error callback
+    // Error callback - a fix we already have is kept through hiccups (see the fallback below)
     const error = (err) => {
       console.error('Geolocation error:', err)
-      // Default to Madison, WI if geolocation fails
-      setUserLocation({ lat: 43.0731, lng: -89.4012 })
-      setCurrentAddress('Madison, WI (Default)')
-      setIsLoading(false)
+      setGpsStatus(err.code === err.PERMISSION_DENIED ? 'denied' : 'unavailable')
     }
 
     // Start watching position (updates as user moves)
@@ -91,33 +308,619 @@ export default function Home() {
     return () => navigator.geolocation.clearWatch(watchId)
   }, [])
 
+  /**
+   * Without any GPS fix, fall back to the last location used on this device, then
+   * the default region. If GPS is off for good, ask the rider where they are.
+   */
+  useEffect(() => {
+    if (gpsLocation || gpsStatus === 'waiting' || gpsStatus === 'ok') return
+
+    setFallbackPlace((prev) => {
+      if (prev) return prev
+      const last = loadLastLocation()
+      return last ? { id: 'last', name: last.name || t('location.lastKnown'), lat: last.lat, lng: last.lng } : DEFAULT_REGION
+    })
+    if (gpsStatus !== 'unavailable') setActivePanel((prev) => prev || 'location')
+  }, [gpsLocation, gpsStatus])
+
+  // Once GPS comes through, drop the fallback and fly to the real position
+  useEffect(() => {
+    if (!gpsLocation || !fallbackPlace) return
+
+    setFallbackPlace(null)
+    if (!manualPlace) setFocusTarget({ lat: gpsLocation.lat, lng: gpsLocation.lng, zoom: 15, at: Date.now() })
+  }, [gpsLocation, fallbackPlace, manualPlace])
+
+  /**
+   * Remember where we were (GPS or picked), for next time GPS is unavailable.
+   * Only saved after moving a little, not on every GPS tick.
+   */
+  const lastSavedRef = useRef(null)
+
+  useEffect(() => {
+    if (!userLocation || (!gpsLocation && !manualPlace)) return
+
+    const last = lastSavedRef.current
+    if (last && calculateDistance(last.lat, last.lng, userLocation.lat, userLocation.lng) < 0.1) return
+
+    lastSavedRef.current = userLocation
+    saveLastLocation({ ...userLocation, name: manualPlace?.name })
+  }, [userLocation, gpsLocation, manualPlace])
+
   /**
    * Reverse geocode coordinates to readable address
-   * Uses Nominatim (OpenStreetMap's geocoding service)
+   * Uses Nominatim (OpenStreetMap's geocoding service) via /api/geocode
    */
-  const reverseGeocode = async (lat, lng) => {
+  const reverseGeocode = useCallback(async (lat, lng) => {
     try {
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&zoom=18&addressdetails=1`,
-        {
-          headers: {
-            'User-Agent': 'MopedFuel/1.0 (moped-tracker.vercel.app)',
-          },
-        }
-      )
+      const response = await fetch(`/api/geocode?at=${lat},${lng}`)
       const data = await response.json()
 
       if (data.address) {
         const { road, neighbourhood, suburb, city, town, village } = data.address
-        const addr = road || neighbourhood || suburb || city || town || village || 'Location found'
+        const addr = road || neighbourhood || suburb || city || town || village || t('location.found')
         setCurrentAddress(addr)
       }
     } catch (error) {
       console.error('Reverse geocoding error:', error)
-      setCurrentAddress('Location found')
+      setCurrentAddress(t('location.found'))
+    }
+  }, [])
+
+  // Show a readable name for wherever we are
+  useEffect(() => {
+    if (manualPlace) setCurrentAddress(manualPlace.name)
+    else if (gpsLocation) reverseGeocode(gpsLocation.lat, gpsLocation.lng)
+    else if (fallbackPlace) {
+      setCurrentAddress(
+        fallbackPlace.id === 'default' ? t('location.default', { name: fallbackPlace.name }) : fallbackPlace.name
+      )
+    }
+  }, [manualPlace, gpsLocation, fallbackPlace, reverseGeocode])
+
+  /**
+   * Use a place picked by hand, or go back to GPS
+   */
+  const handlePickPlace = (place) => {
+    setManualPlace(place)
+    setRecentPlaces((prev) => addRecentPlace(prev, place))
+    setFocusTarget({ lat: place.lat, lng: place.lng, zoom: 14, at: Date.now() })
+    setActivePanel(null)
+  }
+
+  const handleUseGps = () => {
+    setManualPlace(null)
+    setActivePanel(null)
+    if (gpsLocation) setFocusTarget({ lat: gpsLocation.lat, lng: gpsLocation.lng, zoom: 15, at: Date.now() })
+  }
+
+  /**
+   * Switch language or units. The formatters read these from module state, so
+   * set that first - the render this triggers then already uses them.
+   */
+  const handleChangePreferences = useCallback((next) => {
+    setLocale(next.locale)
+    setUnits(next.units)
+    setPreferences(next)
+  }, [])
+
+  useEffect(() => {
+    document.documentElement.lang = preferences.locale
+  }, [preferences.locale])
+
+  /**
+   * Load saved vehicle, favorites and fill-ups once on mount, then persist any changes.
+   * Language and units default to what the browser's locale suggests.
+   */
+  useEffect(() => {
+    handleChangePreferences(
+      loadJSON('preferences', null) || { locale: detectLocale(), units: unitsForLocale(navigator.language) }
+    )
+    setVehicle({ ...DEFAULT_VEHICLE, ...loadJSON('vehicle', {}) })
+    setFavorites(loadFavorites())
+    setPreferFavoritesMiles(loadJSON('preferFavoritesMiles', 0))
+    setFillUps(loadFillUps())
+    setPriceMode({ ...DEFAULT_PRICE_MODE, ...loadJSON('priceMode', {}) })
+    setRecentPlaces(loadRecentPlaces())
+    setLiveShare(loadActiveShare())
+    setThemeMode(loadJSON('themeMode', DEFAULT_THEME_MODE))
+    setNotificationSettings(loadNotificationSettings())
+    setFuelOdometer(loadFuelOdometer())
+    setHasLoadedSaved(true)
+  }, [handleChangePreferences])
+
+  useEffect(() => {
+    if (!hasLoadedSaved) return
+    saveJSON('vehicle', vehicle)
+    saveFavorites(favorites)
+    saveJSON('preferFavoritesMiles', preferFavoritesMiles)
+    saveFillUps(fillUps)
+    saveJSON('priceMode', priceMode)
+    saveRecentPlaces(recentPlaces)
+    saveActiveShare(liveShare)
+    saveJSON('themeMode', themeMode)
+    saveJSON('preferences', preferences)
+    saveNotificationSettings(notificationSettings)
+  }, [
+    vehicle,
+    favorites,
+    preferFavoritesMiles,
+    fillUps,
+    priceMode,
+    recentPlaces,
+    liveShare,
+    themeMode,
+    preferences,
+    notificationSettings,
+    hasLoadedSaved,
+  ])
+
+  /**
+   * Switch the page between the light and night themes
+   */
+  useEffect(() => watchSystemDarkMode(setPrefersDark), [])
+  useEffect(() => watchReducedMotion(setReducedMotion), [])
+
+  useEffect(() => {
+    if (themeMode !== 'auto') return
+    const timer = setInterval(() => setClock(Date.now()), 60000)
+    return () => clearInterval(timer)
+  }, [themeMode])
+
+  useEffect(() => {
+    // Until we know where the rider is, auto mode keeps the theme the page opened with
+    if (!hasLoadedSaved || (themeMode === 'auto' && !userLocation && !prefersDark)) return
+    applyTheme(theme)
+  }, [theme, themeMode, userLocation, prefersDark, hasLoadedSaved])
+
+  const handleCycleTheme = () => {
+    const index = THEME_MODES.findIndex((mode) => mode.key === themeMode)
+    setThemeMode(THEME_MODES[(index + 1) % THEME_MODES.length].key)
+  }
+
+  // Measured fuel economy from the log, once there are two full fill-ups
+  const loggedMpg = useMemo(() => summarizeFillUps(fillUps).averageMpg, [fillUps])
+
+  /**
+   * Save a fill-up and update the fuel gauge (and mpg, once measured) to match
+   */
+  const handleSaveFillUp = ({ gallons, totalPrice, odometer, isFull }) => {
+    const entry = createFillUp({
+      station: { key: stationKey(fillUpStation), name: fillUpStation.name },
+      gallons,
+      totalPrice,
+      odometer,
+      isFull,
+    })
+    const updated = sortFillUps([...fillUps, entry])
+    const { averageMpg } = summarizeFillUps(updated)
+
+    setFillUps(updated)
+    setVehicle((prev) => ({
+      ...prev,
+      fuelLevel: isFull ? 1 : Math.min(prev.fuelLevel + gallons / prev.tankGallons, 1),
+      mpg: averageMpg ? Math.round(averageMpg) : prev.mpg,
+    }))
+    setFuelOdometer((prev) => refuelOdometer(prev, { gallons, isFull }, vehicle))
+    setFillUpStation(null)
+  }
+
+  const handleLogFillUp = useCallback((station) => {
+    setActivePanel(null)
+    setFillUpStation(station)
+  }, [])
+
+  const handleToggleFavorite = useCallback((station) => {
+    setFavorites((prev) => toggleFavorite(prev, station))
+  }, [])
+
+  /**
+   * Load saved rides, picking up a recording that a reload or crash cut short
+   */
+  useEffect(() => {
+    loadRides().then((saved) => {
+      setRides(saved.filter((ride) => ride.endedAt))
+      const unfinished = saved.find((ride) => !ride.endedAt)
+      if (unfinished) setRecording(unfinished)
+    })
+  }, [])
+
+  // Add each GPS fix to the ride being recorded
+  useEffect(() => {
+    if (gpsLocation) setRecording((prev) => prev && addTrackPoint(prev, gpsLocation))
+  }, [gpsLocation])
+
+  // Save the ride in progress now and then, so a reload doesn't lose it
+  useEffect(() => {
+    if (!recording || Date.now() - lastRideSaveRef.current < 15000) return
+    lastRideSaveRef.current = Date.now()
+    saveRide(recording)
+  }, [recording])
+
+  /**
+   * Start recording a ride, or stop and save the one being recorded
+   */
+  const handleToggleRecording = () => {
+    if (!recording) {
+      if (gpsStatus === 'denied' || gpsStatus === 'unsupported') {
+        showToast({ id: 'ride', message: t('toast.rideNeedsGps'), tone: 'error', timeoutMs: 6000 })
+        return
+      }
+      const ride = gpsLocation ? addTrackPoint(createRide(), gpsLocation) : createRide()
+      lastRideSaveRef.current = 0
+      setRecording(ride)
+      return
+    }
+
+    const finished = { ...recording, endedAt: Date.now() }
+    setRecording(null)
+    if (finished.points.length < 2) {
+      deleteRide(finished.id)
+      showToast({ id: 'ride', message: t('toast.rideTooShort'), tone: 'info', timeoutMs: 4000 })
+      return
+    }
+    saveRide(finished)
+    setRides((prev) => [finished, ...prev])
+  }
+
+  const handleImportRide = (ride) => {
+    saveRide(ride)
+    setRides((prev) => [...prev, ride].sort((a, b) => b.startedAt - a.startedAt))
+    setViewedRideId(ride.id)
+  }
+
+  const handleDeleteRide = (ride) => {
+    deleteRide(ride.id)
+    setRides((prev) => prev.filter((r) => r.id !== ride.id))
+    if (viewedRideId === ride.id) setViewedRideId(null)
+  }
+
+  /**
+   * Ride alerts: count the distance ridden since the last fill-up (saved on its own,
+   * since it changes with every fix), and remind the rider when it nears the range
+   */
+  useEffect(() => {
+    if (gpsLocation && hasLoadedSaved) setFuelOdometer((prev) => addFixToOdometer(prev, gpsLocation))
+  }, [gpsLocation, hasLoadedSaved])
+
+  useEffect(() => {
+    if (hasLoadedSaved) saveFuelOdometer(fuelOdometer)
+  }, [fuelOdometer, hasLoadedSaved])
+
+  useEffect(() => {
+    // Held back through quiet hours rather than dropped
+    if (!notificationSettings.enabled || isQuietTime(notificationSettings.quietHours)) return
+    const alert = lowFuelAlert(fuelOdometer, vehicle, notificationSettings)
+    if (!alert) return
+    showNotification(alert, notificationSettings)
+    setFuelOdometer((prev) => ({ ...prev, remindedAt: Date.now() }))
+  }, [fuelOdometer, vehicle, notificationSettings])
+
+  // The planned trip's route, and the stations along it followed by a long stretch with none
+  const tripRoute = useMemo(() => trip?.legs.flatMap((leg) => leg.coordinates) || null, [trip])
+  const wantsTripGaps = notificationSettings.enabled && notificationSettings.lastStation.enabled
+
+  useEffect(() => {
+    setTripGaps([])
+    if (!tripRoute || !wantsTripGaps) return
+
+    let cancelled = false
+    fetchStationsAlongRoute(thinRoute(tripRoute), CORRIDOR_METERS)
+      .then((corridor) => {
+        // Opening hours are for right now, not when we'll get there
+        const stations = filterStations(corridor, { ...filters, openNow: false })
+        if (!cancelled) setTripGaps(findStationGaps(tripRoute, stations, notificationSettings.lastStation.gapMiles))
+      })
+      .catch((error) => console.error('Could not load stations along the trip:', error))
+    return () => {
+      cancelled = true
     }
+  }, [tripRoute, wantsTripGaps, filters, notificationSettings.lastStation.gapMiles])
+
+  /**
+   * Announce favorite or cheapest stations as the rider passes them, and the last
+   * station before a long gap on the planned trip
+   */
+  useEffect(() => {
+    if (!gpsLocation || !notificationSettings.enabled || isQuietTime(notificationSettings.quietHours)) return
+    const notified = notifiedStationsRef.current
+    const now = Date.now()
+
+    const alerts = stationAheadAlerts(gpsLocation, matchingStations, {
+      favorites,
+      prices,
+      priceMode,
+      settings: notificationSettings,
+      notified,
+      now,
+    })
+    if (tripRoute) {
+      const lastStation = lastStationAlert(gpsLocation, tripRoute, tripGaps, { settings: notificationSettings, notified })
+      if (lastStation) alerts.unshift(lastStation)
+    }
+
+    // One at a time, so a cluster of stations doesn't buzz the phone repeatedly
+    const [alert] = alerts
+    if (!alert) return
+    notified[alert.key] = now
+    showNotification(alert, notificationSettings)
+  }, [gpsLocation, matchingStations, favorites, prices, priceMode, notificationSettings, tripRoute, tripGaps])
+
+  // What friends watching a live share see: the station we're navigating to (or the
+  // nearest one) and the route to it
+  const sharedStation = navigation?.station || nearestStation
+  const sharedRoute = navigation ? navigation.route.coordinates : nearestStation?.route
+
+  /**
+   * Publish to the live share as we move - at most every 5 s, but straight away
+   * when the station or route changes. The route is only sent when it changes.
+   */
+  useEffect(() => {
+    if (!liveShare || !userLocation) return
+
+    const last = lastSharedRef.current
+    const sharedKey = sharedStation ? stationKey(sharedStation) : null
+    const update = {}
+    if (!last || last.stationKey !== sharedKey) update.station = shareableStation(sharedStation)
+    if (!last || last.route !== sharedRoute) update.route = shareableRoute(sharedRoute)
+    if (last && Object.keys(update).length === 0 && Date.now() - last.at < 5000) return
+
+    update.location = { lat: userLocation.lat, lng: userLocation.lng }
+    update.routingProfile = vehicle.routingProfile
+    lastSharedRef.current = { at: Date.now(), stationKey: sharedKey, route: sharedRoute }
+
+    publishLiveShare(liveShare, update).catch((error) => {
+      if (error.status === 404) {
+        setLiveShare(null)
+        showToast({ id: 'share', message: t('toast.shareEnded'), tone: 'info', timeoutMs: 5000 })
+      } else {
+        // Send everything again with the next fix
+        lastSharedRef.current = null
+      }
+    })
+  }, [liveShare, userLocation, sharedStation, sharedRoute, vehicle.routingProfile, showToast])
+
+  // End the share on this side when it expires
+  useEffect(() => {
+    if (!liveShare) return
+    const timer = setTimeout(() => {
+      setLiveShare(null)
+      showToast({ id: 'share', message: t('toast.shareEnded'), tone: 'info', timeoutMs: 5000 })
+    }, liveShare.expiresAt - Date.now())
+    return () => clearTimeout(timer)
+  }, [liveShare, showToast])
+
+  const handleStartShare = async (options) => {
+    const session = await startLiveShare(options)
+    lastSharedRef.current = null
+    setLiveShare(session)
   }
 
+  const handleStopShare = () => {
+    stopLiveShare(liveShare).catch(() => {})
+    setLiveShare(null)
+  }
+
+  const viewedRide = useMemo(() => rides.find((ride) => ride.id === viewedRideId) || null, [rides, viewedRideId])
+
+  const handleReportPrice = useCallback((station) => {
+    setActivePanel(null)
+    setPriceReportStation(station)
+  }, [])
+
+  const handleShowDetails = useCallback((station) => {
+    setActivePanel(null)
+    setDetailStation(station)
+  }, [])
+
+  /**
+   * Open the view and station a link asks for: /?at=lat,lng&z=15 moves the map there,
+   * /?station=node/123 (also where /station pages link to) picks the station, routes to it
+   * and opens its details
+   */
+  useEffect(() => {
+    const link = parseMapLink(window.location.search)
+    if (link.at) setFocusTarget({ ...link.at, zoom: link.zoom || DEFAULT_LINK_ZOOM, at: Date.now() })
+    if (link.stationKey) setStationLink({ key: link.stationKey, zoom: link.zoom })
+  }, [])
+
+  // Look the station up once we know where the rider is, to measure and route from there
+  const hasUserLocation = Boolean(userLocation)
+  const userLocationRef = useRef(userLocation)
+  userLocationRef.current = userLocation
+
+  useEffect(() => {
+    if (!stationLink || !hasUserLocation) return
+
+    let cancelled = false
+    fetchStation(stationLink.key, userLocationRef.current)
+      .then((station) => {
+        if (cancelled) return
+        setStationLink(null)
+        if (!station) {
+          showToast({ id: 'station-link', tone: 'warning', message: t('toast.stationNotFound'), timeoutMs: 8000 })
+          return
+        }
+
+        // The map loads the stations around it, and the chosen one is always routed first
+        setChosenStationKey(stationKey(station))
+        setFocusTarget({ lat: station.lat, lng: station.lng, zoom: stationLink.zoom || STATION_LINK_ZOOM, at: Date.now() })
+        setDetailStation(station)
+      })
+      .catch((error) => {
+        if (cancelled) return
+        const retry = stationLink
+        setStationLink(null)
+        showToast({
+          id: 'station-link',
+          tone: 'error',
+          message: error.message,
+          action: error.isRetryable ? { label: t('action.retry'), onClick: () => setStationLink(retry) } : null,
+        })
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [stationLink, hasUserLocation, showToast])
+
+  // Keep the address bar on the current view and chosen station, so it can be shared as it is
+  useEffect(() => {
+    if (!mapView) return
+    replaceMapLink({ ...mapView, stationKey: chosenStationKey || stationLink?.key })
+  }, [mapView, chosenStationKey, stationLink])
+
+  /**
+   * Share a station's page with the Web Share API (copied where that isn't available)
+   */
+  const handleShareStation = useCallback(
+    async (station) => {
+      const name = station.name || t('station.unnamed')
+      const result = await shareLink({
+        title: name,
+        text: t('share.stationText', { name }),
+        url: stationUrl(station),
+      })
+
+      if (result === 'copied') {
+        showToast({ id: 'share-station', tone: 'info', message: t('toast.linkCopied'), timeoutMs: 4000 })
+      } else if (result === 'failed') {
+        showToast({ id: 'share-station', tone: 'error', message: t('toast.shareFailed'), timeoutMs: 6000 })
+      }
+    },
+    [showToast]
+  )
+
+  // Tell screen readers when a different station becomes the nearest (not on every distance update)
+  useEffect(() => {
+    const key = nearestStation && stationKey(nearestStation)
+    if (key === announcedKeyRef.current) return
+    announcedKeyRef.current = key
+    setAnnouncement(nearestStationAnnouncement(nearestStation))
+  }, [nearestStation])
+
+  /**
+   * Start turn-by-turn navigation to a station
+   * (the ranked route is trimmed as we ride and has no steps, so fetch a fresh one)
+   */
+  const handleNavigate = useCallback(
+    async (station) => {
+      setActivePanel(null)
+      dismissToast('navigation')
+
+      try {
+        const route = await fetchRoute(userLocation, station, routeOptionsFor(vehicle))
+        if (route.steps.length === 0) throw new Error(t('toast.noDirections', { name: station.name }))
+
+        setNavigation({ station, route })
+      } catch (error) {
+        showToast({
+          id: 'navigation',
+          tone: 'error',
+          message: error.message,
+          action: error.isRetryable ? { label: t('action.retry'), onClick: () => handleNavigate(station) } : null,
+        })
+      }
+    },
+    [userLocation, vehicle, showToast, dismissToast]
+  )
+
+  /**
+   * Explain station and routing failures from the map, with a retry
+   */
+  const handleMapError = useCallback(
+    (source, error) => {
+      if (!error) {
+        dismissToast(source)
+        return
+      }
+
+      showToast({
+        id: source,
+        tone: source === 'stations' ? 'error' : 'warning',
+        message: source === 'stations' ? error.message : t('toast.straightLine', { message: error.message }),
+        action: error.isRetryable ? { label: t('action.retry'), onClick: handleRetry } : null,
+      })
+    },
+    [showToast, dismissToast, handleRetry]
+  )
+
+  // Say so when the search really came back empty, rather than showing a bare map
+  useEffect(() => {
+    if (stationsStatus.savedAt && !stationsStatus.isStale && gasStations.length === 0) {
+      showToast({ id: 'no-stations', tone: 'info', message: t('toast.noStations'), timeoutMs: 8000 })
+    } else {
+      dismissToast('no-stations')
+    }
+  }, [stationsStatus, gasStations.length, showToast, dismissToast])
+
+  /**
+   * Explain GPS problems instead of quietly showing another place
+   */
+  useEffect(() => {
+    if (manualPlace || gpsStatus === 'waiting' || gpsStatus === 'ok') {
+      dismissToast('gps')
+      return
+    }
+
+    const problem = gpsStatus === 'unavailable' && gpsLocation ? 'lost' : gpsStatus
+    const message = t(`gps.${problem}`)
+
+    showToast({
+      id: 'gps',
+      tone: 'warning',
+      message: !gpsLocation && fallbackPlace ? t('gps.showing', { message, name: fallbackPlace.name }) : message,
+      action: { label: t('action.chooseLocation'), onClick: () => setActivePanel('location') },
+    })
+  }, [gpsStatus, gpsLocation, manualPlace, fallbackPlace, preferences, showToast, dismissToast])
+
+  const handleEndNavigation = useCallback(() => setNavigation(null), [])
+
+  /**
+   * Fetch prices whenever the set of nearby stations changes
+   * (distance updates alone don't change the key list, so they don't refetch).
+   * With stations loaded across the map, only the nearest 200 are priced - the API's limit.
+   */
+  const stationKeyList = useMemo(
+    () => gasStations.slice(0, 200).map(stationKey).sort().join(','),
+    [gasStations]
+  )
+
+  // Prices reported in the rider's currency only
+  const priceCurrency = preferences.units.currency
+  const refreshPrices = useCallback(async () => {
+    setPrices(await fetchPrices(stationKeyList ? stationKeyList.split(',') : [], priceCurrency))
+  }, [stationKeyList, priceCurrency])
+
+  useEffect(() => {
+    refreshPrices()
+  }, [refreshPrices])
+
+  // Latest price for the selected grade at the highlighted station
+  const nearestPrice = nearestStation
+    ? getStationPrice(prices, stationKey(nearestStation), priceMode.grade)
+    : null
+
+  /**
+   * Track connectivity so we can show cached data with a "last updated" badge
+   */
+  useEffect(() => {
+    const update = () => setIsOffline(!navigator.onLine)
+    update()
+
+    // Back online - refresh right away instead of waiting for the rider to move
+    const handleOnline = () => {
+      update()
+      setRefreshKey((key) => key + 1)
+    }
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', update)
+    }
+  }, [])
+
   /**
    * Handler for "Find Closest Station" button
    * Triggers map to center on user and highlight nearest station
@@ -154,84 +957,486 @@ export default function Home() {
         <div className="flex items-center justify-between px-3 py-2.5 gap-2">
           <div className="flex items-center space-x-2 flex-1 min-w-0">
             <span className="text-xl flex-shrink-0">⛽</span>
-            <div className="min-w-0 flex-1">
-              <p className="text-[10px] font-semibold opacity-90 uppercase tracking-wide">Location</p>
-              <p className="text-xs font-bold truncate">{currentAddress}</p>
-            </div>
+            <button
+              onClick={() => setActivePanel(activePanel === 'location' ? null : 'location')}
+              className="min-w-0 flex-1 text-left"
+              aria-label={t('status.locationLabel', { address: currentAddress || t('location.locating') })}
+            >
+              <p className="text-[10px] font-semibold opacity-90 uppercase tracking-wide">
+                {t('status.location')}
+                {manualPlace && ` · ${t('status.picked')}`}
+                {!manualPlace && !gpsLocation && fallbackPlace && ` · ${t('status.noGps')}`} ▾
+              </p>
+              <p className="text-xs font-bold truncate">{currentAddress || t('location.locating')}</p>
+            </button>
           </div>
 
+          {/* Ride recording badge */}
+          {recording && (
+            <button
+              onClick={() => setActivePanel('rides')}
+              className="bg-surface text-coral px-2.5 py-1 rounded-full text-[10px] font-bold flex-shrink-0 motion-safe:animate-pulse"
+              aria-label={t('status.recordingLabel')}
+            >
+              {t('status.recording')}
+            </button>
+          )}
+
+          {/* Live share badge */}
+          {liveShare && (
+            <button
+              onClick={() => setActivePanel('share')}
+              className="bg-surface text-teal px-2.5 py-1 rounded-full text-[10px] font-bold flex-shrink-0"
+              aria-label={t('status.liveLabel')}
+            >
+              {t('status.live')}
+            </button>
+          )}
+
+          {/* Offline / cached data badge */}
+          {(isOffline || stationsStatus.isStale) && (
+            <div className="bg-yellow-pastel text-gray-700 px-2.5 py-1 rounded-full text-[10px] font-bold flex-shrink-0">
+              {isOffline ? t('status.offline') : t('status.cached')}
+              {stationsStatus.savedAt && ` · ${t('status.updated', { ago: formatTimeAgo(stationsStatus.savedAt) })}`}
+            </div>
+          )}
+
+          {/* Theme switch - light, dark, auto */}
+          <button
+            onClick={handleCycleTheme}
+            className="bg-surface px-2 py-0.5 rounded-full text-sm flex-shrink-0"
+            aria-label={t('status.themeLabel', { mode: t(`theme.${themeMode}`) })}
+          >
+            {THEME_MODES.find((mode) => mode.key === themeMode)?.icon}
+          </button>
+
           {/* Station count badge */}
           {gasStations.length > 0 && (
-            <div className="bg-white text-coral px-2.5 py-1 rounded-full text-xs font-bold flex-shrink-0">
-              {gasStations.length}
+            <div className="bg-surface text-coral px-2.5 py-1 rounded-full text-xs font-bold flex-shrink-0">
+              {matchingStations.length}
             </div>
           )}
         </div>
       </div>
 
       {/* Main Map Component */}
-      {!isLoading && userLocation && (
+      {userLocation && (
         <Map
           userLocation={userLocation}
-          gasStations={gasStations}
+          gasStations={matchingStations}
           setGasStations={setGasStations}
           nearestStation={nearestStation}
           setNearestStation={setNearestStation}
           showAllStations={showAllStations}
           shouldRecenter={shouldRecenter}
+          vehicle={vehicle}
+          filters={filters}
+          refreshKey={refreshKey}
+          onStationsUpdated={setStationsStatus}
+          onError={handleMapError}
+          favorites={favorites}
+          onToggleFavorite={handleToggleFavorite}
+          preferFavoritesMiles={preferFavoritesMiles}
+          focusTarget={focusTarget}
+          onLogFillUp={handleLogFillUp}
+          prices={prices}
+          priceMode={priceMode}
+          chosenStationKey={chosenStationKey}
+          onRanked={setAlternatives}
+          onReportPrice={handleReportPrice}
+          trip={trip}
+          navigation={navigation}
+          onNavigate={handleNavigate}
+          onShowDetails={handleShowDetails}
+          onShare={handleShareStation}
+          onViewChange={setMapView}
+          recordingTrack={recording?.points}
+          viewedRide={viewedRide}
+          theme={theme}
+          reducedMotion={reducedMotion}
+          following={following}
+          onStopFollowing={() => setFollowing(false)}
+        />
+      )}
+
+      {/* Screen-reader announcements (nearest station changes) */}
+      <div role="status" aria-live="polite" className="sr-only">
+        {announcement}
+      </div>
+
+      {/* Errors and notices */}
+      <Toasts toasts={toasts} onDismiss={dismissToast} />
+
+      {/* Turn-by-Turn Navigation */}
+      {navigation && (
+        <NavigationView
+          navigation={navigation}
+          setNavigation={setNavigation}
+          userLocation={userLocation}
+          vehicle={vehicle}
+          onEnd={handleEndNavigation}
+        />
+      )}
+
+      {/* Vehicle / Fuel Gauge Panel */}
+      {activePanel === 'vehicle' && (
+        <VehiclePanel
+          vehicle={vehicle}
+          setVehicle={setVehicle}
+          loggedMpg={loggedMpg}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {/* Station Comparison */}
+      {activePanel === 'compare' && (
+        <StationComparison
+          stations={alternatives}
+          activeKey={nearestStation && stationKey(nearestStation)}
+          chosenKey={chosenStationKey}
+          vehicle={vehicle}
+          prices={prices}
+          priceGrade={priceMode.grade}
+          onChoose={(station) => {
+            setChosenStationKey(stationKey(station))
+            setActivePanel(null)
+          }}
+          onResetChoice={() => {
+            setChosenStationKey(null)
+            setActivePanel(null)
+          }}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {/* Favorites Drawer */}
+      {activePanel === 'favorites' && (
+        <FavoritesDrawer
+          favorites={favorites}
+          userLocation={userLocation}
+          vehicle={vehicle}
+          preferFavoritesMiles={preferFavoritesMiles}
+          setPreferFavoritesMiles={setPreferFavoritesMiles}
+          onSelect={(favorite) => {
+            setFocusTarget({ lat: favorite.lat, lng: favorite.lng, key: favorite.key, at: Date.now() })
+            setActivePanel(null)
+          }}
+          onRemove={handleToggleFavorite}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {/* Station List - the map's stations for keyboard and screen-reader use */}
+      {activePanel === 'list' && (
+        <StationList
+          stations={matchingStations}
+          nearestKey={nearestStation && stationKey(nearestStation)}
+          favorites={favorites}
+          prices={prices}
+          priceGrade={priceMode.grade}
+          onSelect={(station) =>
+            setFocusTarget({ lat: station.lat, lng: station.lng, key: stationKey(station), at: Date.now() })
+          }
+          onShowDetails={handleShowDetails}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {/* Fill-Up Log */}
+      {activePanel === 'fillUps' && (
+        <FillUpHistory
+          fillUps={fillUps}
+          onImport={(imported) => setFillUps((prev) => mergeFillUps(prev, imported))}
+          onDelete={(entry) => setFillUps((prev) => prev.filter((e) => e.id !== entry.id))}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {/* Ride Log */}
+      {activePanel === 'rides' && (
+        <RideLog
+          rides={rides}
+          recording={recording}
+          viewedRideId={viewedRideId}
+          lastFillUpDate={fillUps.length > 0 ? Math.max(...fillUps.map((entry) => entry.date)) : null}
+          onToggleRecording={handleToggleRecording}
+          onView={setViewedRideId}
+          onImport={handleImportRide}
+          onDelete={handleDeleteRide}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {/* Live Location Sharing */}
+      {activePanel === 'share' && (
+        <SharePanel
+          session={liveShare}
+          onStart={handleStartShare}
+          onStop={handleStopShare}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {/* Location Picker */}
+      {activePanel === 'location' && (
+        <LocationPicker
+          gpsStatus={gpsStatus}
+          isManual={Boolean(manualPlace)}
+          recentPlaces={recentPlaces}
+          near={userLocation}
+          onPick={handlePickPlace}
+          onUseGps={handleUseGps}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {activePanel === 'trip' && (
+        <TripPlanner
+          userLocation={userLocation}
+          vehicle={vehicle}
+          filters={filters}
+          trip={trip}
+          setTrip={setTrip}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {/* Station Detail Sheet */}
+      {detailStation && !navigation && (
+        <StationSheet
+          key={stationKey(detailStation)}
+          station={detailStation}
+          userLocation={userLocation}
+          vehicle={vehicle}
+          prices={prices[stationKey(detailStation)]}
+          isFavorite={Boolean(favorites[stationKey(detailStation)])}
+          onToggleFavorite={handleToggleFavorite}
+          onNavigate={(station) => {
+            setDetailStation(null)
+            handleNavigate(station)
+          }}
+          onReportPrice={(station) => {
+            setDetailStation(null)
+            handleReportPrice(station)
+          }}
+          onLogFillUp={(station) => {
+            setDetailStation(null)
+            handleLogFillUp(station)
+          }}
+          onShare={handleShareStation}
+          onClose={() => setDetailStation(null)}
+        />
+      )}
+
+      {/* Fill-Up Form */}
+      {fillUpStation && (
+        <FillUpForm
+          station={fillUpStation}
+          lastOdometer={fillUps[fillUps.length - 1]?.odometer}
+          onSave={handleSaveFillUp}
+          onClose={() => setFillUpStation(null)}
+        />
+      )}
+
+      {/* Price Report Form */}
+      {priceReportStation && (
+        <PriceReportForm
+          station={priceReportStation}
+          onSubmitted={() => {
+            setPriceReportStation(null)
+            refreshPrices()
+          }}
+          onClose={() => setPriceReportStation(null)}
+        />
+      )}
+
+      {/* Language and Units */}
+      {activePanel === 'settings' && (
+        <SettingsPanel
+          preferences={preferences}
+          onChange={handleChangePreferences}
+          onOpenNotifications={() => setActivePanel('notifications')}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+
+      {/* Ride Alerts */}
+      {activePanel === 'notifications' && (
+        <NotificationPanel
+          settings={notificationSettings}
+          setSettings={setNotificationSettings}
+          riddenMiles={fuelOdometer.miles}
+          onResetRidden={() => setFuelOdometer((prev) => ({ ...createFuelOdometer(), last: prev.last }))}
+          onClose={() => setActivePanel('settings')}
+        />
+      )}
+
+      {/* Station Filter Panel */}
+      {activePanel === 'filters' && (
+        <FilterPanel
+          filters={filters}
+          setFilters={setFilters}
+          matchingCount={matchingStations.length}
+          priceMode={priceMode}
+          setPriceMode={setPriceMode}
+          onClose={() => setActivePanel(null)}
         />
       )}
 
       {/* Floating Action Buttons */}
-      <div className="absolute bottom-8 right-4 z-[1000] flex flex-col space-y-3">
-        {/* Recenter on User Button */}
-        <button
-          onClick={handleRecenter}
-          className="w-14 h-14 bg-white rounded-full shadow-lg flex items-center justify-center text-2xl hover:scale-110 transition-transform btn-glow"
-          aria-label="Recenter map on my location"
-        >
-          🎯
-        </button>
-
-        {/* Find Closest Station Button */}
-        <button
-          onClick={handleFindClosest}
-          disabled={!nearestStation}
-          className={`w-14 h-14 rounded-full shadow-lg flex items-center justify-center text-2xl transition-all ${
-            nearestStation
-              ? 'bg-gradient-to-br from-coral to-orange-pastel hover:scale-110 btn-glow'
-              : 'bg-gray-300 cursor-not-allowed'
-          }`}
-          aria-label="Navigate to closest gas station"
-        >
-          ⛽
-        </button>
-
-        {/* Toggle All/Nearest Button */}
-        <button
-          onClick={() => setShowAllStations(!showAllStations)}
-          className="w-14 h-14 bg-purple-pastel rounded-full shadow-lg flex items-center justify-center text-xl hover:scale-110 transition-transform btn-glow"
-          aria-label={showAllStations ? 'Show nearest only' : 'Show all stations'}
+      {!navigation && (
+        <div className="absolute bottom-8 right-4 z-[1000] flex flex-col space-y-3">
+          {/* Recenter on User Button */}
+          <button
+            onClick={handleRecenter}
+            className="w-14 h-14 bg-surface rounded-full shadow-lg flex items-center justify-center text-2xl hover:scale-110 transition-transform btn-glow"
+            aria-label={t('fab.recenter')}
+          >
+            🎯
+          </button>
+
+          {/* Follow Me Button - keeps the map on the rider, turned to the direction of travel */}
+          <button
+            onClick={() => setFollowing(!following)}
+            className={`w-14 h-14 rounded-full shadow-lg flex items-center justify-center text-xl hover:scale-110 transition-transform btn-glow ${
+              following ? 'bg-teal' : 'bg-surface'
+            }`}
+            aria-label={t('fab.follow')}
+            aria-pressed={following}
+          >
+            ⬆️
+          </button>
+
+          {/* Find Closest Station Button */}
+          <button
+            onClick={handleFindClosest}
+            disabled={!nearestStation}
+            className={`w-14 h-14 rounded-full shadow-lg flex items-center justify-center text-2xl transition-all ${
+              nearestStation
+                ? 'bg-gradient-to-br from-coral to-orange-pastel hover:scale-110 btn-glow'
+                : 'bg-gray-300 cursor-not-allowed'
+            }`}
+            aria-label={t('fab.closest')}
+          >
+            ⛽
+          </button>
+
+          {/* Vehicle / Fuel Gauge Button */}
+          <button
+            onClick={() => setActivePanel(activePanel === 'vehicle' ? null : 'vehicle')}
+            className="w-14 h-14 bg-yellow-pastel rounded-full shadow-lg flex flex-col items-center justify-center hover:scale-110 transition-transform btn-glow"
+            aria-label={t('fab.vehicle')}
+          >
+            <span className="text-xl leading-none">🛵</span>
+            <span className="text-[10px] font-bold text-gray-700">
+              {Math.round(toDisplayDistance(estimateRange(vehicle)))} {unitLabels().distance}
+            </span>
+          </button>
+
+          {/* Station List Button */}
+          <button
+            onClick={() => setActivePanel(activePanel === 'list' ? null : 'list')}
+            className="w-14 h-14 bg-surface rounded-full shadow-lg flex items-center justify-center text-xl hover:scale-110 transition-transform btn-glow"
+            aria-label={t('fab.list')}
+            aria-expanded={activePanel === 'list'}
+          >
+            📋
+          </button>
+
+          {/* More Button - opens the menu with the less-used actions */}
+          <button
+            onClick={() => setActivePanel(activePanel === 'more' ? null : 'more')}
+            className="relative w-14 h-14 bg-surface rounded-full shadow-lg flex items-center justify-center text-2xl font-bold text-gray-700 hover:scale-110 transition-transform btn-glow"
+            aria-label={activePanel === 'more' ? t('fab.less') : t('fab.more')}
+            aria-expanded={activePanel === 'more'}
+            aria-controls="more-menu"
+          >
+            {activePanel === 'more' ? '✕' : '⋯'}
+            {/* Something in the menu is switched on (a recording, a live share, filters) */}
+            {(recording || liveShare || countActiveFilters(filters) > 0 || priceMode.enabled) && (
+              <span className="absolute top-0 right-0 bg-coral rounded-full w-3 h-3" />
+            )}
+          </button>
+        </div>
+      )}
+
+      {/* More Menu - the less-used actions, opened from the ⋯ button */}
+      {!navigation && activePanel === 'more' && (
+        <div
+          id="more-menu"
+          className="absolute bottom-8 right-20 z-[1000] w-64 max-h-[80vh] overflow-y-auto bg-surface rounded-2xl shadow-2xl py-2"
         >
-          {showAllStations ? '👁️' : '🔍'}
-        </button>
-      </div>
+          {[
+            { panel: 'favorites', icon: '💛', label: t('fab.favorites') },
+            { panel: 'trip', icon: '🧭', label: t('fab.trip'), on: Boolean(trip) },
+            { panel: 'fillUps', icon: '📒', label: t('fab.fillUps') },
+            { panel: 'rides', icon: '🛣️', label: t('fab.rides'), on: Boolean(recording) },
+            { panel: 'share', icon: '📡', label: t('fab.share'), on: Boolean(liveShare) },
+            {
+              panel: 'filters',
+              icon: '🎛️',
+              label: t('fab.filters'),
+              badge: priceMode.enabled ? '$' : countActiveFilters(filters) || null,
+            },
+            { panel: 'settings', icon: '⚙️', label: t('fab.settings') },
+          ].map(({ panel, icon, label, on, badge }) => (
+            <button
+              key={panel}
+              onClick={() => setActivePanel(panel)}
+              className={`w-full flex items-center space-x-3 px-4 py-2 text-left text-sm font-semibold text-gray-700 hover:bg-sky-pastel hover:bg-opacity-40 ${
+                on ? 'bg-teal bg-opacity-20' : ''
+              }`}
+            >
+              <span className="text-xl w-7 text-center">{icon}</span>
+              <span className="flex-1">{label}</span>
+              {badge && (
+                <span className="bg-coral text-white text-[10px] font-bold rounded-full w-5 h-5 flex items-center justify-center">
+                  {badge}
+                </span>
+              )}
+            </button>
+          ))}
+
+          {/* Toggle All/Nearest */}
+          <button
+            onClick={() => {
+              setShowAllStations(!showAllStations)
+              setActivePanel(null)
+            }}
+            className="w-full flex items-center space-x-3 px-4 py-2 text-left text-sm font-semibold text-gray-700 hover:bg-sky-pastel hover:bg-opacity-40"
+          >
+            <span className="text-xl w-7 text-center">{showAllStations ? '👁️' : '🔍'}</span>
+            <span className="flex-1">{showAllStations ? t('fab.showNearest') : t('fab.showAll')}</span>
+          </button>
+        </div>
+      )}
 
       {/* Nearest Station Info Card */}
-      {nearestStation && (
-        <div className="absolute bottom-8 left-4 z-[1000] bg-white rounded-2xl shadow-2xl p-4 max-w-xs animate-float">
+      {nearestStation && !navigation && (
+        <div className="absolute bottom-8 left-4 z-[1000] bg-surface rounded-2xl shadow-2xl p-4 max-w-xs motion-safe:animate-float">
           <div className="flex items-start space-x-3">
             <div className="text-3xl">⛽</div>
             <div className="flex-1">
               <h3 className="font-bold text-lg text-gray-800">
-                {nearestStation.name || 'Gas Station'}
+                {nearestStation.name || t('station.unnamed')}
               </h3>
+              {chosenStationKey === stationKey(nearestStation) && (
+                <p className="text-[10px] font-bold text-coral uppercase tracking-wide">📌 {t('station.yourPick')}</p>
+              )}
               <p className="text-sm text-gray-600 mt-1">
-                📍 {nearestStation.distance?.toFixed(2)} mi away
+                📍 {t('station.away', { distance: formatDistance(nearestStation.roadDistance ?? nearestStation.distance) })}
               </p>
-              {nearestStation.duration && (
+              {nearestStation.duration && !nearestStation.isStraightLine && (
                 <p className="text-xs text-gray-500 mt-1">
-                  ⏱️ ~{Math.ceil(nearestStation.duration)} min drive
+                  ⏱️{' '}
+                  {t(`duration.${getRoutingProfile(vehicle.routingProfile).verb}`, {
+                    minutes: Math.ceil(nearestStation.duration),
+                  })}
+                </p>
+              )}
+              {nearestStation.isStraightLine && (
+                <p className="text-xs text-gray-500 mt-1">
+                  📏 {t('station.straightLine')}
                 </p>
               )}
               {nearestStation.address && (
@@ -239,41 +1444,90 @@ export default function Home() {
                   {nearestStation.address}
                 </p>
               )}
+              {nearestPrice && (
+                <p className="text-xs text-gray-700 mt-1">
+                  💲 {t(`grade.${priceMode.grade}`)}:{' '}
+                  <span className="font-semibold">{formatPrice(nearestPrice.price)}</span>
+                  <span className="text-gray-500"> · {formatTimeAgo(nearestPrice.reportedAt)}</span>
+                </p>
+              )}
+              {priceMode.enabled && !nearestPrice && (
+                <p className="text-xs text-gray-500 mt-1">
+                  💲 {t('station.noPrices', { distance: formatDistance(priceMode.maxMiles) })}
+                </p>
+              )}
+
+              {/* Low range warnings */}
+              {nearestStation.reach?.status === 'reserve' && (
+                <p className="text-xs font-semibold text-orange-700 dark:text-orange-300 bg-orange-pastel rounded-lg px-2 py-1 mt-2">
+                  ⚠️ {t('station.reserve', { distance: formatDistance(nearestStation.reach.rangeLeft) })}
+                </p>
+              )}
+              {nearestStation.reach?.status === 'unreachable' && (
+                <p className="text-xs font-semibold text-white bg-coral rounded-lg px-2 py-1 mt-2">
+                  🚫 {t('station.outOfRange', { distance: formatDistance(estimateRange(vehicle)) })}
+                </p>
+              )}
+
+              {/* In-app turn-by-turn navigation */}
+              <button
+                onClick={() => handleNavigate(nearestStation)}
+                className="mt-3 w-full bg-gradient-to-r from-coral to-orange-pastel text-white font-semibold py-2 px-4 rounded-lg text-sm hover:shadow-lg transition-all"
+              >
+                {t('action.navigate')} 🧭
+              </button>
 
               {/* Open in Google Maps */}
               <button
                 onClick={() => {
-                  const url = `https://www.google.com/maps/dir/?api=1&origin=${userLocation.lat},${userLocation.lng}&destination=${nearestStation.lat},${nearestStation.lng}&travelmode=driving`
-                  window.open(url, '_blank')
+                  window.open(googleMapsUrl(userLocation, nearestStation, vehicle.routingProfile), '_blank')
                 }}
-                className="mt-3 w-full bg-gradient-to-r from-teal to-sky-pastel text-white font-semibold py-2 px-4 rounded-lg text-sm hover:shadow-lg transition-all"
+                className="mt-2 w-full bg-gradient-to-r from-teal to-sky-pastel text-white font-semibold py-2 px-4 rounded-lg text-sm hover:shadow-lg transition-all"
+              >
+                {t('action.openInMaps')} 🗺️
+              </button>
+
+              <button
+                onClick={() => handleLogFillUp(nearestStation)}
+                className="mt-2 w-full bg-surface border border-coral text-coral font-semibold py-2 px-4 rounded-lg text-sm hover:shadow-lg transition-all"
               >
-                Open in Maps 🗺️
+                {t('action.logFillUp')} ⛽
               </button>
+
+              {alternatives.length > 1 && (
+                <button
+                  onClick={() => setActivePanel(activePanel === 'compare' ? null : 'compare')}
+                  className="mt-2 w-full text-teal font-semibold text-sm hover:underline"
+                >
+                  {t('station.compare', { count: alternatives.length })} ⚖️
+                </button>
+              )}
             </div>
           </div>
         </div>
       )}
 
       {/* Legend Toggle (Bottom Center) */}
-      <div className="absolute bottom-8 left-1/2 transform -translate-x-1/2 z-[999] bg-white bg-opacity-90 backdrop-blur-sm rounded-full px-6 py-2 shadow-lg">
-        <div className="flex items-center space-x-4 text-sm">
-          <div className="flex items-center space-x-1">
-            <span className="text-xl">🛵</span>
-            <span className="font-medium text-gray-700">You</span>
-          </div>
-          <div className="w-px h-4 bg-gray-300"></div>
-          <div className="flex items-center space-x-1">
-            <div className="w-3 h-3 bg-gradient-to-br from-teal to-sky-pastel rounded-full"></div>
-            <span className="font-medium text-gray-700">Stations</span>
-          </div>
-          <div className="w-px h-4 bg-gray-300"></div>
-          <div className="flex items-center space-x-1">
-            <div className="w-3 h-3 bg-gradient-to-br from-coral to-orange-pastel rounded-full animate-pulse"></div>
-            <span className="font-medium text-gray-700">Nearest</span>
+      {!navigation && (
+        <div className="absolute bottom-8 left-1/2 transform -translate-x-1/2 z-[999] bg-surface bg-opacity-90 backdrop-blur-sm rounded-full px-6 py-2 shadow-lg">
+          <div className="flex items-center space-x-4 text-sm">
+            <div className="flex items-center space-x-1">
+              <span className="text-xl">🛵</span>
+              <span className="font-medium text-gray-700">{t('legend.you')}</span>
+            </div>
+            <div className="w-px h-4 bg-gray-300"></div>
+            <div className="flex items-center space-x-1">
+              <div className="w-3 h-3 bg-gradient-to-br from-teal to-sky-pastel rounded-full"></div>
+              <span className="font-medium text-gray-700">{t('legend.stations')}</span>
+            </div>
+            <div className="w-px h-4 bg-gray-300"></div>
+            <div className="flex items-center space-x-1">
+              <div className="w-3 h-3 bg-gradient-to-br from-coral to-orange-pastel rounded-full motion-safe:animate-pulse"></div>
+              <span className="font-medium text-gray-700">{t('legend.nearest')}</span>
+            </div>
           </div>
         </div>
-      </div>
+      )}
     </main>
   )
 }
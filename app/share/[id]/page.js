@@ -0,0 +1,177 @@
+'use client'
+
+/**
+ * MopedFuel - Shared Ride Page
+ *
+ * Read-only view of a friend's live location share: their moped, the station
+ * they're heading to and their route, updated as they ride. Opened from the
+ * link made in the Share My Ride panel.
+ */
+
+import { useState, useEffect, useMemo } from 'react'
+import dynamic from 'next/dynamic'
+import Link from 'next/link'
+import { DEFAULT_VEHICLE } from '../../../utils/fuelRange'
+import { formatTimeAgo } from '../../../utils/getNearestStation'
+import { detectLocale, setLocale, t } from '../../../utils/i18n'
+import { watchLiveShare } from '../../../utils/liveShare'
+import { loadJSON } from '../../../utils/storage'
+import {
+  DEFAULT_THEME_MODE,
+  resolveTheme,
+  applyTheme,
+  watchSystemDarkMode,
+} from '../../../utils/theme'
+import { setUnits, unitsForLocale } from '../../../utils/units'
+
+// Dynamically import Map component (Leaflet requires window object)
+const Map = dynamic(() => import('../../../components/Map'), { ssr: false })
+
+const END_MESSAGE_KEYS = {
+  stopped: 'sharedRide.stopped',
+  expired: 'sharedRide.expired',
+  'not-found': 'sharedRide.notFound',
+}
+
+export default function SharedRidePage({ params }) {
+  // Latest {name, location, station, route, routingProfile, updatedAt, expiresAt}
+  const [share, setShare] = useState(null)
+
+  // 'connecting', 'live', 'reconnecting' or 'ended'
+  const [status, setStatus] = useState('connecting')
+  const [endReason, setEndReason] = useState(null)
+
+  const [shouldRecenter, setShouldRecenter] = useState(false)
+
+  // Re-render now and then so "updated ... ago" stays current (and once the viewer's
+  // language and units are set)
+  const [, setTick] = useState(0)
+
+  // The viewer's own theme choice, with auto mode following the sun where the rider is
+  const [themeMode, setThemeMode] = useState(DEFAULT_THEME_MODE)
+  const [prefersDark, setPrefersDark] = useState(false)
+  const theme = resolveTheme(themeMode, { location: share?.location, prefersDark })
+
+  useEffect(() => {
+    setThemeMode(loadJSON('themeMode', DEFAULT_THEME_MODE))
+    // The viewer's language and units, as saved in their own copy of the app
+    const preferences = loadJSON('preferences', null) || {
+      locale: detectLocale(),
+      units: unitsForLocale(navigator.language),
+    }
+    setLocale(preferences.locale)
+    setUnits(preferences.units)
+    document.documentElement.lang = preferences.locale
+    setTick((tick) => tick + 1)
+    return watchSystemDarkMode(setPrefersDark)
+  }, [])
+
+  useEffect(() => {
+    if (themeMode === 'auto' && !share?.location && !prefersDark) return
+    applyTheme(theme)
+  }, [theme, themeMode, share?.location, prefersDark])
+
+  useEffect(
+    () =>
+      watchLiveShare(params.id, {
+        onUpdate: setShare,
+        onStatus: setStatus,
+        onEnd: (reason) => {
+          setStatus('ended')
+          setEndReason(reason)
+        },
+      }),
+    [params.id]
+  )
+
+  useEffect(() => {
+    const timer = setInterval(() => setTick((tick) => tick + 1), 15000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const station = useMemo(
+    () => share?.station && { ...share.station, route: share.route },
+    [share?.station, share?.route]
+  )
+  const vehicle = useMemo(
+    () => ({ ...DEFAULT_VEHICLE, routingProfile: share?.routingProfile || DEFAULT_VEHICLE.routingProfile }),
+    [share?.routingProfile]
+  )
+
+  const who = share?.name || t('sharedRide.friend')
+  const endMessage = t(END_MESSAGE_KEYS[endReason] || 'sharedRide.expired', { name: who })
+
+  const handleRecenter = () => {
+    setShouldRecenter(true)
+    setTimeout(() => setShouldRecenter(false), 100)
+  }
+
+  if (!share?.location) {
+    return (
+      <main className="w-screen h-screen flex items-center justify-center bg-gradient-to-br from-sky-pastel to-yellow-pastel p-6">
+        <div className="text-center">
+          <div className={`text-6xl mb-4 ${status === 'ended' ? '' : 'motion-safe:animate-bounce'}`}>🛵</div>
+          <p className="text-2xl font-bold text-gray-700">
+            {status === 'ended' ? endMessage : t('sharedRide.waiting')}
+          </p>
+          <Link href="/" className="inline-block mt-4 text-teal font-semibold underline">
+            {t('sharedRide.openApp')}
+          </Link>
+        </div>
+      </main>
+    )
+  }
+
+  return (
+    <main className="relative w-screen h-screen overflow-hidden">
+      {/* Top Status Bar - whose ride this is and how fresh it is */}
+      <div className="absolute top-0 left-0 right-0 z-[1000] bg-gradient-to-r from-coral to-teal text-white shadow-lg safe-area-top">
+        <div className="flex items-center justify-between px-3 py-2.5 gap-2">
+          <div className="min-w-0 flex-1">
+            <p className="text-[10px] font-semibold opacity-90 uppercase tracking-wide">
+              📡{' '}
+              {status === 'ended'
+                ? t('sharedRide.ended')
+                : status === 'reconnecting'
+                  ? t('sharedRide.reconnecting')
+                  : t('share.live')}
+            </p>
+            <p className="text-xs font-bold truncate">
+              {who}
+              {share.station && ` → ${share.station.name}`}
+            </p>
+          </div>
+          <div className="bg-surface text-coral px-2.5 py-1 rounded-full text-[10px] font-bold flex-shrink-0">
+            {t('sharedRide.updated', { time: formatTimeAgo(share.updatedAt) })}
+          </div>
+        </div>
+      </div>
+
+      {status === 'ended' && (
+        <div className="absolute top-20 left-4 right-4 z-[1001] bg-yellow-pastel text-gray-800 rounded-xl shadow-lg px-3 py-2 text-sm font-semibold max-w-sm mx-auto">
+          {t('sharedRide.lastSeen', { ended: endReason === 'stopped' ? endMessage : t('sharedRide.expired') })}
+        </div>
+      )}
+
+      <Map
+        userLocation={share.location}
+        gasStations={station ? [station] : []}
+        nearestStation={station}
+        showAllStations={false}
+        shouldRecenter={shouldRecenter}
+        vehicle={vehicle}
+        userLabel={t('sharedRide.here', { name: who })}
+        theme={theme}
+      />
+
+      {/* Recenter Button */}
+      <button
+        onClick={handleRecenter}
+        className="absolute bottom-8 right-4 z-[1000] w-14 h-14 bg-surface rounded-full shadow-lg flex items-center justify-center text-xl hover:scale-110 transition-transform btn-glow"
+        aria-label={t('sharedRide.center', { name: who })}
+      >
+        📍
+      </button>
+    </main>
+  )
+}
@@ -0,0 +1,226 @@
+/**
+ * MopedFuel - Station Page
+ *
+ * A server-rendered page for one station, at /station/[type]/[id] (e.g.
+ * /station/node/123). It's what gets sent when a rider shares a station: link
+ * previews show the station's name, address, fuels and hours from OpenStreetMap,
+ * and "Open in MopedFuel" opens the app on the station with a route to it.
+ *
+ * The page is in the language the browser asks for (Accept-Language).
+ */
+
+import Link from 'next/link'
+import { notFound } from 'next/navigation'
+import { headers } from 'next/headers'
+import { cache } from 'react'
+import { findStationById } from '../../../../utils/stationProviders'
+import { stationDetails, osmEditUrl } from '../../../../utils/stationDetails'
+import { mapLinkSearch, stationPath } from '../../../../utils/deepLinks'
+import { localeFromHeader, t, withLocale } from '../../../../utils/i18n'
+import ShareStationButton from '../../../../components/ShareStationButton'
+
+// Looked up on each request (the lookups themselves are cached in utils/upstreams)
+export const dynamic = 'force-dynamic'
+
+// Where the site is served from, for absolute Open Graph links. Configured rather than
+// taken from the request, whose Host headers are up to the client.
+const SITE_URL = process.env.SITE_URL || 'http://localhost:3000'
+
+/**
+ * The station for the page's params, shared by generateMetadata and the page.
+ * Resolves to null if there's no such station, and rejects if it couldn't be looked up.
+ */
+const loadStation = cache((type, id) => findStationById(type, decodeURIComponent(id)))
+
+/**
+ * The UI language the request's browser asks for
+ */
+function requestLocale() {
+  return localeFromHeader(headers().get('accept-language'))
+}
+
+/**
+ * One line about the station for link previews, e.g.
+ * "Gas station at 12 Main St, Madison. Fuel: Regular, Diesel. Hours: 24/7."
+ */
+function stationSummary(station, details) {
+  const parts = [station.address ? t('stationPage.summaryAt', { address: station.address }) : t('stationPage.summary')]
+  if (details.fuels.length > 0) parts.push(t('stationPage.summaryFuel', { fuels: details.fuels.join(', ') }))
+  if (details.openingHours) parts.push(t('stationPage.summaryHours', { hours: details.openingHours }))
+  return `${parts.join('. ')}.`
+}
+
+export async function generateMetadata({ params }) {
+  const locale = requestLocale()
+  let station = null
+  try {
+    station = await loadStation(params.type, params.id)
+  } catch {
+    // The page says what went wrong
+  }
+
+  return withLocale(locale, () => {
+    if (!station) return { title: t('stationPage.fallbackTitle') }
+
+    const title = t('stationPage.title', { name: station.name })
+    const description = stationSummary(station, stationDetails(station))
+
+    return {
+      metadataBase: new URL(SITE_URL),
+      title,
+      description,
+      alternates: { canonical: stationPath(station) },
+      openGraph: {
+        title,
+        description,
+        type: 'website',
+        siteName: 'MopedFuel',
+        url: stationPath(station),
+        locale,
+        images: [{ url: '/moped-icon.svg', alt: t('stationPage.imageAlt') }],
+      },
+      twitter: { card: 'summary', title, description },
+    }
+  })
+}
+
+/**
+ * A titled list of small labels
+ */
+function Chips({ title, labels }) {
+  if (labels.length === 0) return null
+
+  return (
+    <div className="mb-3">
+      <h2 className="text-xs font-bold text-gray-500 uppercase tracking-wide mb-1">{title}</h2>
+      <div className="flex flex-wrap gap-1">
+        {labels.map((label) => (
+          <span key={label} className="bg-sky-pastel bg-opacity-50 text-gray-800 text-xs font-semibold px-2 py-0.5 rounded-full">
+            {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default async function StationPage({ params }) {
+  const key = `${params.type}/${decodeURIComponent(params.id)}`
+  const appLink = `/${mapLinkSearch({ stationKey: key })}`
+  const locale = requestLocale()
+
+  let station
+  try {
+    station = await loadStation(params.type, params.id)
+  } catch (error) {
+    console.error('Station page upstream error:', error)
+    return withLocale(locale, () => (
+      <main
+        lang={locale}
+        className="min-h-screen flex items-center justify-center bg-gradient-to-br from-sky-pastel to-yellow-pastel p-6"
+      >
+        <div className="text-center">
+          <div className="text-6xl mb-4">🛵</div>
+          <p className="text-2xl font-bold text-gray-700">{t('stationPage.loadFailed')}</p>
+          <Link href={appLink} className="inline-block mt-4 text-teal font-semibold underline">
+            {t('stationPage.openIt')}
+          </Link>
+        </div>
+      </main>
+    ))
+  }
+  if (!station) notFound()
+
+  // Everything that's translated is built here, in one synchronous pass (see withLocale)
+  return withLocale(locale, () => renderStation(station, appLink, locale))
+}
+
+/**
+ * The page for a station that was found
+ */
+function renderStation(station, appLink, locale) {
+  const details = stationDetails(station)
+  // Only OpenStreetMap stations have a page there (osmEditUrl is null for the rest)
+  const osmUrl = osmEditUrl(station) && `https://www.openstreetmap.org/${station.type}/${station.id}`
+  const brand = [station.brand, station.operator].filter((value, i, all) => value && all.indexOf(value) === i)
+
+  return (
+    <main
+      lang={locale}
+      className="min-h-screen bg-gradient-to-br from-sky-pastel to-yellow-pastel p-4 flex items-start sm:items-center justify-center"
+    >
+      <article className="w-full max-w-lg bg-surface rounded-3xl shadow-2xl p-5">
+        <p className="text-xs font-bold text-coral uppercase tracking-wide mb-1">🛵 MopedFuel</p>
+        <h1 className="font-bold text-2xl text-gray-800">⛽ {station.name}</h1>
+        {brand.length > 0 && <p className="text-sm text-gray-600">🏷️ {brand.join(' · ')}</p>}
+        {station.address && <p className="text-sm text-gray-700 mt-2">📍 {station.address}</p>}
+
+        {/* Contact */}
+        {(details.phone || details.website) && (
+          <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm mt-2">
+            {details.phone && (
+              <a href={`tel:${details.phone.replace(/[^\d+]/g, '')}`} className="text-teal font-semibold">
+                📞 {details.phone}
+              </a>
+            )}
+            {details.website && (
+              <a href={details.website} target="_blank" rel="noopener noreferrer" className="text-teal font-semibold truncate">
+                🌐 {details.website.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '')}
+              </a>
+            )}
+          </div>
+        )}
+
+        {/* Opening hours */}
+        {details.openingHours && (
+          <div className="mt-4 mb-3">
+            <h2 className="text-xs font-bold text-gray-500 uppercase tracking-wide mb-1">{t('sheet.hours')}</h2>
+            {details.hoursTable ? (
+              <table className="w-full text-sm text-gray-700">
+                <tbody>
+                  {details.hoursTable.map((row) => (
+                    <tr key={row.day}>
+                      <th scope="row" className="text-left font-normal py-0.5 pr-4 w-28">
+                        {row.day}
+                      </th>
+                      <td className="py-0.5">{row.hours}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              // Hours in a form we can't lay out as a table
+              <p className="text-sm text-gray-700">{details.openingHours}</p>
+            )}
+          </div>
+        )}
+
+        <Chips title={t('filters.fuel')} labels={details.fuels} />
+        <Chips title={t('filters.payment')} labels={details.payments} />
+        <Chips title={t('filters.amenities')} labels={details.amenities} />
+
+        {/* Actions */}
+        <div className="grid grid-cols-2 gap-2 mt-4">
+          <Link
+            href={appLink}
+            className="bg-gradient-to-r from-coral to-orange-pastel text-white font-semibold py-2 px-4 rounded-lg text-sm text-center hover:shadow-lg transition-all"
+          >
+            {t('stationPage.open')} 🧭
+          </Link>
+          <ShareStationButton name={station.name} locale={locale} />
+        </div>
+
+        {osmUrl && (
+          <>
+            <p className="text-xs font-semibold mt-4">
+              <a href={osmUrl} target="_blank" rel="noopener noreferrer" className="text-teal">
+                🗺️ {t('stationPage.viewOsm')}
+              </a>
+            </p>
+            <p className="text-[10px] text-gray-500 mt-2">{t('stationPage.osmCredit')}</p>
+          </>
+        )}
+      </article>
+    </main>
+  )
+}
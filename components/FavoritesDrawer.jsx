@@ -0,0 +1,152 @@
+/**
+ * Favorites Drawer Component
+ *
+ * Lists the rider's starred stations with:
+ * - Distance and ETA from the current position
+ * - Quick-jump to the station on the map
+ * - The "prefer favorites within +X mi" setting
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react'
+import {
+  calculateDistance,
+  fetchRoute,
+  calculateETA,
+  formatDistance,
+} from '../utils/getNearestStation'
+import { routeOptionsFor } from '../utils/routingProfiles'
+import { toDisplayDistance, unitLabels } from '../utils/units'
+import { t } from '../utils/i18n'
+
+// Only route the closest few so opening the drawer stays cheap
+const MAX_ROUTED = 10
+
+export default function FavoritesDrawer({
+  favorites,
+  userLocation,
+  vehicle,
+  preferFavoritesMiles,
+  setPreferFavoritesMiles,
+  onSelect,
+  onRemove,
+  onClose,
+}) {
+  // Routes keyed by favorite key: {distance, duration} or null if routing failed
+  const [routes, setRoutes] = useState({})
+
+  // Measure from where the rider was when the drawer opened, not every GPS tick
+  const originRef = useRef(userLocation)
+
+  const sorted = useMemo(() => {
+    const origin = originRef.current
+    return Object.values(favorites)
+      .map((favorite) => ({
+        ...favorite,
+        distance: origin ? calculateDistance(origin.lat, origin.lng, favorite.lat, favorite.lng) : null,
+      }))
+      .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity))
+  }, [favorites])
+
+  /**
+   * Fetch road distance and ETA for the closest favorites
+   */
+  useEffect(() => {
+    const origin = originRef.current
+    if (!origin) return
+
+    let cancelled = false
+    const toRoute = sorted.slice(0, MAX_ROUTED).filter((favorite) => !(favorite.key in routes))
+    if (toRoute.length === 0) return
+
+    // A favorite that can't be routed keeps its straight-line distance
+    const routeTo = (favorite) => fetchRoute(origin, favorite, routeOptionsFor(vehicle)).catch(() => null)
+
+    Promise.all(toRoute.map(async (favorite) => [favorite.key, await routeTo(favorite)])).then((results) => {
+      if (cancelled) return
+      setRoutes((prev) => {
+        const next = { ...prev }
+        for (const [key, route] of results) {
+          next[key] = route && { distance: route.distance, duration: route.duration }
+        }
+        return next
+      })
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [sorted, routes, vehicle])
+
+  return (
+    <div className="absolute top-16 right-0 bottom-0 z-[1001] w-80 max-w-[90vw] bg-surface shadow-2xl flex flex-col">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+        <h2 className="font-bold text-lg text-gray-800">💛 {t('favorites.title')}</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('favorites.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      {/* Prefer favorites setting */}
+      <label className="block px-4 py-3 border-b border-gray-100 text-sm font-semibold text-gray-700">
+        {t('favorites.preferBefore')}
+        <span className="font-bold text-coral">
+          {' '}
+          +{toDisplayDistance(preferFavoritesMiles).toFixed(1)} {unitLabels().distance}{' '}
+        </span>
+        {t('favorites.preferAfter')}
+        <input
+          type="range"
+          min="0"
+          max="5"
+          step="0.5"
+          value={preferFavoritesMiles}
+          onChange={(event) => setPreferFavoritesMiles(parseFloat(event.target.value))}
+          className="w-full mt-1 accent-coral"
+        />
+        <span className="block text-xs font-normal text-gray-500">{t('favorites.preferHint')}</span>
+      </label>
+
+      <div className="flex-1 overflow-y-auto">
+        {sorted.length === 0 && (
+          <p className="px-4 py-6 text-sm text-gray-500 text-center">
+            {t('favorites.empty')}
+          </p>
+        )}
+
+        {sorted.map((favorite) => {
+          const route = routes[favorite.key]
+
+          return (
+            <div key={favorite.key} className="flex items-center px-4 py-3 border-b border-gray-100">
+              <button onClick={() => onSelect(favorite)} className="flex-1 min-w-0 text-left">
+                <p className="font-semibold text-gray-800 truncate">{favorite.name}</p>
+                {favorite.address && (
+                  <p className="text-xs text-gray-500 truncate">{favorite.address}</p>
+                )}
+                <p className="text-xs text-gray-600 mt-1">
+                  📍 {formatDistance(route?.distance ?? favorite.distance ?? 0)}
+                  {route &&
+                    ` · ⏱️ ${t('duration.minutes', { minutes: Math.ceil(route.duration) })} · ${t('duration.eta', {
+                      eta: calculateETA(route.duration),
+                    })}`}
+                  {route === undefined && favorite.distance !== null && ' · …'}
+                </p>
+              </button>
+              <button
+                onClick={() => onRemove(favorite)}
+                className="ml-2 text-lg hover:scale-110 transition-transform"
+                aria-label={t('favorites.remove', { name: favorite.name })}
+              >
+                💛
+              </button>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,148 @@
+/**
+ * Fill-Up Form Component
+ *
+ * Records a fill-up at a station: gallons, price paid, odometer reading
+ * and whether the tank was filled to the top.
+ *
+ * The rider types volume and odometer in their own units; the entry is
+ * saved in gallons and miles like the rest of the log.
+ */
+
+import { useState } from 'react'
+import {
+  unitLabels,
+  currencySymbol,
+  toDisplayDistance,
+  fromDisplayDistance,
+  fromDisplayVolume,
+  roundForInput,
+} from '../utils/units'
+import { t } from '../utils/i18n'
+
+export default function FillUpForm({ station, lastOdometer, onSave, onClose }) {
+  const labels = unitLabels()
+  const lastReading = lastOdometer ? roundForInput(toDisplayDistance(lastOdometer), 1) : null
+
+  const [volume, setVolume] = useState('')
+  const [totalPrice, setTotalPrice] = useState('')
+  const [odometer, setOdometer] = useState(lastReading ? String(lastReading) : '')
+  const [isFull, setIsFull] = useState(true)
+  const [error, setError] = useState(null)
+
+  /**
+   * Validate and save the entry
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault()
+
+    const values = {
+      volume: parseFloat(volume),
+      totalPrice: parseFloat(totalPrice),
+      odometer: parseFloat(odometer),
+    }
+
+    if (Object.values(values).some((value) => Number.isNaN(value) || value < 0)) {
+      setError(t('fillUp.missing'))
+      return
+    }
+    if (values.volume === 0) {
+      setError(t('fillUp.noFuel'))
+      return
+    }
+    if (lastReading && values.odometer < lastReading) {
+      setError(t('fillUp.odometerBack', { reading: `${lastReading} ${labels.distance}` }))
+      return
+    }
+
+    onSave({
+      gallons: fromDisplayVolume(values.volume),
+      totalPrice: values.totalPrice,
+      // Keep the last reading exact when it wasn't changed, so rounding doesn't skew mpg
+      odometer: values.odometer === lastReading ? lastOdometer : fromDisplayDistance(values.odometer),
+      isFull,
+    })
+  }
+
+  const inputClass = 'w-full mt-1 border border-gray-300 rounded-lg px-2 py-1 text-sm'
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="absolute top-20 left-4 right-4 z-[1002] bg-surface rounded-2xl shadow-2xl p-4 max-w-sm mx-auto"
+    >
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="font-bold text-lg text-gray-800">⛽ {t('action.logFillUp')}</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('fillUp.close')}
+        >
+          ✕
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-3 truncate">{t('fillUp.at', { name: station?.name || t('fillUp.unknownStation') })}</p>
+
+      <div className="grid grid-cols-3 gap-2">
+        <label className="text-xs font-semibold text-gray-600">
+          {t(labels.volume === 'L' ? 'units.l' : 'units.gal')}
+          <input
+            type="number"
+            inputMode="decimal"
+            min="0"
+            step="0.001"
+            value={volume}
+            onChange={(e) => setVolume(e.target.value)}
+            className={inputClass}
+            required
+          />
+        </label>
+        <label className="text-xs font-semibold text-gray-600">
+          {t('fillUp.paid', { unit: currencySymbol() })}
+          <input
+            type="number"
+            inputMode="decimal"
+            min="0"
+            step="0.01"
+            value={totalPrice}
+            onChange={(e) => setTotalPrice(e.target.value)}
+            className={inputClass}
+            required
+          />
+        </label>
+        <label className="text-xs font-semibold text-gray-600">
+          {t('fillUp.odometer', { unit: labels.distance })}
+          <input
+            type="number"
+            inputMode="decimal"
+            min="0"
+            step="0.1"
+            value={odometer}
+            onChange={(e) => setOdometer(e.target.value)}
+            className={inputClass}
+            required
+          />
+        </label>
+      </div>
+
+      <label className="flex items-center space-x-2 text-sm text-gray-700 mt-3">
+        <input
+          type="checkbox"
+          checked={isFull}
+          onChange={() => setIsFull(!isFull)}
+          className="accent-teal"
+        />
+        <span>{t('fillUp.full')}</span>
+      </label>
+
+      {error && <p className="text-xs font-semibold text-red-600 dark:text-red-400 mt-2">{error}</p>}
+
+      <button
+        type="submit"
+        className="mt-3 w-full bg-gradient-to-r from-coral to-orange-pastel text-white font-semibold py-2 px-4 rounded-lg text-sm hover:shadow-lg transition-all"
+      >
+        {t('fillUp.save')}
+      </button>
+    </form>
+  )
+}
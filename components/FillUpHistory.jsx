@@ -0,0 +1,225 @@
+/**
+ * Fill-Up History Component
+ *
+ * Shows the fill-up log with:
+ * - Average mpg, cost per mile and total spend
+ * - Monthly spend
+ * - Price history per station
+ * - Every entry with its measured mpg
+ * - CSV export and import
+ *
+ * Figures are shown in the rider's units; the log itself is in gallons and miles.
+ */
+
+import { useMemo, useRef, useState } from 'react'
+import {
+  computeEconomy,
+  summarizeFillUps,
+  monthlySpend,
+  stationPriceHistory,
+  fillUpsToCSV,
+  fillUpsFromCSV,
+} from '../utils/fillUpLog'
+import { formatPrice } from '../utils/fuelPrices'
+import { formatDistance } from '../utils/getNearestStation'
+import { t, formatLocale } from '../utils/i18n'
+import { unitLabels, formatMoney, formatVolume, formatEconomy, toDisplayDistance } from '../utils/units'
+
+/**
+ * Format a timestamp as a short date (e.g. "Oct 3")
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString(formatLocale(), { month: 'short', day: 'numeric' })
+}
+
+/**
+ * A single summary figure
+ */
+function Stat({ label, value }) {
+  return (
+    <div className="bg-sky-pastel bg-opacity-40 rounded-xl px-3 py-2">
+      <p className="text-[10px] font-semibold text-gray-600 uppercase tracking-wide">{label}</p>
+      <p className="text-lg font-bold text-gray-800">{value}</p>
+    </div>
+  )
+}
+
+export default function FillUpHistory({ fillUps, onImport, onDelete, onClose }) {
+  const fileInputRef = useRef(null)
+  const [importMessage, setImportMessage] = useState(null)
+
+  const entries = useMemo(() => computeEconomy(fillUps).reverse(), [fillUps])
+  const summary = useMemo(() => summarizeFillUps(fillUps), [fillUps])
+  const months = useMemo(() => monthlySpend(fillUps), [fillUps])
+  const stations = useMemo(() => stationPriceHistory(fillUps), [fillUps])
+  const labels = unitLabels()
+
+  /**
+   * Download the log as a CSV file
+   */
+  const handleExport = () => {
+    const blob = new Blob([fillUpsToCSV(fillUps)], { type: 'text/csv' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `mopedfuel-fillups-${new Date().toISOString().slice(0, 10)}.csv`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  /**
+   * Read a CSV file chosen by the rider and merge it into the log
+   */
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const { fillUps: imported, skipped } = fillUpsFromCSV(await file.text())
+      onImport(imported)
+      setImportMessage(
+        skipped > 0
+          ? t('fillUps.importedSkipped', { count: imported.length, skipped })
+          : t('fillUps.imported', { count: imported.length })
+      )
+    } catch (error) {
+      setImportMessage(error.message)
+    }
+  }
+
+  return (
+    <div className="absolute top-16 right-0 bottom-0 z-[1001] w-80 max-w-[90vw] bg-surface shadow-2xl flex flex-col">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+        <h2 className="font-bold text-lg text-gray-800">📒 {t('fillUps.title')}</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('fillUps.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-3 space-y-4">
+        {/* Summary */}
+        <div className="grid grid-cols-2 gap-2">
+          <Stat label={t('fillUps.average')} value={summary.averageMpg ? formatEconomy(summary.averageMpg) : '—'} />
+          <Stat
+            label={t('fillUps.costPer', { unit: labels.distance })}
+            value={summary.costPerMile ? formatMoney(summary.costPerMile / toDisplayDistance(1), 3) : '—'}
+          />
+          <Stat label={t('fillUps.logged', { unit: labels.distance })} value={toDisplayDistance(summary.totalMiles).toFixed(0)} />
+          <Stat label={t('fillUps.spent')} value={formatMoney(summary.totalSpent)} />
+        </div>
+
+        {/* Monthly spend */}
+        {months.length > 0 && (
+          <section>
+            <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">{t('fillUps.monthly')}</h3>
+            {months.map(({ month, total, gallons }) => (
+              <div key={month} className="flex justify-between text-sm text-gray-700 py-0.5">
+                <span>{month}</span>
+                <span>
+                  {formatMoney(total)} · {formatVolume(gallons)}
+                </span>
+              </div>
+            ))}
+          </section>
+        )}
+
+        {/* Price history per station */}
+        {stations.length > 0 && (
+          <section>
+            <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">
+              {t(labels.volume === 'L' ? 'fillUps.pricePerLiter' : 'fillUps.pricePerGallon')}
+            </h3>
+            {stations.map((station) => {
+              const latest = station.prices[station.prices.length - 1]
+              const values = station.prices.map((p) => p.pricePerGallon)
+
+              return (
+                <div key={station.stationKey || station.stationName} className="text-sm text-gray-700 py-1">
+                  <div className="flex justify-between">
+                    <span className="truncate mr-2">{station.stationName}</span>
+                    <span className="font-semibold">{formatPrice(latest.pricePerGallon)}</span>
+                  </div>
+                  {values.length > 1 && (
+                    <p className="text-xs text-gray-500">
+                      {t('fillUps.visits', {
+                        count: values.length,
+                        low: formatPrice(Math.min(...values)),
+                        high: formatPrice(Math.max(...values)),
+                      })}
+                    </p>
+                  )}
+                </div>
+              )
+            })}
+          </section>
+        )}
+
+        {/* Entries */}
+        <section>
+          <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">{t('fillUps.history')}</h3>
+          {entries.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-4">
+              {t('fillUps.empty')}
+            </p>
+          )}
+          {entries.map((entry) => (
+            <div key={entry.id} className="flex items-start py-2 border-b border-gray-100 text-sm">
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-gray-800 truncate">{entry.stationName}</p>
+                <p className="text-xs text-gray-500">
+                  {formatDate(entry.date)} · {formatVolume(entry.gallons)} · {formatMoney(entry.totalPrice)} ·{' '}
+                  {toDisplayDistance(entry.odometer).toFixed(1)} {labels.distance}
+                  {!entry.isFull && ` · ${t('fillUps.partial')}`}
+                </p>
+                {entry.mpg && (
+                  <p className="text-xs font-semibold text-teal">
+                    {t('fillUps.economy', { economy: formatEconomy(entry.mpg), distance: formatDistance(entry.miles) })}
+                  </p>
+                )}
+              </div>
+              <button
+                onClick={() => onDelete(entry)}
+                className="ml-2 text-gray-400 hover:text-coral"
+                aria-label={t('fillUps.delete', { name: entry.stationName })}
+              >
+                🗑️
+              </button>
+            </div>
+          ))}
+        </section>
+      </div>
+
+      {/* Export / import */}
+      <div className="px-4 py-3 border-t border-gray-100">
+        {importMessage && <p className="text-xs text-gray-600 mb-2">{importMessage}</p>}
+        <div className="flex space-x-2">
+          <button
+            onClick={handleExport}
+            disabled={fillUps.length === 0}
+            className="flex-1 bg-teal text-white font-semibold py-2 rounded-lg text-sm disabled:opacity-50"
+          >
+            {t('fillUps.export')}
+          </button>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="flex-1 bg-surface border border-teal text-teal font-semibold py-2 rounded-lg text-sm"
+          >
+            {t('fillUps.import')}
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleImport}
+            className="hidden"
+          />
+        </div>
+      </div>
+    </div>
+  )
+}
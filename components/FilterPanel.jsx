@@ -0,0 +1,181 @@
+/**
+ * Filter Panel Component
+ *
+ * Lets the rider narrow the stations down by:
+ * - Fuel grade
+ * - On-site amenities
+ * - Payment methods
+ * - Opening hours ("open now")
+ *
+ * Also holds the "cheapest within N miles" mode, which changes how the
+ * station to route to is picked rather than which stations are shown.
+ */
+
+import {
+  FUEL_OPTIONS,
+  AMENITY_OPTIONS,
+  PAYMENT_OPTIONS,
+  DEFAULT_FILTERS,
+  countActiveFilters,
+} from '../utils/stationFilters'
+import { PRICE_GRADES, detourCost } from '../utils/fuelPrices'
+import {
+  unitLabels,
+  formatMoney,
+  toDisplayDistance,
+  fromDisplayDistance,
+  toDisplayUnitPrice,
+  roundForInput,
+} from '../utils/units'
+import { t } from '../utils/i18n'
+
+/**
+ * A single toggleable filter chip
+ */
+function Chip({ label, active, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      aria-pressed={active}
+      className={`px-3 py-1 rounded-full text-xs font-semibold border transition-colors ${
+        active ? 'bg-teal text-white border-teal' : 'bg-surface text-gray-700 border-gray-300'
+      }`}
+    >
+      {label}
+    </button>
+  )
+}
+
+export default function FilterPanel({ filters, setFilters, matchingCount, priceMode, setPriceMode, onClose }) {
+  const labels = unitLabels()
+
+  /**
+   * Add or remove a key from one of the filter lists
+   */
+  const toggle = (group, key) => {
+    setFilters((prev) => ({
+      ...prev,
+      [group]: prev[group].includes(key)
+        ? prev[group].filter((k) => k !== key)
+        : [...prev[group], key],
+    }))
+  }
+
+  const sections = [
+    { group: 'fuels', title: t('filters.fuel'), options: FUEL_OPTIONS, labelPrefix: 'fuel' },
+    { group: 'amenities', title: t('filters.amenities'), options: AMENITY_OPTIONS, labelPrefix: 'amenity' },
+    { group: 'payments', title: t('filters.payment'), options: PAYMENT_OPTIONS, labelPrefix: 'payment' },
+  ]
+
+  return (
+    <div className="absolute top-20 left-4 right-4 z-[1001] bg-surface rounded-2xl shadow-2xl p-4 max-w-sm mx-auto max-h-[70vh] overflow-y-auto">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-bold text-lg text-gray-800">🎛️ {t('filters.title')}</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('filters.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      {/* Pick the nearest station, or the best value within N miles */}
+      <div className="mb-3 pb-3 border-b border-gray-100">
+        <p className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">{t('filters.chooseBy')}</p>
+        <div className="flex gap-2">
+          <Chip
+            label={t('filters.nearest')}
+            active={!priceMode.enabled}
+            onClick={() => setPriceMode((prev) => ({ ...prev, enabled: false }))}
+          />
+          <Chip
+            label={t('filters.cheapest')}
+            active={priceMode.enabled}
+            onClick={() => setPriceMode((prev) => ({ ...prev, enabled: true }))}
+          />
+        </div>
+        {priceMode.enabled && (
+          <div className="grid grid-cols-2 gap-2 mt-2">
+            <label className="text-xs font-semibold text-gray-600">
+              {t('filters.grade')}
+              <select
+                value={priceMode.grade}
+                onChange={(e) => setPriceMode((prev) => ({ ...prev, grade: e.target.value }))}
+                className="w-full mt-1 border border-gray-300 rounded-lg px-2 py-1 text-sm bg-surface"
+              >
+                {PRICE_GRADES.map((grade) => (
+                  <option key={grade.key} value={grade.key}>
+                    {t(`grade.${grade.key}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-xs font-semibold text-gray-600">
+              {t('filters.within', { unit: labels.distance })}
+              <input
+                type="number"
+                min="1"
+                max={Math.round(toDisplayDistance(20))}
+                step="1"
+                value={roundForInput(toDisplayDistance(priceMode.maxMiles), 1)}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value)
+                  if (value > 0) setPriceMode((prev) => ({ ...prev, maxMiles: fromDisplayDistance(value) }))
+                }}
+                className="w-full mt-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              />
+            </label>
+            <p className="col-span-2 text-xs text-gray-500">
+              {t('filters.distanceCost', {
+                unit: labels.distance,
+                cost: formatMoney(toDisplayUnitPrice(detourCost(priceMode)) / toDisplayDistance(1), 3),
+                volume: labels.volume,
+              })}
+            </p>
+          </div>
+        )}
+      </div>
+
+      <label className="flex items-center space-x-2 text-sm font-semibold text-gray-700 mb-3">
+        <input
+          type="checkbox"
+          checked={filters.openNow}
+          onChange={() => setFilters((prev) => ({ ...prev, openNow: !prev.openNow }))}
+          className="accent-teal"
+        />
+        <span>🕒 {t('filters.openNow')}</span>
+      </label>
+
+      {sections.map(({ group, title, options, labelPrefix }) => (
+        <div key={group} className="mb-3">
+          <p className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">{title}</p>
+          <div className="flex flex-wrap gap-2">
+            {options.map((option) => (
+              <Chip
+                key={option.key}
+                label={t(`${labelPrefix}.${option.key}`)}
+                active={filters[group].includes(option.key)}
+                onClick={() => toggle(group, option.key)}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between mt-2">
+        <p className="text-sm text-gray-700">
+          <span className="font-bold">{matchingCount}</span> {t('filters.matching', { count: matchingCount })}
+        </p>
+        {countActiveFilters(filters) > 0 && (
+          <button
+            onClick={() => setFilters(DEFAULT_FILTERS)}
+            className="text-sm font-semibold text-coral"
+          >
+            {t('filters.clear')}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,116 @@
+/**
+ * Location Picker Component
+ *
+ * Lets the rider set their location by hand when GPS is off or wrong:
+ * - Search for a city or address
+ * - Pick from recently used places
+ * - Switch back to GPS
+ */
+
+import { useState } from 'react'
+import { searchPlaces } from '../utils/locations'
+import { t } from '../utils/i18n'
+
+export default function LocationPicker({
+  gpsStatus,
+  isManual,
+  recentPlaces,
+  near,
+  onPick,
+  onUseGps,
+  onClose,
+}) {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState(null)
+  const [isSearching, setIsSearching] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * Look up places matching the search text
+   */
+  const handleSearch = async (event) => {
+    event.preventDefault()
+    if (!query.trim()) return
+
+    setIsSearching(true)
+    setError(null)
+    try {
+      setResults(await searchPlaces(query, near))
+    } catch (err) {
+      setError(err.message)
+    }
+    setIsSearching(false)
+  }
+
+  const places = results ?? recentPlaces
+
+  return (
+    <div className="absolute top-20 left-4 right-4 z-[1002] bg-surface rounded-2xl shadow-2xl p-4 max-w-sm mx-auto max-h-[70vh] flex flex-col">
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="font-bold text-lg text-gray-800">📍 {t('picker.title')}</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('picker.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      {gpsStatus === 'denied' && (
+        <p className="text-xs text-gray-600 mb-2">
+          {t('picker.denied')}
+        </p>
+      )}
+      {(gpsStatus === 'unavailable' || gpsStatus === 'unsupported') && (
+        <p className="text-xs text-gray-600 mb-2">{t('picker.noFix')}</p>
+      )}
+
+      <form onSubmit={handleSearch} className="flex space-x-2 mb-2">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={t('picker.placeholder')}
+          className="flex-1 min-w-0 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          aria-label={t('picker.placeholder')}
+        />
+        <button
+          type="submit"
+          disabled={isSearching}
+          className="bg-teal text-white font-semibold px-3 py-1 rounded-lg text-sm disabled:opacity-60"
+        >
+          {isSearching ? '...' : t('places.search')}
+        </button>
+      </form>
+
+      <div className="flex-1 overflow-y-auto">
+        {!results && recentPlaces.length > 0 && (
+          <p className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">{t('picker.recent')}</p>
+        )}
+        {error && <p className="text-sm font-semibold text-red-600 dark:text-red-400 py-2">{error}</p>}
+        {results?.length === 0 && <p className="text-sm text-gray-500 py-2">{t('places.none', { query })}</p>}
+
+        {places.map((place) => (
+          <button
+            key={place.id}
+            onClick={() => onPick(place)}
+            className="block w-full text-left py-2 border-b border-gray-100 hover:bg-sky-pastel hover:bg-opacity-30"
+          >
+            <p className="font-semibold text-sm text-gray-800 truncate">{place.name}</p>
+            {place.displayName && <p className="text-xs text-gray-500 truncate">{place.displayName}</p>}
+          </button>
+        ))}
+      </div>
+
+      {isManual && gpsStatus !== 'unsupported' && (
+        <button
+          onClick={onUseGps}
+          className="mt-3 w-full bg-surface border border-teal text-teal font-semibold py-2 rounded-lg text-sm"
+        >
+          🛰️ {t('picker.useGps')}
+        </button>
+      )}
+    </div>
+  )
+}
@@ -2,29 +2,347 @@
  * Interactive Map Component
  *
  * Renders a Leaflet map with:
- * - Real-time user location (animated moped icon)
- * - Gas station markers with custom styling
+ * - Real-time user location (animated moped icon that glides between fixes,
+ *   points the way the rider is heading and shows GPS accuracy)
+ * - Gas station markers with custom styling, clustered at low zoom
+ * - Stations loaded for wherever the rider pans, not just around them
  * - Route polyline to nearest station
- * - Popup interactions
- * - Smooth animations and transitions
+ * - A planned trip's legs, fuel stops and destination
+ * - Follow-the-rider view while navigating, and a "follow me" mode that also
+ *   turns the map to the direction of travel until the rider pans (leaflet-rotate
+ *   turns the tiles and lines; markers, popups and controls stay upright)
+ * - Recorded and imported ride tracks
+ * - A read-only view of a friend's shared ride (no station fetching)
+ * - Popup interactions, with keyboard-focusable markers and popups that take
+ *   focus when they open and hand it back when they close
+ * - Reporting where the map is looking, for links to the current view
+ * - Smooth animations and transitions, left out when the rider prefers reduced motion
  */
 
-import { useEffect, useRef, useState } from 'react'
-import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from 'react-leaflet'
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { MapContainer, TileLayer, Marker, Popup, Polyline, Circle, useMap, useMapEvents } from 'react-leaflet'
 import L from 'leaflet'
+// Patches L.Map, so it has to load after Leaflet and before the map is created
+import 'leaflet-rotate'
 import {
   fetchNearbyGasStations,
-  findNearestStation,
-  fetchRoute,
+  calculateDistance,
   formatDistance,
+  formatTimeAgo,
+  calculateETA,
 } from '../utils/getNearestStation'
+import { PRICE_GRADES, formatPrice, getStationPrice } from '../utils/fuelPrices'
+import { t } from '../utils/i18n'
+import { describeStation } from '../utils/accessibility'
+import { filterStations } from '../utils/stationFilters'
+import { stationKey } from '../utils/favorites'
+import { rankStationsByReach, pickRouteCandidates, assessReach } from '../utils/fuelRange'
+import { getRoutingProfile, googleMapsUrl } from '../utils/routingProfiles'
+import {
+  FETCH_RADIUS,
+  needsStationRefetch,
+  updateStationDistances,
+  needsReroute,
+  trimRoute,
+  routeLength,
+  distanceToRoute,
+  OFF_ROUTE_MILES,
+} from '../utils/refreshPolicy'
+import {
+  saveStationSnapshot,
+  loadStationSnapshot,
+  saveRouteSnapshot,
+  loadRouteSnapshot,
+} from '../utils/offlineStore'
+import {
+  FINE_TILE_DEGREES,
+  CLUSTER_MAX_ZOOM,
+  tileSizeForZoom,
+  tileKey,
+  parentTile,
+  tilesInBounds,
+  tileCircle,
+  isInTile,
+  mergeStationLists,
+  clusterStations,
+} from '../utils/viewport'
+
+const INITIAL_ZOOM = 14
+
+// How long the moped takes to glide from one GPS position to the next, in ms
+const GLIDE_MS = 900
+
+// Jumps further than this (e.g. to a picked location) aren't animated, in miles
+const MAX_GLIDE_MILES = 0.5
+
+// How long the map takes to turn to a new heading in follow mode, in ms
+const TURN_MS = 500
+
+// Reload a map area's stations after this long, in ms
+const TILE_TTL_MS = 15 * 60 * 1000
+
+// Map areas kept in memory; the least recently loaded are dropped first
+const MAX_CACHED_TILES = 24
+
+// Base map tiles and marker colors for the light and night themes (see utils/theme)
+const MAP_THEMES = {
+  light: {
+    tiles: 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png',
+    outline: 'white',
+    moped: '#FF6B6B',
+    headlight: '#FFF4CC',
+    station: ['#4ECDC4', '#44A08D'],
+    nearest: ['#FF6B6B', '#FF8E53'],
+    favorite: ['#FFD93D', '#F6A623'],
+    favoriteOutline: '#FFF4CC',
+    trip: '#6C5CE7',
+    route: '#FF6B6B',
+  },
+  dark: {
+    tiles: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    outline: '#1F2937',
+    moped: '#F06E64',
+    headlight: '#FFE66D', // Headlight on for night rides
+    station: ['#38B2A8', '#2C7A6E'],
+    nearest: ['#F06E64', '#E0783C'],
+    favorite: ['#E6C235', '#D08A16'],
+    favoriteOutline: '#5C4E1A',
+    trip: '#7E6FF0',
+    route: '#FF8E72', // Brighter than the markers so it stands out on dark tiles
+  },
+}
+
+// Leaflet icons are built once per look and reused, so re-renders (every GPS
+// fix) don't make Leaflet swap out every marker's DOM. Their artwork is hidden
+// from screen readers - markers are named by their title instead.
+const iconCache = new Map()
+
+function cachedIcon(key, create) {
+  if (!iconCache.has(key)) iconCache.set(key, create())
+  return iconCache.get(key)
+}
+
+/**
+ * Create custom moped icon with SVG
+ */
+function mopedIcon(theme) {
+  const colors = MAP_THEMES[theme]
+
+  return cachedIcon(`moped:${theme}`, () =>
+    L.divIcon({
+      className: 'moped-marker',
+      html: `
+        <div aria-hidden="true" style="position: relative; width: 50px; height: 50px; display: block;">
+          <svg width="50" height="50" viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg" style="display: block;">
+            <!-- Moped body -->
+            <ellipse cx="50" cy="50" rx="35" ry="25" fill="${colors.moped}" stroke="${colors.outline}" stroke-width="4"/>
+
+            <!-- Windshield -->
+            <path d="M 35 35 Q 50 25 65 35" fill="none" stroke="#B8E6F5" stroke-width="5" stroke-linecap="round"/>
+
+            <!-- Headlight -->
+            ${theme === 'dark' ? `<circle cx="50" cy="55" r="12" fill="${colors.headlight}" opacity="0.35"/>` : ''}
+            <circle cx="50" cy="55" r="6" fill="${colors.headlight}" opacity="0.95"/>
+
+            <!-- Wheels -->
+            <circle cx="30" cy="65" r="9" fill="#333" stroke="${colors.outline}" stroke-width="3"/>
+            <circle cx="70" cy="65" r="9" fill="#333" stroke="${colors.outline}" stroke-width="3"/>
+
+            <!-- Direction of travel - drawn pointing east, turned and shown by UserMarker once there's a heading -->
+            <g class="moped-heading" style="transform-origin: 50px 50px; opacity: 0;">
+              <path d="M 75 45 L 88 50 L 75 55 Z" fill="${colors.station[0]}" stroke="${colors.outline}" stroke-width="1"/>
+            </g>
+          </svg>
+        </div>
+      `,
+      iconSize: [50, 50],
+      iconAnchor: [25, 25],
+      popupAnchor: [0, -25],
+    })
+  )
+}
+
+/**
+ * Create custom fuel pump icons for gas stations
+ */
+function fuelIcon(theme, isNearest = false, isFavorite = false) {
+  const colors = MAP_THEMES[theme]
+
+  return cachedIcon(`fuel:${theme}:${isNearest}:${isFavorite}`, () => {
+    let [from, to] = colors.station
+    if (isNearest) [from, to] = colors.nearest
+    else if (isFavorite) [from, to] = colors.favorite
+    const gradient = `linear-gradient(135deg, ${from} 0%, ${to} 100%)`
+
+    const classNames = ['fuel-marker']
+    if (isNearest) classNames.push('fuel-marker-nearest')
+    if (isFavorite) classNames.push('fuel-marker-favorite')
+
+    return L.divIcon({
+      className: classNames.join(' '),
+      html: `
+        <div aria-hidden="true" style="
+          position: relative;
+          width: 40px;
+          height: 40px;
+          background: ${gradient};
+          border: 3px solid ${isFavorite ? colors.favoriteOutline : colors.outline};
+          border-radius: 50%;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 20px;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        ">
+          ⛽
+          ${
+            isFavorite
+              ? `<span style="
+                  position: absolute;
+                  top: -8px;
+                  right: -8px;
+                  font-size: 14px;
+                  line-height: 1;
+                ">💛</span>`
+              : ''
+          }
+        </div>
+      `,
+      iconSize: [40, 40],
+      iconAnchor: [20, 20],
+      popupAnchor: [0, -20],
+    })
+  })
+}
+
+/**
+ * Create numbered markers for trip fuel stops and a flag for the destination
+ */
+function tripIcon(theme, label) {
+  const colors = MAP_THEMES[theme]
+
+  return cachedIcon(`trip:${theme}:${label}`, () =>
+    L.divIcon({
+      className: 'trip-marker',
+      html: `
+        <div aria-hidden="true" style="
+          width: 32px;
+          height: 32px;
+          background: ${colors.trip};
+          border: 3px solid ${colors.outline};
+          border-radius: 50%;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          color: white;
+          font-size: 14px;
+          font-weight: 700;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        ">${label}</div>
+      `,
+      iconSize: [32, 32],
+      iconAnchor: [16, 16],
+      popupAnchor: [0, -16],
+    })
+  )
+}
+
+/**
+ * Create a bubble showing how many stations a cluster holds
+ */
+function clusterIcon(theme, count) {
+  const size = count < 10 ? 36 : count < 100 ? 44 : 52
+  const colors = MAP_THEMES[theme]
+
+  return cachedIcon(`cluster:${theme}:${count}`, () =>
+    L.divIcon({
+      className: 'cluster-marker',
+      html: `
+        <div aria-hidden="true" style="
+          width: ${size}px;
+          height: ${size}px;
+          background: linear-gradient(135deg, ${colors.station[0]} 0%, ${colors.station[1]} 100%);
+          border: 3px solid ${colors.outline};
+          border-radius: 50%;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          color: white;
+          font-size: 14px;
+          font-weight: 700;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        ">${count}</div>
+      `,
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+    })
+  )
+}
 
 /**
  * Custom Hook Component: Auto-centers map on user location or nearest station
  */
-function MapController({ userLocation, shouldRecenter, nearestStation }) {
+function MapController({
+  userLocation,
+  shouldRecenter,
+  nearestStation,
+  focusTarget,
+  trip,
+  viewedRide,
+  isNavigating,
+  following,
+  reducedMotion,
+}) {
   const map = useMap()
 
+  // With reduced motion, Leaflet jumps straight to the new view instead of flying
+  const animate = !reducedMotion
+
+  // Keep the rider centered in follow mode, gliding along with the moped
+  useEffect(() => {
+    if (!following || isNavigating) return
+    map.panTo([userLocation.lat, userLocation.lng], { animate, duration: GLIDE_MS / 1000, easeLinearity: 1 })
+  }, [following, isNavigating, userLocation, map, animate])
+
+  // Follow the rider closely while navigating
+  useEffect(() => {
+    if (!isNavigating) return
+    map.setView([userLocation.lat, userLocation.lng], Math.max(map.getZoom(), 17), { animate })
+  }, [isNavigating, userLocation, map, animate])
+
+  // Show the whole trip once it's planned
+  useEffect(() => {
+    if (!trip) return
+    const bounds = L.latLngBounds(trip.legs.flatMap((leg) => leg.coordinates))
+    map.flyToBounds(bounds, {
+      padding: [60, 60],
+      duration: 1.5,
+      easeLinearity: 0.25,
+      animate,
+    })
+  }, [trip, map, animate])
+
+  // Show the whole ride picked from the ride log
+  useEffect(() => {
+    if (!viewedRide) return
+    map.flyToBounds(L.latLngBounds(viewedRide.points.map((point) => [point.lat, point.lng])), {
+      padding: [60, 60],
+      duration: 1.5,
+      easeLinearity: 0.25,
+      animate,
+    })
+  }, [viewedRide, map, animate])
+
+  // Jump to a specific point (e.g. a favorite picked from the drawer, or a picked city)
+  useEffect(() => {
+    if (!focusTarget) return
+    map.flyTo([focusTarget.lat, focusTarget.lng], focusTarget.zoom || 16, {
+      duration: 1,
+      easeLinearity: 0.25,
+      animate,
+    })
+  }, [focusTarget, map, animate])
+
   useEffect(() => {
     if (shouldRecenter && nearestStation) {
       // Fly to show both user and nearest station
@@ -36,87 +354,527 @@ function MapController({ userLocation, shouldRecenter, nearestStation }) {
         padding: [100, 100],
         duration: 1.5,
         easeLinearity: 0.25,
+        animate,
       })
     } else if (shouldRecenter) {
       // Just center on user
       map.flyTo([userLocation.lat, userLocation.lng], 15, {
         duration: 1,
         easeLinearity: 0.25,
+        animate,
       })
     }
-  }, [shouldRecenter, userLocation, nearestStation, map])
+  }, [shouldRecenter, userLocation, nearestStation, map, animate])
 
   return null
 }
 
+/**
+ * Give a station without a road route a straight line to draw instead,
+ * so the rider still sees which way to head when OSRM can't be reached
+ */
+function withRouteFallback(station, userLocation) {
+  if (station.route) return station
+
+  return {
+    ...station,
+    route: [
+      [userLocation.lat, userLocation.lng],
+      [station.lat, station.lng],
+    ],
+    isStraightLine: true,
+  }
+}
+
 /**
  * Custom Hook Component: Fetches and updates gas stations
+ *
+ * Each GPS update only does the work it needs (see utils/refreshPolicy):
+ * Overpass is queried when the rider leaves the fetched area, and OSRM only
+ * when the candidate stations change or the rider strays off the route.
+ * Every re-rank also reports the compared stations through `onRanked`.
  */
-function GasStationFetcher({ userLocation, setGasStations, setNearestStation }) {
-  const [hasInitialized, setHasInitialized] = useState(false)
+function GasStationFetcher({
+  userLocation,
+  vehicle,
+  filters,
+  favorites,
+  preferFavoritesMiles,
+  prices,
+  priceMode,
+  chosenKey,
+  refreshKey,
+  viewportStations,
+  setGasStations,
+  setNearestStation,
+  onRanked,
+  onStationsUpdated,
+  onError,
+}) {
+  // Cached stations, the area they cover and the last ranking/route
+  const cacheRef = useRef({ stations: [], area: null, savedAt: null, ranking: null })
+
+  // A new refresh key (the rider hit "Retry") forces a fresh fetch and route
+  const refreshKeyRef = useRef(refreshKey)
+
+  // Latest inputs plus a flag so updates arriving mid-refresh aren't lost
+  const latestRef = useRef(null)
+  const busyRef = useRef(false)
+  const pendingRef = useRef(false)
 
   useEffect(() => {
-    if (!userLocation || hasInitialized) return
-
-    // Fetch gas stations on initial load
-    const fetchStations = async () => {
-      const stations = await fetchNearbyGasStations(userLocation.lat, userLocation.lng, 8000)
-      setGasStations(stations)
-
-      if (stations.length > 0) {
-        const nearest = findNearestStation(stations, userLocation)
-
-        // Fetch route to nearest station
-        if (nearest) {
-          const route = await fetchRoute(userLocation, nearest)
-          setNearestStation({
-            ...nearest,
-            route: route?.coordinates,
-            duration: route?.duration,
+    if (!userLocation) return
+    latestRef.current = {
+      userLocation,
+      vehicle,
+      filters,
+      favorites,
+      preferFavoritesMiles,
+      prices,
+      priceMode,
+      chosenKey,
+      viewportStations,
+    }
+
+    if (refreshKey !== refreshKeyRef.current) {
+      refreshKeyRef.current = refreshKey
+      cacheRef.current.area = null
+      cacheRef.current.ranking = null
+    }
+
+    if (busyRef.current) {
+      pendingRef.current = true
+      return
+    }
+
+    const refresh = async ({
+      userLocation,
+      vehicle,
+      filters,
+      favorites,
+      preferFavoritesMiles,
+      prices,
+      priceMode,
+      chosenKey,
+      viewportStations,
+    }) => {
+      const cache = cacheRef.current
+
+      // Only hit Overpass once we've moved out of the area already fetched
+      if (needsStationRefetch(cache.area, userLocation)) {
+        try {
+          const fresh = await fetchNearbyGasStations(userLocation.lat, userLocation.lng, FETCH_RADIUS)
+
+          cache.stations = fresh
+          cache.area = { center: userLocation, radius: FETCH_RADIUS }
+          cache.savedAt = Date.now()
+          if (fresh.length > 0) saveStationSnapshot({ stations: fresh, center: userLocation, savedAt: cache.savedAt })
+
+          onError?.('stations', null)
+          onStationsUpdated?.({ savedAt: cache.savedAt, isStale: false })
+        } catch (error) {
+          // Fall back to the last list saved on this device, and leave the area
+          // unset so we ask again on the next update
+          if (cache.stations.length === 0) {
+            const snapshot = await loadStationSnapshot()
+            if (snapshot) {
+              cache.stations = snapshot.stations
+              cache.savedAt = snapshot.savedAt
+            }
+          }
+
+          onError?.('stations', error)
+          onStationsUpdated?.({ savedAt: cache.savedAt, isStale: true })
+        }
+      }
+
+      // Stations around the rider, plus any loaded for where the map was panned
+      const allStations = updateStationDistances(mergeStationLists([cache.stations, viewportStations]), userLocation)
+      setGasStations(allStations)
+
+      // "Nearest" means nearest station that sells what we need and is open
+      const stations = filterStations(allStations, filters)
+      if (stations.length === 0) {
+        cache.ranking = null
+        setNearestStation(null)
+        onRanked?.([])
+        return
+      }
+
+      const rankOptions = { favorites, preferFavoritesMiles, prices, priceMode, chosenKey }
+      const candidateIds = pickRouteCandidates(stations, vehicle, rankOptions).map(stationKey)
+      const settings = { vehicle, ...rankOptions }
+
+      if (needsReroute(cache.ranking, candidateIds, settings, userLocation)) {
+        // Compare the closest few by travel time and pick the quickest one we can reach on our fuel
+        const ranked = await rankStationsByReach(stations, userLocation, vehicle, rankOptions)
+        let [nearest] = ranked
+        onError?.('route', nearest?.routeError || null)
+        onRanked?.(ranked)
+
+        if (nearest?.route) {
+          saveRouteSnapshot({
+            stationId: nearest.id,
+            route: nearest.route,
+            duration: nearest.duration,
+            roadDistance: nearest.roadDistance,
+            savedAt: Date.now(),
           })
+        } else if (nearest) {
+          // Routing failed - reuse the saved route if we're still on it
+          const snapshot = await loadRouteSnapshot()
+          if (
+            snapshot?.stationId === nearest.id &&
+            distanceToRoute(userLocation, snapshot.route) <= OFF_ROUTE_MILES
+          ) {
+            nearest = { ...nearest, ...snapshot }
+          }
         }
+
+        cache.ranking = {
+          candidateIds,
+          settings,
+          location: userLocation,
+          route: nearest?.route,
+          station: nearest,
+        }
+        if (nearest) setNearestStation(withRouteFallback(nearest, userLocation))
+        return
+      }
+
+      // Still on route to the same station - just trim the part already ridden
+      const { station, route } = cache.ranking
+      if (!station) return
+
+      const distance = stations.find((s) => stationKey(s) === stationKey(station))?.distance ?? station.distance
+
+      if (!route) {
+        setNearestStation(
+          withRouteFallback(
+            { ...station, distance, roadDistance: distance, reach: assessReach(distance, vehicle) },
+            userLocation
+          )
+        )
+        return
+      }
+
+      const remainingRoute = trimRoute(route, userLocation)
+      const remainingMiles = routeLength(remainingRoute)
+      const progress = station.roadDistance > 0 ? remainingMiles / station.roadDistance : 1
+
+      setNearestStation({
+        ...station,
+        distance,
+        route: remainingRoute,
+        roadDistance: remainingMiles,
+        duration: station.duration && station.duration * progress,
+        reach: assessReach(remainingMiles, vehicle),
+      })
+    }
+
+    const run = async () => {
+      busyRef.current = true
+      try {
+        do {
+          pendingRef.current = false
+          await refresh(latestRef.current)
+        } while (pendingRef.current)
+      } finally {
+        busyRef.current = false
       }
-      setHasInitialized(true)
     }
 
-    fetchStations()
-  }, [userLocation, hasInitialized, setGasStations, setNearestStation])
+    run()
+  }, [
+    userLocation,
+    vehicle,
+    filters,
+    favorites,
+    preferFavoritesMiles,
+    prices,
+    priceMode,
+    chosenKey,
+    refreshKey,
+    viewportStations,
+    setGasStations,
+    setNearestStation,
+    onRanked,
+    onStationsUpdated,
+    onError,
+  ])
+
+  return null
+}
+
+/**
+ * Custom Hook Component: Loads stations for wherever the map is panned or zoomed
+ *
+ * The view is split into fixed tiles (see utils/viewport) that are each fetched
+ * once and kept for a while, so panning back over an area, or zooming into one
+ * already loaded, doesn't ask again. Zoomed out, bigger tiles keep the number
+ * of requests down.
+ */
+function ViewportStationLoader({ refreshKey, onStations }) {
+  const map = useMap()
+
+  // {tileKey: {stations, loadedAt}}, oldest first
+  const tilesRef = useRef(new Map())
+  const busyRef = useRef(false)
+  const pendingRef = useRef(false)
 
-  // Update nearest station as user moves
   useEffect(() => {
-    if (!hasInitialized) return
-
-    const updateNearest = async () => {
-      // Refetch stations if user has moved significantly (every ~500m)
-      const stations = await fetchNearbyGasStations(userLocation.lat, userLocation.lng, 8000)
-      setGasStations(stations)
-
-      if (stations.length > 0) {
-        const nearest = findNearestStation(stations, userLocation)
-
-        if (nearest) {
-          const route = await fetchRoute(userLocation, nearest)
-          setNearestStation({
-            ...nearest,
-            route: route?.coordinates,
-            duration: route?.duration,
+    const tiles = tilesRef.current
+
+    const isLoaded = (tile) => {
+      const entry = tiles.get(tileKey(tile))
+      return entry && Date.now() - entry.loadedAt < TILE_TTL_MS
+    }
+
+    const load = async () => {
+      const bounds = map.getBounds()
+      const wanted = tilesInBounds(
+        { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() },
+        tileSizeForZoom(map.getZoom())
+      )
+      // A fine tile is already covered if the coarse tile around it was loaded
+      const missing = wanted.filter(
+        (tile) => !isLoaded(tile) && !(tile.size === FINE_TILE_DEGREES && isLoaded(parentTile(tile)))
+      )
+
+      for (const tile of missing) {
+        const { lat, lng, radius } = tileCircle(tile)
+        try {
+          const stations = await fetchNearbyGasStations(lat, lng, radius)
+          tiles.delete(tileKey(tile))
+          tiles.set(tileKey(tile), {
+            stations: stations.filter((station) => isInTile(tile, station)),
+            loadedAt: Date.now(),
           })
+          while (tiles.size > MAX_CACHED_TILES) tiles.delete(tiles.keys().next().value)
+        } catch (error) {
+          // Not cached, so the next pan or zoom asks again. The stations around
+          // the rider report their own errors, so this stays quiet.
+          console.error('Error loading stations for the map area:', error)
+          break
         }
+
+        onStations(mergeStationLists([...tiles.values()].map((entry) => entry.stations)))
       }
     }
 
-    // Debounce updates to avoid too many API calls
-    const timeoutId = setTimeout(updateNearest, 2000)
-    return () => clearTimeout(timeoutId)
-  }, [userLocation, hasInitialized, setGasStations, setNearestStation])
+    const run = async () => {
+      if (busyRef.current) {
+        pendingRef.current = true
+        return
+      }
+
+      busyRef.current = true
+      try {
+        do {
+          pendingRef.current = false
+          await load()
+        } while (pendingRef.current)
+      } finally {
+        busyRef.current = false
+      }
+    }
+
+    run()
+    map.on('moveend', run)
+    return () => map.off('moveend', run)
+  }, [map, refreshKey, onStations])
 
   return null
 }
 
+/**
+ * Custom Hook Component: Reports the map's zoom as it changes
+ */
+function ZoomWatcher({ onZoom }) {
+  useMapEvents({ zoomend: (event) => onZoom(event.target.getZoom()) })
+  return null
+}
+
+/**
+ * Custom Hook Component: Reports where the map is looking {at: {lat, lng}, zoom} after each move
+ */
+function ViewWatcher({ onViewChange }) {
+  useMapEvents({
+    moveend: (event) => {
+      const center = event.target.getCenter()
+      onViewChange({ at: { lat: center.lat, lng: center.lng }, zoom: event.target.getZoom() })
+    },
+  })
+  return null
+}
+
+/**
+ * Custom Hook Component: Reports when the rider drags the map (moves made by the app don't count)
+ */
+function DragWatcher({ onDrag }) {
+  useMapEvents({ dragstart: onDrag })
+  return null
+}
+
+/**
+ * Custom Hook Component: Turns the map so the direction of travel points up, and
+ * back to north-up when it's removed. The bearing comes from leaflet-rotate, which
+ * keeps markers and popups upright and taps on the markers they're drawn on.
+ */
+function MapRotation({ heading, reducedMotion }) {
+  const map = useMap()
+
+  // Back to north-up when follow mode ends, unless the whole map is being removed
+  useEffect(
+    () => () => {
+      if (map.getPane('mapPane')) map.setBearing(0)
+    },
+    [map]
+  )
+
+  useEffect(() => {
+    if (heading == null) return
+
+    // A map bearing turns the map clockwise, so the heading points up at -heading.
+    // Turn the short way round.
+    const from = map.getBearing()
+    const turn = ((((-heading - from) % 360) + 540) % 360) - 180
+    if (reducedMotion) {
+      map.setBearing(from + turn)
+      return
+    }
+
+    let frame
+    const startedAt = performance.now()
+    const step = (now) => {
+      const progress = Math.min((now - startedAt) / TURN_MS, 1)
+      map.setBearing(from + turn * (1 - (1 - progress) ** 2)) // Ease out
+      if (progress < 1) frame = requestAnimationFrame(step)
+    }
+    frame = requestAnimationFrame(step)
+    return () => cancelAnimationFrame(frame)
+  }, [heading, reducedMotion, map])
+
+  return null
+}
+
+/**
+ * The rider's moped: glides between GPS positions, points the way they're heading
+ * and sits in a circle showing how accurate the fix is
+ */
+function UserMarker({ location, theme, label, reducedMotion, children }) {
+  const map = useMap()
+  const markerRef = useRef(null)
+  const circleRef = useRef(null)
+
+  // Where the moped is drawn right now, part way through a glide
+  const shownRef = useRef(null)
+
+  // Leaflet owns the marker's position after it's created - the glide below moves it
+  const [start] = useState(() => [location.lat, location.lng])
+
+  useEffect(() => {
+    const to = [location.lat, location.lng]
+    const from = shownRef.current || to
+    const moveTo = (position) => {
+      shownRef.current = position
+      markerRef.current?.setLatLng(position)
+      circleRef.current?.setLatLng(position)
+    }
+
+    const distance = calculateDistance(from[0], from[1], to[0], to[1])
+    if (reducedMotion || distance === 0 || distance > MAX_GLIDE_MILES) {
+      moveTo(to)
+      return
+    }
+
+    let frame
+    const startedAt = performance.now()
+    const step = (now) => {
+      const progress = Math.min((now - startedAt) / GLIDE_MS, 1)
+      moveTo([from[0] + (to[0] - from[0]) * progress, from[1] + (to[1] - from[1]) * progress])
+      if (progress < 1) frame = requestAnimationFrame(step)
+    }
+    frame = requestAnimationFrame(step)
+    return () => cancelAnimationFrame(frame)
+  }, [location.lat, location.lng, reducedMotion])
+
+  // Turn the arrow to the heading, hidden until there is one. The icon draws it
+  // pointing east, and markers stay upright when the map turns, so add the map's bearing.
+  useEffect(() => {
+    const arrow = markerRef.current?.getElement()?.querySelector('.moped-heading')
+    if (!arrow) return
+    const { heading } = location
+    arrow.style.opacity = heading == null ? '0' : '1'
+    if (heading == null) return
+
+    const point = () => {
+      const angle = ((((heading - 90 + map.getBearing()) % 360) + 540) % 360) - 180
+      arrow.style.transform = `rotate(${angle}deg)`
+    }
+    point()
+    map.on('rotate', point)
+    return () => map.off('rotate', point)
+  }, [location, theme, map])
+
+  useEffect(() => {
+    markerRef.current?.getElement()?.setAttribute('title', label)
+  }, [label])
+
+  return (
+    <>
+      {location.accuracy > 0 && (
+        <Circle
+          ref={circleRef}
+          center={shownRef.current || start}
+          radius={location.accuracy}
+          pathOptions={{ color: MAP_THEMES[theme].trip, weight: 1, opacity: 0.5, fillOpacity: 0.1 }}
+          interactive={false}
+        />
+      )}
+      <Marker ref={markerRef} position={start} icon={mopedIcon(theme)} title={label}>
+        {children}
+      </Marker>
+    </>
+  )
+}
+
+/**
+ * Custom Hook Component: Moves keyboard focus into a popup when it opens, and back
+ * to whatever opened it (usually the marker) when it closes
+ */
+function PopupFocus() {
+  const openerRef = useRef(null)
+
+  useMapEvents({
+    popupopen: (event) => {
+      openerRef.current = document.activeElement
+      // The close button is there straight away; the popup's content follows it in tab order
+      event.popup.getElement()?.querySelector('.leaflet-popup-close-button')?.focus({ preventScroll: true })
+    },
+    popupclose: (event) => {
+      const opener = openerRef.current
+      openerRef.current = null
+
+      // Leave focus alone if the rider has already moved on to something else
+      const focus = document.activeElement
+      const focusWasInPopup = focus === document.body || event.popup.getElement()?.contains(focus)
+      if (opener?.isConnected && focusWasInPopup) opener.focus({ preventScroll: true })
+    },
+  })
+
+  return null
+}
+
+// react-leaflet only sets a marker's title when the marker is created, so keep it current by hand
+const labelMarker = (label) => (marker) => marker?.getElement()?.setAttribute('title', label)
+
 /**
  * Main Map Component
+ *
+ * Not named Map, which would shadow the built-in Map this file uses for its caches
  */
-export default function Map({
+export default function MopedMap({
   userLocation,
   gasStations,
   setGasStations,
@@ -124,77 +882,52 @@ export default function Map({
   setNearestStation,
   showAllStations,
   shouldRecenter,
+  vehicle,
+  filters,
+  refreshKey,
+  onStationsUpdated,
+  onError,
+  favorites,
+  onToggleFavorite,
+  preferFavoritesMiles,
+  focusTarget,
+  onLogFillUp,
+  prices,
+  priceMode,
+  chosenStationKey,
+  onRanked,
+  onReportPrice,
+  trip,
+  navigation,
+  onNavigate,
+  onShowDetails,
+  onShare,
+  onViewChange,
+  recordingTrack,
+  viewedRide,
+  userLabel,
+  theme = 'light',
+  reducedMotion = false,
+  following = false,
+  onStopFollowing,
 }) {
   const mapRef = useRef(null)
   const [exhaustPuffs, setExhaustPuffs] = useState([])
+  const mapColors = MAP_THEMES[theme]
 
-  /**
-   * Create custom moped icon with SVG
-   */
-  const mopedIcon = L.divIcon({
-    className: 'moped-marker',
-    html: `
-      <div style="position: relative; width: 50px; height: 50px; display: block;">
-        <svg width="50" height="50" viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg" style="display: block;">
-          <!-- Moped body -->
-          <ellipse cx="50" cy="50" rx="35" ry="25" fill="#FF6B6B" stroke="#fff" stroke-width="4"/>
-
-          <!-- Windshield -->
-          <path d="M 35 35 Q 50 25 65 35" fill="none" stroke="#B8E6F5" stroke-width="5" stroke-linecap="round"/>
-
-          <!-- Headlight -->
-          <circle cx="50" cy="55" r="6" fill="#FFF4CC" opacity="0.95"/>
-
-          <!-- Wheels -->
-          <circle cx="30" cy="65" r="9" fill="#333" stroke="#fff" stroke-width="3"/>
-          <circle cx="70" cy="65" r="9" fill="#333" stroke="#fff" stroke-width="3"/>
-
-          <!-- Direction indicator (small arrow) -->
-          <path d="M 75 45 L 88 50 L 75 55 Z" fill="#4ECDC4" stroke="#fff" stroke-width="1"/>
-        </svg>
-      </div>
-    `,
-    iconSize: [50, 50],
-    iconAnchor: [25, 25],
-    popupAnchor: [0, -25],
-  })
+  // Current zoom (for clustering) and stations loaded for wherever the map was panned
+  const [zoom, setZoom] = useState(INITIAL_ZOOM)
+  const [viewportStations, setViewportStations] = useState([])
 
   /**
-   * Create custom fuel pump icons for gas stations
-   */
-  const createFuelIcon = (isNearest = false) => {
-    const gradient = isNearest
-      ? 'linear-gradient(135deg, #FF6B6B 0%, #FF8E53 100%)'
-      : 'linear-gradient(135deg, #4ECDC4 0%, #44A08D 100%)'
-
-    return L.divIcon({
-      className: isNearest ? 'fuel-marker fuel-marker-nearest' : 'fuel-marker',
-      html: `
-        <div style="
-          width: 40px;
-          height: 40px;
-          background: ${gradient};
-          border: 3px solid white;
-          border-radius: 50%;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          font-size: 20px;
-          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-        ">
-          ⛽
-        </div>
-      `,
-      iconSize: [40, 40],
-      iconAnchor: [20, 20],
-      popupAnchor: [0, -20],
-    })
-  }
-
-  /**
-   * Generate exhaust puffs animation effect
+   * Generate exhaust puffs animation effect (none with reduced motion)
    */
   useEffect(() => {
+    if (reducedMotion) {
+      setExhaustPuffs([])
+      return
+    }
+
     const interval = setInterval(() => {
       setExhaustPuffs((prev) => {
         // Add new puff
@@ -218,61 +951,131 @@ export default function Map({
     }, 300)
 
     return () => clearInterval(interval)
-  }, [])
+  }, [reducedMotion])
+
+  // While navigating, only the part of the route still ahead
+  const navigationRoute = useMemo(
+    () => navigation && trimRoute(navigation.route.coordinates, userLocation),
+    [navigation, userLocation]
+  )
+
+  // Stations to display (the one we're navigating to, all, or just nearest), as
+  // {station} or {cluster} items - all stations are clustered at low zoom, except
+  // the nearest, which always gets its own marker
+  const displayedItems = useMemo(() => {
+    if (navigation) return [{ station: navigation.station }]
+    if (!showAllStations) return nearestStation ? [{ station: nearestStation }] : []
+
+    const nearestKey = nearestStation && stationKey(nearestStation)
+    const nearest = gasStations.find((station) => stationKey(station) === nearestKey)
+    const others = nearest ? gasStations.filter((station) => station !== nearest) : gasStations
+    return [...(nearest ? [{ station: nearest }] : []), ...clusterStations(others, zoom)]
+  }, [navigation, showAllStations, nearestStation, gasStations, zoom])
 
-  // Stations to display (all or just nearest)
-  const displayedStations = showAllStations
-    ? gasStations
-    : nearestStation
-    ? [nearestStation]
-    : []
+  /**
+   * Zoom in far enough to split a cluster up
+   */
+  const openCluster = (cluster) => {
+    mapRef.current?.flyToBounds(cluster.bounds, {
+      padding: [60, 60],
+      maxZoom: CLUSTER_MAX_ZOOM,
+      duration: 0.75,
+      animate: !reducedMotion,
+    })
+  }
 
   return (
     <>
       <MapContainer
         center={[userLocation.lat, userLocation.lng]}
-        zoom={14}
+        zoom={INITIAL_ZOOM}
         className="w-full h-full z-0"
         zoomControl={false} // Remove default zoom control (add custom one)
         ref={mapRef}
         minZoom={11}
         maxZoom={18}
+        rotate // leaflet-rotate, for follow mode - turned from code only, no rotate control or gestures
+        rotateControl={false}
+        touchRotate={false}
+        shiftKeyRotate={false}
       >
-        {/* Base Map Tiles - Using CartoDB Positron for a clean, bright look */}
+        {/* Base Map Tiles - CartoDB Voyager for a clean, bright look, Dark Matter at night */}
         <TileLayer
+          key={theme}
           attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
-          url="https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png"
+          url={MAP_THEMES[theme].tiles}
           maxZoom={20}
+          crossOrigin={true} // CORS tile requests can be cached by the service worker
         />
 
         {/* User Location Marker (Animated Moped) */}
-        <Marker position={[userLocation.lat, userLocation.lng]} icon={mopedIcon}>
+        <UserMarker
+          location={userLocation}
+          theme={theme}
+          label={userLabel || t('map.youAreHere')}
+          reducedMotion={reducedMotion}
+        >
           <Popup>
             <div className="text-center p-2">
-              <p className="text-lg font-bold">You are here!</p>
+              <p className="text-lg font-bold">{userLabel || t('map.youAreHere')}</p>
               <p className="text-sm text-gray-600 mt-1">
                 📍 {userLocation.lat.toFixed(4)}, {userLocation.lng.toFixed(4)}
               </p>
             </div>
           </Popup>
-        </Marker>
+        </UserMarker>
+
+        {/* Gas Station Markers and Clusters */}
+        {displayedItems.map(({ station, cluster }) => {
+          if (cluster) {
+            return (
+              <Marker
+                key={`cluster-${cluster.key}`}
+                position={[cluster.lat, cluster.lng]}
+                icon={clusterIcon(theme, cluster.count)}
+                title={t('map.cluster', { count: cluster.count })}
+                ref={labelMarker(t('map.cluster', { count: cluster.count }))}
+                eventHandlers={{ click: () => openCluster(cluster) }}
+              />
+            )
+          }
 
-        {/* Gas Station Markers */}
-        {displayedStations.map((station) => {
-          const isNearest = nearestStation && station.id === nearestStation.id
+          const key = stationKey(station)
+          const isNearest = nearestStation && key === stationKey(nearestStation)
+          const isFavorite = Boolean(favorites?.[key])
+          const label = describeStation(station, {
+            isNearest,
+            isFavorite,
+            price: getStationPrice(prices, key, priceMode?.grade),
+            grade: priceMode?.grade,
+          })
 
           return (
             <Marker
-              key={station.id}
+              key={key}
               position={[station.lat, station.lng]}
-              icon={createFuelIcon(isNearest)}
+              icon={fuelIcon(theme, isNearest, isFavorite)}
+              title={label}
+              ref={labelMarker(label)}
             >
               <Popup>
                 <div className="p-2 min-w-[200px]">
-                  <h3 className="font-bold text-lg mb-2">
-                    {isNearest && '⭐ '}
-                    {station.name}
-                  </h3>
+                  <div className="flex items-start justify-between mb-2">
+                    <h3 className="font-bold text-lg">
+                      {isNearest && '⭐ '}
+                      {station.name}
+                    </h3>
+                    {onToggleFavorite && (
+                      <button
+                        onClick={() => onToggleFavorite(station)}
+                        className="text-xl leading-none ml-2 hover:scale-110 transition-transform"
+                        aria-label={isFavorite ? t('favorite.remove') : t('favorite.add')}
+                        aria-pressed={isFavorite}
+                      >
+                        {isFavorite ? '💛' : '🤍'}
+                      </button>
+                    )}
+                  </div>
 
                   {station.brand && (
                     <p className="text-sm text-gray-600 mb-1">
@@ -281,7 +1084,7 @@ export default function Map({
                   )}
 
                   <p className="text-sm text-gray-700 mb-1">
-                    📍 {formatDistance(station.distance)} away
+                    📍 {t('station.away', { distance: formatDistance(station.distance) })}
                   </p>
 
                   {station.address && (
@@ -290,41 +1093,190 @@ export default function Map({
                     </p>
                   )}
 
+                  {/* Latest crowd-sourced prices */}
+                  {prices?.[key] && (
+                    <div className="text-xs text-gray-700 mb-2">
+                      {PRICE_GRADES.filter((grade) => prices[key][grade.key]).map((grade) => (
+                        <p key={grade.key}>
+                          💲 {t(`grade.${grade.key}`)}: <span className="font-semibold">{formatPrice(prices[key][grade.key].price)}</span>
+                          <span className="text-gray-500"> · {formatTimeAgo(prices[key][grade.key].reportedAt)}</span>
+                        </p>
+                      ))}
+                    </div>
+                  )}
+
                   {isNearest && station.duration && (
                     <p className="text-sm font-semibold text-coral mb-2">
-                      ⏱️ ~{Math.ceil(station.duration)} min drive
+                      ⏱️{' '}
+                      {t(`duration.${getRoutingProfile(vehicle.routingProfile).verb}`, {
+                        minutes: Math.ceil(station.duration),
+                      })}
+                    </p>
+                  )}
+
+                  {isNearest && station.reach?.status === 'unreachable' && (
+                    <p className="text-xs font-semibold text-red-600 dark:text-red-400 mb-2">
+                      🚫 {t('station.beyondRange')}
                     </p>
                   )}
 
                   <button
                     onClick={() => {
-                      const url = `https://www.google.com/maps/dir/?api=1&origin=${userLocation.lat},${userLocation.lng}&destination=${station.lat},${station.lng}&travelmode=driving`
-                      window.open(url, '_blank')
+                      window.open(googleMapsUrl(userLocation, station, vehicle.routingProfile), '_blank')
                     }}
                     className="w-full bg-gradient-to-r from-teal to-sky-pastel text-white font-semibold py-2 px-4 rounded-lg text-sm hover:shadow-lg transition-all mt-2"
                   >
-                    Get Directions 🗺️
+                    {t('action.directions')} 🗺️
                   </button>
+
+                  {onNavigate && !navigation && (
+                    <button
+                      onClick={() => onNavigate(station)}
+                      className="w-full bg-gradient-to-r from-coral to-orange-pastel text-white font-semibold py-2 px-4 rounded-lg text-sm hover:shadow-lg transition-all mt-2"
+                    >
+                      {t('action.navigate')} 🧭
+                    </button>
+                  )}
+
+                  {onReportPrice && (
+                    <button
+                      onClick={() => onReportPrice(station)}
+                      className="w-full bg-surface border border-teal text-teal font-semibold py-2 px-4 rounded-lg text-sm hover:shadow-lg transition-all mt-2"
+                    >
+                      {t('action.reportPrice')} 💲
+                    </button>
+                  )}
+
+                  {onLogFillUp && (
+                    <button
+                      onClick={() => onLogFillUp(station)}
+                      className="w-full bg-surface border border-coral text-coral font-semibold py-2 px-4 rounded-lg text-sm hover:shadow-lg transition-all mt-2"
+                    >
+                      {t('action.logFillUp')} ⛽
+                    </button>
+                  )}
+
+                  {onShare && (
+                    <button
+                      onClick={() => onShare(station)}
+                      className="w-full bg-surface border border-gray-300 text-gray-700 font-semibold py-2 px-4 rounded-lg text-sm hover:shadow-lg transition-all mt-2"
+                    >
+                      {t('action.share')} 🔗
+                    </button>
+                  )}
+
+                  {onShowDetails && (
+                    <button
+                      onClick={() => onShowDetails(station)}
+                      className="w-full text-teal font-semibold text-sm mt-2 hover:underline"
+                    >
+                      {t('map.details')} ›
+                    </button>
+                  )}
                 </div>
               </Popup>
             </Marker>
           )
         })}
 
+        {/* Navigation Route */}
+        {navigationRoute && (
+          <Polyline
+            positions={navigationRoute}
+            pathOptions={{
+              color: mapColors.station[0],
+              weight: 8,
+              opacity: 0.9,
+              lineCap: 'round',
+              lineJoin: 'round',
+            }}
+            interactive={false}
+          />
+        )}
+
         {/* Route Polyline to Nearest Station */}
-        {nearestStation?.route && nearestStation.route.length > 0 && (
+        {!navigation && nearestStation?.route && nearestStation.route.length > 0 && (
           <Polyline
             positions={nearestStation.route}
+            pathOptions={
+              nearestStation.isStraightLine
+                ? {
+                    // Offline fallback - thin, faint line "as the crow flies"
+                    color: mapColors.route,
+                    weight: 3,
+                    opacity: 0.6,
+                    dashArray: '2, 10',
+                    lineCap: 'round',
+                  }
+                : {
+                    color: mapColors.route,
+                    weight: 6,
+                    opacity: 0.9,
+                    dashArray: '12, 8',
+                    lineCap: 'round',
+                    lineJoin: 'round',
+                  }
+            }
+            interactive={false}
+          />
+        )}
+
+        {/* Planned trip - alternate leg colors so stops stand out */}
+        {!navigation && trip?.legs.map((leg, i) => (
+          <Polyline
+            key={`trip-leg-${i}`}
+            positions={leg.coordinates}
             pathOptions={{
-              color: '#FF6B6B',
-              weight: 6,
-              opacity: 0.9,
-              dashArray: '12, 8',
+              color: i % 2 === 0 ? mapColors.trip : mapColors.station[0],
+              weight: 5,
+              opacity: 0.8,
               lineCap: 'round',
               lineJoin: 'round',
             }}
             interactive={false}
           />
+        ))}
+        {!navigation && trip?.legs.map((leg, i) => (
+          <Marker
+            key={`trip-stop-${i}`}
+            position={[leg.to.lat, leg.to.lng]}
+            icon={tripIcon(theme, leg.to.isFuelStop ? i + 1 : '🏁')}
+            title={leg.to.isFuelStop ? t('map.fuelStop', { number: i + 1 }) : t('map.destination')}
+          >
+            <Popup>
+              <div className="p-2 min-w-[180px]">
+                <h3 className="font-bold text-base">
+                  {leg.to.isFuelStop ? `⛽ ${t('map.fuelStop', { number: i + 1 })}` : `🏁 ${t('map.destination')}`}
+                </h3>
+                <p className="text-sm text-gray-700">{leg.to.name}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {t('map.leg', {
+                    distance: formatDistance(leg.distance),
+                    minutes: Math.ceil(leg.duration),
+                    eta: calculateETA(leg.arriveIn),
+                  })}
+                </p>
+              </div>
+            </Popup>
+          </Marker>
+        ))}
+
+        {/* Ride picked from the ride log */}
+        {viewedRide && (
+          <Polyline
+            positions={viewedRide.points.map((point) => [point.lat, point.lng])}
+            pathOptions={{ color: mapColors.trip, weight: 5, opacity: 0.8, lineCap: 'round', lineJoin: 'round' }}
+            interactive={false}
+          />
+        )}
+
+        {/* Ride being recorded */}
+        {recordingTrack?.length > 1 && (
+          <Polyline
+            positions={recordingTrack.map((point) => [point.lat, point.lng])}
+            pathOptions={{ color: mapColors.route, weight: 4, opacity: 0.7, lineCap: 'round', lineJoin: 'round' }}
+            interactive={false}
+          />
         )}
 
         {/* Map Controller for auto-centering */}
@@ -332,18 +1284,49 @@ export default function Map({
           userLocation={userLocation}
           shouldRecenter={shouldRecenter}
           nearestStation={nearestStation}
+          focusTarget={focusTarget}
+          trip={trip}
+          viewedRide={viewedRide}
+          isNavigating={Boolean(navigation)}
+          following={following}
+          reducedMotion={reducedMotion}
         />
 
-        {/* Gas Station Fetcher */}
-        <GasStationFetcher
-          userLocation={userLocation}
-          setGasStations={setGasStations}
-          setNearestStation={setNearestStation}
-        />
+        {/* Follow me: heading-up until the rider drags the map */}
+        {following && !navigation && <MapRotation heading={userLocation.heading} reducedMotion={reducedMotion} />}
+        {following && onStopFollowing && <DragWatcher onDrag={onStopFollowing} />}
+
+        <ZoomWatcher onZoom={setZoom} />
+        {onViewChange && <ViewWatcher onViewChange={onViewChange} />}
+        <PopupFocus />
+
+        {/* Gas Station Fetchers - left out of read-only views (e.g. a friend's shared ride) */}
+        {setGasStations && !navigation && (
+          <ViewportStationLoader refreshKey={refreshKey} onStations={setViewportStations} />
+        )}
+        {setGasStations && (
+          <GasStationFetcher
+            userLocation={userLocation}
+            vehicle={vehicle}
+            filters={filters}
+            favorites={favorites}
+            preferFavoritesMiles={preferFavoritesMiles}
+            prices={prices}
+            priceMode={priceMode}
+            chosenKey={chosenStationKey}
+            refreshKey={refreshKey}
+            viewportStations={viewportStations}
+            setGasStations={setGasStations}
+            setNearestStation={setNearestStation}
+            onRanked={onRanked}
+            onStationsUpdated={onStationsUpdated}
+            onError={onError}
+          />
+        )}
       </MapContainer>
 
       {/* Exhaust Trail Effect (rendered outside map for absolute positioning) */}
-      <div className="pointer-events-none fixed top-0 left-0 w-full h-full z-[999]">
+      <div className="pointer-events-none fixed top-0 left-0 w-full h-full z-[999]" aria-hidden="true">
         {exhaustPuffs.map((puff) => (
           <div
             key={puff.id}
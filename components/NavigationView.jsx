@@ -0,0 +1,176 @@
+/**
+ * Navigation View Component
+ *
+ * Takes over the screen while navigating to a station:
+ * - Banner with the next maneuver and the distance to it
+ * - Remaining distance, time and a live ETA
+ * - Re-routes when the rider leaves the route
+ * - Optional spoken instructions (Web Speech API)
+ * - Stops by itself on arrival
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { calculateETA, fetchRoute, formatDistance } from '../utils/getNearestStation'
+import {
+  createNavigation,
+  navigationProgress,
+  canSpeak,
+  speak,
+  spokenDistance,
+  PROMPT_MILES,
+} from '../utils/navigation'
+import { loadJSON, saveJSON } from '../utils/storage'
+import { routeOptionsFor } from '../utils/routingProfiles'
+import { t } from '../utils/i18n'
+
+// Don't ask OSRM for a new route more often than this while off route
+const REROUTE_INTERVAL_MS = 10000
+
+// How long the arrival banner stays up before navigation ends
+const ARRIVED_DISPLAY_MS = 5000
+
+export default function NavigationView({ navigation, setNavigation, userLocation, vehicle, onEnd }) {
+  const { station, route } = navigation
+
+  // Spoken instructions on/off, remembered between rides
+  const [voiceOn, setVoiceOn] = useState(() => canSpeak() && loadJSON('voiceGuidance', true))
+  const [isRerouting, setIsRerouting] = useState(false)
+  const [rerouteError, setRerouteError] = useState(null)
+  const [hasArrived, setHasArrived] = useState(false)
+
+  // Last step announced, whether its "in 500 ft" prompt was given, and when we last re-routed
+  const announcedRef = useRef({ stepIndex: -1, prompted: false })
+  const lastRerouteRef = useRef(0)
+
+  const model = useMemo(() => createNavigation(route), [route])
+  const progress = useMemo(() => navigationProgress(model, userLocation), [model, userLocation])
+
+  useEffect(() => {
+    saveJSON('voiceGuidance', voiceOn)
+  }, [voiceOn])
+
+  /**
+   * Announce each maneuver when its step starts, and again as it gets close
+   */
+  useEffect(() => {
+    if (hasArrived || !progress.nextStep) return
+
+    const announced = announcedRef.current
+    const { stepIndex, nextStep, distanceToTurn } = progress
+
+    if (stepIndex !== announced.stepIndex) {
+      announcedRef.current = { stepIndex, prompted: distanceToTurn <= PROMPT_MILES }
+      if (voiceOn) {
+        speak(
+          distanceToTurn > PROMPT_MILES
+            ? t('nav.in', { distance: spokenDistance(formatDistance(distanceToTurn)), instruction: nextStep.instruction })
+            : nextStep.instruction
+        )
+      }
+    } else if (!announced.prompted && distanceToTurn <= PROMPT_MILES) {
+      announced.prompted = true
+      if (voiceOn) speak(nextStep.instruction)
+    }
+  }, [progress, voiceOn, hasArrived])
+
+  /**
+   * Get a fresh route when the rider strays off this one
+   */
+  useEffect(() => {
+    if (hasArrived || !progress.offRoute || isRerouting) return
+    if (Date.now() - lastRerouteRef.current < REROUTE_INTERVAL_MS) return
+
+    lastRerouteRef.current = Date.now()
+    setIsRerouting(true)
+    if (voiceOn) speak(t('nav.rerouting'))
+
+    fetchRoute(userLocation, station, routeOptionsFor(vehicle))
+      .then((fresh) => {
+        // Navigation may have ended while the route was loading
+        announcedRef.current = { stepIndex: -1, prompted: false }
+        setRerouteError(null)
+        setNavigation((prev) => prev && { ...prev, route: fresh })
+      })
+      .catch((error) => {
+        // Keep the old route up - we'll try again after REROUTE_INTERVAL_MS
+        setRerouteError(error.message)
+      })
+      .finally(() => setIsRerouting(false))
+  }, [progress, hasArrived, isRerouting, voiceOn, userLocation, station, vehicle, setNavigation])
+
+  /**
+   * Wrap up once we reach the station
+   */
+  useEffect(() => {
+    if (!progress.arrived || hasArrived) return
+
+    setHasArrived(true)
+    if (voiceOn) speak(t('nav.arrived', { name: station.name }))
+    if (window.navigator.vibrate) window.navigator.vibrate([100, 50, 100])
+  }, [progress.arrived, hasArrived, voiceOn, station])
+
+  useEffect(() => {
+    if (!hasArrived) return
+    const timer = setTimeout(onEnd, ARRIVED_DISPLAY_MS)
+    return () => clearTimeout(timer)
+  }, [hasArrived, onEnd])
+
+  const { nextStep, distanceToTurn, remainingMiles, remainingMinutes } = progress
+
+  return (
+    <>
+      {/* Maneuver Banner */}
+      <div className="absolute top-0 left-0 right-0 z-[1002] bg-teal text-white shadow-lg safe-area-top">
+        {hasArrived ? (
+          <div className="flex items-center px-4 py-4 space-x-3">
+            <span className="text-4xl">🏁</span>
+            <div className="min-w-0">
+              <p className="text-xl font-bold">{t('nav.arrivedTitle')}</p>
+              <p className="text-sm truncate">{station.name}</p>
+            </div>
+          </div>
+        ) : (
+          <div className="flex items-center px-4 py-4 space-x-3">
+            <span className="text-4xl">{isRerouting ? '🔄' : nextStep?.icon}</span>
+            <div className="min-w-0">
+              <p className="text-2xl font-bold">{isRerouting ? t('nav.reroutingTitle') : formatDistance(distanceToTurn)}</p>
+              {!isRerouting && nextStep && <p className="text-sm font-semibold truncate">{nextStep.instruction}</p>}
+              {!isRerouting && rerouteError && progress.offRoute && (
+                <p className="text-xs opacity-90 truncate">⚠️ {rerouteError}</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Trip Summary and Controls */}
+      <div className="absolute bottom-0 left-0 right-0 z-[1002] bg-surface shadow-2xl px-4 py-3 flex items-center space-x-3">
+        <div className="flex-1 min-w-0">
+          <p className="text-lg font-bold text-gray-800">
+            {calculateETA(remainingMinutes)}
+            <span className="text-sm font-semibold text-gray-500"> {t('nav.arrival')}</span>
+          </p>
+          <p className="text-sm text-gray-600">
+            {formatDistance(remainingMiles)} · {t('duration.minutes', { minutes: Math.ceil(remainingMinutes) })} · {station.name}
+          </p>
+        </div>
+        {canSpeak() && (
+          <button
+            onClick={() => setVoiceOn(!voiceOn)}
+            className="w-12 h-12 bg-sky-pastel rounded-full flex items-center justify-center text-xl"
+            aria-label={voiceOn ? t('nav.mute') : t('nav.unmute')}
+            aria-pressed={voiceOn}
+          >
+            {voiceOn ? '🔊' : '🔇'}
+          </button>
+        )}
+        <button
+          onClick={onEnd}
+          className="bg-coral text-white font-semibold px-4 py-3 rounded-full text-sm"
+        >
+          {t('nav.end')}
+        </button>
+      </div>
+    </>
+  )
+}
@@ -0,0 +1,193 @@
+/**
+ * Notification Panel Component
+ *
+ * Opt-in ride alerts, each with its own threshold:
+ * - Low fuel, when the distance since the last fill-up nears a full tank's range
+ * - A favorite or the cheapest nearby station within a set distance
+ * - The last station before a long gap on a planned trip
+ * - Quiet hours when nothing is shown
+ *
+ * Turning alerts on asks the browser for permission first.
+ */
+
+import { useState } from 'react'
+import { notificationsSupported, requestNotificationPermission } from '../utils/notifications'
+import { formatDistance } from '../utils/getNearestStation'
+import { t } from '../utils/i18n'
+import { unitLabels, toDisplayDistance, fromDisplayDistance, roundForInput } from '../utils/units'
+
+/**
+ * A checkbox with its label
+ */
+function Toggle({ label, checked, disabled, onChange }) {
+  return (
+    <label className="flex items-center space-x-2 text-sm font-semibold text-gray-700">
+      <input type="checkbox" checked={checked} disabled={disabled} onChange={onChange} className="accent-teal" />
+      <span>{label}</span>
+    </label>
+  )
+}
+
+/**
+ * A distance field in the rider's units, stored in miles
+ */
+function DistanceField({ label, miles, disabled, onChange }) {
+  return (
+    <label className="flex items-center justify-between text-xs font-semibold text-gray-600 mt-1 ml-6">
+      <span>{label}</span>
+      <input
+        type="number"
+        min="0"
+        step="0.1"
+        value={roundForInput(toDisplayDistance(miles), 1)}
+        disabled={disabled}
+        onChange={(event) => {
+          const value = parseFloat(event.target.value)
+          if (value > 0) onChange(fromDisplayDistance(value))
+        }}
+        className="w-20 ml-2 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+      />
+    </label>
+  )
+}
+
+export default function NotificationPanel({ settings, setSettings, riddenMiles, onResetRidden, onClose }) {
+  const [permissionError, setPermissionError] = useState(() =>
+    notificationsSupported() ? null : t('alerts.unsupported')
+  )
+
+  const unit = unitLabels().distance
+  const off = !settings.enabled
+
+  // Update one alert's settings
+  const update = (group, changes) => setSettings((prev) => ({ ...prev, [group]: { ...prev[group], ...changes } }))
+
+  const handleToggleEnabled = async () => {
+    if (settings.enabled) {
+      setSettings((prev) => ({ ...prev, enabled: false }))
+      return
+    }
+
+    const permission = await requestNotificationPermission()
+    if (permission === 'granted') {
+      setPermissionError(null)
+      setSettings((prev) => ({ ...prev, enabled: true }))
+    } else {
+      setPermissionError(permission === 'unsupported' ? t('alerts.unsupported') : t('alerts.denied'))
+    }
+  }
+
+  return (
+    <div className="absolute top-20 left-4 right-4 z-[1001] bg-surface rounded-2xl shadow-2xl p-4 max-w-sm mx-auto max-h-[70vh] overflow-y-auto">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-bold text-lg text-gray-800">🔔 {t('alerts.title')}</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('alerts.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      <Toggle label={t('alerts.enable')} checked={settings.enabled} onChange={handleToggleEnabled} />
+      {permissionError && (
+        <p className="text-xs font-semibold text-red-600 dark:text-red-400 mt-1">{permissionError}</p>
+      )}
+
+      {/* Low fuel */}
+      <div className="mt-3 pt-3 border-t border-gray-100">
+        <Toggle
+          label={`⛽ ${t('alerts.lowFuel')}`}
+          checked={settings.lowFuel.enabled}
+          disabled={off}
+          onChange={() => update('lowFuel', { enabled: !settings.lowFuel.enabled })}
+        />
+        <DistanceField
+          label={t('alerts.lowFuelBefore', { unit })}
+          miles={settings.lowFuel.milesBefore}
+          disabled={off || !settings.lowFuel.enabled}
+          onChange={(miles) => update('lowFuel', { milesBefore: miles })}
+        />
+        <p className="flex items-center justify-between text-xs text-gray-500 mt-1 ml-6">
+          <span>{t('alerts.ridden', { distance: formatDistance(riddenMiles) })}</span>
+          <button onClick={onResetRidden} className="font-semibold text-teal">
+            {t('alerts.resetRidden')}
+          </button>
+        </p>
+      </div>
+
+      {/* Stations passed */}
+      <div className="mt-3 pt-3 border-t border-gray-100">
+        <Toggle
+          label={`📍 ${t('alerts.stationAhead')}`}
+          checked={settings.stationAhead.enabled}
+          disabled={off}
+          onChange={() => update('stationAhead', { enabled: !settings.stationAhead.enabled })}
+        />
+        <DistanceField
+          label={t('alerts.radius', { unit })}
+          miles={settings.stationAhead.radiusMiles}
+          disabled={off || !settings.stationAhead.enabled}
+          onChange={(miles) => update('stationAhead', { radiusMiles: miles })}
+        />
+        <div className="flex gap-4 mt-1 ml-6">
+          <Toggle
+            label={t('alerts.favorites')}
+            checked={settings.stationAhead.favorites}
+            disabled={off || !settings.stationAhead.enabled}
+            onChange={() => update('stationAhead', { favorites: !settings.stationAhead.favorites })}
+          />
+          <Toggle
+            label={t('alerts.cheapest')}
+            checked={settings.stationAhead.cheapest}
+            disabled={off || !settings.stationAhead.enabled}
+            onChange={() => update('stationAhead', { cheapest: !settings.stationAhead.cheapest })}
+          />
+        </div>
+      </div>
+
+      {/* Last station before a gap */}
+      <div className="mt-3 pt-3 border-t border-gray-100">
+        <Toggle
+          label={`⚠️ ${t('alerts.lastStation')}`}
+          checked={settings.lastStation.enabled}
+          disabled={off}
+          onChange={() => update('lastStation', { enabled: !settings.lastStation.enabled })}
+        />
+        <DistanceField
+          label={t('alerts.gap', { unit })}
+          miles={settings.lastStation.gapMiles}
+          disabled={off || !settings.lastStation.enabled}
+          onChange={(miles) => update('lastStation', { gapMiles: miles })}
+        />
+      </div>
+
+      {/* Quiet hours */}
+      <div className="mt-3 pt-3 border-t border-gray-100">
+        <Toggle
+          label={`🌙 ${t('alerts.quietHours')}`}
+          checked={settings.quietHours.enabled}
+          disabled={off}
+          onChange={() => update('quietHours', { enabled: !settings.quietHours.enabled })}
+        />
+        <div className="grid grid-cols-2 gap-2 mt-1 ml-6">
+          {['start', 'end'].map((field) => (
+            <label key={field} className="text-xs font-semibold text-gray-600">
+              {t(field === 'start' ? 'alerts.from' : 'alerts.to')}
+              <input
+                type="time"
+                value={settings.quietHours[field]}
+                disabled={off || !settings.quietHours.enabled}
+                onChange={(event) => event.target.value && update('quietHours', { [field]: event.target.value })}
+                className="w-full mt-1 border border-gray-300 rounded-lg px-2 py-1 text-sm bg-surface"
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-500 mt-3">{t('alerts.note')}</p>
+    </div>
+  )
+}
@@ -0,0 +1,114 @@
+/**
+ * Price Report Form Component
+ *
+ * Lets a rider report the price of a fuel grade at a station, per gallon or
+ * per liter depending on their units (reports are always stored per gallon,
+ * with the rider's currency).
+ */
+
+import { useState } from 'react'
+import { PRICE_GRADES, PRICE_LIMITS, formatPrice, submitPriceReport } from '../utils/fuelPrices'
+import { stationKey } from '../utils/favorites'
+import {
+  unitLabels,
+  currencySymbol,
+  getUnits,
+  toDisplayUnitPrice,
+  fromDisplayUnitPrice,
+  roundForInput,
+} from '../utils/units'
+import { t } from '../utils/i18n'
+
+export default function PriceReportForm({ station, onSubmitted, onClose }) {
+  const [grade, setGrade] = useState(PRICE_GRADES[0].key)
+  const [price, setPrice] = useState('')
+  const [error, setError] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const { currency } = getUnits()
+  const limits = PRICE_LIMITS[currency]
+
+  /**
+   * Validate locally, then send the report to /api/prices
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+
+    const value = fromDisplayUnitPrice(parseFloat(price))
+    if (Number.isNaN(value) || value < limits.min || value > limits.max) {
+      setError(t('priceReport.outOfRange', { min: formatPrice(limits.min), max: formatPrice(limits.max) }))
+      return
+    }
+
+    setIsSubmitting(true)
+    setError(null)
+    try {
+      const report = await submitPriceReport({ stationKey: stationKey(station), grade, price: value, currency })
+      onSubmitted(report)
+    } catch (err) {
+      setError(err.message)
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="absolute top-20 left-4 right-4 z-[1002] bg-surface rounded-2xl shadow-2xl p-4 max-w-sm mx-auto"
+    >
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="font-bold text-lg text-gray-800">💲 {t('action.reportPrice')}</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('priceReport.close')}
+        >
+          ✕
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-3 truncate">{t('fillUp.at', { name: station.name })}</p>
+
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-xs font-semibold text-gray-600">
+          {t('filters.grade')}
+          <select
+            value={grade}
+            onChange={(e) => setGrade(e.target.value)}
+            className="w-full mt-1 border border-gray-300 rounded-lg px-2 py-1 text-sm bg-surface"
+          >
+            {PRICE_GRADES.map((g) => (
+              <option key={g.key} value={g.key}>
+                {t(`grade.${g.key}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs font-semibold text-gray-600">
+          {t('priceReport.price', { unit: `${currencySymbol()}/${unitLabels().volume}` })}
+          <input
+            type="number"
+            inputMode="decimal"
+            min={roundForInput(toDisplayUnitPrice(limits.min), 3)}
+            max={roundForInput(toDisplayUnitPrice(limits.max), 3)}
+            step="0.001"
+            value={price}
+            onChange={(e) => setPrice(e.target.value)}
+            className="w-full mt-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            required
+          />
+        </label>
+      </div>
+
+      {error && <p className="text-xs font-semibold text-red-600 dark:text-red-400 mt-2">{error}</p>}
+
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="mt-3 w-full bg-gradient-to-r from-teal to-sky-pastel text-white font-semibold py-2 px-4 rounded-lg text-sm hover:shadow-lg transition-all disabled:opacity-60"
+      >
+        {isSubmitting ? t('priceReport.sending') : t('priceReport.submit')}
+      </button>
+    </form>
+  )
+}
@@ -0,0 +1,206 @@
+/**
+ * Ride Log Component
+ *
+ * Records rides and lists past ones:
+ * - Start/stop recording, with live distance and moving time
+ * - Distance recorded since the last fill-up
+ * - Each ride's distance, moving time and speeds
+ * - Show a ride on the map, export it as GPX or GeoJSON, or delete it
+ * - Import GPX/GeoJSON tracks to view older rides
+ */
+
+import { useMemo, useRef, useState } from 'react'
+import { formatDistance } from '../utils/getNearestStation'
+import { rideStats, milesRiddenSince, rideToGPX, rideToGeoJSON, rideFromFile } from '../utils/rideLog'
+import { t, formatLocale } from '../utils/i18n'
+import { getUnits, formatSpeed } from '../utils/units'
+
+/**
+ * Format minutes as "1 h 05 min" or "12 min"
+ */
+function formatMinutes(minutes) {
+  if (minutes == null) return '—'
+  const rounded = Math.round(minutes)
+  if (rounded < 60) return `${rounded} min`
+  return `${Math.floor(rounded / 60)} h ${String(rounded % 60).padStart(2, '0')} min`
+}
+
+/**
+ * Format a timestamp as a short date and time on the rider's clock (e.g. "Oct 3, 5:12 PM")
+ */
+function formatDateTime(timestamp) {
+  return new Date(timestamp).toLocaleString(formatLocale(), {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: getUnits().clock === '12h',
+  })
+}
+
+/**
+ * Save text as a file download
+ */
+function download(text, fileName, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+export default function RideLog({
+  rides,
+  recording,
+  viewedRideId,
+  lastFillUpDate,
+  onToggleRecording,
+  onView,
+  onImport,
+  onDelete,
+  onClose,
+}) {
+  const fileInputRef = useRef(null)
+  const [importMessage, setImportMessage] = useState(null)
+
+  const recordingStats = useMemo(() => recording && rideStats(recording.points), [recording])
+  const rideList = useMemo(() => rides.map((ride) => ({ ride, stats: rideStats(ride.points) })), [rides])
+  const sinceFillUp = useMemo(
+    () => (lastFillUpDate ? milesRiddenSince(rides, lastFillUpDate) : null),
+    [rides, lastFillUpDate]
+  )
+
+  /**
+   * Download a ride in the chosen format
+   */
+  const handleExport = (ride, format) => {
+    const baseName = `mopedfuel-ride-${new Date(ride.startedAt).toISOString().slice(0, 10)}`
+    if (format === 'gpx') download(rideToGPX(ride), `${baseName}.gpx`, 'application/gpx+xml')
+    else download(rideToGeoJSON(ride), `${baseName}.geojson`, 'application/geo+json')
+  }
+
+  /**
+   * Read a GPX or GeoJSON file chosen by the rider
+   */
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const ride = rideFromFile(await file.text(), file.name)
+      onImport(ride)
+      setImportMessage(t('rides.imported', { name: ride.name }))
+    } catch (error) {
+      setImportMessage(error.message)
+    }
+  }
+
+  return (
+    <div className="absolute top-16 right-0 bottom-0 z-[1001] w-80 max-w-[90vw] bg-surface shadow-2xl flex flex-col">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+        <h2 className="font-bold text-lg text-gray-800">🛣️ {t('rides.title')}</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('rides.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      {/* Recording */}
+      <div className="px-4 py-3 border-b border-gray-100">
+        {recording && (
+          <p className="text-sm text-gray-700 mb-2">
+            <span className="text-coral font-bold">● {t('rides.recording')}</span> · {formatDistance(recordingStats.distance)} ·{' '}
+            {t('rides.moving', { time: formatMinutes(recordingStats.movingTime) })}
+          </p>
+        )}
+        <button
+          onClick={onToggleRecording}
+          className={`w-full font-semibold py-2 rounded-lg text-sm ${
+            recording ? 'bg-surface border border-coral text-coral' : 'bg-coral text-white'
+          }`}
+        >
+          {recording ? `⏹️ ${t('rides.stop')}` : `⏺️ ${t('rides.record')}`}
+        </button>
+        {sinceFillUp !== null && (
+          <p className="text-xs text-gray-500 mt-2">
+            {t('rides.sinceFillUp', { distance: formatDistance(sinceFillUp) })}
+          </p>
+        )}
+      </div>
+
+      {/* Past rides */}
+      <div className="flex-1 overflow-y-auto px-4 py-2">
+        {rideList.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-4">
+            {t('rides.empty')}
+          </p>
+        )}
+        {rideList.map(({ ride, stats }) => (
+          <div
+            key={ride.id}
+            className={`py-2 border-b border-gray-100 text-sm ${viewedRideId === ride.id ? 'bg-purple-pastel bg-opacity-30' : ''}`}
+          >
+            <div className="flex items-start">
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-gray-800 truncate">
+                  {ride.imported && '📥 '}
+                  {ride.name}
+                </p>
+                <p className="text-xs text-gray-500">{formatDateTime(ride.startedAt)}</p>
+                <p className="text-xs text-gray-700">
+                  {formatDistance(stats.distance)} · {t('rides.moving', { time: formatMinutes(stats.movingTime) })}
+                  {stats.averageSpeed && ` · ${t('rides.average', { speed: formatSpeed(stats.averageSpeed) })}`}
+                  {stats.topSpeed && ` · ${t('rides.top', { speed: formatSpeed(stats.topSpeed) })}`}
+                </p>
+              </div>
+              <button
+                onClick={() => onDelete(ride)}
+                className="ml-2 text-gray-400 hover:text-coral"
+                aria-label={t('rides.delete', { name: ride.name })}
+              >
+                🗑️
+              </button>
+            </div>
+            <div className="flex space-x-2 mt-1">
+              <button
+                onClick={() => onView(viewedRideId === ride.id ? null : ride.id)}
+                className="text-xs font-semibold text-teal"
+              >
+                {viewedRideId === ride.id ? t('rides.hide') : t('list.show')}
+              </button>
+              <button onClick={() => handleExport(ride, 'gpx')} className="text-xs font-semibold text-teal">
+                GPX
+              </button>
+              <button onClick={() => handleExport(ride, 'geojson')} className="text-xs font-semibold text-teal">
+                GeoJSON
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Import */}
+      <div className="px-4 py-3 border-t border-gray-100">
+        {importMessage && <p className="text-xs text-gray-600 mb-2">{importMessage}</p>}
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="w-full bg-surface border border-teal text-teal font-semibold py-2 rounded-lg text-sm"
+        >
+          {t('rides.import')}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".gpx,.geojson,.json,application/gpx+xml,application/geo+json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+    </div>
+  )
+}
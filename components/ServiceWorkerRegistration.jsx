@@ -0,0 +1,32 @@
+'use client'
+
+/**
+ * Service Worker Registration
+ *
+ * Registers public/sw.js for offline support, then hands it the scripts and
+ * styles this page already loaded so the app opens offline after one visit.
+ * The worker's URL names the build, so each deploy installs a fresh worker
+ * that caches its own assets and clears out the last build's.
+ * Skipped in development so cached assets don't get in the way of hot reloading.
+ */
+
+import { useEffect } from 'react'
+
+export default function ServiceWorkerRegistration() {
+  useEffect(() => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return
+
+    navigator.serviceWorker
+      .register(`/sw.js?build=${process.env.NEXT_PUBLIC_BUILD_ID}`)
+      .then(() => navigator.serviceWorker.ready)
+      .then((registration) => {
+        const urls = performance.getEntriesByType('resource').map((entry) => entry.name)
+        registration.active?.postMessage({ type: 'cache-assets', urls })
+      })
+      .catch((error) => {
+        console.error('Service worker registration failed:', error)
+      })
+  }, [])
+
+  return null
+}
@@ -0,0 +1,110 @@
+/**
+ * Settings Panel Component
+ *
+ * Lets the rider pick:
+ * - The app's language
+ * - Distances in miles or kilometers, fuel in gallons or liters
+ * - A 12- or 24-hour clock, and the currency prices are shown in
+ *
+ * Starts from what the browser's locale suggests; "Use my device settings"
+ * goes back to that. Ride alerts have their own panel, opened from here.
+ */
+
+import { LOCALES, detectLocale, formatLocale, t } from '../utils/i18n'
+import { UNIT_OPTIONS, unitsForLocale } from '../utils/units'
+
+/**
+ * A row of buttons for picking one option
+ */
+function Choice({ label, options, value, onChange }) {
+  return (
+    <div className="mb-3">
+      <p className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">{label}</p>
+      <div className="flex gap-2">
+        {options.map((option) => (
+          <button
+            key={option.key}
+            onClick={() => onChange(option.key)}
+            aria-pressed={value === option.key}
+            className={`flex-1 px-2 py-1 rounded-lg text-xs font-semibold border transition-colors ${
+              value === option.key ? 'bg-teal text-white border-teal' : 'bg-surface text-gray-700 border-gray-300'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default function SettingsPanel({ preferences, onChange, onOpenNotifications, onClose }) {
+  const { locale, units } = preferences
+
+  const setUnit = (field) => (value) => onChange({ ...preferences, units: { ...units, [field]: value } })
+  const unitOptions = (field) => UNIT_OPTIONS[field].map((key) => ({ key, label: t(`units.${key}`) }))
+
+  const currencyNames = new Intl.DisplayNames([formatLocale()], { type: 'currency' })
+
+  return (
+    <div className="absolute top-20 left-4 right-4 z-[1001] bg-surface rounded-2xl shadow-2xl p-4 max-w-sm mx-auto max-h-[70vh] overflow-y-auto">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-bold text-lg text-gray-800">⚙️ {t('settings.title')}</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('settings.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      <Choice
+        label={t('settings.language')}
+        options={LOCALES}
+        value={locale}
+        onChange={(key) => onChange({ ...preferences, locale: key })}
+      />
+      {['distance', 'volume', 'clock'].map((field) => (
+        <Choice
+          key={field}
+          label={t(`settings.${field}`)}
+          options={unitOptions(field)}
+          value={units[field]}
+          onChange={setUnit(field)}
+        />
+      ))}
+
+      <label className="block text-xs font-semibold text-gray-500 uppercase tracking-wide">
+        {t('settings.currency')}
+        <select
+          value={units.currency}
+          onChange={(event) => setUnit('currency')(event.target.value)}
+          className="w-full mt-1 border border-gray-300 rounded-lg px-2 py-1 text-sm font-normal normal-case tracking-normal text-gray-800 bg-surface"
+        >
+          {UNIT_OPTIONS.currency.map((code) => (
+            <option key={code} value={code}>
+              {code} - {currencyNames.of(code)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <p className="text-xs text-gray-500 mt-1">{t('settings.currencyNote')}</p>
+
+      <button
+        onClick={onOpenNotifications}
+        className="mt-4 w-full flex items-center justify-between bg-surface border border-gray-300 text-gray-800 font-semibold px-3 py-2 rounded-lg text-sm"
+      >
+        <span>🔔 {t('settings.alerts')}</span>
+        <span aria-hidden="true">›</span>
+      </button>
+
+      <button
+        onClick={() => onChange({ locale: detectLocale(), units: unitsForLocale(navigator.language) })}
+        className="mt-2 w-full bg-surface border border-teal text-teal font-semibold py-2 rounded-lg text-sm"
+      >
+        {t('settings.reset')}
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,168 @@
+/**
+ * Share Panel Component
+ *
+ * Lets the rider share their ride live with friends:
+ * - Pick how long to share for (sharing always ends by itself)
+ * - Copy or send the read-only link
+ * - See when sharing ends, and stop it early
+ */
+
+import { useEffect, useState } from 'react'
+import { SHARE_DURATIONS, MAX_SHARE_NAME_LENGTH, liveShareUrl } from '../utils/liveShare'
+import { loadJSON, saveJSON } from '../utils/storage'
+import { t } from '../utils/i18n'
+
+/**
+ * Format a number of minutes as e.g. "30 min", "1 h 15 min" or "4 hours"
+ */
+function formatShareTime(minutes) {
+  if (minutes < 60) return t('share.minutes', { count: minutes })
+  if (minutes % 60 === 0) return t('share.hours', { count: minutes / 60 })
+  return t('share.hoursMinutes', { hours: Math.floor(minutes / 60), minutes: minutes % 60 })
+}
+
+export default function SharePanel({ session, onStart, onStop, onClose }) {
+  const [minutes, setMinutes] = useState(SHARE_DURATIONS[1].minutes)
+  const [name, setName] = useState('')
+  const [isStarting, setIsStarting] = useState(false)
+  const [error, setError] = useState(null)
+  const [copied, setCopied] = useState(false)
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => setName(loadJSON('shareName', '')), [])
+
+  // Keep "ends in" current
+  useEffect(() => {
+    if (!session) return
+    const timer = setInterval(() => setNow(Date.now()), 30000)
+    return () => clearInterval(timer)
+  }, [session])
+
+  const url = session && liveShareUrl(session.id)
+  const minutesLeft = session && Math.max(Math.ceil((session.expiresAt - now) / 60000), 0)
+
+  const handleStart = async () => {
+    setIsStarting(true)
+    setError(null)
+    saveJSON('shareName', name.trim())
+    try {
+      await onStart({ minutes, name: name.trim() })
+    } catch (err) {
+      setError(err.message)
+    }
+    setIsStarting(false)
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch {
+      setError(t('share.copyFailed'))
+    }
+  }
+
+  const handleSend = () => {
+    navigator.share({ title: t('share.title'), url }).catch(() => {})
+  }
+
+  return (
+    <div className="absolute top-20 left-4 right-4 z-[1002] bg-surface rounded-2xl shadow-2xl p-4 max-w-sm mx-auto">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="font-bold text-lg text-gray-800">📡 {t('share.heading')}</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('share.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      {!session ? (
+        <>
+          <p className="text-xs text-gray-600 mb-3">
+            {t('share.intro')}
+          </p>
+
+          <label className="block text-xs font-semibold text-gray-700 mb-1" htmlFor="share-name">
+            {t('share.name')}
+          </label>
+          <input
+            id="share-name"
+            type="text"
+            value={name}
+            maxLength={MAX_SHARE_NAME_LENGTH}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t('share.namePlaceholder')}
+            className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm mb-3"
+          />
+
+          <p className="text-xs font-semibold text-gray-700 mb-1">{t('share.for')}</p>
+          <div className="flex space-x-2 mb-3" role="radiogroup" aria-label={t('share.for')}>
+            {SHARE_DURATIONS.map((duration) => (
+              <button
+                key={duration.minutes}
+                onClick={() => setMinutes(duration.minutes)}
+                role="radio"
+                aria-checked={minutes === duration.minutes}
+                className={`flex-1 py-1 rounded-lg text-sm font-semibold border ${
+                  minutes === duration.minutes ? 'bg-teal text-white border-teal' : 'bg-surface text-gray-700 border-gray-300'
+                }`}
+              >
+                {formatShareTime(duration.minutes)}
+              </button>
+            ))}
+          </div>
+
+          <button
+            onClick={handleStart}
+            disabled={isStarting}
+            className="w-full bg-coral text-white font-semibold py-2 rounded-lg text-sm disabled:opacity-60"
+          >
+            {isStarting ? t('share.starting') : t('share.start')}
+          </button>
+        </>
+      ) : (
+        <>
+          <p className="text-sm text-gray-700 mb-2">
+            <span className="text-coral font-bold">● {t('share.live')}</span> ·{' '}
+            {t('share.endsIn', { time: formatShareTime(minutesLeft) })}
+          </p>
+
+          <input
+            type="text"
+            readOnly
+            value={url}
+            onFocus={(e) => e.target.select()}
+            className="w-full border border-gray-300 rounded-lg px-2 py-1 text-xs text-gray-700 mb-2"
+            aria-label={t('share.link')}
+          />
+          <div className="flex space-x-2 mb-3">
+            <button onClick={handleCopy} className="flex-1 bg-teal text-white font-semibold py-2 rounded-lg text-sm">
+              {copied ? t('share.copied') : t('share.copy')}
+            </button>
+            {typeof navigator !== 'undefined' && navigator.share && (
+              <button
+                onClick={handleSend}
+                className="flex-1 bg-surface border border-teal text-teal font-semibold py-2 rounded-lg text-sm"
+              >
+                {t('share.send')}
+              </button>
+            )}
+          </div>
+
+          <button
+            onClick={onStop}
+            className="w-full bg-surface border border-coral text-coral font-semibold py-2 rounded-lg text-sm"
+          >
+            ⏹️ {t('share.stop')}
+          </button>
+        </>
+      )}
+
+      {error && <p className="text-xs text-red-600 dark:text-red-400 mt-2">{error}</p>}
+    </div>
+  )
+}
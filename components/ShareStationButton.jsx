@@ -0,0 +1,38 @@
+'use client'
+
+/**
+ * Share Station Button Component
+ *
+ * Sends the station page's link with the Web Share API, or copies it where the
+ * browser can't share. Used on the server-rendered /station pages, in the
+ * language the page was rendered in.
+ */
+
+import { useState } from 'react'
+import { shareLink } from '../utils/deepLinks'
+import { t, withLocale } from '../utils/i18n'
+
+const RESULT_KEYS = {
+  copied: 'stationPage.copied',
+  failed: 'stationPage.shareFailed',
+}
+
+export default function ShareStationButton({ name, locale }) {
+  const [result, setResult] = useState(null)
+
+  const handleShare = async () => {
+    const text = withLocale(locale, () => t('share.stationText', { name }))
+    const outcome = await shareLink({ title: name, text, url: window.location.href })
+    setResult(outcome)
+    if (outcome === 'copied') setTimeout(() => setResult(null), 2000)
+  }
+
+  return (
+    <button
+      onClick={handleShare}
+      className="w-full bg-surface border border-teal text-teal font-semibold py-2 px-4 rounded-lg text-sm hover:shadow-lg transition-all"
+    >
+      {withLocale(locale, () => (RESULT_KEYS[result] ? t(RESULT_KEYS[result]) : `${t('stationPage.share')} 🔗`))}
+    </button>
+  )
+}
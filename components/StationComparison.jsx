@@ -0,0 +1,110 @@
+/**
+ * Station Comparison Component
+ *
+ * Lists the stations compared for the current pick, quickest first:
+ * - Road distance, ride time and ETA for each
+ * - Latest reported price for the selected grade, and range warnings
+ * - Tap a station to make it the active route, or go back to the automatic pick
+ */
+
+import { calculateETA, formatDistance, formatTimeAgo } from '../utils/getNearestStation'
+import { formatPrice, getStationPrice } from '../utils/fuelPrices'
+import { getRoutingProfile } from '../utils/routingProfiles'
+import { stationKey } from '../utils/favorites'
+import { t } from '../utils/i18n'
+
+export default function StationComparison({
+  stations,
+  activeKey,
+  chosenKey,
+  vehicle,
+  prices,
+  priceGrade,
+  onChoose,
+  onResetChoice,
+  onClose,
+}) {
+  const gradeLabel = t(`grade.${priceGrade}`)
+  const verb = getRoutingProfile(vehicle.routingProfile).verb
+
+  return (
+    <div className="absolute top-16 right-0 bottom-0 z-[1001] w-80 max-w-[90vw] bg-surface shadow-2xl flex flex-col">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+        <h2 className="font-bold text-lg text-gray-800">⚖️ {t('compare.title')}</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('compare.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      <p className="px-4 py-2 text-xs text-gray-500 border-b border-gray-100">
+        {t('compare.intro')}
+      </p>
+
+      {chosenKey && (
+        <button
+          onClick={onResetChoice}
+          className="mx-4 my-2 bg-surface border border-teal text-teal font-semibold py-2 rounded-lg text-sm"
+        >
+          ↩️ {t('compare.reset')}
+        </button>
+      )}
+
+      <ol className="flex-1 overflow-y-auto">
+        {stations.length === 0 && (
+          <li className="px-4 py-6 text-sm text-gray-500 text-center">{t('compare.empty')}</li>
+        )}
+
+        {stations.map((station, index) => {
+          const key = stationKey(station)
+          const isActive = key === activeKey
+          const price = getStationPrice(prices, key, priceGrade)
+          const hasTime = station.duration != null && !station.routeError
+
+          return (
+            <li key={key} className={`border-b border-gray-100 ${isActive ? 'bg-yellow-pastel bg-opacity-40' : ''}`}>
+              <button
+                onClick={() => onChoose(station)}
+                className="w-full flex items-start px-4 py-3 text-left"
+                aria-current={isActive ? 'true' : undefined}
+              >
+                <span className="w-6 flex-shrink-0 font-bold text-gray-400">{index + 1}</span>
+                <span className="flex-1 min-w-0">
+                  <span className="block font-semibold text-gray-800 truncate">
+                    {station.name}
+                    {isActive && <span className="ml-1 text-xs font-bold text-coral">· {key === chosenKey ? t('station.yourPick') : t('compare.active')}</span>}
+                  </span>
+                  <span className="block text-xs text-gray-600 mt-1">
+                    📍 {formatDistance(station.roadDistance ?? station.distance)}
+                    {hasTime
+                      ? ` · ⏱️ ${t(`duration.${verb}`, { minutes: Math.ceil(station.duration) })} · ${t('duration.eta', {
+                          eta: calculateETA(station.duration),
+                        })}`
+                      : ` · ${t('compare.noRoute')}`}
+                  </span>
+                  {price && (
+                    <span className="block text-xs text-gray-700 mt-0.5">
+                      💲 {gradeLabel}: <span className="font-semibold">{formatPrice(price.price)}</span>
+                      <span className="text-gray-500"> · {formatTimeAgo(price.reportedAt)}</span>
+                    </span>
+                  )}
+                  {station.reach?.status === 'reserve' && (
+                    <span className="block text-xs font-semibold text-orange-700 dark:text-orange-300 mt-0.5">
+                      ⚠️ {t('compare.reserve', { distance: formatDistance(station.reach.rangeLeft) })}
+                    </span>
+                  )}
+                  {station.reach?.status === 'unreachable' && (
+                    <span className="block text-xs font-semibold text-red-600 dark:text-red-400 mt-0.5">🚫 {t('station.beyondRange')}</span>
+                  )}
+                </span>
+              </button>
+            </li>
+          )
+        })}
+      </ol>
+    </div>
+  )
+}
@@ -0,0 +1,121 @@
+/**
+ * Station List Component
+ *
+ * The stations on the map as a list, closest first - a way to browse them
+ * without the map, by keyboard or with a screen reader:
+ * - Each station is a focusable button with a full spoken label
+ * - "Show" moves the map to the station, "Details" opens its sheet
+ * - Follows the map: same filters, same nearest pick, updated as you move
+ * - Escape closes the list
+ */
+
+import { useEffect, useMemo, useRef } from 'react'
+import { formatDistance } from '../utils/getNearestStation'
+import { formatPrice, getStationPrice } from '../utils/fuelPrices'
+import { stationKey } from '../utils/favorites'
+import { describeStation } from '../utils/accessibility'
+import { t } from '../utils/i18n'
+
+// Keep the list short enough to tab through
+const MAX_LISTED = 50
+
+export default function StationList({
+  stations,
+  nearestKey,
+  favorites,
+  prices,
+  priceGrade,
+  onSelect,
+  onShowDetails,
+  onClose,
+}) {
+  const closeRef = useRef(null)
+
+  // Start keyboard focus inside the list when it opens
+  useEffect(() => {
+    closeRef.current?.focus()
+  }, [])
+
+  const sorted = useMemo(
+    () => [...stations].sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity)).slice(0, MAX_LISTED),
+    [stations]
+  )
+
+  return (
+    <div
+      role="dialog"
+      aria-labelledby="station-list-title"
+      onKeyDown={(event) => event.key === 'Escape' && onClose()}
+      className="absolute top-16 right-0 bottom-0 z-[1001] w-80 max-w-[90vw] bg-surface shadow-2xl flex flex-col"
+    >
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+        <h2 id="station-list-title" className="font-bold text-lg text-gray-800">
+          📋 {t('list.title')}
+        </h2>
+        <button
+          ref={closeRef}
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('list.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      {stations.length > MAX_LISTED && (
+        <p className="px-4 py-2 text-xs text-gray-500 border-b border-gray-100">
+          {t('list.closest', { count: MAX_LISTED, total: stations.length })}
+        </p>
+      )}
+
+      <ol className="flex-1 overflow-y-auto">
+        {sorted.length === 0 && <li className="px-4 py-6 text-sm text-gray-500 text-center">{t('list.empty')}</li>}
+
+        {sorted.map((station) => {
+          const key = stationKey(station)
+          const isNearest = key === nearestKey
+          const isFavorite = Boolean(favorites[key])
+          const price = getStationPrice(prices, key, priceGrade)
+
+          return (
+            <li
+              key={key}
+              aria-current={isNearest || undefined}
+              className={`flex items-center px-4 py-3 border-b border-gray-100 ${isNearest ? 'bg-orange-pastel' : ''}`}
+            >
+              <button
+                onClick={() => onSelect(station)}
+                className="flex-1 min-w-0 text-left"
+                aria-label={`${describeStation(station, { isNearest, isFavorite, price, grade: priceGrade })}. ${t(
+                  'list.show'
+                )}`}
+              >
+                <p className="font-semibold text-gray-800 truncate">
+                  {isNearest && '⭐ '}
+                  {isFavorite && '💛 '}
+                  {station.name || t('station.unnamed')}
+                </p>
+                <p className="text-xs text-gray-600 mt-1">
+                  📍 {formatDistance(station.distance)}
+                  {price && ` · 💲 ${formatPrice(price.price)}`}
+                </p>
+                {station.reach?.status === 'unreachable' && (
+                  <p className="text-xs font-semibold text-red-600 dark:text-red-400 mt-1">
+                    🚫 {t('station.beyondRange')}
+                  </p>
+                )}
+              </button>
+              <button
+                onClick={() => onShowDetails(station)}
+                className="ml-2 text-teal font-semibold text-sm hover:underline flex-shrink-0"
+                aria-label={t('list.detailsFor', { name: station.name || t('station.unnamed') })}
+              >
+                {t('list.details')} ›
+              </button>
+            </li>
+          )
+        })}
+      </ol>
+    </div>
+  )
+}
@@ -0,0 +1,245 @@
+/**
+ * Station Sheet Component
+ *
+ * Bottom sheet with everything we know about one station:
+ * - Full address, phone and website
+ * - Road distance and ETA from where the rider is
+ * - Latest crowd-sourced prices
+ * - Opening hours as a weekly table, fuels, payment methods and amenities
+ * - Actions (navigate, favorite, report price, log fill-up, share)
+ * - Links to photos, and to fix the station on OpenStreetMap
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { fetchRoute, calculateETA, formatDistance, formatTimeAgo } from '../utils/getNearestStation'
+import { routeOptionsFor, getRoutingProfile, googleMapsUrl } from '../utils/routingProfiles'
+import { PRICE_GRADES, formatPrice } from '../utils/fuelPrices'
+import { stationDetails, osmEditUrl, osmReportUrl, stationPhotosUrl } from '../utils/stationDetails'
+import { t } from '../utils/i18n'
+
+/**
+ * A titled list of small labels
+ */
+function Chips({ title, labels }) {
+  if (labels.length === 0) return null
+
+  return (
+    <div className="mb-3">
+      <h3 className="text-xs font-bold text-gray-500 uppercase tracking-wide mb-1">{title}</h3>
+      <div className="flex flex-wrap gap-1">
+        {labels.map((label) => (
+          <span key={label} className="bg-sky-pastel bg-opacity-50 text-gray-800 text-xs font-semibold px-2 py-0.5 rounded-full">
+            {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default function StationSheet({
+  station,
+  userLocation,
+  vehicle,
+  prices,
+  isFavorite,
+  onToggleFavorite,
+  onNavigate,
+  onReportPrice,
+  onLogFillUp,
+  onShare,
+  onClose,
+}) {
+  // Route from where the rider was when the sheet opened - it's opened fresh for each station
+  const originRef = useRef(userLocation)
+  const [route, setRoute] = useState(null)
+  const [routeError, setRouteError] = useState(null)
+
+  const details = useMemo(() => stationDetails(station), [station])
+  const today = new Date().getDay()
+  const editUrl = osmEditUrl(station)
+  const reportUrl = osmReportUrl(station)
+
+  useEffect(() => {
+    let cancelled = false
+
+    fetchRoute(originRef.current, station, routeOptionsFor(vehicle))
+      .then((result) => !cancelled && setRoute(result))
+      .catch((error) => !cancelled && setRouteError(error.message))
+
+    return () => {
+      cancelled = true
+    }
+  }, [station, vehicle])
+
+  return (
+    <div
+      className="absolute bottom-0 left-0 right-0 z-[1002] bg-surface rounded-t-3xl shadow-2xl max-h-[75vh] overflow-y-auto max-w-lg mx-auto px-4 pb-6 pt-2"
+      role="dialog"
+      aria-label={t('sheet.label', { name: station.name })}
+    >
+      <div className="w-10 h-1 bg-gray-300 rounded-full mx-auto mb-3" aria-hidden="true" />
+
+      <div className="flex items-start justify-between mb-1">
+        <div className="min-w-0">
+          <h2 className="font-bold text-xl text-gray-800">{station.name}</h2>
+          {(station.brand || station.operator) && (
+            <p className="text-sm text-gray-600">
+              🏷️ {[station.brand, station.operator].filter((value, i, all) => value && all.indexOf(value) === i).join(' · ')}
+            </p>
+          )}
+        </div>
+        <div className="flex items-center space-x-2 ml-2">
+          {onToggleFavorite && (
+            <button
+              onClick={() => onToggleFavorite(station)}
+              className="text-2xl leading-none hover:scale-110 transition-transform"
+              aria-label={isFavorite ? t('favorite.remove') : t('favorite.add')}
+              aria-pressed={isFavorite}
+            >
+              {isFavorite ? '💛' : '🤍'}
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+            aria-label={t('sheet.close')}
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      {station.address && <p className="text-sm text-gray-700 mb-2">📍 {station.address}</p>}
+
+      {/* Road distance and ETA */}
+      <p className="text-sm font-semibold text-coral mb-3">
+        {route
+          ? [
+              t('sheet.byRoad', { distance: formatDistance(route.distance) }),
+              t(`duration.${getRoutingProfile(vehicle.routingProfile).verb}`, { minutes: Math.ceil(route.duration) }),
+              t('duration.eta', { eta: calculateETA(route.duration) }),
+            ].join(' · ')
+          : routeError || t('sheet.routing')}
+      </p>
+
+      {/* Contact */}
+      {(details.phone || details.website) && (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm mb-3">
+          {details.phone && (
+            <a href={`tel:${details.phone.replace(/[^\d+]/g, '')}`} className="text-teal font-semibold">
+              📞 {details.phone}
+            </a>
+          )}
+          {details.website && (
+            <a href={details.website} target="_blank" rel="noopener noreferrer" className="text-teal font-semibold truncate">
+              🌐 {details.website.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '')}
+            </a>
+          )}
+        </div>
+      )}
+
+      {/* Latest crowd-sourced prices */}
+      {prices && (
+        <div className="text-sm text-gray-700 mb-3">
+          {PRICE_GRADES.filter((grade) => prices[grade.key]).map((grade) => (
+            <p key={grade.key}>
+              💲 {t(`grade.${grade.key}`)}: <span className="font-semibold">{formatPrice(prices[grade.key].price)}</span>
+              <span className="text-gray-500"> · {formatTimeAgo(prices[grade.key].reportedAt)}</span>
+            </p>
+          ))}
+        </div>
+      )}
+
+      {/* Opening hours */}
+      {details.openingHours && (
+        <div className="mb-3">
+          <h3 className="text-xs font-bold text-gray-500 uppercase tracking-wide mb-1">{t('sheet.hours')}</h3>
+          {details.hoursTable ? (
+            <table className="w-full text-sm">
+              <tbody>
+                {details.hoursTable.map((row) => {
+                  const style = row.dayIndex === today ? 'font-bold text-gray-900' : 'font-normal text-gray-700'
+                  return (
+                    <tr key={row.day}>
+                      <th scope="row" className={`text-left py-0.5 pr-4 w-28 ${style}`}>
+                        {row.day}
+                      </th>
+                      <td className={`py-0.5 ${style}`}>{row.hours}</td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          ) : (
+            // Hours in a form we can't lay out as a table
+            <p className="text-sm text-gray-700">{details.openingHours}</p>
+          )}
+        </div>
+      )}
+
+      <Chips title={t('filters.fuel')} labels={details.fuels} />
+      <Chips title={t('filters.payment')} labels={details.payments} />
+      <Chips title={t('filters.amenities')} labels={details.amenities} />
+
+      {/* Actions */}
+      <div className="grid grid-cols-2 gap-2 mt-4">
+        <button
+          onClick={() => window.open(googleMapsUrl(originRef.current, station, vehicle.routingProfile), '_blank')}
+          className="bg-gradient-to-r from-teal to-sky-pastel text-white font-semibold py-2 rounded-lg text-sm"
+        >
+          {t('action.directions')} 🗺️
+        </button>
+        {onNavigate && (
+          <button
+            onClick={() => onNavigate(station)}
+            className="bg-gradient-to-r from-coral to-orange-pastel text-white font-semibold py-2 rounded-lg text-sm"
+          >
+            {t('action.navigate')} 🧭
+          </button>
+        )}
+        {onReportPrice && (
+          <button
+            onClick={() => onReportPrice(station)}
+            className="bg-surface border border-teal text-teal font-semibold py-2 rounded-lg text-sm"
+          >
+            {t('action.reportPrice')} 💲
+          </button>
+        )}
+        {onLogFillUp && (
+          <button
+            onClick={() => onLogFillUp(station)}
+            className="bg-surface border border-coral text-coral font-semibold py-2 rounded-lg text-sm"
+          >
+            {t('action.logFillUp')} ⛽
+          </button>
+        )}
+        {onShare && (
+          <button
+            onClick={() => onShare(station)}
+            className="bg-surface border border-gray-300 text-gray-700 font-semibold py-2 rounded-lg text-sm"
+          >
+            {t('action.share')} 🔗
+          </button>
+        )}
+      </div>
+
+      {/* Outside links */}
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs font-semibold mt-4">
+        <a href={stationPhotosUrl(station)} target="_blank" rel="noopener noreferrer" className="text-teal">
+          📷 {t('sheet.photos')}
+        </a>
+        {reportUrl && (
+          <a href={reportUrl} target="_blank" rel="noopener noreferrer" className="text-teal">
+            ⚠️ {t('sheet.reportProblem')}
+          </a>
+        )}
+        {editUrl && (
+          <a href={editUrl} target="_blank" rel="noopener noreferrer" className="text-teal">
+            ✏️ {t('sheet.editOsm')}
+          </a>
+        )}
+      </div>
+    </div>
+  )
+}
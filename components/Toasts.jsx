@@ -0,0 +1,61 @@
+/**
+ * Toasts Component
+ *
+ * Non-blocking notices stacked under the status bar:
+ * - Errors say what failed and can offer an action (e.g. "Retry")
+ * - Notices with a `timeoutMs` dismiss themselves
+ * - Every notice can be closed by hand
+ *
+ * Each toast is {id, message, tone: 'error'|'warning'|'info', action?: {label, onClick}, timeoutMs?}.
+ * Showing a toast with an id that's already up replaces it.
+ */
+
+import { useEffect } from 'react'
+import { t } from '../utils/i18n'
+
+const TONE_STYLES = {
+  error: 'bg-coral text-white',
+  warning: 'bg-yellow-pastel text-gray-800',
+  info: 'bg-surface text-gray-800',
+}
+
+function Toast({ toast, onDismiss }) {
+  const { id, message, tone = 'info', action, timeoutMs } = toast
+
+  useEffect(() => {
+    if (!timeoutMs) return
+    const timer = setTimeout(() => onDismiss(id), timeoutMs)
+    return () => clearTimeout(timer)
+  }, [id, timeoutMs, onDismiss])
+
+  return (
+    <div className={`${TONE_STYLES[tone]} rounded-xl shadow-lg px-3 py-2 flex items-center space-x-2 text-sm`}>
+      <p className="flex-1 min-w-0 font-semibold">{message}</p>
+      {action && (
+        <button
+          onClick={() => {
+            onDismiss(id)
+            action.onClick()
+          }}
+          className="flex-shrink-0 bg-surface bg-opacity-90 text-teal font-bold px-2 py-1 rounded-lg text-xs"
+        >
+          {action.label}
+        </button>
+      )}
+      <button onClick={() => onDismiss(id)} className="flex-shrink-0 opacity-70 hover:opacity-100" aria-label={t('toast.dismiss')}>
+        ✕
+      </button>
+    </div>
+  )
+}
+
+export default function Toasts({ toasts, onDismiss }) {
+  // The live region stays mounted so screen readers announce toasts as they're added
+  return (
+    <div className="absolute top-24 left-4 right-4 z-[1003] max-w-sm mx-auto space-y-2" role="status" aria-live="polite">
+      {toasts.map((toast) => (
+        <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,171 @@
+/**
+ * Trip Planner Component
+ *
+ * Plans a ride to a destination:
+ * - Searches for the destination by name
+ * - Routes there, inserting fuel stops wherever the range runs out
+ * - Lists each leg with distance, ride time and ETA
+ */
+
+import { useState } from 'react'
+import { calculateETA, formatDistance } from '../utils/getNearestStation'
+import { planTrip } from '../utils/tripPlanner'
+import { searchPlaces } from '../utils/locations'
+import { toDisplayDistance, unitLabels } from '../utils/units'
+import { t } from '../utils/i18n'
+
+export default function TripPlanner({ userLocation, vehicle, filters, trip, setTrip, onClose }) {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState(null)
+  const [status, setStatus] = useState(null) // 'searching', 'planning' or null
+  const [error, setError] = useState(null)
+
+  /**
+   * Look up places matching the search text
+   */
+  const handleSearch = async (event) => {
+    event.preventDefault()
+    if (!query.trim()) return
+
+    setStatus('searching')
+    setError(null)
+    try {
+      const places = await searchPlaces(query, userLocation)
+      setResults(places)
+      if (places.length === 0) setError(t('places.none', { query }))
+    } catch (err) {
+      setError(err.message)
+    }
+    setStatus(null)
+  }
+
+  /**
+   * Plan the trip to the chosen place
+   */
+  const handlePick = async (place) => {
+    setStatus('planning')
+    setError(null)
+    try {
+      setTrip(await planTrip({ start: userLocation, destination: place, vehicle, filters }))
+      setResults(null)
+    } catch (err) {
+      setError(err.message)
+    }
+    setStatus(null)
+  }
+
+  return (
+    <div className="absolute top-16 right-0 bottom-0 z-[1001] w-80 max-w-[90vw] bg-surface shadow-2xl flex flex-col">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+        <h2 className="font-bold text-lg text-gray-800">🧭 {t('trip.title')}</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('trip.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      {/* Destination search */}
+      <form onSubmit={handleSearch} className="flex px-4 py-3 border-b border-gray-100 space-x-2">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={t('trip.placeholder')}
+          className="flex-1 min-w-0 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          aria-label={t('map.destination')}
+        />
+        <button
+          type="submit"
+          disabled={status !== null}
+          className="bg-teal text-white font-semibold px-3 py-1 rounded-lg text-sm disabled:opacity-60"
+        >
+          {t('places.search')}
+        </button>
+      </form>
+
+      <div className="flex-1 overflow-y-auto">
+        {status && (
+          <p className="px-4 py-3 text-sm text-gray-500">
+            {status === 'searching' ? t('places.searching') : t('trip.planning')}
+          </p>
+        )}
+        {error && <p className="px-4 py-3 text-sm font-semibold text-red-600 dark:text-red-400">{error}</p>}
+
+        {/* Search results */}
+        {results?.map((place) => (
+          <button
+            key={place.id}
+            onClick={() => handlePick(place)}
+            disabled={status !== null}
+            className="block w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-sky-pastel hover:bg-opacity-30"
+          >
+            <p className="font-semibold text-gray-800 truncate">{place.name}</p>
+            <p className="text-xs text-gray-500 truncate">{place.displayName}</p>
+          </button>
+        ))}
+
+        {/* Planned trip */}
+        {trip && !results && (
+          <div className="px-4 py-3">
+            <p className="font-bold text-gray-800">{t('trip.to', { name: trip.destination.name })}</p>
+            <p className="text-sm text-gray-600">
+              {formatDistance(trip.distance)} · {t('duration.minutes', { minutes: Math.ceil(trip.duration) })} ·{' '}
+              {t('trip.arrive', { eta: calculateETA(trip.duration) })}
+            </p>
+            <p className="text-xs text-gray-500 mb-2">
+              {trip.stops.length === 0 ? t('trip.noStops') : t('trip.stops', { count: trip.stops.length })}
+            </p>
+
+            {trip.gap && (
+              <p className="text-xs font-semibold text-white bg-coral rounded-lg px-2 py-1 mb-2">
+                🚫{' '}
+                {t('trip.gap', {
+                  unit: unitLabels().distance,
+                  from: Math.floor(toDisplayDistance(trip.gap.from)),
+                  to: Math.ceil(toDisplayDistance(trip.gap.to)),
+                })}
+              </p>
+            )}
+
+            <ol className="space-y-2">
+              {trip.legs.map((leg, i) => (
+                <li key={i} className="border-l-4 border-teal pl-3">
+                  <p className="text-sm font-semibold text-gray-800 truncate">
+                    {leg.to.isFuelStop ? '⛽' : '🏁'} {leg.to.name}
+                  </p>
+                  <p className="text-xs text-gray-600">
+                    {formatDistance(leg.distance)} · {t('duration.minutes', { minutes: Math.ceil(leg.duration) })} ·{' '}
+                    {t('duration.eta', { eta: calculateETA(leg.arriveIn) })}
+                  </p>
+                  {leg.reach.status !== 'ok' && (
+                    <p className="text-xs font-semibold text-orange-700 dark:text-orange-300">
+                      {leg.reach.status === 'unreachable'
+                        ? `⚠️ ${t('trip.tooLong')}`
+                        : `⚠️ ${t('trip.lowArrival', { distance: formatDistance(leg.reach.rangeLeft) })}`}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ol>
+
+            <button
+              onClick={() => setTrip(null)}
+              className="mt-4 w-full bg-surface border border-coral text-coral font-semibold py-2 rounded-lg text-sm"
+            >
+              {t('trip.clear')}
+            </button>
+          </div>
+        )}
+
+        {!trip && !results && !status && !error && (
+          <p className="px-4 py-6 text-sm text-gray-500 text-center">
+            {t('trip.empty')}
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,161 @@
+/**
+ * Vehicle Panel Component
+ *
+ * Lets the rider describe their moped:
+ * - Tank size and fuel economy
+ * - Current fuel gauge reading
+ * - Reserve threshold for low-range warnings
+ * - How to route: car, moped (no highways, moped speeds) or bicycle
+ *
+ * Logging a fill-up resets the gauge and, once there is enough data,
+ * replaces the mpg guess with the economy measured from the log.
+ *
+ * Fields show and take the rider's units; the vehicle itself stays in
+ * gallons, mpg, miles and mph.
+ */
+
+import { estimateRange } from '../utils/fuelRange'
+import { ROUTING_PROFILES } from '../utils/routingProfiles'
+import { formatDistance } from '../utils/getNearestStation'
+import {
+  unitLabels,
+  economyUnit,
+  formatEconomy,
+  toDisplayVolume,
+  fromDisplayVolume,
+  toDisplayEconomy,
+  fromDisplayEconomy,
+  toDisplayDistance,
+  fromDisplayDistance,
+  roundForInput,
+} from '../utils/units'
+import { t } from '../utils/i18n'
+
+export default function VehiclePanel({ vehicle, setVehicle, loggedMpg, onClose }) {
+  const labels = unitLabels()
+
+  /**
+   * Update a single numeric field, ignoring empty or invalid input
+   *
+   * @param {string} field - Vehicle field
+   * @param {Function} fromDisplay - Converts what the rider typed to the field's unit (optional)
+   */
+  const updateField = (field, fromDisplay = (value) => value) => (event) => {
+    const value = parseFloat(event.target.value)
+    if (Number.isNaN(value) || value < 0) return
+
+    const converted = fromDisplay(value)
+    if (!Number.isFinite(converted)) return
+    setVehicle((prev) => ({ ...prev, [field]: converted }))
+  }
+
+  return (
+    <div className="absolute top-20 left-4 right-4 z-[1001] bg-surface rounded-2xl shadow-2xl p-4 max-w-sm mx-auto">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-bold text-lg text-gray-800">🛵 {t('vehicle.title')}</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-800 text-xl leading-none"
+          aria-label={t('vehicle.close')}
+        >
+          ✕
+        </button>
+      </div>
+
+      {/* Fuel gauge */}
+      <label className="block text-sm font-semibold text-gray-700">
+        {t('vehicle.gauge', { percent: Math.round(vehicle.fuelLevel * 100) })}
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={vehicle.fuelLevel}
+          onChange={updateField('fuelLevel')}
+          className="w-full mt-1 accent-coral"
+        />
+      </label>
+
+      <div className="grid grid-cols-3 gap-2 mt-3">
+        <label className="text-xs font-semibold text-gray-600">
+          {t('vehicle.tank', { unit: labels.volume })}
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={roundForInput(toDisplayVolume(vehicle.tankGallons), 2)}
+            onChange={updateField('tankGallons', fromDisplayVolume)}
+            className="w-full mt-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+        </label>
+        <label className="text-xs font-semibold text-gray-600">
+          {economyUnit() === 'mpg' ? 'MPG' : economyUnit()}
+          <input
+            type="number"
+            min="0"
+            step={economyUnit() === 'mpg' ? '1' : '0.1'}
+            value={roundForInput(toDisplayEconomy(vehicle.mpg), 1)}
+            onChange={updateField('mpg', fromDisplayEconomy)}
+            className="w-full mt-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+        </label>
+        <label className="text-xs font-semibold text-gray-600">
+          {t('vehicle.reserve', { unit: labels.distance })}
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={roundForInput(toDisplayDistance(vehicle.reserveMiles), 1)}
+            onChange={updateField('reserveMiles', fromDisplayDistance)}
+            className="w-full mt-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+        </label>
+      </div>
+
+      {/* Routing profile */}
+      <p className="text-xs font-semibold text-gray-600 mt-3 mb-1">{t('vehicle.routeAs')}</p>
+      <div className="flex gap-2">
+        {Object.values(ROUTING_PROFILES).map((profile) => (
+          <button
+            key={profile.key}
+            onClick={() => setVehicle((prev) => ({ ...prev, routingProfile: profile.key }))}
+            aria-pressed={vehicle.routingProfile === profile.key}
+            className={`flex-1 px-2 py-1 rounded-lg text-xs font-semibold border transition-colors ${
+              vehicle.routingProfile === profile.key
+                ? 'bg-teal text-white border-teal'
+                : 'bg-surface text-gray-700 border-gray-300'
+            }`}
+          >
+            {profile.icon} {t(`profile.${profile.key}`)}
+          </button>
+        ))}
+      </div>
+      {vehicle.routingProfile === 'moped' && (
+        <label className="flex items-center justify-between text-xs font-semibold text-gray-600 mt-2">
+          <span>{t('vehicle.topSpeed', { unit: labels.speed })}</span>
+          <input
+            type="number"
+            min="10"
+            step="1"
+            value={Math.round(toDisplayDistance(vehicle.topSpeedMph))}
+            onChange={updateField('topSpeedMph', fromDisplayDistance)}
+            className="w-16 ml-2 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+        </label>
+      )}
+
+      {loggedMpg && Math.round(loggedMpg) !== vehicle.mpg && (
+        <button
+          onClick={() => setVehicle((prev) => ({ ...prev, mpg: Math.round(loggedMpg) }))}
+          className="mt-2 text-xs font-semibold text-teal"
+        >
+          {t('vehicle.useLogged', { economy: formatEconomy(loggedMpg) })}
+        </button>
+      )}
+
+      <p className="text-sm text-gray-700 mt-3">
+        {t('vehicle.range')} <span className="font-bold">{formatDistance(estimateRange(vehicle))}</span>
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,461 @@
+/**
+ * English UI strings
+ *
+ * Flat keys grouped by prefix. {name} marks a placeholder; an object of plural
+ * forms ({one, other}) is picked by the `count` param. See utils/i18n.
+ */
+
+const en = {
+  'app.loading': 'Warming up your engine...',
+
+  'location.locating': 'Locating...',
+  'location.found': 'Location found',
+  'location.lastKnown': 'Last known location',
+  'location.default': '{name} (Default)',
+
+  'status.location': 'Location',
+  'status.picked': 'Picked',
+  'status.noGps': 'No GPS',
+  'status.locationLabel': 'Location: {address}. Change location',
+  'status.recording': '● REC',
+  'status.recordingLabel': 'Recording a ride. Show rides',
+  'status.live': '📡 Live',
+  'status.liveLabel': 'Sharing your location live. Show sharing',
+  'status.offline': '📴 Offline',
+  'status.cached': '📦 Cached',
+  'status.updated': 'updated {ago}',
+  'status.themeLabel': 'Theme: {mode}. Change theme',
+
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'theme.auto': 'Auto',
+
+  'gps.denied': 'Location access is off',
+  'gps.unavailable': "Can't get a GPS fix",
+  'gps.lost': 'GPS signal lost - your position may be out of date',
+  'gps.unsupported': "This browser can't share your location",
+  'gps.showing': '{message} - showing {name}',
+
+  'toast.rideNeedsGps': 'Recording a ride needs GPS access',
+  'toast.rideTooShort': 'Ride too short to save',
+  'toast.shareEnded': 'Location sharing has ended',
+  'toast.noDirections': 'No turn-by-turn directions to {name}',
+  'toast.straightLine': '{message} - showing straight-line distance',
+  'toast.noStations': 'No gas stations found around here',
+  'toast.stationNotFound': "The linked station isn't on the map any more",
+  'toast.linkCopied': 'Link copied - paste it to a friend',
+  'toast.shareFailed': "Couldn't share the link",
+  'toast.dismiss': 'Dismiss',
+
+  'action.retry': 'Retry',
+  'action.chooseLocation': 'Choose location',
+  'action.navigate': 'Navigate',
+  'action.directions': 'Get Directions',
+  'action.openInMaps': 'Open in Maps',
+  'action.reportPrice': 'Report Price',
+  'action.logFillUp': 'Log Fill-Up',
+  'action.share': 'Share',
+
+  'fab.recenter': 'Recenter map on my location',
+  'fab.follow': 'Follow me - keep the map on me, turned the way I ride',
+  'fab.closest': 'Navigate to closest gas station',
+  'fab.vehicle': 'Set fuel gauge and vehicle',
+  'fab.showNearest': 'Show nearest only',
+  'fab.showAll': 'Show all stations',
+  'fab.favorites': 'Show favorite stations',
+  'fab.trip': 'Plan a trip',
+  'fab.fillUps': 'Show fill-up log',
+  'fab.rides': 'Record and show rides',
+  'fab.share': 'Share my ride live',
+  'fab.filters': 'Filter stations',
+  'fab.settings': 'Language and units',
+  'fab.list': 'List stations',
+  'fab.more': 'More actions',
+  'fab.less': 'Close menu',
+
+  'station.unnamed': 'Gas Station',
+  'station.yourPick': 'Your pick',
+  'station.away': '{distance} away',
+  'station.straightLine': 'Straight-line distance - no route available',
+  'station.noPrices': 'No recent prices within {distance} - showing the nearest station',
+  'station.reserve': 'Only {distance} of range left on arrival - fill up here',
+  'station.outOfRange': 'No station within your {distance} range',
+  'station.beyondRange': 'Beyond your remaining range',
+  'station.compare': { one: 'Compare {count} station', other: 'Compare {count} stations' },
+
+  'duration.drive': '~{minutes} min drive',
+  'duration.ride': '~{minutes} min ride',
+  'duration.minutes': '~{minutes} min',
+  'duration.eta': 'ETA {eta}',
+
+  'grade.regular': 'Regular',
+  'grade.midgrade': 'Midgrade',
+  'grade.premium': 'Premium',
+  'grade.diesel': 'Diesel',
+
+  'favorite.add': 'Add to favorites',
+  'favorite.remove': 'Remove from favorites',
+
+  'map.youAreHere': 'You are here!',
+  'map.cluster': { one: '{count} station - zoom in', other: '{count} stations - zoom in' },
+  'map.details': 'Details, hours & photos',
+  'map.fuelStop': 'Fuel stop {number}',
+  'map.destination': 'Destination',
+  'map.leg': '{distance} · ~{minutes} min · ETA {eta}',
+
+  'list.title': 'Stations',
+  'list.close': 'Close station list',
+  'list.empty': 'No stations on the map yet.',
+  'list.closest': 'The {count} closest of {total} stations',
+  'list.nearest': 'nearest',
+  'list.favorite': 'favorite',
+  'list.show': 'Show on map',
+  'list.details': 'Details',
+  'list.detailsFor': 'Details for {name}',
+
+  'a11y.nearest': 'Nearest station is now {name}, {distance} away',
+
+  'share.stationText': 'Meet me at {name}',
+  'share.heading': 'Share My Ride',
+  'share.close': 'Close sharing',
+  'share.intro': "Friends with the link see your moped, the station you're heading to and your route, live. They can't change anything.",
+  'share.name': 'Your name (optional)',
+  'share.namePlaceholder': 'Shown to friends',
+  'share.for': 'Share for',
+  'share.minutes': '{count} min',
+  'share.hours': { one: '{count} hour', other: '{count} hours' },
+  'share.hoursMinutes': '{hours} h {minutes} min',
+  'share.starting': 'Starting...',
+  'share.start': 'Start Sharing',
+  'share.live': 'Live',
+  'share.endsIn': 'ends in {time}',
+  'share.link': 'Share link',
+  'share.copy': 'Copy Link',
+  'share.copied': 'Copied!',
+  'share.copyFailed': 'Copy the link from the box above',
+  'share.send': 'Send...',
+  'share.stop': 'Stop Sharing',
+  'share.title': 'Follow my ride on MopedFuel',
+
+  'sharedRide.friend': 'Your friend',
+  'sharedRide.waiting': 'Waiting for your friend’s location...',
+  'sharedRide.stopped': '{name} stopped sharing',
+  'sharedRide.expired': 'Sharing has ended',
+  'sharedRide.notFound': "This share has ended or the link isn't right",
+  'sharedRide.lastSeen': '{ended} - this is where they were last.',
+  'sharedRide.openApp': 'Open MopedFuel',
+  'sharedRide.ended': 'Sharing ended',
+  'sharedRide.reconnecting': 'Reconnecting...',
+  'sharedRide.updated': 'updated {time}',
+  'sharedRide.here': '{name} is here',
+  'sharedRide.center': 'Center on {name}',
+
+  'legend.you': 'You',
+  'legend.stations': 'Stations',
+  'legend.nearest': 'Nearest',
+
+  'time.justNow': 'just now',
+  'time.minutesAgo': '{count} min ago',
+  'time.hoursAgo': '{count} h ago',
+  'time.daysAgo': '{count} d ago',
+
+  'settings.title': 'Language & Units',
+  'settings.close': 'Close settings',
+  'settings.language': 'Language',
+  'settings.distance': 'Distance',
+  'settings.volume': 'Fuel',
+  'settings.clock': 'Clock',
+  'settings.currency': 'Currency',
+  'settings.currencyNote': "You see and report prices in this currency - prices reported in other currencies aren't shown.",
+  'settings.reset': 'Use my device settings',
+  'settings.alerts': 'Ride alerts',
+
+  'alerts.title': 'Ride Alerts',
+  'alerts.close': 'Close ride alerts',
+  'alerts.enable': 'Notify me while I ride',
+  'alerts.denied': "Notifications are blocked for this site - allow them in your browser's settings",
+  'alerts.unsupported': "This browser can't show notifications",
+  'alerts.lowFuel': 'Low fuel reminder',
+  'alerts.lowFuelBefore': 'Remind me with this much range left ({unit})',
+  'alerts.ridden': '{distance} ridden since your last fill-up',
+  'alerts.resetRidden': 'Reset',
+  'alerts.stationAhead': 'Stations I pass',
+  'alerts.radius': 'Within ({unit})',
+  'alerts.favorites': 'Favorites',
+  'alerts.cheapest': 'Cheapest nearby',
+  'alerts.lastStation': 'Last station before a long gap, on planned trips',
+  'alerts.gap': 'Gaps of at least ({unit})',
+  'alerts.quietHours': 'Quiet hours',
+  'alerts.from': 'From',
+  'alerts.to': 'To',
+  'alerts.note': 'Alerts work while MopedFuel is open, even in the background. Distance is counted from GPS while the app is open.',
+
+  'notify.lowFuelTitle': '⛽ Time to fill up',
+  'notify.lowFuelBody': "You've ridden {ridden} since your last fill-up - about {left} of range left",
+  'notify.favoriteTitle': '💛 Favorite station nearby',
+  'notify.cheapestTitle': '💲 Cheapest station nearby',
+  'notify.stationBody': '{name} is {distance} away',
+  'notify.lastStationTitle': '⚠️ Last station for {distance}',
+  'notify.lastStationBody': '{name} in {distance} - fill up there if you need to',
+
+  'units.mi': 'Miles & feet',
+  'units.km': 'Kilometers & meters',
+  'units.gal': 'Gallons',
+  'units.l': 'Liters',
+  'units.12h': '12-hour',
+  'units.24h': '24-hour',
+
+  'vehicle.title': 'Your Moped',
+  'vehicle.close': 'Close vehicle settings',
+  'vehicle.gauge': 'Fuel gauge: {percent}%',
+  'vehicle.tank': 'Tank ({unit})',
+  'vehicle.reserve': 'Reserve ({unit})',
+  'vehicle.routeAs': 'Route me as a',
+  'vehicle.topSpeed': 'Top speed ({unit}) - avoids highways and fast roads',
+  'vehicle.useLogged': 'Use {economy} measured from your fill-ups',
+  'vehicle.range': 'Estimated range:',
+
+  'profile.car': 'Car',
+  'profile.moped': 'Moped',
+  'profile.bicycle': 'Bicycle',
+
+  'filters.title': 'Filter Stations',
+  'filters.close': 'Close filters',
+  'filters.chooseBy': 'Choose station by',
+  'filters.nearest': 'Nearest',
+  'filters.cheapest': 'Cheapest',
+  'filters.grade': 'Grade',
+  'filters.within': 'Within ({unit})',
+  'filters.distanceCost': 'Each {unit} away counts as +{cost}/{volume}. Stations without a reported price are skipped.',
+  'filters.openNow': 'Open now',
+  'filters.fuel': 'Fuel',
+  'filters.amenities': 'Amenities',
+  'filters.payment': 'Payment',
+  'filters.matching': { one: 'matching station', other: 'matching stations' },
+  'filters.clear': 'Clear all',
+
+  'fuel.octane_87': 'Regular 87',
+  'fuel.octane_91': 'Premium 91',
+  'fuel.octane_95': 'Octane 95',
+  'fuel.e10': 'E10',
+  'fuel.e85': 'E85',
+  'fuel.diesel': 'Diesel',
+
+  'amenity.compressed_air': 'Air pump',
+  'amenity.shop': 'Shop',
+  'amenity.toilets': 'Toilets',
+  'amenity.car_wash': 'Car wash',
+
+  'payment.cash': 'Cash',
+  'payment.credit_cards': 'Credit card',
+  'payment.debit_cards': 'Debit card',
+  'payment.contactless': 'Contactless',
+
+  'hours.closed': 'Closed',
+  'hours.allDay': 'Open 24 hours',
+
+  'fillUp.close': 'Close fill-up form',
+  'fillUp.at': 'at {name}',
+  'fillUp.unknownStation': 'Unknown station',
+  'fillUp.paid': 'Paid ({unit})',
+  'fillUp.odometer': 'Odometer ({unit})',
+  'fillUp.full': 'Filled the tank to the top',
+  'fillUp.save': 'Save Fill-Up',
+  'fillUp.missing': 'Please fill in fuel, price and odometer',
+  'fillUp.noFuel': 'Fuel must be more than zero',
+  'fillUp.odometerBack': 'Odometer is lower than your last fill-up ({reading})',
+  'fillUp.csvMissing': 'CSV is missing columns: {columns}',
+
+  'fillUps.title': 'Fill-Up Log',
+  'fillUps.close': 'Close fill-up log',
+  'fillUps.average': 'Average',
+  'fillUps.costPer': 'Cost / {unit}',
+  'fillUps.logged': '{unit} logged',
+  'fillUps.spent': 'Total spent',
+  'fillUps.monthly': 'Monthly spend',
+  'fillUps.pricePerGallon': 'Price per gallon',
+  'fillUps.pricePerLiter': 'Price per liter',
+  'fillUps.visits': { one: '{count} visit · low {low} · high {high}', other: '{count} visits · low {low} · high {high}' },
+  'fillUps.history': 'History',
+  'fillUps.empty': 'No fill-ups yet. Log one from the station card or a station popup.',
+  'fillUps.partial': 'partial',
+  'fillUps.economy': '{economy} over {distance}',
+  'fillUps.delete': 'Delete fill-up at {name}',
+  'fillUps.export': 'Export CSV',
+  'fillUps.import': 'Import CSV',
+  'fillUps.imported': { one: 'Imported {count} fill-up', other: 'Imported {count} fill-ups' },
+  'fillUps.importedSkipped': {
+    one: 'Imported {count} fill-up (skipped {skipped} invalid rows)',
+    other: 'Imported {count} fill-ups (skipped {skipped} invalid rows)',
+  },
+
+  'rides.title': 'Rides',
+  'rides.close': 'Close rides',
+  'rides.recording': 'Recording',
+  'rides.moving': '{time} moving',
+  'rides.stop': 'Stop and Save Ride',
+  'rides.record': 'Record a Ride',
+  'rides.sinceFillUp': '{distance} recorded since your last fill-up',
+  'rides.empty': 'No rides yet. Record one, or import a GPX or GeoJSON track.',
+  'rides.average': 'avg {speed}',
+  'rides.top': 'top {speed}',
+  'rides.delete': 'Delete {name}',
+  'rides.hide': 'Hide',
+  'rides.import': 'Import GPX / GeoJSON',
+  'rides.imported': 'Imported "{name}"',
+  'rides.defaultName': 'Ride on {date}',
+  'rides.badGpx': "This GPX file couldn't be read",
+  'rides.noGeoJsonTrack': 'No track (LineString) found in this GeoJSON file',
+  'rides.badFile': 'Choose a GPX or GeoJSON file',
+  'rides.noTrack': 'This file has no track to show',
+
+  'priceReport.close': 'Close price report',
+  'priceReport.price': 'Price ({unit})',
+  'priceReport.outOfRange': 'Enter a price between {min} and {max}',
+  'priceReport.sending': 'Sending...',
+  'priceReport.submit': 'Submit Price',
+  'priceReport.failed': 'Failed to submit price',
+
+  'sheet.label': '{name} details',
+  'sheet.close': 'Close station details',
+  'sheet.byRoad': '{distance} by road',
+  'sheet.routing': 'Working out the route...',
+  'sheet.hours': 'Opening hours',
+  'sheet.photos': 'Photos',
+  'sheet.reportProblem': 'Report a problem',
+  'sheet.editOsm': 'Edit on OpenStreetMap',
+
+  'stationPage.title': '{name} - MopedFuel',
+  'stationPage.fallbackTitle': 'Gas station - MopedFuel',
+  'stationPage.summary': 'Gas station',
+  'stationPage.summaryAt': 'Gas station at {address}',
+  'stationPage.summaryFuel': 'Fuel: {fuels}',
+  'stationPage.summaryHours': 'Hours: {hours}',
+  'stationPage.imageAlt': 'MopedFuel moped',
+  'stationPage.loadFailed': "Couldn't load this station right now",
+  'stationPage.openIt': 'Open it in MopedFuel',
+  'stationPage.open': 'Open in MopedFuel',
+  'stationPage.viewOsm': 'View on OpenStreetMap',
+  'stationPage.osmCredit': 'Station data © OpenStreetMap contributors',
+  'stationPage.share': 'Share',
+  'stationPage.copied': 'Link copied ✓',
+  'stationPage.shareFailed': "Couldn't share - copy the address bar",
+
+  'places.search': 'Search',
+  'places.searching': 'Searching...',
+  'places.none': 'No places found for "{query}"',
+
+  'picker.title': 'Choose Location',
+  'picker.close': 'Close location picker',
+  'picker.denied': 'Location access is off for this site. Pick where you are, or allow location in your browser settings.',
+  'picker.noFix': "We can't get a GPS fix right now. Pick where you are.",
+  'picker.placeholder': 'City or address',
+  'picker.recent': 'Recent',
+  'picker.useGps': 'Use my GPS location',
+
+  'trip.title': 'Plan a Trip',
+  'trip.close': 'Close trip planner',
+  'trip.placeholder': 'Where to?',
+  'trip.planning': 'Planning your route and fuel stops...',
+  'trip.to': 'To {name}',
+  'trip.arrive': 'arrive {eta}',
+  'trip.noStops': 'No fuel stops needed',
+  'trip.stops': { one: '{count} fuel stop', other: '{count} fuel stops' },
+  'trip.gap': 'No station in range between {unit} {from} and {to} - you may run dry on this trip',
+  'trip.tooLong': 'Longer than your range',
+  'trip.lowArrival': 'Arrive with only {distance} of range',
+  'trip.clear': 'Clear Trip',
+  'trip.empty': 'Search for a destination. Fuel stops are added wherever your range runs out.',
+
+  'favorites.title': 'Favorites',
+  'favorites.close': 'Close favorites',
+  'favorites.preferBefore': "Prefer a favorite if it's at most",
+  'favorites.preferAfter': 'further than the nearest station',
+  'favorites.preferHint': 'Set to 0 to always pick the nearest',
+  'favorites.empty': 'No favorites yet. Tap 🤍 on a station to save it here.',
+  'favorites.remove': 'Remove {name} from favorites',
+
+  'compare.title': 'Compare Stations',
+  'compare.close': 'Close station comparison',
+  'compare.intro': 'The closest stations, ranked by how long they take to reach by road. Tap one to ride there instead.',
+  'compare.reset': 'Back to the automatic pick',
+  'compare.empty': 'No stations to compare yet.',
+  'compare.active': 'Active',
+  'compare.noRoute': 'no road route',
+  'compare.reserve': 'Arrives with {distance} of range',
+
+  'request.server': "Couldn't reach the server",
+  'request.stations': "Couldn't load gas stations",
+  'request.corridor': "Couldn't find gas stations along the route",
+  'request.station': "Couldn't load the station",
+  'request.route': "Couldn't get directions",
+  'request.compare': "Couldn't compare stations",
+  'request.places': "Couldn't search for places",
+  'request.shareStart': "Couldn't start sharing",
+  'request.shareUpdate': "Couldn't share your location",
+  'request.shareStop': "Couldn't stop sharing",
+
+  'error.message': '{request}: {reason}',
+  'error.offline': "you're offline",
+  'error.network': "the server couldn't be reached",
+  'error.timeout': 'the request timed out',
+  'error.rate-limited': 'the map service is busy - try again in a minute',
+  'error.unavailable': 'the map service is down right now',
+  'error.no-route': 'no route was found',
+  'error.invalid': 'the request was rejected',
+  'error.server': 'something went wrong on the server',
+
+  'nav.depart': 'Head {compass}',
+  'nav.departOn': 'Head {compass} on {road}',
+  'nav.arrive': 'Arrive at your destination',
+  'nav.arriveSide': 'Arrive at your destination on the {side}',
+  'nav.roundaboutExit': 'At the roundabout, take exit {exit}{onto}',
+  'nav.roundabout': 'Enter the roundabout{onto}',
+  'nav.merge': 'Merge {direction}{onto}',
+  'nav.onRamp': 'Take the ramp on the {side}{onto}',
+  'nav.offRamp': 'Take the exit on the {side}{onto}',
+  'nav.fork': 'Keep {side} at the fork{onto}',
+  'nav.endOfRoad': 'At the end of the road, turn {direction}{onto}',
+  'nav.continueTurn': 'Continue {direction}{onto}',
+  'nav.continue': 'Continue straight{onto}',
+  'nav.uturn': 'Make a U-turn{onto}',
+  'nav.turn': 'Turn {direction}{onto}',
+  'nav.onto': ' onto {road}',
+  'nav.in': 'In {distance}, {instruction}',
+  'nav.rerouting': 'Rerouting',
+  'nav.arrived': 'You have arrived at {name}',
+  'nav.reroutingTitle': 'Rerouting...',
+  'nav.arrivedTitle': "You've arrived",
+  'nav.arrival': 'arrival',
+  'nav.mute': 'Mute spoken directions',
+  'nav.unmute': 'Speak directions',
+  'nav.end': 'End',
+
+  'direction.left': 'left',
+  'direction.right': 'right',
+  'direction.slightLeft': 'slightly left',
+  'direction.slightRight': 'slightly right',
+  'direction.sharpLeft': 'sharp left',
+  'direction.sharpRight': 'sharp right',
+  'direction.straight': 'straight',
+  'direction.uturn': 'around',
+
+  'side.left': 'left',
+  'side.right': 'right',
+
+  'compass.north': 'north',
+  'compass.northeast': 'northeast',
+  'compass.east': 'east',
+  'compass.southeast': 'southeast',
+  'compass.south': 'south',
+  'compass.southwest': 'southwest',
+  'compass.west': 'west',
+  'compass.northwest': 'northwest',
+
+  'spoken.miles': 'miles',
+  'spoken.feet': 'feet',
+  'spoken.kilometers': 'kilometers',
+  'spoken.meters': 'meters',
+}
+
+export default en
@@ -0,0 +1,458 @@
+/**
+ * Spanish UI strings (see locales/en.js for the format)
+ */
+
+const es = {
+  'app.loading': 'Calentando el motor...',
+
+  'location.locating': 'Buscando tu ubicación...',
+  'location.found': 'Ubicación encontrada',
+  'location.lastKnown': 'Última ubicación conocida',
+  'location.default': '{name} (predeterminada)',
+
+  'status.location': 'Ubicación',
+  'status.picked': 'Elegida',
+  'status.noGps': 'Sin GPS',
+  'status.locationLabel': 'Ubicación: {address}. Cambiar ubicación',
+  'status.recording': '● GRAB',
+  'status.recordingLabel': 'Grabando un viaje. Ver viajes',
+  'status.live': '📡 En vivo',
+  'status.liveLabel': 'Compartiendo tu ubicación en vivo. Ver opciones',
+  'status.offline': '📴 Sin conexión',
+  'status.cached': '📦 Guardado',
+  'status.updated': 'actualizado {ago}',
+  'status.themeLabel': 'Tema: {mode}. Cambiar tema',
+
+  'theme.light': 'Claro',
+  'theme.dark': 'Oscuro',
+  'theme.auto': 'Automático',
+
+  'gps.denied': 'El acceso a la ubicación está desactivado',
+  'gps.unavailable': 'No se puede obtener señal GPS',
+  'gps.lost': 'Se perdió la señal GPS - tu posición puede no estar al día',
+  'gps.unsupported': 'Este navegador no puede compartir tu ubicación',
+  'gps.showing': '{message} - mostrando {name}',
+
+  'toast.rideNeedsGps': 'Para grabar un viaje hace falta acceso al GPS',
+  'toast.rideTooShort': 'El viaje es demasiado corto para guardarlo',
+  'toast.shareEnded': 'Se dejó de compartir la ubicación',
+  'toast.noDirections': 'No hay indicaciones paso a paso hasta {name}',
+  'toast.straightLine': '{message} - se muestra la distancia en línea recta',
+  'toast.noStations': 'No se encontraron gasolineras por aquí',
+  'toast.stationNotFound': 'La gasolinera del enlace ya no está en el mapa',
+  'toast.linkCopied': 'Enlace copiado - pégalo para un amigo',
+  'toast.shareFailed': 'No se pudo compartir el enlace',
+  'toast.dismiss': 'Cerrar',
+
+  'action.retry': 'Reintentar',
+  'action.chooseLocation': 'Elegir ubicación',
+  'action.navigate': 'Navegar',
+  'action.directions': 'Cómo llegar',
+  'action.openInMaps': 'Abrir en Mapas',
+  'action.reportPrice': 'Informar precio',
+  'action.logFillUp': 'Registrar carga',
+  'action.share': 'Compartir',
+
+  'fab.recenter': 'Centrar el mapa en mi ubicación',
+  'fab.follow': 'Seguirme - mantener el mapa sobre mí, girado hacia donde voy',
+  'fab.closest': 'Ir a la gasolinera más cercana',
+  'fab.vehicle': 'Ajustar nivel de combustible y vehículo',
+  'fab.showNearest': 'Mostrar solo la más cercana',
+  'fab.showAll': 'Mostrar todas las gasolineras',
+  'fab.favorites': 'Ver gasolineras favoritas',
+  'fab.trip': 'Planear un viaje',
+  'fab.fillUps': 'Ver registro de cargas',
+  'fab.rides': 'Grabar y ver viajes',
+  'fab.share': 'Compartir mi viaje en vivo',
+  'fab.filters': 'Filtrar gasolineras',
+  'fab.settings': 'Idioma y unidades',
+  'fab.list': 'Lista de gasolineras',
+  'fab.more': 'Más acciones',
+  'fab.less': 'Cerrar menú',
+
+  'station.unnamed': 'Gasolinera',
+  'station.yourPick': 'Tu elección',
+  'station.away': 'a {distance}',
+  'station.straightLine': 'Distancia en línea recta - no hay ruta disponible',
+  'station.noPrices': 'No hay precios recientes a menos de {distance} - se muestra la más cercana',
+  'station.reserve': 'Llegarás con solo {distance} de autonomía - carga aquí',
+  'station.outOfRange': 'No hay gasolineras dentro de tu autonomía de {distance}',
+  'station.beyondRange': 'Fuera de tu autonomía restante',
+  'station.compare': { one: 'Comparar {count} gasolinera', other: 'Comparar {count} gasolineras' },
+
+  'duration.drive': '~{minutes} min en coche',
+  'duration.ride': '~{minutes} min de trayecto',
+  'duration.minutes': '~{minutes} min',
+  'duration.eta': 'llegada {eta}',
+
+  'grade.regular': 'Normal',
+  'grade.midgrade': 'Intermedia',
+  'grade.premium': 'Premium',
+  'grade.diesel': 'Diésel',
+
+  'favorite.add': 'Añadir a favoritas',
+  'favorite.remove': 'Quitar de favoritas',
+
+  'map.youAreHere': '¡Estás aquí!',
+  'map.cluster': { one: '{count} gasolinera - acerca el mapa', other: '{count} gasolineras - acerca el mapa' },
+  'map.details': 'Detalles, horario y fotos',
+  'map.fuelStop': 'Parada para cargar {number}',
+  'map.destination': 'Destino',
+  'map.leg': '{distance} · ~{minutes} min · llegada {eta}',
+
+  'list.title': 'Gasolineras',
+  'list.close': 'Cerrar la lista de gasolineras',
+  'list.empty': 'Todavía no hay gasolineras en el mapa.',
+  'list.closest': 'Las {count} más cercanas de {total} gasolineras',
+  'list.nearest': 'la más cercana',
+  'list.favorite': 'favorita',
+  'list.show': 'Mostrar en el mapa',
+  'list.details': 'Detalles',
+  'list.detailsFor': 'Detalles de {name}',
+
+  'a11y.nearest': 'La gasolinera más cercana ahora es {name}, a {distance}',
+
+  'share.stationText': 'Nos vemos en {name}',
+  'share.heading': 'Compartir mi viaje',
+  'share.close': 'Cerrar compartir',
+  'share.intro': 'Quienes tengan el enlace verán tu moto, la gasolinera a la que vas y tu ruta, en vivo. No pueden cambiar nada.',
+  'share.name': 'Tu nombre (opcional)',
+  'share.namePlaceholder': 'Lo verán tus amigos',
+  'share.for': 'Compartir durante',
+  'share.minutes': '{count} min',
+  'share.hours': { one: '{count} hora', other: '{count} horas' },
+  'share.hoursMinutes': '{hours} h {minutes} min',
+  'share.starting': 'Iniciando...',
+  'share.start': 'Empezar a compartir',
+  'share.live': 'En vivo',
+  'share.endsIn': 'termina en {time}',
+  'share.link': 'Enlace para compartir',
+  'share.copy': 'Copiar enlace',
+  'share.copied': '¡Copiado!',
+  'share.copyFailed': 'Copia el enlace del cuadro de arriba',
+  'share.send': 'Enviar...',
+  'share.stop': 'Dejar de compartir',
+  'share.title': 'Sigue mi viaje en MopedFuel',
+
+  'sharedRide.friend': 'Tu amigo',
+  'sharedRide.waiting': 'Esperando la ubicación de tu amigo...',
+  'sharedRide.stopped': '{name} dejó de compartir',
+  'sharedRide.expired': 'Se terminó de compartir',
+  'sharedRide.notFound': 'Este viaje ya no se comparte o el enlace no es correcto',
+  'sharedRide.lastSeen': '{ended} - aquí es donde estaba por última vez.',
+  'sharedRide.openApp': 'Abrir MopedFuel',
+  'sharedRide.ended': 'Ya no se comparte',
+  'sharedRide.reconnecting': 'Reconectando...',
+  'sharedRide.updated': 'actualizado {time}',
+  'sharedRide.here': '{name} está aquí',
+  'sharedRide.center': 'Centrar en {name}',
+
+  'legend.you': 'Tú',
+  'legend.stations': 'Gasolineras',
+  'legend.nearest': 'Más cercana',
+
+  'time.justNow': 'ahora mismo',
+  'time.minutesAgo': 'hace {count} min',
+  'time.hoursAgo': 'hace {count} h',
+  'time.daysAgo': { one: 'hace {count} día', other: 'hace {count} días' },
+
+  'settings.title': 'Idioma y unidades',
+  'settings.close': 'Cerrar ajustes',
+  'settings.language': 'Idioma',
+  'settings.distance': 'Distancia',
+  'settings.volume': 'Combustible',
+  'settings.clock': 'Reloj',
+  'settings.currency': 'Moneda',
+  'settings.currencyNote': 'Ves e informas los precios en esta moneda - los precios informados en otras monedas no se muestran.',
+  'settings.reset': 'Usar la configuración del dispositivo',
+  'settings.alerts': 'Avisos en ruta',
+
+  'alerts.title': 'Avisos en ruta',
+  'alerts.close': 'Cerrar avisos en ruta',
+  'alerts.enable': 'Avisarme mientras conduzco',
+  'alerts.denied': 'Las notificaciones están bloqueadas para este sitio - permítelas en los ajustes del navegador',
+  'alerts.unsupported': 'Este navegador no puede mostrar notificaciones',
+  'alerts.lowFuel': 'Aviso de combustible bajo',
+  'alerts.lowFuelBefore': 'Avisarme cuando me quede esta autonomía ({unit})',
+  'alerts.ridden': '{distance} recorridos desde la última carga',
+  'alerts.resetRidden': 'Reiniciar',
+  'alerts.stationAhead': 'Gasolineras por las que paso',
+  'alerts.radius': 'A menos de ({unit})',
+  'alerts.favorites': 'Favoritas',
+  'alerts.cheapest': 'La más barata cerca',
+  'alerts.lastStation': 'Última gasolinera antes de un tramo largo, en viajes planeados',
+  'alerts.gap': 'Tramos de al menos ({unit})',
+  'alerts.quietHours': 'Horas de silencio',
+  'alerts.from': 'Desde',
+  'alerts.to': 'Hasta',
+  'alerts.note': 'Los avisos funcionan mientras MopedFuel está abierta, también en segundo plano. La distancia se cuenta por GPS con la app abierta.',
+
+  'notify.lowFuelTitle': '⛽ Hora de cargar combustible',
+  'notify.lowFuelBody': 'Llevas {ridden} desde la última carga - te quedan unos {left} de autonomía',
+  'notify.favoriteTitle': '💛 Gasolinera favorita cerca',
+  'notify.cheapestTitle': '💲 La gasolinera más barata está cerca',
+  'notify.stationBody': '{name} está a {distance}',
+  'notify.lastStationTitle': '⚠️ Última gasolinera en {distance}',
+  'notify.lastStationBody': '{name} a {distance} - carga ahí si lo necesitas',
+
+  'units.mi': 'Millas y pies',
+  'units.km': 'Kilómetros y metros',
+  'units.gal': 'Galones',
+  'units.l': 'Litros',
+  'units.12h': '12 horas',
+  'units.24h': '24 horas',
+
+  'vehicle.title': 'Tu moto',
+  'vehicle.close': 'Cerrar ajustes del vehículo',
+  'vehicle.gauge': 'Indicador de combustible: {percent}%',
+  'vehicle.tank': 'Tanque ({unit})',
+  'vehicle.reserve': 'Reserva ({unit})',
+  'vehicle.routeAs': 'Calcular la ruta para',
+  'vehicle.topSpeed': 'Velocidad máxima ({unit}) - evita autopistas y vías rápidas',
+  'vehicle.useLogged': 'Usar {economy} medido en tus cargas',
+  'vehicle.range': 'Autonomía estimada:',
+
+  'profile.car': 'Coche',
+  'profile.moped': 'Moto',
+  'profile.bicycle': 'Bicicleta',
+
+  'filters.title': 'Filtrar gasolineras',
+  'filters.close': 'Cerrar filtros',
+  'filters.chooseBy': 'Elegir gasolinera por',
+  'filters.nearest': 'Más cercana',
+  'filters.cheapest': 'Más barata',
+  'filters.grade': 'Tipo',
+  'filters.within': 'A menos de ({unit})',
+  'filters.distanceCost': 'Cada {unit} de distancia cuenta como +{cost}/{volume}. Se omiten las gasolineras sin precio informado.',
+  'filters.openNow': 'Abierta ahora',
+  'filters.fuel': 'Combustible',
+  'filters.amenities': 'Servicios',
+  'filters.payment': 'Pago',
+  'filters.matching': { one: 'gasolinera coincide', other: 'gasolineras coinciden' },
+  'filters.clear': 'Quitar todos',
+
+  'fuel.octane_87': 'Normal 87',
+  'fuel.octane_91': 'Premium 91',
+  'fuel.octane_95': 'Octanaje 95',
+  'fuel.e10': 'E10',
+  'fuel.e85': 'E85',
+  'fuel.diesel': 'Diésel',
+
+  'amenity.compressed_air': 'Aire',
+  'amenity.shop': 'Tienda',
+  'amenity.toilets': 'Baños',
+  'amenity.car_wash': 'Lavado de coches',
+
+  'payment.cash': 'Efectivo',
+  'payment.credit_cards': 'Tarjeta de crédito',
+  'payment.debit_cards': 'Tarjeta de débito',
+  'payment.contactless': 'Sin contacto',
+
+  'hours.closed': 'Cerrado',
+  'hours.allDay': 'Abierto 24 horas',
+
+  'fillUp.close': 'Cerrar el formulario de carga',
+  'fillUp.at': 'en {name}',
+  'fillUp.unknownStation': 'Gasolinera desconocida',
+  'fillUp.paid': 'Pagado ({unit})',
+  'fillUp.odometer': 'Odómetro ({unit})',
+  'fillUp.full': 'Llené el tanque',
+  'fillUp.save': 'Guardar carga',
+  'fillUp.missing': 'Completa el combustible, el precio y el odómetro',
+  'fillUp.noFuel': 'El combustible debe ser mayor que cero',
+  'fillUp.odometerBack': 'El odómetro marca menos que en tu última carga ({reading})',
+  'fillUp.csvMissing': 'Al CSV le faltan columnas: {columns}',
+
+  'fillUps.title': 'Registro de cargas',
+  'fillUps.close': 'Cerrar el registro de cargas',
+  'fillUps.average': 'Promedio',
+  'fillUps.costPer': 'Costo / {unit}',
+  'fillUps.logged': '{unit} registrados',
+  'fillUps.spent': 'Gasto total',
+  'fillUps.monthly': 'Gasto mensual',
+  'fillUps.pricePerGallon': 'Precio por galón',
+  'fillUps.pricePerLiter': 'Precio por litro',
+  'fillUps.visits': { one: '{count} visita · mín. {low} · máx. {high}', other: '{count} visitas · mín. {low} · máx. {high}' },
+  'fillUps.history': 'Historial',
+  'fillUps.empty': 'Aún no hay cargas. Registra una desde la ficha o la ventana de una gasolinera.',
+  'fillUps.partial': 'parcial',
+  'fillUps.economy': '{economy} en {distance}',
+  'fillUps.delete': 'Eliminar la carga en {name}',
+  'fillUps.export': 'Exportar CSV',
+  'fillUps.import': 'Importar CSV',
+  'fillUps.imported': { one: 'Se importó {count} carga', other: 'Se importaron {count} cargas' },
+  'fillUps.importedSkipped': {
+    one: 'Se importó {count} carga (se omitieron {skipped} filas no válidas)',
+    other: 'Se importaron {count} cargas (se omitieron {skipped} filas no válidas)',
+  },
+
+  'rides.title': 'Viajes',
+  'rides.close': 'Cerrar viajes',
+  'rides.recording': 'Grabando',
+  'rides.moving': '{time} en movimiento',
+  'rides.stop': 'Detener y guardar el viaje',
+  'rides.record': 'Grabar un viaje',
+  'rides.sinceFillUp': '{distance} grabados desde tu última carga',
+  'rides.empty': 'Aún no hay viajes. Graba uno o importa un recorrido GPX o GeoJSON.',
+  'rides.average': 'media {speed}',
+  'rides.top': 'máx. {speed}',
+  'rides.delete': 'Eliminar {name}',
+  'rides.hide': 'Ocultar',
+  'rides.import': 'Importar GPX / GeoJSON',
+  'rides.imported': 'Se importó "{name}"',
+  'rides.defaultName': 'Viaje del {date}',
+  'rides.badGpx': 'No se pudo leer este archivo GPX',
+  'rides.noGeoJsonTrack': 'No se encontró ningún recorrido (LineString) en este archivo GeoJSON',
+  'rides.badFile': 'Elige un archivo GPX o GeoJSON',
+  'rides.noTrack': 'Este archivo no tiene ningún recorrido que mostrar',
+
+  'priceReport.close': 'Cerrar el informe de precio',
+  'priceReport.price': 'Precio ({unit})',
+  'priceReport.outOfRange': 'Introduce un precio entre {min} y {max}',
+  'priceReport.sending': 'Enviando...',
+  'priceReport.submit': 'Enviar precio',
+  'priceReport.failed': 'No se pudo enviar el precio',
+
+  'sheet.label': 'Detalles de {name}',
+  'sheet.close': 'Cerrar los detalles de la gasolinera',
+  'sheet.byRoad': '{distance} por carretera',
+  'sheet.routing': 'Calculando la ruta...',
+  'sheet.hours': 'Horario',
+  'sheet.photos': 'Fotos',
+  'sheet.reportProblem': 'Informar de un problema',
+  'sheet.editOsm': 'Editar en OpenStreetMap',
+
+  'stationPage.title': '{name} - MopedFuel',
+  'stationPage.fallbackTitle': 'Gasolinera - MopedFuel',
+  'stationPage.summary': 'Gasolinera',
+  'stationPage.summaryAt': 'Gasolinera en {address}',
+  'stationPage.summaryFuel': 'Combustible: {fuels}',
+  'stationPage.summaryHours': 'Horario: {hours}',
+  'stationPage.imageAlt': 'Moto de MopedFuel',
+  'stationPage.loadFailed': 'No se pudo cargar esta gasolinera ahora',
+  'stationPage.openIt': 'Ábrela en MopedFuel',
+  'stationPage.open': 'Abrir en MopedFuel',
+  'stationPage.viewOsm': 'Ver en OpenStreetMap',
+  'stationPage.osmCredit': 'Datos de la gasolinera © colaboradores de OpenStreetMap',
+  'stationPage.share': 'Compartir',
+  'stationPage.copied': 'Enlace copiado ✓',
+  'stationPage.shareFailed': 'No se pudo compartir - copia la barra de direcciones',
+
+  'places.search': 'Buscar',
+  'places.searching': 'Buscando...',
+  'places.none': 'No se encontraron lugares para "{query}"',
+
+  'picker.title': 'Elegir ubicación',
+  'picker.close': 'Cerrar el selector de ubicación',
+  'picker.denied': 'El acceso a la ubicación está desactivado para este sitio. Elige dónde estás o permite la ubicación en los ajustes del navegador.',
+  'picker.noFix': 'Ahora mismo no hay señal GPS. Elige dónde estás.',
+  'picker.placeholder': 'Ciudad o dirección',
+  'picker.recent': 'Recientes',
+  'picker.useGps': 'Usar mi ubicación GPS',
+
+  'trip.title': 'Planear un viaje',
+  'trip.close': 'Cerrar el planificador de viajes',
+  'trip.placeholder': '¿A dónde vas?',
+  'trip.planning': 'Planeando tu ruta y las paradas para cargar...',
+  'trip.to': 'A {name}',
+  'trip.arrive': 'llegada {eta}',
+  'trip.noStops': 'No hace falta parar a cargar',
+  'trip.stops': { one: '{count} parada para cargar', other: '{count} paradas para cargar' },
+  'trip.gap': 'No hay gasolineras a tu alcance entre {from} y {to} {unit} - podrías quedarte sin combustible en este viaje',
+  'trip.tooLong': 'Más largo que tu autonomía',
+  'trip.lowArrival': 'Llegarás con solo {distance} de autonomía',
+  'trip.clear': 'Borrar viaje',
+  'trip.empty': 'Busca un destino. Se añaden paradas para cargar donde se acabe tu autonomía.',
+
+  'favorites.title': 'Favoritas',
+  'favorites.close': 'Cerrar favoritas',
+  'favorites.preferBefore': 'Preferir una favorita si está como mucho',
+  'favorites.preferAfter': 'más lejos que la gasolinera más cercana',
+  'favorites.preferHint': 'Pon 0 para elegir siempre la más cercana',
+  'favorites.empty': 'Aún no hay favoritas. Toca 🤍 en una gasolinera para guardarla aquí.',
+  'favorites.remove': 'Quitar {name} de favoritas',
+
+  'compare.title': 'Comparar gasolineras',
+  'compare.close': 'Cerrar la comparación',
+  'compare.intro': 'Las gasolineras más cercanas, ordenadas por lo que se tarda en llegar por carretera. Toca una para ir allí.',
+  'compare.reset': 'Volver a la elección automática',
+  'compare.empty': 'Aún no hay gasolineras que comparar.',
+  'compare.active': 'Activa',
+  'compare.noRoute': 'sin ruta por carretera',
+  'compare.reserve': 'Llegarás con {distance} de autonomía',
+
+  'request.server': 'No se pudo conectar con el servidor',
+  'request.stations': 'No se pudieron cargar las gasolineras',
+  'request.corridor': 'No se encontraron gasolineras a lo largo de la ruta',
+  'request.station': 'No se pudo cargar la gasolinera',
+  'request.route': 'No se pudo obtener la ruta',
+  'request.compare': 'No se pudieron comparar las gasolineras',
+  'request.places': 'No se pudieron buscar lugares',
+  'request.shareStart': 'No se pudo empezar a compartir',
+  'request.shareUpdate': 'No se pudo compartir tu ubicación',
+  'request.shareStop': 'No se pudo dejar de compartir',
+
+  'error.message': '{request}: {reason}',
+  'error.offline': 'no tienes conexión',
+  'error.network': 'no se pudo contactar con el servidor',
+  'error.timeout': 'la solicitud tardó demasiado',
+  'error.rate-limited': 'el servicio de mapas está ocupado - inténtalo de nuevo en un minuto',
+  'error.unavailable': 'el servicio de mapas no funciona ahora mismo',
+  'error.no-route': 'no se encontró ninguna ruta',
+  'error.invalid': 'la solicitud fue rechazada',
+  'error.server': 'algo salió mal en el servidor',
+
+  'nav.depart': 'Dirígete al {compass}',
+  'nav.departOn': 'Dirígete al {compass} por {road}',
+  'nav.arrive': 'Llega a tu destino',
+  'nav.arriveSide': 'Tu destino está {side}',
+  'nav.roundaboutExit': 'En la rotonda, toma la salida {exit}{onto}',
+  'nav.roundabout': 'Entra en la rotonda{onto}',
+  'nav.merge': 'Incorpórate {direction}{onto}',
+  'nav.onRamp': 'Toma el acceso {side}{onto}',
+  'nav.offRamp': 'Toma la salida {side}{onto}',
+  'nav.fork': 'En la bifurcación, mantente {side}{onto}',
+  'nav.endOfRoad': 'Al final de la calle, gira {direction}{onto}',
+  'nav.continueTurn': 'Continúa {direction}{onto}',
+  'nav.continue': 'Continúa recto{onto}',
+  'nav.uturn': 'Cambia de sentido{onto}',
+  'nav.turn': 'Gira {direction}{onto}',
+  'nav.onto': ' hacia {road}',
+  'nav.in': 'En {distance}, {instruction}',
+  'nav.rerouting': 'Recalculando la ruta',
+  'nav.arrived': 'Has llegado a {name}',
+  'nav.reroutingTitle': 'Recalculando...',
+  'nav.arrivedTitle': 'Has llegado',
+  'nav.arrival': 'llegada',
+  'nav.mute': 'Silenciar las indicaciones habladas',
+  'nav.unmute': 'Leer las indicaciones en voz alta',
+  'nav.end': 'Terminar',
+
+  'direction.left': 'a la izquierda',
+  'direction.right': 'a la derecha',
+  'direction.slightLeft': 'ligeramente a la izquierda',
+  'direction.slightRight': 'ligeramente a la derecha',
+  'direction.sharpLeft': 'bruscamente a la izquierda',
+  'direction.sharpRight': 'bruscamente a la derecha',
+  'direction.straight': 'recto',
+  'direction.uturn': 'en U',
+
+  'side.left': 'a la izquierda',
+  'side.right': 'a la derecha',
+
+  'compass.north': 'norte',
+  'compass.northeast': 'noreste',
+  'compass.east': 'este',
+  'compass.southeast': 'sureste',
+  'compass.south': 'sur',
+  'compass.southwest': 'suroeste',
+  'compass.west': 'oeste',
+  'compass.northwest': 'noroeste',
+
+  'spoken.miles': 'millas',
+  'spoken.feet': 'pies',
+  'spoken.kilometers': 'kilómetros',
+  'spoken.meters': 'metros',
+}
+
+export default es
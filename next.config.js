@@ -1,8 +1,19 @@
+// Names this build. The service worker keeps each build's assets in a cache of its own,
+// so set BUILD_ID to the same value on every instance of a deploy. The default is kept in
+// the environment because Next loads this file again in the build's worker processes.
+process.env.BUILD_ID = process.env.BUILD_ID || Date.now().toString(36)
+const buildId = process.env.BUILD_ID
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   // Enable React strict mode for better development experience
   reactStrictMode: true,
 
+  generateBuildId: async () => buildId,
+  env: {
+    NEXT_PUBLIC_BUILD_ID: buildId,
+  },
+
   // Optimize images from external sources
   images: {
     domains: ['openstreetmap.org'],
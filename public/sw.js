@@ -0,0 +1,170 @@
+/**
+ * MopedFuel Service Worker
+ *
+ * Keeps the app usable with no signal:
+ * - Precaches the app shell on install
+ * - Caches Next.js build assets and Leaflet CSS as they are used, plus the ones
+ *   the page loaded before this worker was running (the page sends their URLs)
+ * - Caches CartoDB map tiles the rider has viewed (capped at MAX_TILES)
+ * - Brings the app back when the rider taps one of its ride notifications
+ *
+ * API responses are not cached here - the app keeps the last station list
+ * and route in IndexedDB itself (see utils/offlineStore.js).
+ *
+ * The app shell and build assets are cached per build (the page registers
+ * /sw.js?build=<id>), and a new build's worker deletes the old build's cache when
+ * it takes over. Map tiles don't change between builds, so they're kept.
+ */
+
+const BUILD = new URL(self.location.href).searchParams.get('build') || 'dev'
+const SHELL_CACHE = `moped-shell-${BUILD}`
+const TILE_CACHE = 'moped-tiles-v1'
+const MAX_TILES = 800
+
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/moped-icon.svg', '/favicon.ico']
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  // Drop caches from older builds (and older versions of this worker)
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== SHELL_CACHE && key !== TILE_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+/**
+ * Serve from cache, falling back to the network and caching the result
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) {
+    await cache.put(request, response.clone())
+    if (cacheName === TILE_CACHE) await trimCache(cache, MAX_TILES)
+  }
+  return response
+}
+
+/**
+ * Try the network first, falling back to the cached copy (or the app shell)
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE)
+
+  try {
+    const response = await fetch(request)
+    if (response.ok) await cache.put(request, response.clone())
+    return response
+  } catch (error) {
+    const cached = (await cache.match(request)) || (await cache.match('/'))
+    if (cached) return cached
+    throw error
+  }
+}
+
+/**
+ * Cache build assets and Leaflet CSS by URL, skipping anything else and anything
+ * already cached
+ */
+async function cacheAssets(urls) {
+  const cache = await caches.open(SHELL_CACHE)
+
+  const assets = urls.filter((href) => {
+    const url = new URL(href, self.location.origin)
+    return url.hostname === 'unpkg.com' || (url.origin === self.location.origin && url.pathname.startsWith('/_next/static/'))
+  })
+
+  await Promise.all(
+    assets.map(async (url) => {
+      if (await cache.match(url)) return
+      try {
+        await cache.add(url)
+      } catch {
+        // Offline again or replaced by a newer build - it's cached on its next use instead
+      }
+    })
+  )
+}
+
+/**
+ * Delete the oldest entries once a cache grows past `maxEntries`
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys()
+  const excess = keys.length - maxEntries
+  for (let i = 0; i < excess; i++) {
+    await cache.delete(keys[i])
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+
+  // Map tiles the rider has seen
+  if (url.hostname.endsWith('basemaps.cartocdn.com')) {
+    event.respondWith(cacheFirst(request, TILE_CACHE))
+    return
+  }
+
+  // Leaflet CSS from the CDN
+  if (url.hostname === 'unpkg.com') {
+    event.respondWith(cacheFirst(request, SHELL_CACHE))
+    return
+  }
+
+  if (url.origin !== self.location.origin) return
+
+  // Live data - the app handles offline fallback for these itself
+  if (url.pathname.startsWith('/api/')) return
+
+  // Hashed build assets never change, so the cached copy is always right (and the
+  // whole cache goes with the build)
+  if (url.pathname.startsWith('/_next/static/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE))
+    return
+  }
+
+  event.respondWith(networkFirst(request))
+})
+
+// On a first visit the page's scripts load before this worker is running, so
+// nothing caches them - the page sends their URLs once the worker is ready
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'cache-assets') return
+  event.waitUntil(cacheAssets(event.data.urls || []))
+})
+
+// Tapping a low-fuel or station notification focuses the open app, or opens it
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const url = event.notification.data?.url || '/'
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => new URL(client.url).origin === self.location.origin)
+      return open ? open.focus() : self.clients.openWindow(url)
+    })
+  )
+})
@@ -1,3 +1,9 @@
+/**
+ * A palette color read from a CSS variable holding "r g b", so opacity
+ * modifiers like bg-opacity-50 keep working
+ */
+const themeColor = (name) => `rgb(var(--color-${name}) / <alpha-value>)`
+
 /** @type {import('tailwindcss').Config} */
 module.exports = {
   content: [
@@ -5,16 +11,25 @@ module.exports = {
     './components/**/*.{js,ts,jsx,tsx,mdx}',
     './app/**/*.{js,ts,jsx,tsx,mdx}',
   ],
+  // The `dark` class on <html> is set by utils/theme (light, dark or auto mode)
+  darkMode: 'class',
   theme: {
     extend: {
-      // Fun road trip color palette - pastels and vibrant accents
+      // Fun road trip color palette - pastels and vibrant accents. The values live
+      // in CSS variables (app/globals.css) so the whole palette, the grays and the
+      // panel surface switch for the night theme without touching every class.
       colors: {
-        'sky-pastel': '#B8E6F5',
-        'orange-pastel': '#FFD5B5',
-        'yellow-pastel': '#FFF4CC',
-        'coral': '#FF6B6B',
-        'teal': '#4ECDC4',
-        'purple-pastel': '#C7B8EA',
+        'sky-pastel': themeColor('sky-pastel'),
+        'orange-pastel': themeColor('orange-pastel'),
+        'yellow-pastel': themeColor('yellow-pastel'),
+        'coral': themeColor('coral'),
+        'teal': themeColor('teal'),
+        'purple-pastel': themeColor('purple-pastel'),
+        // Panels, cards and buttons (white in the light theme)
+        'surface': themeColor('surface'),
+        gray: Object.fromEntries(
+          [50, 100, 200, 300, 400, 500, 600, 700, 800, 900].map((shade) => [shade, themeColor(`gray-${shade}`)])
+        ),
       },
       // Custom animations for the moped and markers
       animation: {
@@ -0,0 +1,59 @@
+/**
+ * Accessibility Utilities
+ *
+ * This module provides functions for:
+ * - Following the system "reduce motion" setting
+ * - Spoken labels for stations, shared by the station list and map markers
+ * - What to announce when the nearest station changes
+ */
+
+import { formatDistance } from './getNearestStation'
+import { formatPrice } from './fuelPrices'
+import { t } from './i18n'
+
+/**
+ * Follow the system reduced-motion setting
+ *
+ * @param {Function} onChange - Called with true/false now and whenever the setting changes
+ * @returns {Function} Stops watching
+ */
+export function watchReducedMotion(onChange) {
+  if (typeof window === 'undefined' || !window.matchMedia) return () => {}
+
+  const query = window.matchMedia('(prefers-reduced-motion: reduce)')
+  const listener = (event) => onChange(event.matches)
+  onChange(query.matches)
+  query.addEventListener('change', listener)
+  return () => query.removeEventListener('change', listener)
+}
+
+/**
+ * A one-line description of a station for screen readers and marker tooltips
+ *
+ * @param {Object} station - Station with name and distance (miles)
+ * @param {Object} options - {isNearest, isFavorite, price: latest report {price} for the grade, grade}
+ * @returns {string} e.g. "Shell, nearest, favorite, 0.4 mi away, Regular $3.459"
+ */
+export function describeStation(station, { isNearest = false, isFavorite = false, price = null, grade } = {}) {
+  const parts = [station.name || t('station.unnamed')]
+  if (isNearest) parts.push(t('list.nearest'))
+  if (isFavorite) parts.push(t('list.favorite'))
+  if (station.distance != null) parts.push(t('station.away', { distance: formatDistance(station.distance) }))
+  if (price) parts.push(`${t(`grade.${grade}`)} ${formatPrice(price.price)}`)
+  if (station.reach?.status === 'unreachable') parts.push(t('station.beyondRange'))
+  return parts.join(', ')
+}
+
+/**
+ * What to announce when a different station becomes the nearest
+ *
+ * @param {Object|null} station - The new nearest station
+ * @returns {string} Announcement, or '' when there's none
+ */
+export function nearestStationAnnouncement(station) {
+  if (!station) return ''
+  return t('a11y.nearest', {
+    name: station.name || t('station.unnamed'),
+    distance: formatDistance(station.roadDistance ?? station.distance),
+  })
+}
@@ -0,0 +1,129 @@
+/**
+ * Server-side Caching & Throttling Utilities
+ *
+ * This module provides helpers used by the API route handlers for:
+ * - Caching upstream responses with a TTL
+ * - Merging identical requests that are in flight at the same time
+ * - Spacing out requests to respect upstream usage policies
+ * - Limiting how often one client can submit data
+ * - Building cache keys from rounded coordinates
+ */
+
+/**
+ * Create a TTL cache that also de-duplicates concurrent loads
+ *
+ * @param {Object} options - {ttlMs: time to keep entries, maxEntries: cap before evicting oldest}
+ * @returns {Object} Cache with a `get(key, load)` method
+ */
+export function createCache({ ttlMs, maxEntries = 500 }) {
+  const entries = new Map()
+  const inflight = new Map()
+
+  return {
+    /**
+     * Return the cached value for a key, or run `load` to fill it.
+     * Concurrent calls for the same key share one `load` call.
+     *
+     * @param {string} key - Cache key
+     * @param {Function} load - Async function producing the value
+     * @returns {Promise<any>} Cached or freshly loaded value
+     */
+    async get(key, load) {
+      const cached = entries.get(key)
+      if (cached && cached.expires > Date.now()) return cached.value
+      if (cached) entries.delete(key)
+
+      if (inflight.has(key)) return inflight.get(key)
+
+      const promise = (async () => {
+        try {
+          const value = await load()
+          entries.set(key, { value, expires: Date.now() + ttlMs })
+
+          // Maps iterate in insertion order, so the first key is the oldest
+          if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value)
+          }
+          return value
+        } finally {
+          inflight.delete(key)
+        }
+      })()
+
+      inflight.set(key, promise)
+      return promise
+    },
+
+    clear() {
+      entries.clear()
+    },
+  }
+}
+
+/**
+ * Error thrown when a request would wait too long for its turn upstream
+ */
+export class ThrottleError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ThrottleError'
+  }
+}
+
+/**
+ * Create a throttle that spaces calls at least `minIntervalMs` apart
+ *
+ * @param {Object} options - {minIntervalMs: gap between calls, maxWaitMs: reject if queued longer}
+ * @returns {Function} schedule(task) - runs the async task when its slot comes up
+ */
+export function createThrottle({ minIntervalMs, maxWaitMs = 10000 }) {
+  let nextSlot = 0
+
+  return async function schedule(task) {
+    const now = Date.now()
+    const start = Math.max(now, nextSlot)
+
+    if (start - now > maxWaitMs) {
+      throw new ThrottleError('Too many requests queued for upstream service')
+    }
+
+    nextSlot = start + minIntervalMs
+    if (start > now) {
+      await new Promise((resolve) => setTimeout(resolve, start - now))
+    }
+    return task()
+  }
+}
+
+/**
+ * Create a per-client limit of `limit` actions in any `windowMs` window
+ *
+ * @param {Object} options - {limit: actions allowed per window, windowMs: window length}
+ * @returns {Function} allow(clientId) - records the action and returns false once over the limit
+ */
+export function createRateLimit({ limit, windowMs }) {
+  const recent = new Map()
+
+  return function allow(clientId) {
+    const now = Date.now()
+    const times = (recent.get(clientId) || []).filter((time) => now - time < windowMs)
+    if (times.length >= limit) return false
+
+    times.push(now)
+    recent.set(clientId, times)
+    return true
+  }
+}
+
+/**
+ * Round a coordinate to a fixed number of decimal places for cache keys
+ * (2 decimals ≈ 1.1 km, 3 decimals ≈ 110 m, 4 decimals ≈ 11 m)
+ *
+ * @param {number} value - Latitude or longitude
+ * @param {number} decimals - Decimal places to keep
+ * @returns {number} Rounded coordinate
+ */
+export function roundCoord(value, decimals) {
+  const factor = 10 ** decimals
+  return Math.round(value * factor) / factor
+}
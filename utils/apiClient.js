@@ -0,0 +1,112 @@
+/**
+ * API Client Utilities
+ *
+ * This module provides the fetch helper used for the app's own /api routes:
+ * - Typed errors (ApiError) saying what went wrong - offline, timeout, rate
+ *   limited, upstream down, no route - so the UI can explain it
+ * - Request timeouts via AbortController
+ * - Retries with exponential backoff for failures that may clear up
+ */
+
+import { t } from './i18n'
+
+// Give up on a request after this long, in ms
+const DEFAULT_TIMEOUT_MS = 20000
+
+// First retry waits this long, doubling each time, in ms
+const BASE_RETRY_DELAY_MS = 1000
+
+// Longest we'll wait on a server's Retry-After, in ms
+const MAX_RETRY_DELAY_MS = 10000
+
+// Failures worth trying again
+const RETRYABLE = ['network', 'timeout', 'rate-limited', 'unavailable']
+
+/**
+ * Error thrown when a request to an /api route fails
+ *
+ * `kind` is offline, network, timeout, rate-limited, unavailable, no-route,
+ * invalid or server; `what` names the request that failed. `message` is ready to
+ * show the rider, built from the request.<what> and error.<kind> UI strings.
+ */
+export class ApiError extends Error {
+  constructor(kind, what, { status = null, detail = null } = {}) {
+    super(t('error.message', { request: t(`request.${what}`), reason: detail || t(`error.${kind}`) }))
+    this.name = 'ApiError'
+    this.kind = kind
+    this.status = status
+  }
+
+  get isRetryable() {
+    return RETRYABLE.includes(this.kind)
+  }
+}
+
+/**
+ * Map an HTTP error status to an error kind
+ */
+function kindForStatus(status) {
+  if (status === 404) return 'no-route'
+  if (status === 429) return 'rate-limited'
+  if (status === 504) return 'timeout'
+  if (status === 502 || status === 503) return 'unavailable'
+  if (status >= 400 && status < 500) return 'invalid'
+  return 'server'
+}
+
+/**
+ * How long to wait before retry number `attempt` (0-based)
+ */
+function retryDelay(attempt, response) {
+  const retryAfter = parseInt(response?.headers.get('Retry-After'), 10)
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS)
+
+  // Jitter keeps clients that failed together from retrying together
+  return BASE_RETRY_DELAY_MS * 2 ** attempt * (0.75 + Math.random() / 2)
+}
+
+/**
+ * Fetch JSON from an /api route
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object} options - {what: the request, for error messages (a request.*
+ *   UI string key, e.g. "stations"), timeoutMs, retries: extra attempts for
+ *   retryable failures (default 1), plus any fetch() options}
+ * @returns {Promise<any>} Parsed JSON response
+ * @throws {ApiError} If the request failed after all retries
+ */
+export async function fetchJSON(
+  url,
+  { what = 'server', timeoutMs = DEFAULT_TIMEOUT_MS, retries = 1, ...init } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      throw new ApiError('offline', what)
+    }
+
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeoutMs)
+    let error
+    let response = null
+
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal })
+      if (response.ok) return await response.json()
+
+      const body = await response.json().catch(() => ({}))
+      error = new ApiError(kindForStatus(response.status), what, {
+        status: response.status,
+        // Our own validation messages are worth passing on as they are
+        detail: response.status === 400 || response.status === 403 ? body.error : null,
+      })
+    } catch (cause) {
+      // A response that isn't JSON is the server's fault, not the network's
+      error = new ApiError(cause.name === 'AbortError' ? 'timeout' : response ? 'server' : 'network', what)
+    } finally {
+      clearTimeout(timer)
+    }
+
+    if (!error.isRetryable || attempt >= retries) throw error
+    await new Promise((resolve) => setTimeout(resolve, retryDelay(attempt, response)))
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Deep Link Utilities
+ *
+ * This module provides functions for:
+ * - Reading a map view and a station from the page URL (/?at=lat,lng&z=15, /?station=node/123)
+ * - Writing the current view back to the address bar, so it can be copied as it is
+ * - Station page links (/station/node/123) and sending them with the Web Share API
+ */
+
+// Zoom the map opens at for a linked station, and for a view link without one
+export const STATION_LINK_ZOOM = 16
+export const DEFAULT_LINK_ZOOM = 15
+
+// Zooms a view link may ask for (the map's own limits)
+const MIN_LINK_ZOOM = 3
+const MAX_LINK_ZOOM = 19
+
+// A station key: type/id, e.g. node/123, user/abc-1 or google/ChIJ...
+const STATION_KEY_PATTERN = /^[a-z]+\/[\w-]+$/
+
+/**
+ * Read the view and station a link asks for
+ *
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} {at: {lat, lng} | null, zoom: number | null, stationKey: string | null};
+ *   anything missing or malformed is null
+ */
+export function parseMapLink(search) {
+  const params = new URLSearchParams(search)
+
+  const coordinates = (params.get('at') || '').split(',')
+  const [lat, lng] = coordinates.map((value) => (value.trim() === '' ? NaN : Number(value)))
+  const at =
+    coordinates.length === 2 && Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180
+      ? { lat, lng }
+      : null
+
+  const zoom = Math.round(Number(params.get('z')))
+  const key = params.get('station')
+
+  return {
+    at,
+    zoom: params.has('z') && zoom >= MIN_LINK_ZOOM && zoom <= MAX_LINK_ZOOM ? zoom : null,
+    stationKey: key && STATION_KEY_PATTERN.test(key) ? key : null,
+  }
+}
+
+/**
+ * Query string for a map view, the reverse of parseMapLink
+ *
+ * @param {Object} view - {at: {lat, lng}, zoom, stationKey}, each optional
+ * @returns {string} e.g. "?at=40.71280,-74.00600&z=15&station=node/123", or '' for none
+ */
+export function mapLinkSearch({ at, zoom, stationKey } = {}) {
+  const parts = []
+  if (at) parts.push(`at=${at.lat.toFixed(5)},${at.lng.toFixed(5)}`)
+  if (zoom) parts.push(`z=${Math.round(zoom)}`)
+  if (stationKey) parts.push(`station=${stationKey}`)
+  return parts.length > 0 ? `?${parts.join('&')}` : ''
+}
+
+/**
+ * Show a view in the address bar without adding a history entry
+ *
+ * @param {Object} view - See mapLinkSearch
+ */
+export function replaceMapLink(view) {
+  const url = `${window.location.pathname}${mapLinkSearch(view)}`
+  if (url !== `${window.location.pathname}${window.location.search}`) window.history.replaceState(null, '', url)
+}
+
+/**
+ * Path of a station's own page
+ *
+ * @param {Object} station - Station {type, id}
+ * @returns {string} e.g. "/station/node/123"
+ */
+export function stationPath(station) {
+  return `/station/${station.type}/${encodeURIComponent(station.id)}`
+}
+
+/**
+ * Full link to a station's page, for sharing
+ *
+ * @param {Object} station - Station {type, id}
+ * @returns {string} URL
+ */
+export function stationUrl(station) {
+  return `${window.location.origin}${stationPath(station)}`
+}
+
+/**
+ * Send a link with the Web Share API, or copy it where that isn't available
+ *
+ * @param {Object} link - {title, text, url}
+ * @returns {Promise<string>} 'shared', 'copied', 'cancelled' (the rider closed the share sheet)
+ *   or 'failed'
+ */
+export async function shareLink({ title, text, url }) {
+  if (navigator.share) {
+    try {
+      await navigator.share({ title, text, url })
+      return 'shared'
+    } catch (error) {
+      if (error.name === 'AbortError') return 'cancelled'
+      // Otherwise fall back to copying
+    }
+  }
+
+  try {
+    await navigator.clipboard.writeText(url)
+    return 'copied'
+  } catch {
+    return 'failed'
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Favorite Station Utilities
+ *
+ * Favorites are keyed by OSM element type and id (e.g. "node/123") and keep a
+ * copy of the station's basic details, so they can be listed even when they
+ * are outside the area currently fetched.
+ */
+
+import { loadJSON, saveJSON } from './storage'
+
+const STORAGE_KEY = 'favorites'
+
+/**
+ * Build the stable key for a station
+ *
+ * @param {Object} station - Station with OSM `type` and `id`
+ * @returns {string} Key like "node/123" or "way/456"
+ */
+export function stationKey(station) {
+  return `${station.type || 'node'}/${station.id}`
+}
+
+/**
+ * Load saved favorites
+ *
+ * @returns {Object} Map of station key to saved station details
+ */
+export function loadFavorites() {
+  return loadJSON(STORAGE_KEY, {})
+}
+
+/**
+ * Persist favorites
+ *
+ * @param {Object} favorites - Map of station key to saved station details
+ */
+export function saveFavorites(favorites) {
+  saveJSON(STORAGE_KEY, favorites)
+}
+
+/**
+ * Add a station to favorites, or remove it if it's already there
+ *
+ * @param {Object} favorites - Current favorites
+ * @param {Object} station - Station to toggle
+ * @returns {Object} New favorites object
+ */
+export function toggleFavorite(favorites, station) {
+  const key = stationKey(station)
+  const { [key]: existing, ...rest } = favorites
+  if (existing) return rest
+
+  return {
+    ...favorites,
+    [key]: {
+      key,
+      type: station.type,
+      id: station.id,
+      name: station.name,
+      brand: station.brand,
+      address: station.address,
+      lat: station.lat,
+      lng: station.lng,
+      addedAt: Date.now(),
+    },
+  }
+}
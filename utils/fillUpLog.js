@@ -0,0 +1,327 @@
+/**
+ * Fill-Up Log Utilities
+ *
+ * This module provides functions for:
+ * - Creating, loading and saving fill-up entries
+ * - Fuel economy and cost analytics (mpg, cost per mile, monthly spend)
+ * - Per-station price history
+ * - CSV export and import
+ */
+
+import { loadJSON, saveJSON } from './storage'
+import { t } from './i18n'
+
+const STORAGE_KEY = 'fillUps'
+
+const CSV_COLUMNS = ['date', 'station_key', 'station_name', 'gallons', 'total_price', 'odometer', 'full_tank']
+
+/**
+ * Load saved fill-ups
+ *
+ * @returns {Array} Fill-up entries, oldest first
+ */
+export function loadFillUps() {
+  return sortFillUps(loadJSON(STORAGE_KEY, []))
+}
+
+/**
+ * Persist fill-ups
+ *
+ * @param {Array} fillUps - Fill-up entries
+ */
+export function saveFillUps(fillUps) {
+  saveJSON(STORAGE_KEY, fillUps)
+}
+
+/**
+ * Sort fill-ups by odometer, then date (oldest first)
+ */
+export function sortFillUps(fillUps) {
+  return [...fillUps].sort((a, b) => a.odometer - b.odometer || a.date - b.date)
+}
+
+/**
+ * Create a fill-up entry
+ *
+ * @param {Object} fields - {station, gallons, totalPrice, odometer, isFull, date}
+ * @returns {Object} Fill-up entry
+ */
+export function createFillUp({ station, gallons, totalPrice, odometer, isFull = true, date = Date.now() }) {
+  return {
+    id: `${date}-${Math.random().toString(36).slice(2, 8)}`,
+    date,
+    stationKey: station?.key ?? null,
+    stationName: station?.name ?? t('fillUp.unknownStation'),
+    gallons,
+    totalPrice,
+    odometer,
+    isFull,
+  }
+}
+
+/**
+ * Compute fuel economy for each fill-up
+ *
+ * Uses the full-tank method: the miles since the previous full fill-up divided
+ * by all the fuel added since then. Partial fill-ups don't get an mpg of their
+ * own, their gallons count towards the next full one.
+ *
+ * @param {Array} fillUps - Fill-up entries
+ * @returns {Array} Entries sorted oldest first, each with `mpg` (or null) and `miles`
+ */
+export function computeEconomy(fillUps) {
+  const sorted = sortFillUps(fillUps)
+  let lastFull = null
+  let gallonsSince = 0
+
+  return sorted.map((entry) => {
+    let mpg = null
+    let miles = null
+
+    if (lastFull) {
+      gallonsSince += entry.gallons
+      if (entry.isFull) {
+        miles = entry.odometer - lastFull.odometer
+        mpg = gallonsSince > 0 && miles > 0 ? miles / gallonsSince : null
+      }
+    }
+
+    if (entry.isFull) {
+      lastFull = entry
+      gallonsSince = 0
+    }
+
+    return { ...entry, mpg, miles }
+  })
+}
+
+/**
+ * Summarize the log
+ *
+ * @param {Array} fillUps - Fill-up entries
+ * @returns {Object} {averageMpg, costPerMile, totalMiles, totalSpent} - averages are null
+ *   until there are two full fill-ups to measure between
+ */
+export function summarizeFillUps(fillUps) {
+  const withEconomy = computeEconomy(fillUps)
+  const totalSpent = fillUps.reduce((sum, entry) => sum + entry.totalPrice, 0)
+
+  // Only the fuel burned between measured full fill-ups counts towards averages
+  let miles = 0
+  let gallons = 0
+  let cost = 0
+  let pendingGallons = 0
+  let pendingCost = 0
+  let seenFull = false
+
+  for (const entry of withEconomy) {
+    if (seenFull) {
+      pendingGallons += entry.gallons
+      pendingCost += entry.totalPrice
+    }
+    if (entry.mpg !== null) {
+      miles += entry.miles
+      gallons += pendingGallons
+      cost += pendingCost
+    }
+    if (entry.isFull) {
+      seenFull = true
+      pendingGallons = 0
+      pendingCost = 0
+    }
+  }
+
+  const first = withEconomy[0]
+  const last = withEconomy[withEconomy.length - 1]
+  const totalMiles = first && last ? last.odometer - first.odometer : 0
+
+  return {
+    averageMpg: gallons > 0 ? miles / gallons : null,
+    costPerMile: miles > 0 ? cost / miles : null,
+    totalMiles,
+    totalSpent,
+  }
+}
+
+/**
+ * Total spend per calendar month
+ *
+ * @param {Array} fillUps - Fill-up entries
+ * @returns {Array} [{month: 'YYYY-MM', total, gallons}] newest month first
+ */
+export function monthlySpend(fillUps) {
+  const months = {}
+
+  for (const entry of fillUps) {
+    const date = new Date(entry.date)
+    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+    months[month] = months[month] || { month, total: 0, gallons: 0 }
+    months[month].total += entry.totalPrice
+    months[month].gallons += entry.gallons
+  }
+
+  return Object.values(months).sort((a, b) => b.month.localeCompare(a.month))
+}
+
+/**
+ * Price per gallon paid at each station over time
+ *
+ * @param {Array} fillUps - Fill-up entries
+ * @returns {Array} [{stationKey, stationName, prices: [{date, pricePerGallon}]}]
+ *   with the most visited stations first
+ */
+export function stationPriceHistory(fillUps) {
+  const stations = {}
+
+  for (const entry of fillUps) {
+    if (entry.gallons <= 0) continue
+
+    const key = entry.stationKey || entry.stationName
+    stations[key] = stations[key] || { stationKey: entry.stationKey, stationName: entry.stationName, prices: [] }
+    stations[key].prices.push({ date: entry.date, pricePerGallon: entry.totalPrice / entry.gallons })
+  }
+
+  return Object.values(stations)
+    .map((station) => ({ ...station, prices: station.prices.sort((a, b) => a.date - b.date) }))
+    .sort((a, b) => b.prices.length - a.prices.length)
+}
+
+/**
+ * Quote a CSV field if it contains a delimiter, quote or newline
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Export fill-ups as CSV
+ *
+ * @param {Array} fillUps - Fill-up entries
+ * @returns {string} CSV text with a header row
+ */
+export function fillUpsToCSV(fillUps) {
+  const rows = sortFillUps(fillUps).map((entry) =>
+    [
+      new Date(entry.date).toISOString(),
+      entry.stationKey,
+      entry.stationName,
+      entry.gallons,
+      entry.totalPrice,
+      entry.odometer,
+      entry.isFull ? 'yes' : 'no',
+    ]
+      .map(csvField)
+      .join(',')
+  )
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n')
+}
+
+/**
+ * Split CSV text into rows of fields, handling quoted fields
+ */
+function parseCSVRows(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ''))
+}
+
+/**
+ * Import fill-ups from CSV produced by fillUpsToCSV
+ *
+ * @param {string} text - CSV text
+ * @returns {Object} {fillUps: parsed entries, skipped: number of invalid rows}
+ * @throws {Error} If the header is missing required columns
+ */
+export function fillUpsFromCSV(text) {
+  const [header, ...rows] = parseCSVRows(text)
+  const columns = (header || []).map((name) => name.trim().toLowerCase())
+
+  const missing = ['date', 'gallons', 'total_price', 'odometer'].filter((name) => !columns.includes(name))
+  if (missing.length > 0) {
+    throw new Error(t('fillUp.csvMissing', { columns: missing.join(', ') }))
+  }
+
+  const fillUps = []
+  let skipped = 0
+
+  for (const row of rows) {
+    const value = (name) => row[columns.indexOf(name)]?.trim() ?? ''
+    const date = Date.parse(value('date'))
+    const gallons = parseFloat(value('gallons'))
+    const totalPrice = parseFloat(value('total_price'))
+    const odometer = parseFloat(value('odometer'))
+
+    if ([date, gallons, totalPrice, odometer].some(Number.isNaN)) {
+      skipped++
+      continue
+    }
+
+    fillUps.push(
+      createFillUp({
+        station: {
+          key: value('station_key') || null,
+          name: value('station_name') || t('fillUp.unknownStation'),
+        },
+        gallons,
+        totalPrice,
+        odometer,
+        isFull: value('full_tank').toLowerCase() !== 'no',
+        date,
+      })
+    )
+  }
+
+  return { fillUps, skipped }
+}
+
+/**
+ * Merge imported fill-ups into the log, skipping exact duplicates
+ *
+ * @param {Array} existing - Current entries
+ * @param {Array} imported - Entries from fillUpsFromCSV
+ * @returns {Array} Combined entries, oldest first
+ */
+export function mergeFillUps(existing, imported) {
+  const signature = (entry) => `${entry.date}|${entry.odometer}|${entry.gallons}`
+  const seen = new Set(existing.map(signature))
+
+  return sortFillUps([...existing, ...imported.filter((entry) => !seen.has(signature(entry)))])
+}
@@ -0,0 +1,169 @@
+/**
+ * Fuel Price Utilities
+ *
+ * This module provides functions for:
+ * - Fetching the latest crowd-sourced prices for stations (via /api/prices)
+ * - Submitting a price report
+ * - Scoring stations for the "cheapest within N miles" mode
+ *
+ * Prices are stored per US gallon, tagged with the currency they were reported in.
+ * Riders only see reports in their own currency, and formatPrice shows them per
+ * gallon or liter.
+ */
+
+import { formatMoney, getUnits, toDisplayUnitPrice } from './units'
+import { t } from './i18n'
+
+/**
+ * Fuel grades riders can report prices for
+ */
+export const PRICE_GRADES = [
+  { key: 'regular', label: 'Regular' },
+  { key: 'midgrade', label: 'Midgrade' },
+  { key: 'premium', label: 'Premium' },
+  { key: 'diesel', label: 'Diesel' },
+]
+
+/**
+ * Accepted price range per US gallon in each currency prices can be reported in
+ * (every currency in utils/units UNIT_OPTIONS) - anything outside is a typo
+ */
+export const PRICE_LIMITS = {
+  USD: { min: 0.5, max: 20 },
+  CAD: { min: 0.5, max: 30 },
+  MXN: { min: 5, max: 400 },
+  EUR: { min: 0.5, max: 20 },
+  GBP: { min: 0.5, max: 20 },
+  AUD: { min: 0.5, max: 30 },
+  ARS: { min: 100, max: 50000 },
+  CLP: { min: 500, max: 40000 },
+  COP: { min: 2000, max: 100000 },
+  PEN: { min: 2, max: 80 },
+}
+
+// Currency of reports made before reports carried one
+export const LEGACY_PRICE_CURRENCY = 'USD'
+
+/**
+ * Defaults for the "cheapest within N miles" mode
+ */
+export const DEFAULT_PRICE_MODE = {
+  enabled: false,
+  grade: 'regular',
+  maxMiles: 5,
+  centsPerMile: 5, // Each mile away counts as this many US cents per gallon more (see detourCost)
+}
+
+/**
+ * Check that a station key looks like "node/123", "way/456", "relation/789" or "<provider>/<id>"
+ * for stations from other providers (e.g. "google/ChIJ...")
+ *
+ * @param {string} key - Station key
+ * @returns {boolean} True if valid
+ */
+export function isValidStationKey(key) {
+  return typeof key === 'string' && /^((node|way|relation)\/\d+|(google|geojson|user)\/[\w-]{1,200})$/.test(key)
+}
+
+/**
+ * Fetch the latest reported prices for a set of stations
+ *
+ * @param {Array<string>} stationKeys - Station keys (see utils/favorites stationKey)
+ * @param {string} currency - Only reports made in this currency (e.g. 'USD')
+ * @returns {Promise<Object>} Map of station key to {grade: {price, reportedAt, reports}}
+ */
+export async function fetchPrices(stationKeys, currency) {
+  if (stationKeys.length === 0) return {}
+
+  try {
+    const response = await fetch(
+      `/api/prices?stations=${encodeURIComponent(stationKeys.join(','))}&currency=${encodeURIComponent(currency)}`
+    )
+    if (!response.ok) {
+      throw new Error('Failed to fetch prices')
+    }
+
+    const data = await response.json()
+    return data.prices || {}
+  } catch (error) {
+    console.error('Error fetching prices:', error)
+    return {}
+  }
+}
+
+/**
+ * Submit a price report for a station
+ *
+ * @param {Object} report - {stationKey, grade, price: per US gallon, currency}
+ * @returns {Promise<Object>} The stored report
+ * @throws {Error} With the server's message if the report was rejected
+ */
+export async function submitPriceReport({ stationKey, grade, price, currency }) {
+  const response = await fetch('/api/prices', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ stationKey, grade, price, currency }),
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.error || t('priceReport.failed'))
+  }
+
+  return data.report
+}
+
+/**
+ * Format a price for display
+ *
+ * @param {number} price - Price per gallon
+ * @returns {string} Formatted price per gallon or liter in the rider's currency (e.g., "$3.459" or "0,914 €")
+ */
+export function formatPrice(price) {
+  return formatMoney(toDisplayUnitPrice(price), 3)
+}
+
+/**
+ * What each mile of detour adds to a gallon's price in the cheapest mode
+ *
+ * centsPerMile is in US cents. Other currencies scale it by how their accepted
+ * price range compares to the dollar's (PRICE_LIMITS), so a mile still costs
+ * about as much in pesos as in dollars.
+ *
+ * @param {Object} priceMode - {centsPerMile}
+ * @param {string} currency - Currency prices are in (defaults to the rider's)
+ * @returns {number} Price units per gallon per mile
+ */
+export function detourCost(priceMode, currency = getUnits().currency) {
+  const dollar = PRICE_LIMITS.USD
+  const limits = PRICE_LIMITS[currency] || dollar
+  const scale = Math.sqrt((limits.min * limits.max) / (dollar.min * dollar.max))
+  return (priceMode.centsPerMile / 100) * scale
+}
+
+/**
+ * Score a station for the cheapest mode - lower is better
+ *
+ * The score is the price plus a penalty for each mile of detour, so a
+ * station a few cents cheaper doesn't win if it's across town.
+ *
+ * @param {number} price - Price per gallon, in the rider's currency
+ * @param {number} miles - Distance to the station
+ * @param {Object} priceMode - {centsPerMile}
+ * @returns {number} Effective price per gallon
+ */
+export function priceScore(price, miles, priceMode) {
+  return price + miles * detourCost(priceMode)
+}
+
+/**
+ * Get a station's reported price for a grade
+ *
+ * @param {Object} prices - Map from fetchPrices
+ * @param {string} key - Station key
+ * @param {string} grade - Fuel grade
+ * @returns {Object|null} {price, reportedAt, reports} or null
+ */
+export function getStationPrice(prices, key, grade) {
+  return prices?.[key]?.[grade] || null
+}
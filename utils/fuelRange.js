@@ -0,0 +1,245 @@
+/**
+ * Fuel Range Utilities
+ *
+ * This module provides functions for:
+ * - Describing the rider's vehicle (tank size, mpg, fuel gauge)
+ * - Estimating how far the moped can go on the fuel left
+ * - Ranking stations by travel time and whether they are reachable by road
+ */
+
+import { calculateDistance, fetchRoute, fetchTravelTimes } from './getNearestStation'
+import { stationKey } from './favorites'
+import { ApiError } from './apiClient'
+import { getStationPrice, priceScore } from './fuelPrices'
+import { routeOptionsFor, DEFAULT_ROUTING_PROFILE, MOPED_TOP_SPEED_MPH } from './routingProfiles'
+
+/**
+ * Default vehicle profile - a typical 49cc moped
+ */
+export const DEFAULT_VEHICLE = {
+  tankGallons: 1.2, // Tank capacity in gallons
+  mpg: 90, // Fuel economy in miles per gallon
+  fuelLevel: 1, // Fuel gauge reading, 0 (empty) to 1 (full)
+  reserveMiles: 10, // Warn when arriving with less than this much range left
+  routingProfile: DEFAULT_ROUTING_PROFILE, // 'car', 'moped' or 'bicycle' (see utils/routingProfiles)
+  topSpeedMph: MOPED_TOP_SPEED_MPH, // Used for moped ride times
+}
+
+/**
+ * Estimate the remaining range on the current tank
+ *
+ * @param {Object} vehicle - Vehicle profile {tankGallons, mpg, fuelLevel}
+ * @returns {number} Remaining range in miles
+ */
+export function estimateRange(vehicle) {
+  const { tankGallons, mpg, fuelLevel } = { ...DEFAULT_VEHICLE, ...vehicle }
+  const level = Math.min(Math.max(fuelLevel, 0), 1)
+
+  return tankGallons * level * mpg
+}
+
+/**
+ * Work out whether a trip of the given length is possible on the fuel left
+ *
+ * @param {number} miles - Trip distance in miles
+ * @param {Object} vehicle - Vehicle profile
+ * @returns {Object} {status, rangeLeft, fuelLeft} where status is
+ *   'ok', 'reserve' (arrives below the reserve threshold) or 'unreachable'
+ */
+export function assessReach(miles, vehicle) {
+  const { mpg, reserveMiles } = { ...DEFAULT_VEHICLE, ...vehicle }
+  const rangeLeft = estimateRange(vehicle) - miles
+
+  let status = 'ok'
+  if (rangeLeft < 0) status = 'unreachable'
+  else if (rangeLeft < reserveMiles) status = 'reserve'
+
+  return {
+    status,
+    rangeLeft,
+    fuelLeft: Math.max(rangeLeft, 0) / mpg, // Gallons left on arrival
+  }
+}
+
+/**
+ * How many of the closest stations get compared by travel time
+ */
+export const ROUTE_CANDIDATES = 6
+
+/**
+ * Pick the stations worth routing to, from a list sorted by crow-flies distance
+ *
+ * Crow-flies distance is a lower bound on road distance, so anything further
+ * than our range as the crow flies is out of reach by road too.
+ *
+ * @param {Array} stations - Stations sorted nearest first, with `distance` in miles
+ * @param {Object} vehicle - Vehicle profile
+ * @param {Object} options - {candidates: maximum count (default: ROUTE_CANDIDATES),
+ *   favorites: map of favorite station keys, preferFavoritesMiles: detour allowed for a favorite,
+ *   prices: reported prices, priceMode: "cheapest within N miles" settings,
+ *   chosenKey: key of a station the rider picked, always included while it's in the list}
+ * @returns {Array} The closest (or cheapest) stations, plus any favorites within the allowed detour
+ */
+export function pickRouteCandidates(
+  stations,
+  vehicle,
+  { candidates = ROUTE_CANDIDATES, favorites = {}, preferFavoritesMiles = 0, prices, priceMode, chosenKey } = {}
+) {
+  const picked = pickClosest(stations, vehicle, { candidates, favorites, preferFavoritesMiles, prices, priceMode })
+
+  const chosen = chosenKey && stations.find((station) => stationKey(station) === chosenKey)
+  if (chosen && !picked.includes(chosen)) return [...picked, chosen]
+
+  return picked
+}
+
+/**
+ * The candidates pickRouteCandidates starts from, before adding the rider's pick
+ */
+function pickClosest(stations, vehicle, { candidates, favorites, preferFavoritesMiles, prices, priceMode }) {
+  const range = estimateRange(vehicle)
+  const inRange = stations.filter((station) => station.distance <= range)
+  const pool = inRange.length > 0 ? inRange : stations
+
+  // Cheapest mode routes the best-value priced stations instead of the closest ones
+  if (priceMode?.enabled) {
+    const priced = pool
+      .filter((station) => station.distance <= priceMode.maxMiles)
+      .map((station) => ({ station, price: getStationPrice(prices, stationKey(station), priceMode.grade) }))
+      .filter(({ price }) => price)
+      .sort(
+        (a, b) =>
+          priceScore(a.price.price, a.station.distance, priceMode) -
+          priceScore(b.price.price, b.station.distance, priceMode)
+      )
+    if (priced.length > 0) return priced.slice(0, candidates).map(({ station }) => station)
+  }
+
+  const picked = pool.slice(0, candidates)
+
+  if (preferFavoritesMiles > 0 && picked.length > 0) {
+    const limit = picked[0].distance + preferFavoritesMiles
+    const extras = pool
+      .slice(candidates)
+      .filter((station) => favorites[stationKey(station)] && station.distance <= limit)
+    return [...picked, ...extras]
+  }
+
+  return picked
+}
+
+/**
+ * Rank stations by travel time and whether they can be reached
+ *
+ * The closest few stations that could possibly be in range are compared with a
+ * single travel-time table request, so a station across the river doesn't win
+ * just because it's closer as the crow flies. Only the winner gets a full route.
+ * With `preferFavoritesMiles` set, a reachable favorite wins over the quickest
+ * station as long as it's no more than that many miles further by road.
+ * In cheapest mode, reachable stations are ordered by price plus detour instead.
+ * A station the rider picked (`chosenKey`) always comes first.
+ *
+ * @param {Array} stations - Array of gas station objects
+ * @param {Object} userLocation - User's current location {lat, lng}
+ * @param {Object} vehicle - Vehicle profile
+ * @param {Object} options - Same options as pickRouteCandidates
+ * @returns {Promise<Array>} Compared stations with `roadDistance`, `duration` and `reach`, best choice
+ *   first - only that one has a `route`. Stations that couldn't be routed keep their straight-line
+ *   distance and carry the ApiError as `routeError`
+ */
+export async function rankStationsByReach(stations, userLocation, vehicle, options = {}) {
+  if (!stations || stations.length === 0 || !userLocation) return []
+
+  const nearby = stations
+    .map((station) => ({
+      ...station,
+      distance: calculateDistance(userLocation.lat, userLocation.lng, station.lat, station.lng),
+    }))
+    .sort((a, b) => a.distance - b.distance)
+
+  const toRoute = pickRouteCandidates(nearby, vehicle, options)
+  const routeOptions = routeOptionsFor(vehicle)
+
+  let times = []
+  let tableError = null
+  try {
+    times = await fetchTravelTimes(userLocation, toRoute, routeOptions)
+  } catch (error) {
+    tableError = error
+  }
+
+  const compared = toRoute.map((station, i) => {
+    const time = times[i]
+
+    // Fall back to crow-flies distance if there are no travel times
+    const roadDistance = time?.distance ?? station.distance
+
+    return {
+      ...station,
+      duration: time?.duration,
+      roadDistance,
+      reach: assessReach(roadDistance, vehicle),
+      routeError: time ? null : tableError || new ApiError('no-route', 'route'),
+    }
+  })
+
+  const { favorites = {}, preferFavoritesMiles = 0, prices, priceMode, chosenKey } = options
+  const scoreOf = (station) => {
+    const reported = priceMode?.enabled && getStationPrice(prices, stationKey(station), priceMode.grade)
+    return reported ? priceScore(reported.price, station.roadDistance, priceMode) : null
+  }
+
+  let ranked = compared.sort((a, b) => {
+    const aReachable = a.reach.status !== 'unreachable'
+    const bReachable = b.reach.status !== 'unreachable'
+    if (aReachable !== bReachable) return aReachable ? -1 : 1
+
+    const aScore = scoreOf(a)
+    const bScore = scoreOf(b)
+    if (aScore !== null && bScore !== null) return aScore - bScore
+    if (aScore !== null || bScore !== null) return aScore !== null ? -1 : 1
+
+    // Quickest first; stations we have no time for go after the ones we do
+    const aTimed = a.duration != null
+    const bTimed = b.duration != null
+    if (aTimed && bTimed) return a.duration - b.duration
+    if (aTimed !== bTimed) return aTimed ? -1 : 1
+
+    return a.roadDistance - b.roadDistance
+  })
+
+  if (preferFavoritesMiles > 0 && ranked.length > 0 && !priceMode?.enabled) {
+    const best = ranked[0]
+    const favorite = ranked.find(
+      (station) =>
+        favorites[stationKey(station)] &&
+        station.reach.status !== 'unreachable' &&
+        station.roadDistance <= best.roadDistance + preferFavoritesMiles
+    )
+    if (favorite && favorite !== best) {
+      ranked = [favorite, ...ranked.filter((station) => station !== favorite)]
+    }
+  }
+
+  const chosen = chosenKey && ranked.find((station) => stationKey(station) === chosenKey)
+  if (chosen) ranked = [chosen, ...ranked.filter((station) => station !== chosen)]
+
+  // Full route (the line on the map, exact distance and time) for the winner only
+  const [best, ...others] = ranked
+  try {
+    const route = await fetchRoute(userLocation, best, routeOptions)
+    return [
+      {
+        ...best,
+        route: route.coordinates,
+        duration: route.duration,
+        roadDistance: route.distance,
+        reach: assessReach(route.distance, vehicle),
+        routeError: null,
+      },
+      ...others,
+    ]
+  } catch (error) {
+    return [{ ...best, routeError: error }, ...others]
+  }
+}
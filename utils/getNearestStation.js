@@ -2,12 +2,26 @@
  * Gas Station Discovery & Route Utilities
  *
  * This module provides functions for:
- * - Fetching nearby gas stations from OpenStreetMap
+ * - Fetching gas stations from the configured providers (via /api/stations), nearby, along a route
+ *   or one by its key
  * - Calculating distances between coordinates
  * - Finding the nearest station
  * - Fetching route data with turn-by-turn directions
+ * - Fetching travel times to many stations at once
+ * - Formatting distances, ETAs and ages in the rider's units and language
+ *
+ * Distances are miles and durations minutes throughout; only the format*
+ * helpers convert (see utils/units).
  */
 
+import { filterStations } from './stationFilters'
+import { DEFAULT_ROUTING_PROFILE } from './routingProfiles'
+import { fetchJSON, ApiError } from './apiClient'
+import { KM_PER_MILE, getUnits, formatClock } from './units'
+import { t } from './i18n'
+
+const METERS_PER_SECOND_PER_MPH = 0.44704
+
 /**
  * Haversine formula to calculate distance between two coordinates
  * Returns distance in miles
@@ -42,87 +56,69 @@ function toRadians(degrees) {
 }
 
 /**
- * Fetch nearby gas stations using OpenStreetMap Overpass API
+ * Fetch nearby gas stations (OpenStreetMap, plus any other configured providers)
  *
  * @param {number} lat - User's latitude
  * @param {number} lng - User's longitude
  * @param {number} radius - Search radius in meters (default: 5000 = ~3 miles)
- * @returns {Promise<Array>} Array of gas station objects
+ * @returns {Promise<Array>} Array of gas station objects (empty if there really are none)
+ * @throws {ApiError} If the stations couldn't be loaded (see utils/apiClient)
  */
 export async function fetchNearbyGasStations(lat, lng, radius = 5000) {
-  try {
-    // Overpass API query - finds fuel stations (amenity=fuel)
-    // Using a bounding box for better performance than radius search
-    const radiusInDegrees = radius / 111000 // Approximate conversion to degrees
-
-    const query = `
-      [out:json];
-      (
-        node["amenity"="fuel"]
-          (${lat - radiusInDegrees},${lng - radiusInDegrees},${lat + radiusInDegrees},${lng + radiusInDegrees});
-        way["amenity"="fuel"]
-          (${lat - radiusInDegrees},${lng - radiusInDegrees},${lat + radiusInDegrees},${lng + radiusInDegrees});
-      );
-      out center;
-    `
-
-    const response = await fetch('https://overpass-api.de/api/interpreter', {
-      method: 'POST',
-      body: query,
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'User-Agent': 'MopedFuel/1.0 (moped-tracker.vercel.app)',
-      },
-    })
-
-    if (!response.ok) {
-      throw new Error('Failed to fetch gas stations')
-    }
+  // Providers are queried server-side through /api/stations, which caches
+  // results, merges duplicates and keeps us within the services' usage policies
+  const data = await fetchJSON(`/api/stations?at=${lat},${lng}&radius=${radius}`, {
+    what: 'stations',
+  })
 
-    const data = await response.json()
-
-    // Process and format the results
-    const stations = data.elements.map((element) => {
-      // For ways (areas), use the center point; for nodes, use lat/lon directly
-      const stationLat = element.center?.lat || element.lat
-      const stationLon = element.center?.lon || element.lon
-
-      // Calculate distance from user
-      const distance = calculateDistance(lat, lng, stationLat, stationLon)
-
-      return {
-        id: element.id,
-        lat: stationLat,
-        lng: stationLon,
-        name: element.tags?.name || element.tags?.brand || 'Gas Station',
-        brand: element.tags?.brand,
-        operator: element.tags?.operator,
-        address: formatAddress(element.tags),
-        distance: distance,
-        tags: element.tags,
-      }
-    })
-
-    // Sort by distance (nearest first)
-    return stations.sort((a, b) => a.distance - b.distance)
-  } catch (error) {
-    console.error('Error fetching gas stations:', error)
-    return []
-  }
+  // Process and format the results, nearest first
+  return data.stations
+    .map((station) => withDistance(station, { lat, lng }))
+    .sort((a, b) => a.distance - b.distance)
 }
 
 /**
- * Format address from OSM tags
+ * Fetch gas stations within a corridor along a route
+ *
+ * @param {Array} points - Route points as [lat, lng] pairs (keep it under 200 points)
+ * @param {number} radius - Corridor half-width in meters (default: 1500)
+ * @returns {Promise<Array>} Array of gas station objects, distance measured from the first point
+ * @throws {ApiError} If the stations couldn't be loaded
  */
-function formatAddress(tags) {
-  if (!tags) return null
+export async function fetchStationsAlongRoute(points, radius = 1500) {
+  const along = points.map(([lat, lng]) => `${lat.toFixed(4)},${lng.toFixed(4)}`).join(';')
+  const data = await fetchJSON(`/api/stations?along=${along}&radius=${radius}`, {
+    what: 'corridor',
+    timeoutMs: 60000, // Corridor queries are slow on Overpass
+  })
+  const [lat, lng] = points[0]
 
-  const parts = []
-  if (tags['addr:housenumber']) parts.push(tags['addr:housenumber'])
-  if (tags['addr:street']) parts.push(tags['addr:street'])
-  if (tags['addr:city']) parts.push(tags['addr:city'])
+  return data.stations.map((station) => withDistance(station, { lat, lng }))
+}
+
+/**
+ * Fetch one station by its type/id key (for station links)
+ *
+ * @param {string} key - Station key, e.g. "node/123" (see utils/favorites stationKey)
+ * @param {Object|null} origin - Where to measure the distance from {lat, lng}, if known
+ * @returns {Promise<Object|null>} The station, or null if there's no such station
+ * @throws {ApiError} If the station couldn't be loaded
+ */
+export async function fetchStation(key, origin = null) {
+  try {
+    const data = await fetchJSON(`/api/stations?id=${encodeURIComponent(key)}`, { what: 'station' })
+    return origin ? withDistance(data.station, origin) : data.station
+  } catch (error) {
+    if (error.status === 404) return null
+    throw error
+  }
+}
 
-  return parts.length > 0 ? parts.join(', ') : null
+/**
+ * Add the straight-line distance from `origin` to a station from /api/stations
+ */
+function withDistance(station, origin) {
+  return { ...station, distance: calculateDistance(origin.lat, origin.lng, station.lat, station.lng) }
 }
 
 /**
@@ -130,82 +126,157 @@ function formatAddress(tags) {
  *
  * @param {Array} stations - Array of gas station objects
  * @param {Object} userLocation - User's current location {lat, lng}
- * @returns {Object|null} Nearest station object or null
+ * @param {Object} filters - Optional active filters (see utils/stationFilters)
+ * @returns {Object|null} Nearest matching station object or null
  */
-export function findNearestStation(stations, userLocation) {
+export function findNearestStation(stations, userLocation, filters) {
   if (!stations || stations.length === 0) return null
 
-  // Stations are already sorted by distance, so return first one
-  return stations[0]
+  const candidates = filterStations(stations, filters)
+  if (candidates.length === 0) return null
+  if (!userLocation) return candidates[0]
+
+  // Measure from where the user is now, not where the stations were fetched
+  return candidates.reduce((nearest, station) => {
+    const distance = calculateDistance(userLocation.lat, userLocation.lng, station.lat, station.lng)
+    return !nearest || distance < nearest.distance ? { ...station, distance } : nearest
+  }, null)
 }
 
 /**
- * Fetch route between two points using OSRM (Open Source Routing Machine)
+ * Fetch a route between two points (OSRM or Valhalla, via /api/route)
  *
  * @param {Object} start - Starting location {lat, lng}
  * @param {Object} end - Ending location {lat, lng}
- * @returns {Promise<Object>} Route data with coordinates, distance, and duration
+ * @param {Object} options - {via: stops to visit in order as {lat, lng}, plus
+ *   profile and topSpeedMph from routeOptionsFor(vehicle) in utils/routingProfiles}
+ * @returns {Promise<Object>} Route data with coordinates, distance, duration, steps and one entry in `legs` per stop
+ * @throws {ApiError} If routing failed - kind 'no-route' when there's no way there
  */
-export async function fetchRoute(start, end) {
-  try {
-    const url = `https://router.project-osrm.org/route/v1/driving/${start.lng},${start.lat};${end.lng},${end.lat}?overview=full&geometries=geojson&steps=true`
+export async function fetchRoute(start, end, { via = [], profile = DEFAULT_ROUTING_PROFILE, topSpeedMph = null } = {}) {
+  // Proxied through /api/route, which caches and throttles routing requests
+  let url = `/api/route?from=${start.lat},${start.lng}&to=${end.lat},${end.lng}&profile=${profile}`
+  if (via.length > 0) url += `&via=${via.map((point) => `${point.lat},${point.lng}`).join(';')}`
 
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'MopedFuel/1.0 (moped-tracker.vercel.app)',
-      },
-    })
+  const what = 'route'
+  const data = await fetchJSON(url, { what })
 
-    if (!response.ok) {
-      throw new Error('Failed to fetch route')
-    }
+  if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+    throw new ApiError('no-route', what)
+  }
 
-    const data = await response.json()
+  const route = data.routes[0]
+  const toLatLng = (coord) => [coord[1], coord[0]] // Convert [lng, lat] to [lat, lng]
 
-    if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
-      throw new Error('No route found')
-    }
+  // Routing engines time fast roads at car speeds - a moped can't keep up
+  const capSeconds = (seconds, meters) =>
+    topSpeedMph ? Math.max(seconds, meters / (topSpeedMph * METERS_PER_SECOND_PER_MPH)) : seconds
 
-    const route = data.routes[0]
+  const legs = route.legs.map((leg) => {
+    const steps = (leg.steps || []).map((step) => ({ ...step, duration: capSeconds(step.duration, step.distance) }))
+    const seconds =
+      steps.length > 0
+        ? steps.reduce((total, step) => total + step.duration, 0)
+        : capSeconds(leg.duration, leg.distance)
 
     return {
-      coordinates: route.geometry.coordinates.map((coord) => [coord[1], coord[0]]), // Convert [lng, lat] to [lat, lng]
-      distance: route.distance / 1609.34, // Convert meters to miles
-      duration: route.duration / 60, // Convert seconds to minutes
-      steps: route.legs[0]?.steps || [],
+      // Each leg's line is pieced together from its steps
+      coordinates: steps.flatMap((step) => step.geometry?.coordinates?.map(toLatLng) || []),
+      distance: leg.distance / 1609.34,
+      duration: seconds / 60,
+      steps,
     }
-  } catch (error) {
-    console.error('Error fetching route:', error)
-    return null
+  })
+
+  return {
+    coordinates: route.geometry.coordinates.map(toLatLng),
+    distance: route.distance / 1609.34, // Convert meters to miles
+    duration: legs.reduce((total, leg) => total + leg.duration, 0), // Already in minutes
+    steps: legs.flatMap((leg) => leg.steps),
+    legs,
   }
 }
 
+/**
+ * Fetch road distance and travel time from one point to many (via /api/table)
+ *
+ * Much cheaper than a full route per destination - there's no geometry, just
+ * the numbers needed to compare them.
+ *
+ * @param {Object} start - Starting location {lat, lng}
+ * @param {Array} ends - Destinations as {lat, lng}
+ * @param {Object} options - {profile, topSpeedMph} from routeOptionsFor(vehicle) in utils/routingProfiles
+ * @returns {Promise<Array>} One entry per destination, in order: {distance (miles), duration (minutes)},
+ *   or null where there's no way there
+ * @throws {ApiError} If the travel times couldn't be fetched
+ */
+export async function fetchTravelTimes(start, ends, { profile = DEFAULT_ROUTING_PROFILE, topSpeedMph = null } = {}) {
+  const to = ends.map((point) => `${point.lat},${point.lng}`).join(';')
+  const what = 'compare'
+  const data = await fetchJSON(`/api/table?from=${start.lat},${start.lng}&to=${to}&profile=${profile}`, { what })
+
+  const durations = data.durations?.[0]
+  const distances = data.distances?.[0]
+  if (data.code !== 'Ok' || !durations || durations.length !== ends.length) {
+    throw new ApiError('no-route', what)
+  }
+
+  return durations.map((seconds, i) => {
+    const meters = distances?.[i]
+    if (seconds == null || meters == null) return null
+
+    // Same top-speed cap as fetchRoute, over the whole trip
+    const capped = topSpeedMph ? Math.max(seconds, meters / (topSpeedMph * METERS_PER_SECOND_PER_MPH)) : seconds
+    return { distance: meters / 1609.34, duration: capped / 60 }
+  })
+}
+
 /**
  * Calculate estimated time of arrival
  *
  * @param {number} durationMinutes - Duration in minutes
- * @returns {string} Formatted ETA (e.g., "2:45 PM")
+ * @returns {string} Formatted ETA on the rider's clock (e.g., "2:45 PM" or "14:45")
  */
 export function calculateETA(durationMinutes) {
   const now = new Date()
   const eta = new Date(now.getTime() + durationMinutes * 60000)
 
-  return eta.toLocaleTimeString('en-US', {
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true,
-  })
+  return formatClock(eta)
 }
 
 /**
  * Format distance for display
  *
  * @param {number} miles - Distance in miles
- * @returns {string} Formatted distance (e.g., "2.5 mi" or "0.3 mi")
+ * @returns {string} Formatted distance in the rider's units (e.g., "2.5 mi", "300 ft", "4.0 km" or "150 m")
  */
 export function formatDistance(miles) {
+  if (getUnits().distance === 'km') {
+    const km = miles * KM_PER_MILE
+    if (km < 1) {
+      return `${Math.round(km * 1000)} m` // Show meters for short distances
+    }
+    return `${km.toFixed(1)} km`
+  }
+
   if (miles < 0.1) {
     return `${Math.round(miles * 5280)} ft` // Show feet for very short distances
   }
   return `${miles.toFixed(1)} mi`
 }
+
+/**
+ * Format how long ago something happened
+ *
+ * @param {number} timestamp - Time in milliseconds since the epoch
+ * @returns {string} Formatted age (e.g., "just now", "5 min ago", "3 h ago", "2 d ago")
+ */
+export function formatTimeAgo(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000)
+  if (minutes < 1) return t('time.justNow')
+  if (minutes < 60) return t('time.minutesAgo', { count: minutes })
+
+  const hours = Math.round(minutes / 60)
+  if (hours < 24) return t('time.hoursAgo', { count: hours })
+  return t('time.daysAgo', { count: Math.round(hours / 24) })
+}
@@ -0,0 +1,114 @@
+/**
+ * GPS Smoothing Utilities
+ *
+ * This module provides functions for:
+ * - Dropping fixes too inaccurate to use while better ones are coming in
+ * - Smoothing positions with a simple Kalman filter weighted by each fix's accuracy
+ * - Working out the direction of travel, from the GPS heading or from movement
+ *
+ * The page runs each raw fix through smoothFix() before anything else sees it, so
+ * the moped, rides, distance ridden and re-routing all get the same steadier track.
+ */
+
+import { calculateDistance } from './getNearestStation'
+
+const METERS_PER_MILE = 1609.34
+
+// Fixes less accurate than this are dropped while the last kept one is recent, in meters
+const REJECT_ACCURACY_METERS = 100
+
+// ...where recent means within this long, in ms (after that any fix beats none)
+const STALE_FIX_MS = 30000
+
+// Accuracy assumed when the browser doesn't report one, in meters
+const DEFAULT_ACCURACY_METERS = 30
+
+// Slowest the filter expects the rider's position to drift, in meters per second
+const MIN_PROCESS_SPEED = 3
+
+// Below this speed the GPS heading is noise, in meters per second (~2 mph)
+const MIN_HEADING_SPEED = 1
+
+// Distance to cover before working out a heading from movement, in meters
+const MIN_BEARING_METERS = 10
+
+/**
+ * Compass bearing from one point to another
+ *
+ * @param {number} lat1 - Start latitude
+ * @param {number} lng1 - Start longitude
+ * @param {number} lat2 - End latitude
+ * @param {number} lng2 - End longitude
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+export function calculateBearing(lat1, lng1, lat2, lng2) {
+  const toRad = (degrees) => (degrees * Math.PI) / 180
+  const dLng = toRad(lng2 - lng1)
+  const y = Math.sin(dLng) * Math.cos(toRad(lat2))
+  const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) - Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLng)
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360
+}
+
+/**
+ * Fold a raw GPS fix into the smoothed position
+ *
+ * @param {Object|null} previous - Last smoothed position (from this function), or null
+ * @param {Object} fix - Raw fix {lat, lng, accuracy (m), speed (m/s), heading (degrees), timestamp}
+ * @returns {Object} The previous position if the fix was dropped, otherwise the new one:
+ *   {lat, lng, accuracy, speed, heading (degrees or null), timestamp, variance, headingFrom}.
+ *   `accuracy` is the fix's own; `variance` is the filter's.
+ */
+export function smoothFix(previous, fix) {
+  const accuracy = fix.accuracy ?? DEFAULT_ACCURACY_METERS
+  const timestamp = fix.timestamp ?? Date.now()
+
+  if (!previous) {
+    return {
+      ...fix,
+      accuracy,
+      timestamp,
+      heading: validHeading(fix),
+      variance: accuracy * accuracy,
+      headingFrom: { lat: fix.lat, lng: fix.lng },
+    }
+  }
+
+  const elapsed = Math.max(timestamp - previous.timestamp, 0)
+  if (accuracy > REJECT_ACCURACY_METERS && elapsed < STALE_FIX_MS) return previous
+
+  // The longer since the last fix (and the faster we're going), the less we trust where we were
+  const drift = Math.max(fix.speed || 0, MIN_PROCESS_SPEED)
+  const variance = previous.variance + (elapsed / 1000) * drift * drift
+  const gain = variance / (variance + accuracy * accuracy)
+
+  const lat = previous.lat + gain * (fix.lat - previous.lat)
+  const lng = previous.lng + gain * (fix.lng - previous.lng)
+
+  // Direction of travel: the GPS heading when moving, else the bearing over the last few meters
+  let heading = validHeading(fix)
+  let headingFrom = previous.headingFrom
+  const moved = calculateDistance(headingFrom.lat, headingFrom.lng, lat, lng) * METERS_PER_MILE
+  if (moved >= MIN_BEARING_METERS) {
+    if (heading === null) heading = calculateBearing(headingFrom.lat, headingFrom.lng, lat, lng)
+    headingFrom = { lat, lng }
+  }
+
+  return {
+    ...fix,
+    lat,
+    lng,
+    accuracy,
+    timestamp,
+    heading: heading ?? previous.heading,
+    variance: (1 - gain) * variance,
+    headingFrom,
+  }
+}
+
+/**
+ * The fix's own heading, if the rider is moving fast enough for it to mean anything
+ */
+function validHeading(fix) {
+  if (!Number.isFinite(fix.heading) || !(fix.speed >= MIN_HEADING_SPEED)) return null
+  return fix.heading
+}
@@ -0,0 +1,135 @@
+/**
+ * Translation Utilities
+ *
+ * This module provides functions for:
+ * - The UI languages we ship (English and Spanish) and picking one from the browser
+ * - Looking up UI strings by key, with {placeholders} and plural forms
+ * - The locale to format numbers, dates and money with
+ *
+ * Strings live in flat bundles under /locales, one per language. A missing
+ * string falls back to English, then to the key itself, so a half-translated
+ * bundle never breaks the page. Like the units, the active language is module
+ * state, set by the page with setLocale() whenever it loads or changes. Server
+ * pages render many requests at once, so they use withLocale() instead.
+ */
+
+import en from '../locales/en'
+import es from '../locales/es'
+
+export const LOCALES = [
+  { key: 'en', label: 'English' },
+  { key: 'es', label: 'Español' },
+]
+
+export const DEFAULT_LOCALE = 'en'
+
+const BUNDLES = { en, es }
+
+let activeLocale = DEFAULT_LOCALE
+
+/**
+ * Pick the UI language from the browser's preferred languages
+ *
+ * @param {string[]} languages - Locale tags in order of preference (default: navigator.languages)
+ * @returns {string} A key from LOCALES
+ */
+export function detectLocale(languages = typeof navigator !== 'undefined' ? navigator.languages : []) {
+  for (const tag of languages || []) {
+    const language = tag.split('-')[0].toLowerCase()
+    if (BUNDLES[language]) return language
+  }
+  return DEFAULT_LOCALE
+}
+
+/**
+ * Pick the UI language from an Accept-Language header, for server-rendered pages
+ *
+ * @param {string} header - e.g. "es-MX,es;q=0.9,en;q=0.8"
+ * @returns {string} A key from LOCALES
+ */
+export function localeFromHeader(header) {
+  const languages = (header || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...options] = part.trim().split(';')
+      const quality = options.find((option) => option.trim().startsWith('q='))
+      return { tag, q: quality ? Number(quality.trim().slice(2)) : 1 }
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(({ tag }) => tag)
+
+  return detectLocale(languages)
+}
+
+/**
+ * Use this UI language from now on
+ *
+ * @param {string} locale - A key from LOCALES; anything else falls back to English
+ */
+export function setLocale(locale) {
+  activeLocale = BUNDLES[locale] ? locale : DEFAULT_LOCALE
+}
+
+/**
+ * Run a function in a UI language, then go back to the one in use before
+ *
+ * For server pages: fn must be synchronous, so no other request's render
+ * runs while the language is switched.
+ *
+ * @param {string} locale - A key from LOCALES
+ * @param {Function} fn - Builds whatever needs translating
+ * @returns {*} What fn returns
+ */
+export function withLocale(locale, fn) {
+  const previous = activeLocale
+  setLocale(locale)
+  try {
+    return fn()
+  } finally {
+    activeLocale = previous
+  }
+}
+
+/**
+ * The UI language in use
+ *
+ * @returns {string} A key from LOCALES
+ */
+export function getLocale() {
+  return activeLocale
+}
+
+/**
+ * Locale tag to format numbers, money and times with
+ *
+ * Keeps the browser's region when it speaks the UI language (so "es-MX" stays
+ * Mexican), otherwise just the UI language.
+ *
+ * @returns {string} e.g. "en-CA" or "es"
+ */
+export function formatLocale() {
+  const browser = typeof navigator !== 'undefined' ? navigator.language : null
+  return browser?.split('-')[0].toLowerCase() === activeLocale ? browser : activeLocale
+}
+
+/**
+ * Look up a UI string
+ *
+ * Entries are either a string or, for counts, an object of plural forms
+ * ({one, other}) picked with the `count` param.
+ *
+ * @param {string} key - e.g. "status.locating"
+ * @param {Object} params - Values for {placeholders} (optional)
+ * @returns {string} The translated string
+ */
+export function t(key, params = {}) {
+  let entry = BUNDLES[activeLocale][key] ?? BUNDLES[DEFAULT_LOCALE][key] ?? key
+
+  if (typeof entry === 'object') {
+    const form = new Intl.PluralRules(activeLocale).select(params.count ?? 0)
+    entry = entry[form] ?? entry.other
+  }
+
+  return entry.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match))
+}
@@ -0,0 +1,52 @@
+/**
+ * JSON File Storage (server-side only)
+ *
+ * This module provides functions for:
+ * - Reading a JSON file once and keeping its contents in memory
+ * - Rewriting the file on each change, one write at a time
+ *
+ * Used by the file price store and the rider-submitted stations provider.
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+
+/**
+ * A JSON file that's read once and rewritten on every save
+ *
+ * Saves are queued so concurrent ones can't interleave. A failed save (disk full,
+ * no permission) only fails its own caller - the next save tries again.
+ *
+ * @param {string} filePath - Where to keep the file
+ * @param {Object} options - {empty: contents while there's no file yet, label: what it holds, for logs}
+ * @returns {Object} {load(): Promise<contents>, save(contents): Promise<void>}
+ */
+export function createJsonFile(filePath, { empty, label }) {
+  let loaded = null
+  let writeQueue = Promise.resolve()
+
+  return {
+    load() {
+      if (!loaded) {
+        loaded = fs
+          .readFile(filePath, 'utf8')
+          .then((text) => JSON.parse(text))
+          .catch((error) => {
+            if (error.code !== 'ENOENT') console.error(`Error reading ${label}:`, error)
+            return empty
+          })
+      }
+      return loaded
+    },
+
+    save(contents) {
+      writeQueue = writeQueue
+        .catch(() => {})
+        .then(async () => {
+          await fs.mkdir(path.dirname(filePath), { recursive: true })
+          await fs.writeFile(filePath, JSON.stringify(contents))
+        })
+      return writeQueue
+    },
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Live Share Utilities
+ *
+ * This module provides functions for:
+ * - Starting and stopping a live location share (via /api/share)
+ * - Publishing the rider's position, selected station and route to it
+ * - Watching a share from its read-only link (server-sent events)
+ * - Remembering the active share so a reload keeps it going
+ */
+
+import { fetchJSON } from './apiClient'
+import { loadJSON, saveJSON } from './storage'
+
+/**
+ * How long a share can last - it always ends by itself
+ */
+export const SHARE_DURATIONS = [
+  { minutes: 30, label: '30 min' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 240, label: '4 hours' },
+]
+
+// Longest route a share will carry; longer ones are thinned out first
+export const MAX_SHARE_ROUTE_POINTS = 1000
+
+export const MAX_SHARE_NAME_LENGTH = 40
+
+/**
+ * Start sharing
+ *
+ * @param {Object} options - {minutes: one of SHARE_DURATIONS, name: shown to friends}
+ * @returns {Promise<Object>} Session {id, token, expiresAt} - the token is what lets us publish
+ * @throws {ApiError} If the share couldn't be created
+ */
+export function startLiveShare({ minutes, name }) {
+  return fetchJSON('/api/share', {
+    what: 'shareStart',
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ minutes, name }),
+  })
+}
+
+/**
+ * Publish an update to a share
+ *
+ * Only the fields given are replaced, so the route can be left out while it
+ * hasn't changed.
+ *
+ * @param {Object} session - Session from startLiveShare
+ * @param {Object} update - {location: {lat, lng}, station, route, routingProfile}
+ * @throws {ApiError} With kind 'no-route' (404) once the share has ended
+ */
+export function publishLiveShare(session, update) {
+  return fetchJSON(`/api/share/${session.id}`, {
+    what: 'shareUpdate',
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session.token}` },
+    body: JSON.stringify(update),
+    timeoutMs: 10000,
+    retries: 0,
+  })
+}
+
+/**
+ * Stop sharing early
+ *
+ * @param {Object} session - Session from startLiveShare
+ */
+export function stopLiveShare(session) {
+  return fetchJSON(`/api/share/${session.id}`, {
+    what: 'shareStop',
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${session.token}` },
+    retries: 0,
+  })
+}
+
+/**
+ * The read-only link friends open to watch a share
+ *
+ * @param {string} id - Session id
+ * @returns {string} Absolute URL
+ */
+export function liveShareUrl(id) {
+  return `${window.location.origin}/share/${id}`
+}
+
+/**
+ * The parts of a station worth sharing (no OSM tags)
+ *
+ * @param {Object|null} station - Station
+ * @returns {Object|null} {id, type, name, brand, address, lat, lng, distance, duration}
+ */
+export function shareableStation(station) {
+  if (!station) return null
+  const { id, type, name, brand, address, lat, lng, distance, duration } = station
+  return { id, type, name, brand, address, lat, lng, distance, duration }
+}
+
+/**
+ * Thin a route out to at most MAX_SHARE_ROUTE_POINTS, keeping both ends
+ *
+ * @param {Array|null} route - [[lat, lng], ...]
+ * @returns {Array|null} Route
+ */
+export function shareableRoute(route) {
+  if (!route || route.length <= MAX_SHARE_ROUTE_POINTS) return route || null
+
+  const step = Math.ceil(route.length / (MAX_SHARE_ROUTE_POINTS - 1))
+  const thinned = route.filter((_, i) => i % step === 0)
+  thinned.push(route[route.length - 1])
+  return thinned
+}
+
+/**
+ * Watch a share as it updates
+ *
+ * EventSource reconnects by itself after network drops; `onStatus` says
+ * what's happening meanwhile.
+ *
+ * @param {string} id - Session id
+ * @param {Object} handlers - {onUpdate(state), onEnd(reason: 'stopped'|'expired'|'not-found'),
+ *   onStatus('live'|'reconnecting')}
+ * @returns {Function} Stops watching
+ */
+export function watchLiveShare(id, { onUpdate, onEnd, onStatus }) {
+  const source = new EventSource(`/api/share/${encodeURIComponent(id)}`)
+
+  source.addEventListener('update', (event) => {
+    onStatus('live')
+    onUpdate(JSON.parse(event.data))
+  })
+
+  source.addEventListener('end', (event) => {
+    source.close()
+    onEnd(JSON.parse(event.data).reason)
+  })
+
+  source.onerror = () => {
+    // A closed source means the server turned us away (ended or unknown share)
+    if (source.readyState === EventSource.CLOSED) onEnd('not-found')
+    else onStatus('reconnecting')
+  }
+
+  return () => source.close()
+}
+
+/**
+ * Load the share this device started, if it's still running
+ *
+ * @returns {Object|null} Session
+ */
+export function loadActiveShare() {
+  const session = loadJSON('liveShare', null)
+  return session?.expiresAt > Date.now() ? session : null
+}
+
+/**
+ * Remember the active share (or forget it, with null)
+ *
+ * @param {Object|null} session - Session
+ */
+export function saveActiveShare(session) {
+  saveJSON('liveShare', session)
+}
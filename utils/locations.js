@@ -0,0 +1,113 @@
+/**
+ * Location Utilities
+ *
+ * This module provides functions for:
+ * - The default region shown when there's no GPS fix (configurable)
+ * - Remembering the last known location and recently picked places
+ * - Searching for places by name (Nominatim search via /api/geocode)
+ */
+
+import { loadJSON, saveJSON } from './storage'
+import { calculateDistance } from './getNearestStation'
+import { fetchJSON } from './apiClient'
+
+/**
+ * Read a coordinate from a build-time environment variable
+ */
+function coordinateFromEnv(value, fallback) {
+  const number = parseFloat(value)
+  return Number.isFinite(number) ? number : fallback
+}
+
+/**
+ * Where to center the map when GPS is unavailable and nothing was saved.
+ * Set NEXT_PUBLIC_DEFAULT_LAT, NEXT_PUBLIC_DEFAULT_LNG and NEXT_PUBLIC_DEFAULT_NAME
+ * to change it (read at build time).
+ */
+export const DEFAULT_REGION = {
+  id: 'default',
+  name: process.env.NEXT_PUBLIC_DEFAULT_NAME || 'Madison, WI',
+  lat: coordinateFromEnv(process.env.NEXT_PUBLIC_DEFAULT_LAT, 43.0731),
+  lng: coordinateFromEnv(process.env.NEXT_PUBLIC_DEFAULT_LNG, -89.4012),
+}
+
+// How many picked places to remember
+const MAX_RECENT_PLACES = 5
+
+// Places closer together than this count as the same place, in miles
+const SAME_PLACE_MILES = 0.5
+
+/**
+ * Load the last location saved on this device
+ *
+ * @returns {Object|null} {lat, lng, name, savedAt} or null
+ */
+export function loadLastLocation() {
+  const saved = loadJSON('lastLocation', null)
+  return saved && Number.isFinite(saved.lat) && Number.isFinite(saved.lng) ? saved : null
+}
+
+/**
+ * Save the latest location (from GPS, or picked by hand)
+ *
+ * @param {Object} location - {lat, lng, name}, name only for picked places
+ */
+export function saveLastLocation({ lat, lng, name = null }) {
+  saveJSON('lastLocation', { lat, lng, name, savedAt: Date.now() })
+}
+
+/**
+ * Load the places the rider picked recently
+ *
+ * @returns {Array} Places as {id, name, displayName, lat, lng}, most recent first
+ */
+export function loadRecentPlaces() {
+  const saved = loadJSON('recentPlaces', [])
+  return Array.isArray(saved) ? saved : []
+}
+
+/**
+ * Save the recently picked places
+ *
+ * @param {Array} places - Places, most recent first
+ */
+export function saveRecentPlaces(places) {
+  saveJSON('recentPlaces', places)
+}
+
+/**
+ * Move a place to the top of the recent list
+ *
+ * @param {Array} places - Current recent places
+ * @param {Object} place - Place just picked {id, name, displayName, lat, lng}
+ * @returns {Array} New list, most recent first, without duplicates
+ */
+export function addRecentPlace(places, place) {
+  const others = places.filter(
+    (p) => p.id !== place.id && calculateDistance(p.lat, p.lng, place.lat, place.lng) > SAME_PLACE_MILES
+  )
+  const { id, name, displayName, lat, lng } = place
+  return [{ id, name, displayName, lat, lng }, ...others].slice(0, MAX_RECENT_PLACES)
+}
+
+/**
+ * Search for places by name
+ *
+ * @param {string} query - Free-text search (e.g. "Devil's Lake")
+ * @param {Object|null} near - Optional {lat, lng} to prefer results around
+ * @returns {Promise<Array>} Places as {id, name, displayName, lat, lng}
+ * @throws {ApiError} If the search failed (see utils/apiClient)
+ */
+export async function searchPlaces(query, near) {
+  let url = `/api/geocode?q=${encodeURIComponent(query)}`
+  if (near) url += `&near=${near.lat},${near.lng}`
+
+  const results = await fetchJSON(url, { what: 'places' })
+  return results.map((place) => ({
+    id: `${place.osm_type}/${place.osm_id}`,
+    name: place.name || place.display_name.split(',')[0],
+    displayName: place.display_name,
+    lat: parseFloat(place.lat),
+    lng: parseFloat(place.lon),
+  }))
+}
@@ -0,0 +1,196 @@
+/**
+ * Turn-by-Turn Navigation Utilities
+ *
+ * This module provides functions for:
+ * - Turning OSRM route steps into readable instructions, in the rider's language
+ * - Tracking progress along the route as GPS updates arrive
+ * - Detecting when the rider has left the route or arrived
+ * - Speaking instructions through the Web Speech API
+ */
+
+import { calculateDistance } from './getNearestStation'
+import { locateOnRoute, routeLength, OFF_ROUTE_MILES } from './refreshPolicy'
+import { t, getLocale } from './i18n'
+
+// Within this distance of the destination counts as arrived, in miles (~50 m)
+export const ARRIVAL_MILES = 0.03
+
+// Announce the upcoming maneuver again once it's this close, in miles (~500 ft)
+export const PROMPT_MILES = 0.1
+
+// OSRM maneuver modifiers and the direction.* UI string for each
+const MODIFIERS = {
+  left: 'left',
+  right: 'right',
+  'slight left': 'slightLeft',
+  'slight right': 'slightRight',
+  'sharp left': 'sharpLeft',
+  'sharp right': 'sharpRight',
+  straight: 'straight',
+  uturn: 'uturn',
+}
+
+// compass.* UI strings, clockwise from north in 45° steps
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest']
+
+// Unit abbreviations from formatDistance and the spoken.* UI string for each
+const SPOKEN_UNITS = { mi: 'miles', ft: 'feet', km: 'kilometers', m: 'meters' }
+
+/**
+ * Build a readable instruction for an OSRM step
+ *
+ * Instructions come from the nav.* templates of the active language.
+ *
+ * @param {Object} step - OSRM route step
+ * @returns {string} Instruction (e.g., "Turn left onto University Ave")
+ */
+export function formatInstruction(step) {
+  const { type, modifier, exit, bearing_after: bearing } = step.maneuver
+  const direction = t(`direction.${MODIFIERS[modifier] || 'straight'}`)
+  const side = t(modifier?.includes('left') ? 'side.left' : 'side.right')
+  const onto = step.name ? t('nav.onto', { road: step.name }) : ''
+
+  switch (type) {
+    case 'depart': {
+      const compass = t(`compass.${COMPASS[Math.round((bearing || 0) / 45) % 8]}`)
+      return step.name ? t('nav.departOn', { compass, road: step.name }) : t('nav.depart', { compass })
+    }
+    case 'arrive':
+      return modifier === 'left' || modifier === 'right' ? t('nav.arriveSide', { side }) : t('nav.arrive')
+    case 'roundabout':
+    case 'rotary':
+      return exit ? t('nav.roundaboutExit', { exit, onto }) : t('nav.roundabout', { onto })
+    case 'merge':
+      return t('nav.merge', { direction, onto })
+    case 'on ramp':
+      return t('nav.onRamp', { side, onto })
+    case 'off ramp':
+      return t('nav.offRamp', { side, onto })
+    case 'fork':
+      return t('nav.fork', { side, onto })
+    case 'end of road':
+      return t('nav.endOfRoad', { direction, onto })
+    case 'new name':
+    case 'continue':
+      return modifier && modifier !== 'straight' ? t('nav.continueTurn', { direction, onto }) : t('nav.continue', { onto })
+    default:
+      if (modifier === 'uturn') return t('nav.uturn', { onto })
+      return modifier === 'straight' ? t('nav.continue', { onto }) : t('nav.turn', { direction, onto })
+  }
+}
+
+/**
+ * A distance from formatDistance as it should be read out
+ *
+ * @param {string} distance - e.g. "0.3 mi" or "150 m"
+ * @returns {string} e.g. "0.3 miles" or "150 metros"
+ */
+export function spokenDistance(distance) {
+  return distance.replace(/ (mi|ft|km|m)$/, (match, unit) => ` ${t(`spoken.${SPOKEN_UNITS[unit]}`)}`)
+}
+
+/**
+ * Pick an arrow for a maneuver
+ *
+ * @param {Object} step - OSRM route step
+ * @returns {string} Emoji arrow
+ */
+export function maneuverIcon(step) {
+  const { type, modifier = '' } = step.maneuver
+  if (type === 'arrive') return '🏁'
+  if (type === 'roundabout' || type === 'rotary') return '🔄'
+  if (modifier === 'uturn') return '↩️'
+  if (modifier.includes('slight') && modifier.includes('left')) return '↖️'
+  if (modifier.includes('slight') && modifier.includes('right')) return '↗️'
+  if (modifier.includes('left')) return '⬅️'
+  if (modifier.includes('right')) return '➡️'
+  return '⬆️'
+}
+
+/**
+ * Prepare a route from fetchRoute for navigation
+ *
+ * @param {Object} route - Route from fetchRoute {coordinates, distance, duration, steps}
+ * @returns {Object} Navigation model {coordinates, distance, duration, steps, scale} where each
+ *   step is {instruction, icon, location, startsAt (miles into the route)}
+ */
+export function createNavigation(route) {
+  let startsAt = 0
+  const steps = route.steps.map((step) => {
+    const prepared = {
+      instruction: formatInstruction(step),
+      icon: maneuverIcon(step),
+      location: [step.maneuver.location[1], step.maneuver.location[0]],
+      startsAt,
+    }
+    startsAt += step.distance / 1609.34
+    return prepared
+  })
+
+  // Step distances come from OSRM; positions are measured on the drawn line.
+  // Scale one to the other so they agree.
+  const lineLength = routeLength(route.coordinates)
+
+  return {
+    coordinates: route.coordinates,
+    distance: route.distance,
+    duration: route.duration,
+    steps,
+    scale: lineLength > 0 ? route.distance / lineLength : 1,
+  }
+}
+
+/**
+ * Work out where the rider is along the route
+ *
+ * @param {Object} navigation - Model from createNavigation
+ * @param {Object} location - Current location {lat, lng}
+ * @returns {Object} {stepIndex, nextStep, distanceToTurn, remainingMiles, remainingMinutes, offRoute, arrived}
+ */
+export function navigationProgress(navigation, location) {
+  const { coordinates, steps, distance, duration, scale } = navigation
+  const { along, offset } = locateOnRoute(location, coordinates)
+  const travelled = along * scale
+
+  // The current step is the last one whose maneuver we've passed
+  let stepIndex = 0
+  while (stepIndex < steps.length - 1 && steps[stepIndex + 1].startsAt <= travelled) stepIndex++
+
+  const nextStep = steps[stepIndex + 1] || steps[stepIndex] || null
+  const remainingMiles = Math.max(distance - travelled, 0)
+  const end = coordinates[coordinates.length - 1]
+  const toEnd = calculateDistance(location.lat, location.lng, end[0], end[1])
+
+  return {
+    stepIndex,
+    nextStep,
+    distanceToTurn: nextStep ? Math.max(nextStep.startsAt - travelled, 0) : remainingMiles,
+    remainingMiles,
+    remainingMinutes: distance > 0 ? duration * (remainingMiles / distance) : 0,
+    offRoute: offset > OFF_ROUTE_MILES,
+    arrived: toEnd <= ARRIVAL_MILES || (remainingMiles <= ARRIVAL_MILES && offset <= OFF_ROUTE_MILES),
+  }
+}
+
+/**
+ * Check whether the browser can speak instructions
+ *
+ * @returns {boolean} True if the Web Speech API is available
+ */
+export function canSpeak() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window
+}
+
+/**
+ * Speak an instruction in the UI language, cutting off anything still being read out
+ *
+ * @param {string} text - What to say
+ */
+export function speak(text) {
+  if (!canSpeak()) return
+
+  const utterance = new SpeechSynthesisUtterance(text)
+  utterance.lang = getLocale()
+  window.speechSynthesis.cancel()
+  window.speechSynthesis.speak(utterance)
+}
@@ -0,0 +1,327 @@
+/**
+ * Ride Notification Utilities
+ *
+ * This module provides functions for:
+ * - Opt-in system notifications (Notifications API, shown through the
+ *   service worker where there is one) and quiet hours
+ * - Saving the alert settings and the distance ridden on this device
+ * - Counting the distance ridden since the last fill-up from GPS fixes
+ * - Deciding when to remind the rider: range nearly used up, a favorite or
+ *   the cheapest station close by, and the last station before a long gap
+ *   on a planned trip
+ *
+ * The alert checks are plain functions of the rider's position and what the
+ * app already knows; the page runs them on each GPS fix and remembers what
+ * it has already said, so each alert fires once.
+ */
+
+import { calculateDistance, formatDistance } from './getNearestStation'
+import { estimateRange } from './fuelRange'
+import { getStationPrice } from './fuelPrices'
+import { stationKey } from './favorites'
+import { locateOnRoute, distanceToRoute, routeLength } from './refreshPolicy'
+import { loadJSON, saveJSON } from './storage'
+import { t } from './i18n'
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  // Remind when the distance since the last fill-up is within this many miles of a full tank's range
+  lowFuel: { enabled: true, milesBefore: 10 },
+  // Say when we pass this close to a favorite or the cheapest nearby station
+  stationAhead: { enabled: true, radiusMiles: 0.3, favorites: true, cheapest: true },
+  // Warn at the last station before a stretch of at least this many miles with none, on a planned trip
+  lastStation: { enabled: true, gapMiles: 20 },
+  // No notifications between these times (local, "HH:MM"; may wrap past midnight)
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+}
+
+// GPS fixes less accurate than this aren't counted towards distance ridden, in meters
+const MAX_FIX_ACCURACY_METERS = 50
+
+// Count distance in steps of at least this much, so GPS jitter while parked doesn't add up, in miles
+const MIN_STEP_MILES = 0.02
+
+// Warn this far before reaching the last station before a gap, in miles
+const LAST_STATION_LEAD_MILES = 1
+
+// Don't mention the same nearby station again for this long, in ms
+export const STATION_REPEAT_MS = 2 * 60 * 60 * 1000
+
+/**
+ * Load the saved alert settings, filling in anything missing with the defaults
+ *
+ * @returns {Object} Notification settings
+ */
+export function loadNotificationSettings() {
+  const saved = loadJSON('notifications', {})
+  const settings = { ...DEFAULT_NOTIFICATION_SETTINGS, enabled: saved.enabled === true }
+  for (const group of ['lowFuel', 'stationAhead', 'lastStation', 'quietHours']) {
+    settings[group] = { ...DEFAULT_NOTIFICATION_SETTINGS[group], ...saved[group] }
+  }
+  return settings
+}
+
+/**
+ * Save the alert settings
+ *
+ * @param {Object} settings - Notification settings
+ */
+export function saveNotificationSettings(settings) {
+  saveJSON('notifications', settings)
+}
+
+/**
+ * Whether this browser can show notifications at all
+ */
+export function notificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window
+}
+
+/**
+ * Ask for permission to show notifications
+ *
+ * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return 'unsupported'
+  if (Notification.permission !== 'default') return Notification.permission
+  return Notification.requestPermission()
+}
+
+/**
+ * Whether a moment falls inside quiet hours
+ *
+ * @param {Object} quietHours - {enabled, start, end} with times as "HH:MM"
+ * @param {Date} date - Moment to check (default: now)
+ * @returns {boolean} True if notifications should stay quiet
+ */
+export function isQuietTime(quietHours, date = new Date()) {
+  if (!quietHours?.enabled) return false
+
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number)
+    return hours * 60 + minutes
+  }
+  const now = date.getHours() * 60 + date.getMinutes()
+  const start = toMinutes(quietHours.start)
+  const end = toMinutes(quietHours.end)
+
+  // "22:00 to 07:00" wraps past midnight
+  return start <= end ? now >= start && now < end : now >= start || now < end
+}
+
+/**
+ * Show a notification, unless it's quiet hours or permission is missing
+ *
+ * Goes through the service worker when one is running (required on Android,
+ * and lets a tap bring the app back), otherwise straight through the page.
+ *
+ * @param {Object} alert - {tag, title, body}; a newer alert with the same tag replaces the old one
+ * @param {Object} settings - Notification settings (for quiet hours)
+ * @returns {Promise<boolean>} Whether it was shown
+ */
+export async function showNotification(alert, settings) {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return false
+  if (isQuietTime(settings.quietHours)) return false
+
+  const options = { body: alert.body, tag: alert.tag, icon: '/moped-icon.svg', data: { url: '/' } }
+
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration()
+    if (registration) await registration.showNotification(alert.title, options)
+    else new Notification(alert.title, options)
+    return true
+  } catch (error) {
+    console.error('Notification failed:', error)
+    return false
+  }
+}
+
+/**
+ * Distance ridden since the last fill-up, counted from GPS fixes while the app is open
+ *
+ * @returns {Object} {miles, last: last counted {lat, lng} or null, remindedAt: when the
+ *   low-fuel reminder was given this tank, or null}
+ */
+export function createFuelOdometer() {
+  return { miles: 0, last: null, remindedAt: null }
+}
+
+/**
+ * Load the distance ridden since the last fill-up
+ *
+ * @returns {Object} Odometer (see createFuelOdometer)
+ */
+export function loadFuelOdometer() {
+  return { ...createFuelOdometer(), ...loadJSON('fuelOdometer', {}) }
+}
+
+/**
+ * Save the distance ridden since the last fill-up
+ *
+ * @param {Object} odometer - From createFuelOdometer()
+ */
+export function saveFuelOdometer(odometer) {
+  saveJSON('fuelOdometer', odometer)
+}
+
+/**
+ * Add a GPS fix to the distance ridden
+ *
+ * @param {Object} odometer - From createFuelOdometer()
+ * @param {Object} fix - GPS fix {lat, lng, accuracy}
+ * @returns {Object} The same odometer if nothing changed, or an updated copy
+ */
+export function addFixToOdometer(odometer, fix) {
+  if (fix.accuracy > MAX_FIX_ACCURACY_METERS) return odometer
+  if (!odometer.last) return { ...odometer, last: { lat: fix.lat, lng: fix.lng } }
+
+  const step = calculateDistance(odometer.last.lat, odometer.last.lng, fix.lat, fix.lng)
+  if (step < MIN_STEP_MILES) return odometer
+
+  return { ...odometer, miles: odometer.miles + step, last: { lat: fix.lat, lng: fix.lng } }
+}
+
+/**
+ * Reset or wind back the odometer after a fill-up
+ *
+ * @param {Object} odometer - From createFuelOdometer()
+ * @param {Object} fillUp - {gallons, isFull}
+ * @param {Object} vehicle - Vehicle profile (for mpg)
+ * @returns {Object} Updated odometer - zeroed for a full tank, less the added range otherwise
+ */
+export function refuelOdometer(odometer, { gallons, isFull }, vehicle) {
+  if (isFull) return { ...createFuelOdometer(), last: odometer.last }
+  return { ...odometer, miles: Math.max(odometer.miles - gallons * vehicle.mpg, 0), remindedAt: null }
+}
+
+/**
+ * Reminder when the distance since the last fill-up nears a full tank's range
+ *
+ * @param {Object} odometer - From createFuelOdometer()
+ * @param {Object} vehicle - Vehicle profile
+ * @param {Object} settings - Notification settings
+ * @returns {Object|null} Alert {tag, title, body}, or null if it isn't time (or was already given)
+ */
+export function lowFuelAlert(odometer, vehicle, settings) {
+  if (!settings.lowFuel.enabled || odometer.remindedAt) return null
+
+  const fullRange = estimateRange({ ...vehicle, fuelLevel: 1 })
+  const left = fullRange - odometer.miles
+  if (left > settings.lowFuel.milesBefore) return null
+
+  return {
+    tag: 'low-fuel',
+    title: t('notify.lowFuelTitle'),
+    body: t('notify.lowFuelBody', {
+      ridden: formatDistance(odometer.miles),
+      left: formatDistance(Math.max(left, 0)),
+    }),
+  }
+}
+
+/**
+ * Alerts for favorite or cheapest stations the rider is passing
+ *
+ * "Cheapest" is the lowest reported price for the selected grade among the
+ * stations within the cheapest mode's distance.
+ *
+ * @param {Object} location - Rider's location {lat, lng}
+ * @param {Array} stations - Loaded stations
+ * @param {Object} context - {favorites, prices, priceMode, settings, notified: {stationKey: time
+ *   last mentioned}, now}
+ * @returns {Array} Alerts {tag, title, body, key}, nearest first
+ */
+export function stationAheadAlerts(location, stations, { favorites, prices, priceMode, settings, notified, now }) {
+  const { enabled, radiusMiles, favorites: wantFavorites, cheapest: wantCheapest } = settings.stationAhead
+  if (!enabled) return []
+
+  const withDistance = stations.map((station) => ({
+    station,
+    key: stationKey(station),
+    distance: calculateDistance(location.lat, location.lng, station.lat, station.lng),
+  }))
+
+  let cheapestKey = null
+  if (wantCheapest) {
+    let best = Infinity
+    for (const { key, distance } of withDistance) {
+      const price = getStationPrice(prices, key, priceMode.grade)
+      if (price && distance <= priceMode.maxMiles && price.price < best) {
+        best = price.price
+        cheapestKey = key
+      }
+    }
+  }
+
+  return withDistance
+    .filter(({ key, distance }) => distance <= radiusMiles && now - (notified[key] || 0) > STATION_REPEAT_MS)
+    .filter(({ key }) => (wantFavorites && favorites[key]) || key === cheapestKey)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ station, key, distance }) => {
+      const price = key === cheapestKey ? getStationPrice(prices, key, priceMode.grade) : null
+      return {
+        key,
+        tag: `station-${key}`,
+        title: price ? t('notify.cheapestTitle') : t('notify.favoriteTitle'),
+        body: t('notify.stationBody', { name: station.name, distance: formatDistance(distance) }),
+      }
+    })
+}
+
+/**
+ * Find the stations along a route that are followed by a long stretch with none
+ *
+ * @param {Array} route - Route coordinates as [lat, lng] pairs
+ * @param {Array} stations - Stations near the route
+ * @param {number} minGapMiles - Shortest stretch worth warning about
+ * @param {number} corridorMiles - How far off the route a station still counts (default: 1)
+ * @returns {Array} {station, along: miles into the route, gap: miles to the next station or the end}
+ */
+export function findStationGaps(route, stations, minGapMiles, corridorMiles = 1) {
+  if (!route || route.length < 2) return []
+
+  const located = stations
+    .filter((station) => distanceToRoute(station, route) <= corridorMiles)
+    .map((station) => ({ station, along: locateOnRoute(station, route).along }))
+    .sort((a, b) => a.along - b.along)
+
+  const total = routeLength(route)
+
+  return located
+    .map((entry, i) => ({ ...entry, gap: (located[i + 1]?.along ?? total) - entry.along }))
+    .filter((entry) => entry.gap >= minGapMiles)
+}
+
+/**
+ * Warning as the rider nears the last station before a long gap
+ *
+ * @param {Object} location - Rider's location {lat, lng}
+ * @param {Array} route - The planned route
+ * @param {Array} gaps - From findStationGaps()
+ * @param {Object} context - {settings, notified: {alert key: time last mentioned}}
+ * @returns {Object|null} Alert {tag, title, body, key}, or null
+ */
+export function lastStationAlert(location, route, gaps, { settings, notified }) {
+  if (!settings.lastStation.enabled || gaps.length === 0) return null
+
+  const { along } = locateOnRoute(location, route)
+  const upcoming = gaps.find(
+    ({ along: stationAlong }) => stationAlong >= along && stationAlong - along <= LAST_STATION_LEAD_MILES
+  )
+  if (!upcoming) return null
+
+  // Kept apart from the same station's "passing by" alert
+  const key = `last:${stationKey(upcoming.station)}`
+  if (notified[key]) return null
+
+  return {
+    key,
+    tag: 'last-station',
+    title: t('notify.lastStationTitle', { distance: formatDistance(upcoming.gap) }),
+    body: t('notify.lastStationBody', {
+      name: upcoming.station.name,
+      distance: formatDistance(upcoming.along - along),
+    }),
+  }
+}
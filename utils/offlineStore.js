@@ -0,0 +1,126 @@
+/**
+ * Offline Data Store
+ *
+ * This module keeps the last station list and route in IndexedDB so the map
+ * still has something useful to show when the rider loses signal. Recorded
+ * rides live here too, since their tracks are too big for localStorage.
+ * All functions resolve to null/undefined instead of throwing when IndexedDB
+ * is unavailable (private browsing, server rendering).
+ */
+
+const DB_NAME = 'moped-fuel'
+const DB_VERSION = 2
+const STORE = 'snapshots'
+const RIDES_STORE = 'rides'
+
+let dbPromise = null
+
+/**
+ * Open (and create on first use) the app's IndexedDB database
+ *
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB isn't available
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      // Version 1 only had the snapshot store
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE)
+        if (!db.objectStoreNames.contains(RIDES_STORE)) db.createObjectStore(RIDES_STORE, { keyPath: 'id' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        console.error('Error opening offline store:', request.error)
+        resolve(null)
+      }
+    })
+  }
+
+  return dbPromise
+}
+
+/**
+ * Run a single request against one of the stores (the snapshot store by default)
+ */
+async function withStore(mode, makeRequest, storeName = STORE) {
+  const db = await openDatabase()
+  if (!db) return null
+
+  return new Promise((resolve) => {
+    const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName))
+    request.onsuccess = () => resolve(request.result ?? null)
+    request.onerror = () => {
+      console.error('Offline store error:', request.error)
+      resolve(null)
+    }
+  })
+}
+
+/**
+ * Save the latest station list
+ *
+ * @param {Object} snapshot - {stations, center: {lat, lng}, savedAt: timestamp}
+ */
+export function saveStationSnapshot(snapshot) {
+  return withStore('readwrite', (store) => store.put(snapshot, 'stations'))
+}
+
+/**
+ * Load the last saved station list
+ *
+ * @returns {Promise<Object|null>} {stations, center, savedAt} or null
+ */
+export function loadStationSnapshot() {
+  return withStore('readonly', (store) => store.get('stations'))
+}
+
+/**
+ * Save the latest route to a station
+ *
+ * @param {Object} snapshot - {stationId, route, duration, roadDistance, savedAt}
+ */
+export function saveRouteSnapshot(snapshot) {
+  return withStore('readwrite', (store) => store.put(snapshot, 'route'))
+}
+
+/**
+ * Load the last saved route
+ *
+ * @returns {Promise<Object|null>} {stationId, route, duration, roadDistance, savedAt} or null
+ */
+export function loadRouteSnapshot() {
+  return withStore('readonly', (store) => store.get('route'))
+}
+
+/**
+ * Save a ride (finished, or in progress so it survives a reload)
+ *
+ * @param {Object} ride - Ride from utils/rideLog createRide
+ */
+export function saveRide(ride) {
+  return withStore('readwrite', (store) => store.put(ride), RIDES_STORE)
+}
+
+/**
+ * Load every saved ride
+ *
+ * @returns {Promise<Array>} Rides, newest first
+ */
+export async function loadRides() {
+  const rides = (await withStore('readonly', (store) => store.getAll(), RIDES_STORE)) || []
+  return rides.sort((a, b) => b.startedAt - a.startedAt)
+}
+
+/**
+ * Delete a saved ride
+ *
+ * @param {string} id - Ride id
+ */
+export function deleteRide(id) {
+  return withStore('readwrite', (store) => store.delete(id), RIDES_STORE)
+}
@@ -0,0 +1,158 @@
+/**
+ * OSM Opening Hours Utilities
+ *
+ * This module provides functions for:
+ * - Parsing the common subset of the OSM `opening_hours` syntax
+ * - Checking whether a station is open at a given time
+ *
+ * Supported: "24/7", weekday ranges and lists ("Mo-Fr", "Sa,Su"), several
+ * time ranges per day, ranges past midnight ("22:00-02:00"), "off"/"closed",
+ * and rules separated by ";" or ",". Public holiday ("PH") rules are skipped.
+ * Anything else (months, week numbers, sunrise/sunset...) makes the whole
+ * value unparseable, and callers treat the hours as unknown rather than guessing.
+ */
+
+// Index matches Date.prototype.getDay() - Sunday is 0
+export const WEEKDAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa']
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6]
+const MINUTES_PER_DAY = 24 * 60
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ */
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value)
+  if (!match) return null
+
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10)
+  return minutes <= MINUTES_PER_DAY ? minutes : null
+}
+
+/**
+ * Parse a day selector like "Mo-Fr,Su" into day indexes.
+ * Returns null for unsupported selectors; public holidays ("PH") are ignored.
+ */
+function parseDays(selector) {
+  const days = new Set()
+
+  for (const part of selector.split(',')) {
+    if (part === 'PH') continue
+
+    const [from, to] = part.split('-').map((day) => WEEKDAYS.indexOf(day))
+    if (from === -1 || to === -1) return null
+
+    if (to === undefined) {
+      days.add(from)
+    } else {
+      // Ranges can wrap around the week, e.g. "Fr-Mo"
+      for (let day = from; ; day = (day + 1) % 7) {
+        days.add(day)
+        if (day === to) break
+      }
+    }
+  }
+
+  return [...days]
+}
+
+/**
+ * Parse "06:00-12:00,13:00-20:00" into [{start, end}] minute ranges.
+ * Ranges that cross midnight get an end greater than 24:00.
+ */
+function parseTimeRanges(value) {
+  const ranges = []
+
+  for (const part of value.split(',')) {
+    const [startText, endText] = part.split('-')
+    const start = parseTime(startText)
+    const end = parseTime(endText)
+    if (start === null || end === null) return null
+
+    ranges.push({ start, end: end <= start ? end + MINUTES_PER_DAY : end })
+  }
+
+  return ranges
+}
+
+/**
+ * Parse an OSM opening_hours value into a weekly schedule
+ *
+ * @param {string} value - Raw opening_hours tag
+ * @returns {Array|null} Seven entries (Sunday first), each an array of
+ *   {start, end} minute ranges; null if the value isn't supported
+ */
+export function parseOpeningHours(value) {
+  if (!value || typeof value !== 'string') return null
+
+  const text = value.trim()
+  if (text === '24/7') {
+    return ALL_DAYS.map(() => [{ start: 0, end: MINUTES_PER_DAY }])
+  }
+
+  const week = ALL_DAYS.map(() => [])
+
+  // Rules are separated by ";" or by a "," that follows a time
+  const rules = text
+    .replace(/(\d)\s*,\s*(?=[A-Z])/g, '$1;')
+    .split(';')
+    .map((rule) => rule.trim())
+    .filter(Boolean)
+
+  for (const rule of rules) {
+    const match = /^(?:([A-Za-z,-]+)\s+)?(.+)$/.exec(rule)
+    let [, selector, times] = match
+
+    // A bare day selector like "Sa,Su" means open all day on those days
+    if (!selector && /^[A-Z][a-z]/.test(times) && !/\d/.test(times)) {
+      selector = times
+      times = ''
+    }
+
+    let days = ALL_DAYS
+    if (selector) {
+      // Rules that only cover public holidays don't affect the normal week
+      if (selector === 'PH') continue
+      days = parseDays(selector)
+      if (!days) return null
+    }
+
+    let ranges
+    if (times === 'off' || times === 'closed') {
+      ranges = []
+    } else if (times === '') {
+      ranges = [{ start: 0, end: MINUTES_PER_DAY }]
+    } else {
+      ranges = parseTimeRanges(times.replace(/\s*([-,])\s*/g, '$1'))
+      if (!ranges) return null
+    }
+
+    // Later rules replace earlier ones for the days they mention
+    for (const day of days) week[day] = ranges
+  }
+
+  return week
+}
+
+/**
+ * Check whether a station is open at a given time
+ *
+ * @param {string} value - Raw opening_hours tag
+ * @param {Date} date - Time to check (default: now)
+ * @returns {boolean|null} true/false, or null if the hours are missing or unsupported
+ */
+export function isOpenAt(value, date = new Date()) {
+  const week = parseOpeningHours(value)
+  if (!week) return null
+
+  const day = date.getDay()
+  const minutes = date.getHours() * 60 + date.getMinutes()
+
+  if (week[day].some(({ start, end }) => minutes >= start && minutes < end)) {
+    return true
+  }
+
+  // Yesterday's ranges that ran past midnight
+  const yesterday = week[(day + 6) % 7]
+  return yesterday.some(({ end }) => end > MINUTES_PER_DAY && minutes < end - MINUTES_PER_DAY)
+}
@@ -0,0 +1,135 @@
+/**
+ * Fuel Price Storage (server-side only)
+ *
+ * Crowd-sourced price reports are kept behind a small adapter interface so
+ * the storage backend can be swapped:
+ * - `memory` - in-process only, for tests and throwaway dev servers
+ * - `file`   - a JSON file on disk (default), good for local use and single instances
+ *
+ * Pick one with PRICE_STORE=memory|file and PRICE_STORE_PATH for the file location.
+ * A new backend only needs to implement addReport() and latestPrices().
+ *
+ * Reports are {stationKey, grade, price, currency, unit: 'gal', reportedAt}. Reports
+ * made before they carried a currency count as LEGACY_PRICE_CURRENCY.
+ */
+
+import path from 'path'
+import { createJsonFile } from './jsonFile'
+import { LEGACY_PRICE_CURRENCY } from './fuelPrices'
+
+// Older reports are dropped once a station/grade has this many
+const MAX_REPORTS_PER_GRADE = 20
+
+/**
+ * Add a report to an in-memory index of {stationKey: {grade: [reports]}}
+ *
+ * @returns {Array} The older reports dropped to make room, for unindexReport
+ */
+function indexReport(index, report) {
+  const grades = (index[report.stationKey] = index[report.stationKey] || {})
+  const reports = (grades[report.grade] = grades[report.grade] || [])
+
+  reports.push(report)
+  reports.sort((a, b) => a.reportedAt - b.reportedAt)
+  return reports.length > MAX_REPORTS_PER_GRADE ? reports.splice(0, reports.length - MAX_REPORTS_PER_GRADE) : []
+}
+
+/**
+ * Undo indexReport, putting back the reports it dropped
+ */
+function unindexReport(index, report, dropped) {
+  const reports = index[report.stationKey][report.grade]
+  const at = reports.indexOf(report)
+  if (at !== -1) reports.splice(at, 1)
+
+  reports.push(...dropped)
+  reports.sort((a, b) => a.reportedAt - b.reportedAt)
+}
+
+/**
+ * Pick the latest report in `currency` per grade for each requested station
+ */
+function latestFromIndex(index, stationKeys, currency) {
+  const result = {}
+
+  for (const key of stationKeys) {
+    for (const [grade, reports] of Object.entries(index[key] || {})) {
+      const inCurrency = reports.filter((report) => (report.currency || LEGACY_PRICE_CURRENCY) === currency)
+      if (inCurrency.length === 0) continue
+
+      const latest = inCurrency[inCurrency.length - 1]
+      result[key] = result[key] || {}
+      result[key][grade] = { price: latest.price, reportedAt: latest.reportedAt, reports: inCurrency.length }
+    }
+  }
+
+  return result
+}
+
+/**
+ * Create an in-memory price store
+ *
+ * @returns {Object} Store with addReport(report) and latestPrices(stationKeys, currency)
+ */
+export function createMemoryStore() {
+  const index = {}
+
+  return {
+    async addReport(report) {
+      indexReport(index, report)
+      return report
+    },
+
+    async latestPrices(stationKeys, currency) {
+      return latestFromIndex(index, stationKeys, currency)
+    },
+  }
+}
+
+/**
+ * Create a price store backed by a JSON file
+ *
+ * The file is read once, then every report rewrites it (see utils/jsonFile). A
+ * report whose write fails is taken back out, so it isn't served until the next restart.
+ *
+ * @param {string} filePath - Where to keep the JSON file
+ * @returns {Object} Store with addReport(report) and latestPrices(stationKeys, currency)
+ */
+export function createFileStore(filePath) {
+  const file = createJsonFile(filePath, { empty: {}, label: 'price store' })
+
+  return {
+    async addReport(report) {
+      const index = await file.load()
+      const dropped = indexReport(index, report)
+      try {
+        await file.save(index)
+      } catch (error) {
+        unindexReport(index, report, dropped)
+        throw error
+      }
+      return report
+    },
+
+    async latestPrices(stationKeys, currency) {
+      return latestFromIndex(await file.load(), stationKeys, currency)
+    },
+  }
+}
+
+let store = null
+
+/**
+ * Get the configured price store (created on first use)
+ *
+ * @returns {Object} Price store
+ */
+export function getPriceStore() {
+  if (!store) {
+    store =
+      process.env.PRICE_STORE === 'memory'
+        ? createMemoryStore()
+        : createFileStore(process.env.PRICE_STORE_PATH || path.join(process.cwd(), '.data', 'prices.json'))
+  }
+  return store
+}
@@ -0,0 +1,176 @@
+/**
+ * Movement-Aware Refresh Policy
+ *
+ * This module decides how much work each GPS update needs:
+ * - Re-query Overpass only when the rider leaves the area already fetched
+ * - Recompute station distances locally from the cached list
+ * - Re-route only when the candidate stations change or the rider leaves the route
+ * - Trim the current route as the rider progresses along it
+ */
+
+import { calculateDistance } from './getNearestStation'
+
+// Search radius used for each station query, in meters
+export const FETCH_RADIUS = 8000
+
+// Refetch once the rider is this fraction of the radius away from the last query
+const REFETCH_FRACTION = 0.5
+
+// Distance from the route line that counts as "off route", in miles (~80 m)
+export const OFF_ROUTE_MILES = 0.05
+
+// How far to move before retrying after routing failed, in miles
+const ROUTE_RETRY_MILES = 0.25
+
+const METERS_PER_MILE = 1609.34
+
+/**
+ * Check whether the rider has left the area covered by the last station query
+ *
+ * @param {Object|null} area - Last fetched area {center: {lat, lng}, radius: meters}
+ * @param {Object} location - Current location {lat, lng}
+ * @returns {boolean} True if stations should be fetched again
+ */
+export function needsStationRefetch(area, location) {
+  if (!area) return true
+
+  const movedMiles = calculateDistance(area.center.lat, area.center.lng, location.lat, location.lng)
+  return movedMiles * METERS_PER_MILE > area.radius * REFETCH_FRACTION
+}
+
+/**
+ * Recompute crow-flies distances from the current location and re-sort
+ *
+ * @param {Array} stations - Cached station list
+ * @param {Object} location - Current location {lat, lng}
+ * @returns {Array} New array of stations, nearest first
+ */
+export function updateStationDistances(stations, location) {
+  return stations
+    .map((station) => ({
+      ...station,
+      distance: calculateDistance(location.lat, location.lng, station.lat, station.lng),
+    }))
+    .sort((a, b) => a.distance - b.distance)
+}
+
+/**
+ * Project a point to flat x/y miles around a reference latitude.
+ * Accurate enough for the short distances between route points.
+ */
+function project([lat, lng], refLat) {
+  return {
+    x: lng * 69.17 * Math.cos(refLat * (Math.PI / 180)),
+    y: lat * 69.05,
+  }
+}
+
+/**
+ * Find the route segment closest to a location
+ *
+ * @param {Object} location - Current location {lat, lng}
+ * @param {Array} route - Route coordinates as [lat, lng] pairs
+ * @returns {Object} {index: segment start index, t: position along that segment (0-1), distance: miles from the route}
+ */
+function closestSegment(location, route) {
+  const p = project([location.lat, location.lng], location.lat)
+  let best = { index: 0, t: 0, distance: Infinity }
+
+  for (let i = 0; i < route.length - 1; i++) {
+    const a = project(route[i], location.lat)
+    const b = project(route[i + 1], location.lat)
+    const dx = b.x - a.x
+    const dy = b.y - a.y
+    const lengthSq = dx * dx + dy * dy
+
+    // Clamp the projection of p onto the segment to [0, 1]
+    const t = lengthSq === 0 ? 0 : Math.min(Math.max(((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq, 0), 1)
+    const distance = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy))
+
+    if (distance < best.distance) best = { index: i, t, distance }
+  }
+
+  return best
+}
+
+/**
+ * Distance from a location to the nearest point on a route
+ *
+ * @param {Object} location - Current location {lat, lng}
+ * @param {Array} route - Route coordinates as [lat, lng] pairs
+ * @returns {number} Distance in miles (Infinity if there is no route)
+ */
+export function distanceToRoute(location, route) {
+  if (!route || route.length < 2) return Infinity
+  return closestSegment(location, route).distance
+}
+
+/**
+ * Where a location sits relative to a route
+ *
+ * @param {Object} location - Location {lat, lng}
+ * @param {Array} route - Route coordinates as [lat, lng] pairs
+ * @returns {Object} {along: miles from the start of the route, offset: miles from the route line}
+ */
+export function locateOnRoute(location, route) {
+  const { index, t, distance } = closestSegment(location, route)
+  const [a, b] = [route[index], route[index + 1]]
+  const segment = calculateDistance(a[0], a[1], b[0], b[1])
+
+  return { along: routeLength(route.slice(0, index + 1)) + t * segment, offset: distance }
+}
+
+/**
+ * Total length of a route
+ *
+ * @param {Array} route - Route coordinates as [lat, lng] pairs
+ * @returns {number} Length in miles
+ */
+export function routeLength(route) {
+  let total = 0
+  for (let i = 0; i < route.length - 1; i++) {
+    total += calculateDistance(route[i][0], route[i][1], route[i + 1][0], route[i + 1][1])
+  }
+  return total
+}
+
+/**
+ * Drop the part of the route the rider has already covered
+ *
+ * @param {Array} route - Route coordinates as [lat, lng] pairs
+ * @param {Object} location - Current location {lat, lng}
+ * @returns {Array} Remaining route, starting at the current location
+ */
+export function trimRoute(route, location) {
+  if (!route || route.length < 2) return route
+
+  const { index } = closestSegment(location, route)
+  return [[location.lat, location.lng], ...route.slice(index + 1)]
+}
+
+/**
+ * Decide whether the chosen station needs to be re-ranked and re-routed
+ *
+ * @param {Object|null} previous - Last ranking {candidateIds, settings, route, location}
+ * @param {Array} candidateIds - IDs of the stations that would be routed now
+ * @param {Object} settings - Inputs to the ranking (vehicle, favorites...), compared by identity
+ * @param {Object} location - Current location {lat, lng}
+ * @returns {boolean} True if routes should be fetched again
+ */
+export function needsReroute(previous, candidateIds, settings, location) {
+  if (!previous) return true
+  if (Object.keys(settings).some((key) => previous.settings[key] !== settings[key])) return true
+
+  // A different set of candidates means the chosen station may change.
+  // Compare as sets so two candidates swapping order doesn't trigger a reroute.
+  const idKey = (ids) => [...ids].sort().join(',')
+  if (idKey(previous.candidateIds) !== idKey(candidateIds)) return true
+
+  if (!previous.route) {
+    // Routing failed last time - don't hammer OSRM on every GPS tick
+    const movedMiles = calculateDistance(previous.location.lat, previous.location.lng, location.lat, location.lng)
+    return movedMiles > ROUTE_RETRY_MILES
+  }
+
+  return distanceToRoute(location, previous.route) > OFF_ROUTE_MILES
+}
@@ -0,0 +1,298 @@
+/**
+ * Ride Log Utilities
+ *
+ * This module provides functions for:
+ * - Building a ride's track from GPS fixes (dropping jitter and poor fixes)
+ * - Ride stats: distance, moving time, average and top speed
+ * - GPX and GeoJSON export and import
+ * - Miles ridden since a given time (e.g. the last fill-up)
+ *
+ * Rides are stored in IndexedDB (see utils/offlineStore.js). Track points are
+ * {lat, lng, time, accuracy, speed} with accuracy in meters and speed in m/s,
+ * as the Geolocation API reports them.
+ */
+
+import { calculateDistance } from './getNearestStation'
+import { t, formatLocale } from './i18n'
+
+// Fixes less accurate than this are dropped, in meters
+const MAX_ACCURACY_METERS = 50
+
+// Fixes closer than this to the last point are GPS jitter, in meters
+const MIN_STEP_METERS = 5
+
+// Slower than this counts as stopped (lights, traffic), in mph
+const MOVING_MPH = 2
+
+// Gaps longer than this (signal lost, app in the background) aren't moving time, in seconds
+const MAX_GAP_SECONDS = 120
+
+const METERS_PER_MILE = 1609.34
+const MPH_PER_METER_PER_SECOND = 2.23694
+
+/**
+ * Create a new ride
+ *
+ * @param {Object} fields - {name, startedAt, endedAt, points, imported}
+ * @returns {Object} Ride {id, name, startedAt, endedAt, points, imported}
+ */
+export function createRide({ name, startedAt = Date.now(), endedAt = null, points = [], imported = false } = {}) {
+  return {
+    id: `${startedAt}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name || t('rides.defaultName', { date: new Date(startedAt).toLocaleDateString(formatLocale(), { month: 'short', day: 'numeric' }) }),
+    startedAt,
+    endedAt,
+    points,
+    imported,
+  }
+}
+
+/**
+ * Add a GPS fix to a ride being recorded
+ *
+ * @param {Object} ride - Ride being recorded
+ * @param {Object} fix - {lat, lng, accuracy, speed, timestamp} from the Geolocation API
+ * @returns {Object} The ride with the point added, or the same ride if the fix was dropped
+ */
+export function addTrackPoint(ride, fix) {
+  if (fix.accuracy != null && fix.accuracy > MAX_ACCURACY_METERS) return ride
+
+  const last = ride.points[ride.points.length - 1]
+  if (last && calculateDistance(last.lat, last.lng, fix.lat, fix.lng) * METERS_PER_MILE < MIN_STEP_METERS) {
+    return ride
+  }
+
+  const point = {
+    lat: fix.lat,
+    lng: fix.lng,
+    time: fix.timestamp ?? Date.now(),
+    accuracy: fix.accuracy ?? null,
+    speed: fix.speed ?? null,
+  }
+  return { ...ride, points: [...ride.points, point] }
+}
+
+/**
+ * Work out a ride's distance and speeds
+ *
+ * @param {Array} points - Track points, oldest first
+ * @returns {Object} {distance (miles), duration and movingTime (minutes, null without
+ *   timestamps), averageSpeed (mph while moving), topSpeed (mph, null if not reported)}
+ */
+export function rideStats(points) {
+  let distance = 0
+  let movingSeconds = 0
+  let topSpeed = null
+
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i]
+    if (point.speed != null) topSpeed = Math.max(topSpeed ?? 0, point.speed * MPH_PER_METER_PER_SECOND)
+    if (i === 0) continue
+
+    const previous = points[i - 1]
+    const miles = calculateDistance(previous.lat, previous.lng, point.lat, point.lng)
+    distance += miles
+
+    const seconds = (point.time - previous.time) / 1000
+    if (seconds > 0 && seconds <= MAX_GAP_SECONDS && (miles / seconds) * 3600 >= MOVING_MPH) {
+      movingSeconds += seconds
+    }
+  }
+
+  const timed = points.length > 1 && points.every((point) => Number.isFinite(point.time))
+  const movingTime = timed ? movingSeconds / 60 : null
+
+  return {
+    distance,
+    duration: timed ? (points[points.length - 1].time - points[0].time) / 60000 : null,
+    movingTime,
+    averageSpeed: movingTime ? distance / (movingTime / 60) : null,
+    topSpeed,
+  }
+}
+
+/**
+ * Total miles recorded on this device in rides that started after a given time
+ *
+ * @param {Array} rides - Rides (imported ones are left out)
+ * @param {number} since - Timestamp (e.g. the last fill-up's date)
+ * @returns {number} Miles
+ */
+export function milesRiddenSince(rides, since) {
+  return rides
+    .filter((ride) => !ride.imported && ride.startedAt >= since)
+    .reduce((total, ride) => total + rideStats(ride.points).distance, 0)
+}
+
+const XML_ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }
+
+/**
+ * Escape text for an XML element
+ */
+function escapeXML(text) {
+  return String(text).replace(/[<>&'"]/g, (c) => XML_ENTITIES[c])
+}
+
+/**
+ * Export a ride as GPX 1.1
+ *
+ * Accuracy and speed go in each point's <extensions>, which other apps ignore.
+ *
+ * @param {Object} ride - Ride
+ * @returns {string} GPX document
+ */
+export function rideToGPX(ride) {
+  const points = ride.points.map((point) => {
+    const extensions = [
+      point.speed != null && `<speed>${point.speed.toFixed(2)}</speed>`,
+      point.accuracy != null && `<accuracy>${Math.round(point.accuracy)}</accuracy>`,
+    ].filter(Boolean)
+
+    return [
+      `      <trkpt lat="${point.lat.toFixed(6)}" lon="${point.lng.toFixed(6)}">`,
+      Number.isFinite(point.time) && `        <time>${new Date(point.time).toISOString()}</time>`,
+      extensions.length > 0 && `        <extensions>${extensions.join('')}</extensions>`,
+      '      </trkpt>',
+    ]
+      .filter(Boolean)
+      .join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="MopedFuel" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXML(ride.name)}</name><time>${new Date(ride.startedAt).toISOString()}</time></metadata>`,
+    '  <trk>',
+    `    <name>${escapeXML(ride.name)}</name>`,
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n')
+}
+
+/**
+ * Export a ride as a GeoJSON LineString feature
+ *
+ * Timestamps go in `coordTimes`, the convention most GeoJSON track tools read.
+ *
+ * @param {Object} ride - Ride
+ * @returns {string} GeoJSON document
+ */
+export function rideToGeoJSON(ride) {
+  const stats = rideStats(ride.points)
+
+  return JSON.stringify({
+    type: 'Feature',
+    properties: {
+      name: ride.name,
+      startedAt: new Date(ride.startedAt).toISOString(),
+      endedAt: ride.endedAt ? new Date(ride.endedAt).toISOString() : null,
+      distanceMiles: Number(stats.distance.toFixed(2)),
+      coordTimes: ride.points.map((point) => (Number.isFinite(point.time) ? new Date(point.time).toISOString() : null)),
+      accuracies: ride.points.map((point) => point.accuracy),
+      speeds: ride.points.map((point) => point.speed),
+    },
+    geometry: {
+      type: 'LineString',
+      coordinates: ride.points.map((point) => [Number(point.lng.toFixed(6)), Number(point.lat.toFixed(6))]),
+    },
+  })
+}
+
+/**
+ * Parse a number from text, or null
+ */
+function parseNumber(value) {
+  const number = parseFloat(value)
+  return Number.isFinite(number) ? number : null
+}
+
+/**
+ * Read track points from a GPX document
+ */
+function pointsFromGPX(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(t('rides.badGpx'))
+  }
+
+  // Match on local names so namespaced extensions (e.g. gpxtpx:speed) work too
+  const child = (element, name) => element.getElementsByTagNameNS('*', name)[0]?.textContent
+  let elements = [...doc.getElementsByTagNameNS('*', 'trkpt')]
+  if (elements.length === 0) elements = [...doc.getElementsByTagNameNS('*', 'rtept')]
+
+  const name = child(doc.documentElement, 'name')
+  const points = elements.map((element) => ({
+    lat: parseNumber(element.getAttribute('lat')),
+    lng: parseNumber(element.getAttribute('lon')),
+    time: child(element, 'time') ? Date.parse(child(element, 'time')) : null,
+    accuracy: parseNumber(child(element, 'accuracy')),
+    speed: parseNumber(child(element, 'speed')),
+  }))
+
+  return { name, points }
+}
+
+/**
+ * Read track points from a GeoJSON document
+ */
+function pointsFromGeoJSON(text) {
+  const data = JSON.parse(text)
+  const features =
+    data.type === 'FeatureCollection' ? data.features : [data.type === 'Feature' ? data : { geometry: data }]
+  const feature = features.find((f) => ['LineString', 'MultiLineString'].includes(f.geometry?.type))
+  if (!feature) {
+    throw new Error(t('rides.noGeoJsonTrack'))
+  }
+
+  const { geometry, properties = {} } = feature
+  const isMulti = geometry.type === 'MultiLineString'
+  const coordinates = isMulti ? geometry.coordinates.flat() : geometry.coordinates
+  const times = (isMulti ? properties.coordTimes?.flat() : properties.coordTimes) || properties.times || []
+
+  const points = coordinates.map(([lng, lat], i) => ({
+    lat,
+    lng,
+    time: times[i] ? Date.parse(times[i]) : null,
+    accuracy: properties.accuracies?.[i] ?? null,
+    speed: properties.speeds?.[i] ?? null,
+  }))
+
+  return { name: properties.name, points }
+}
+
+/**
+ * Read a ride from a GPX or GeoJSON file
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used when the file doesn't name the ride
+ * @returns {Object} Imported ride
+ * @throws {Error} If the file isn't a GPX or GeoJSON track
+ */
+export function rideFromFile(text, fileName = 'Imported ride') {
+  let parsed
+  try {
+    parsed = text.trim().startsWith('<') ? pointsFromGPX(text) : pointsFromGeoJSON(text)
+  } catch (error) {
+    throw new Error(error instanceof SyntaxError ? t('rides.badFile') : error.message)
+  }
+
+  const points = parsed.points.filter(
+    (point) => Number.isFinite(point.lat) && Number.isFinite(point.lng) && Math.abs(point.lat) <= 90
+  )
+  if (points.length < 2) {
+    throw new Error(t('rides.noTrack'))
+  }
+
+  const times = points.map((point) => point.time).filter(Number.isFinite)
+  return createRide({
+    name: parsed.name || fileName.replace(/\.[^.]+$/, ''),
+    startedAt: times[0] ?? Date.now(),
+    endedAt: times[times.length - 1] ?? Date.now(),
+    points: points.map((point) => ({ ...point, time: Number.isFinite(point.time) ? point.time : null })),
+    imported: true,
+  })
+}
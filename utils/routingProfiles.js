@@ -0,0 +1,85 @@
+/**
+ * Routing Profiles
+ *
+ * Describes how each kind of vehicle is routed. Shared by the browser and
+ * the /api/route handler:
+ * - `car` - ordinary driving directions
+ * - `moped` - keeps off motorways, trunk roads and fast roads, with ETAs at a moped's top speed
+ * - `bicycle` - cycling directions
+ */
+
+export const ROUTING_PROFILES = {
+  car: {
+    key: 'car',
+    label: 'Car',
+    icon: '🚗',
+    verb: 'drive', // "~5 min drive"
+    googleTravelMode: 'driving',
+    osrmProfile: 'driving',
+    valhallaCosting: 'auto',
+  },
+  moped: {
+    key: 'moped',
+    label: 'Moped',
+    icon: '🛵',
+    verb: 'ride',
+    googleTravelMode: 'driving', // Google Maps links have no two-wheeler mode
+    osrmProfile: 'driving',
+    valhallaCosting: 'motor_scooter',
+  },
+  bicycle: {
+    key: 'bicycle',
+    label: 'Bicycle',
+    icon: '🚲',
+    verb: 'ride',
+    googleTravelMode: 'bicycling',
+    osrmProfile: 'cycling',
+    valhallaCosting: 'bicycle',
+  },
+}
+
+export const DEFAULT_ROUTING_PROFILE = 'moped'
+
+// A 49cc moped tops out around here on the flat
+export const MOPED_TOP_SPEED_MPH = 30
+
+// Roads signed faster than this are avoided on the moped profile
+export const MOPED_MAX_ROAD_SPEED_MPH = 45
+
+/**
+ * Look up a routing profile, falling back to the default
+ *
+ * @param {string} key - Profile key ('car', 'moped' or 'bicycle')
+ * @returns {Object} Routing profile
+ */
+export function getRoutingProfile(key) {
+  return ROUTING_PROFILES[key] || ROUTING_PROFILES[DEFAULT_ROUTING_PROFILE]
+}
+
+/**
+ * Options for fetchRoute that match the rider's vehicle
+ *
+ * @param {Object} vehicle - Vehicle profile {routingProfile, topSpeedMph}
+ * @returns {Object} {profile, topSpeedMph} - top speed only applies to mopeds
+ */
+export function routeOptionsFor(vehicle) {
+  const profile = getRoutingProfile(vehicle?.routingProfile).key
+
+  return {
+    profile,
+    topSpeedMph: profile === 'moped' ? vehicle?.topSpeedMph || MOPED_TOP_SPEED_MPH : null,
+  }
+}
+
+/**
+ * Build a Google Maps directions link for the rider's profile
+ *
+ * @param {Object} origin - {lat, lng}
+ * @param {Object} destination - {lat, lng}
+ * @param {string} profileKey - Routing profile key
+ * @returns {string} Google Maps URL
+ */
+export function googleMapsUrl(origin, destination, profileKey) {
+  const travelMode = getRoutingProfile(profileKey).googleTravelMode
+  return `https://www.google.com/maps/dir/?api=1&origin=${origin.lat},${origin.lng}&destination=${destination.lat},${destination.lng}&travelmode=${travelMode}`
+}
@@ -0,0 +1,126 @@
+/**
+ * Live Share Broker (server-side only)
+ *
+ * Relays a rider's live position to friends watching their share link. The
+ * broker sits behind a small interface so it can be swapped:
+ * - createSession({name, expiresAt}) - returns {id, token, expiresAt}
+ * - getSession(id)                   - returns {id, expiresAt, state} or null
+ * - publish(id, token, update)       - merges the update into the state, tells subscribers
+ * - subscribe(id, listener)          - listener(event, data) gets 'update' and 'end' events
+ * - endSession(id, token)            - stops sharing early
+ *
+ * The default in-memory broker needs no external services, which makes it easy
+ * to run and test locally, but sessions only live in one server process. For
+ * several instances, plug in a broker backed by a shared pub/sub service with
+ * setShareBroker().
+ */
+
+import { randomBytes, timingSafeEqual } from 'crypto'
+
+// Most sessions one process will hold at once
+const MAX_SESSIONS = 1000
+
+/**
+ * Random URL-safe id
+ */
+function randomId(bytes) {
+  return randomBytes(bytes).toString('base64url')
+}
+
+/**
+ * Compare a publish token without leaking how much of it matched
+ */
+function tokensMatch(expected, given) {
+  if (typeof given !== 'string' || given.length !== expected.length) return false
+  return timingSafeEqual(Buffer.from(expected), Buffer.from(given))
+}
+
+/**
+ * Create an in-memory share broker
+ *
+ * Each session ends itself at its expiry time and tells its subscribers.
+ *
+ * @returns {Object} Broker (see the module comment for its methods)
+ */
+export function createMemoryBroker() {
+  const sessions = new Map()
+
+  const end = (session, reason) => {
+    clearTimeout(session.timer)
+    sessions.delete(session.id)
+    for (const listener of session.listeners) listener('end', { reason })
+    session.listeners.clear()
+  }
+
+  return {
+    async createSession({ name = null, expiresAt }) {
+      if (sessions.size >= MAX_SESSIONS) {
+        throw new Error('Too many live share sessions')
+      }
+
+      const session = {
+        id: randomId(9),
+        token: randomId(24),
+        expiresAt,
+        state: { name, location: null, station: null, route: null, updatedAt: null },
+        listeners: new Set(),
+      }
+      session.timer = setTimeout(() => end(session, 'expired'), expiresAt - Date.now())
+      session.timer.unref?.()
+      sessions.set(session.id, session)
+
+      return { id: session.id, token: session.token, expiresAt }
+    },
+
+    async getSession(id) {
+      const session = sessions.get(id)
+      return session ? { id, expiresAt: session.expiresAt, state: session.state } : null
+    },
+
+    async publish(id, token, update) {
+      const session = sessions.get(id)
+      if (!session || !tokensMatch(session.token, token)) return null
+
+      session.state = { ...session.state, ...update, updatedAt: Date.now() }
+      for (const listener of session.listeners) listener('update', session.state)
+      return session.state
+    },
+
+    async subscribe(id, listener) {
+      const session = sessions.get(id)
+      if (!session) return null
+
+      session.listeners.add(listener)
+      return () => session.listeners.delete(listener)
+    },
+
+    async endSession(id, token) {
+      const session = sessions.get(id)
+      if (!session || !tokensMatch(session.token, token)) return false
+
+      end(session, 'stopped')
+      return true
+    },
+  }
+}
+
+let broker = null
+
+/**
+ * Get the share broker (the in-memory one unless another was set)
+ *
+ * @returns {Object} Share broker
+ */
+export function getShareBroker() {
+  if (!broker) broker = createMemoryBroker()
+  return broker
+}
+
+/**
+ * Use a different share broker (e.g. one backed by Redis pub/sub, or a fake in tests)
+ *
+ * @param {Object} replacement - Object with the broker methods listed above
+ */
+export function setShareBroker(replacement) {
+  broker = replacement
+}
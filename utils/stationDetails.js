@@ -0,0 +1,149 @@
+/**
+ * Station Detail Utilities
+ *
+ * This module provides functions for the station detail sheet:
+ * - Opening hours as a weekly table
+ * - Fuels, payment methods and amenities read from a station's OSM tags
+ * - Phone and website
+ * - Links to photos, the OSM editor and OSM's "report a problem" notes
+ *
+ * Labels, day names and times are in the rider's language and clock (English
+ * and the default clock when rendered on the server).
+ */
+
+import { parseOpeningHours } from './openingHours'
+import { FUEL_OPTIONS, AMENITY_OPTIONS, PAYMENT_OPTIONS } from './stationFilters'
+import { formatClock } from './units'
+import { t, formatLocale } from './i18n'
+
+// Tag suffixes that read badly when just capitalized
+const LABEL_OVERRIDES = { lpg: 'LPG', cng: 'CNG', adblue: 'AdBlue', e5: 'E5', e15: 'E15', hgv_diesel: 'Truck diesel' }
+
+/**
+ * Name of a day of the week, e.g. "Monday"
+ */
+function dayName(dayIndex) {
+  // 2000-01-02 was a Sunday
+  const name = new Date(2000, 0, 2 + dayIndex).toLocaleDateString(formatLocale(), { weekday: 'long' })
+  return name.charAt(0).toUpperCase() + name.slice(1)
+}
+
+/**
+ * Format minutes since midnight as "6:00 AM"
+ */
+function formatMinutes(minutes) {
+  return formatClock(new Date(2000, 0, 1, 0, minutes % (24 * 60)))
+}
+
+/**
+ * Turn an opening_hours value into a table, Monday first
+ *
+ * @param {string} value - Raw opening_hours tag
+ * @returns {Array|null} [{day: 'Monday', dayIndex, hours: '6:00 AM - 10:00 PM' | 'Closed' | 'Open 24 hours'}],
+ *   or null if the hours are missing or in a form we can't read
+ */
+export function openingHoursTable(value) {
+  const week = parseOpeningHours(value)
+  if (!week) return null
+
+  return [1, 2, 3, 4, 5, 6, 0].map((dayIndex) => {
+    const ranges = week[dayIndex]
+    let hours
+    if (ranges.length === 0) hours = t('hours.closed')
+    else if (ranges.length === 1 && ranges[0].start === 0 && ranges[0].end >= 24 * 60) hours = t('hours.allDay')
+    else hours = ranges.map(({ start, end }) => `${formatMinutes(start)} - ${formatMinutes(end)}`).join(', ')
+
+    return { day: dayName(dayIndex), dayIndex, hours }
+  })
+}
+
+/**
+ * Label for a tag suffix we don't have in the filter options, e.g. "octane_98" -> "Octane 98"
+ */
+function labelFor(key) {
+  if (LABEL_OVERRIDES[key]) return LABEL_OVERRIDES[key]
+  const text = key.replace(/_/g, ' ')
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+/**
+ * List the `prefix:*=yes` tags as labels, known options first
+ */
+function listYesTags(tags, prefix, options) {
+  const keys = Object.keys(tags)
+    .filter((tag) => tag.startsWith(`${prefix}:`) && tags[tag] === 'yes')
+    .map((tag) => tag.slice(prefix.length + 1))
+
+  const known = options.filter((option) => keys.includes(option.key)).map((option) => t(`${prefix}.${option.key}`))
+  const others = keys.filter((key) => !options.some((option) => option.key === key)).map(labelFor)
+  return [...known, ...others]
+}
+
+/**
+ * Everything the detail sheet shows from a station's tags
+ *
+ * @param {Object} station - Station with OSM-style `tags`
+ * @returns {Object} {fuels, payments, amenities: arrays of labels, phone, website,
+ *   openingHours: raw value, hoursTable (see openingHoursTable)}
+ */
+export function stationDetails(station) {
+  const tags = station.tags || {}
+  const website = tags.website || tags['contact:website'] || null
+
+  return {
+    fuels: listYesTags(tags, 'fuel', FUEL_OPTIONS),
+    payments: listYesTags(tags, 'payment', PAYMENT_OPTIONS),
+    amenities: AMENITY_OPTIONS.filter((option) => option.matches(tags)).map((option) => t(`amenity.${option.key}`)),
+    phone: tags.phone || tags['contact:phone'] || null,
+    website: website && !/^https?:\/\//i.test(website) ? `https://${website}` : website,
+    openingHours: tags.opening_hours || null,
+    hoursTable: openingHoursTable(tags.opening_hours),
+  }
+}
+
+/**
+ * Whether a station comes from OpenStreetMap (and can be edited there)
+ */
+function isOsmStation(station) {
+  return ['node', 'way', 'relation'].includes(station.type)
+}
+
+/**
+ * Link to edit the station in the OpenStreetMap editor
+ *
+ * @param {Object} station - Station {type, id}
+ * @returns {string|null} URL, or null for stations that aren't from OSM
+ */
+export function osmEditUrl(station) {
+  return isOsmStation(station) ? `https://www.openstreetmap.org/edit?${station.type}=${station.id}` : null
+}
+
+/**
+ * Link to leave an OpenStreetMap note ("report a problem") at the station, for
+ * riders who don't want to edit the map themselves
+ *
+ * @param {Object} station - Station {type, id, lat, lng}
+ * @returns {string|null} URL, or null for stations that aren't from OSM
+ */
+export function osmReportUrl(station) {
+  if (!isOsmStation(station)) return null
+  return `https://www.openstreetmap.org/note/new?lat=${station.lat}&lon=${station.lng}#map=19/${station.lat}/${station.lng}`
+}
+
+/**
+ * Link to photos of the station: its own image tag, the Google Maps place, or
+ * street-level photos around it on Mapillary
+ *
+ * @param {Object} station - Station
+ * @returns {string} URL
+ */
+export function stationPhotosUrl(station) {
+  const image = station.tags?.image
+  if (image && /^https?:\/\//i.test(image)) return image
+
+  if (station.type === 'google') {
+    return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(station.name)}&query_place_id=${station.id}`
+  }
+
+  return `https://www.mapillary.com/app/?lat=${station.lat}&lng=${station.lng}&z=18`
+}
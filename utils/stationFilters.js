@@ -0,0 +1,102 @@
+/**
+ * Station Filter Utilities
+ *
+ * This module provides the filter options shown in the filter panel and
+ * functions for matching stations against them using their raw OSM tags.
+ */
+
+import { isOpenAt } from './openingHours'
+
+/**
+ * Fuel grades, matched on `fuel:*=yes` tags
+ */
+export const FUEL_OPTIONS = [
+  { key: 'octane_87', label: 'Regular 87' },
+  { key: 'octane_91', label: 'Premium 91' },
+  { key: 'octane_95', label: 'Octane 95' },
+  { key: 'e10', label: 'E10' },
+  { key: 'e85', label: 'E85' },
+  { key: 'diesel', label: 'Diesel' },
+]
+
+/**
+ * On-site amenities, each with a check against the station's tags
+ */
+export const AMENITY_OPTIONS = [
+  { key: 'compressed_air', label: 'Air pump', matches: (tags) => tags.compressed_air === 'yes' },
+  { key: 'shop', label: 'Shop', matches: (tags) => Boolean(tags.shop) && tags.shop !== 'no' },
+  { key: 'toilets', label: 'Toilets', matches: (tags) => tags.toilets === 'yes' },
+  { key: 'car_wash', label: 'Car wash', matches: (tags) => tags.car_wash === 'yes' },
+]
+
+/**
+ * Payment methods, matched on `payment:*=yes` tags
+ */
+export const PAYMENT_OPTIONS = [
+  { key: 'cash', label: 'Cash' },
+  { key: 'credit_cards', label: 'Credit card' },
+  { key: 'debit_cards', label: 'Debit card' },
+  { key: 'contactless', label: 'Contactless' },
+]
+
+/**
+ * No filters active
+ */
+export const DEFAULT_FILTERS = {
+  fuels: [],
+  amenities: [],
+  payments: [],
+  openNow: false,
+}
+
+/**
+ * Count how many filters are switched on
+ *
+ * @param {Object} filters - Active filters
+ * @returns {number} Number of active filters
+ */
+export function countActiveFilters(filters) {
+  return (
+    filters.fuels.length + filters.amenities.length + filters.payments.length + (filters.openNow ? 1 : 0)
+  )
+}
+
+/**
+ * Check whether a station matches every active filter
+ *
+ * Fuel, amenity and payment filters need an explicit "yes" tag, so a station
+ * only counts as selling diesel if OSM says it does. For "open now", stations
+ * with missing or unsupported opening_hours are kept - most stations don't
+ * have the tag at all, and hiding them would hide nearly everything.
+ *
+ * @param {Object} station - Station with raw OSM `tags`
+ * @param {Object} filters - Active filters
+ * @param {Date} now - Time used for "open now" (default: current time)
+ * @returns {boolean} True if the station passes all filters
+ */
+export function matchesFilters(station, filters, now = new Date()) {
+  const tags = station.tags || {}
+
+  if (!filters.fuels.every((key) => tags[`fuel:${key}`] === 'yes')) return false
+  if (!filters.payments.every((key) => tags[`payment:${key}`] === 'yes')) return false
+
+  const amenities = AMENITY_OPTIONS.filter((option) => filters.amenities.includes(option.key))
+  if (!amenities.every((option) => option.matches(tags))) return false
+
+  if (filters.openNow && isOpenAt(tags.opening_hours, now) === false) return false
+
+  return true
+}
+
+/**
+ * Filter a station list down to those matching every active filter
+ *
+ * @param {Array} stations - Array of gas station objects
+ * @param {Object} filters - Active filters
+ * @param {Date} now - Time used for "open now" (default: current time)
+ * @returns {Array} Matching stations, in the original order
+ */
+export function filterStations(stations, filters, now = new Date()) {
+  if (!filters || countActiveFilters(filters) === 0) return stations
+  return stations.filter((station) => matchesFilters(station, filters, now))
+}
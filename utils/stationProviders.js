@@ -0,0 +1,435 @@
+/**
+ * Station Data Providers (server-side only)
+ *
+ * Fuel stations can come from several sources, each behind the same small
+ * adapter interface so they can be mixed and matched:
+ * - `osm`     - OpenStreetMap via Overpass (default)
+ * - `google`  - Google Places (needs GOOGLE_PLACES_API_KEY)
+ * - `geojson` - a static GeoJSON file (STATIONS_GEOJSON_PATH), for offline use and testing
+ * - `user`    - stations riders submitted through POST /api/stations (default)
+ *
+ * Pick them with STATION_PROVIDERS=osm,google,geojson,user - earlier providers win
+ * when two report the same station. Every provider returns stations in the shape
+ * the map uses ({id, type, lat, lng, name, brand, operator, address, tags}), where
+ * `type` is 'node' or 'way' for OSM and the provider name otherwise.
+ *
+ * A new provider only needs nearby(lat, lng, radius) and, if it can search a
+ * corridor, along(points, radius). Providers that can look a station up by its
+ * type and id (for station links) also have byId(type, id).
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+import { queryStations, queryStationsAlongRoute, queryStationById, queryGooglePlaces } from './upstreams'
+import { calculateDistance } from './getNearestStation'
+import { distanceToRoute } from './refreshPolicy'
+import { createJsonFile } from './jsonFile'
+
+const METERS_PER_MILE = 1609.34
+
+// OpenStreetMap element types a station can be
+const OSM_TYPES = ['node', 'way', 'relation']
+
+// Two stations closer than this with compatible names are the same station
+const DUPLICATE_METERS = 60
+
+/**
+ * Format a full address from OSM-style tags, e.g. "123 Main St, Springfield, IL 62701"
+ */
+function formatAddress(tags) {
+  if (!tags) return null
+  if (tags['addr:full']) return tags['addr:full']
+
+  const street = [tags['addr:housenumber'], tags['addr:street'] || tags['addr:place']].filter(Boolean).join(' ')
+  const region = [tags['addr:state'] || tags['addr:province'], tags['addr:postcode']].filter(Boolean).join(' ')
+  const parts = [street, tags['addr:city'], region].filter(Boolean)
+
+  return parts.length > 0 ? parts.join(', ') : null
+}
+
+/**
+ * Build a station from OSM-style tags
+ */
+function stationFromTags(id, type, lat, lng, tags) {
+  return {
+    id,
+    type,
+    lat,
+    lng,
+    name: tags.name || tags.brand || 'Gas Station',
+    brand: tags.brand,
+    operator: tags.operator,
+    address: formatAddress(tags),
+    tags,
+  }
+}
+
+/**
+ * Convert an Overpass element into a station
+ */
+function fromOverpassElement(element) {
+  // For ways (areas), use the center point; for nodes, use lat/lon directly
+  const lat = element.center?.lat || element.lat
+  const lng = element.center?.lon || element.lon
+
+  return stationFromTags(element.id, element.type, lat, lng, element.tags || {})
+}
+
+/**
+ * Convert a Google Places result into a station
+ */
+function fromGooglePlace(place) {
+  const name = place.displayName?.text
+
+  return {
+    id: place.id,
+    type: 'google',
+    lat: place.location.latitude,
+    lng: place.location.longitude,
+    name: name || 'Gas Station',
+    brand: null,
+    operator: null,
+    address: place.formattedAddress || null,
+    tags: { amenity: 'fuel', ...(name && { name }) },
+  }
+}
+
+/**
+ * Keep the stations within `radius` meters of a point
+ */
+function withinRadius(stations, lat, lng, radius) {
+  return stations.filter(
+    (station) => calculateDistance(lat, lng, station.lat, station.lng) * METERS_PER_MILE <= radius
+  )
+}
+
+/**
+ * Keep the stations within `radius` meters of a route line
+ */
+function nearRoute(stations, points, radius) {
+  const route = points.map((point) => [point.lat, point.lng])
+  return stations.filter((station) => distanceToRoute(station, route) * METERS_PER_MILE <= radius)
+}
+
+/**
+ * Create the OpenStreetMap provider (Overpass)
+ *
+ * @returns {Object} Provider
+ */
+export function createOverpassProvider() {
+  return {
+    name: 'osm',
+
+    async nearby(lat, lng, radius) {
+      const data = await queryStations(lat, lng, radius)
+      return data.elements.map(fromOverpassElement)
+    },
+
+    async along(points, radius) {
+      const data = await queryStationsAlongRoute(points, radius)
+      return data.elements.map(fromOverpassElement)
+    },
+
+    async byId(type, id) {
+      if (!OSM_TYPES.includes(type) || !/^\d+$/.test(id)) return null
+      const [element] = (await queryStationById(type, id)).elements
+      return element?.tags?.amenity === 'fuel' ? fromOverpassElement(element) : null
+    },
+  }
+}
+
+/**
+ * Create the Google Places provider
+ *
+ * Places can't search a corridor without an encoded polyline, so this
+ * provider only answers nearby searches.
+ *
+ * @param {string} apiKey - Google Maps Platform API key
+ * @returns {Object} Provider
+ */
+export function createGooglePlacesProvider(apiKey) {
+  return {
+    name: 'google',
+
+    async nearby(lat, lng, radius) {
+      const data = await queryGooglePlaces(apiKey, lat, lng, radius)
+      return withinRadius((data.places || []).map(fromGooglePlace), lat, lng, radius)
+    },
+  }
+}
+
+/**
+ * Create a provider that serves stations from a GeoJSON file
+ *
+ * The file is a FeatureCollection of Point features whose properties use OSM
+ * tag names (name, brand, fuel:diesel, opening_hours, addr:street...), so the
+ * station filters work on them too. It's read once, on first use.
+ *
+ * @param {string} filePath - Path to the .geojson file
+ * @returns {Object} Provider
+ */
+export function createGeoJsonProvider(filePath) {
+  let loaded = null
+
+  const load = () => {
+    if (!loaded) {
+      loaded = fs.readFile(filePath, 'utf8').then((text) =>
+        JSON.parse(text)
+          .features.filter((feature) => feature.geometry?.type === 'Point')
+          .map((feature, i) => {
+            const [lng, lat] = feature.geometry.coordinates
+            const tags = { amenity: 'fuel', ...feature.properties }
+            return stationFromTags(String(feature.id ?? tags.id ?? i), 'geojson', lat, lng, tags)
+          })
+      )
+    }
+    return loaded
+  }
+
+  return {
+    name: 'geojson',
+
+    async nearby(lat, lng, radius) {
+      return withinRadius(await load(), lat, lng, radius)
+    },
+
+    async along(points, radius) {
+      return nearRoute(await load(), points, radius)
+    },
+
+    async byId(type, id) {
+      if (type !== 'geojson') return null
+      return (await load()).find((station) => station.id === id) || null
+    },
+  }
+}
+
+/**
+ * Create the provider for stations submitted by riders, kept in a JSON file
+ *
+ * Besides the provider methods it has add(submission) for POST /api/stations.
+ * The file is read once, then every submission rewrites it (see utils/jsonFile).
+ *
+ * @param {string} filePath - Where to keep the JSON file
+ * @returns {Object} Provider
+ */
+export function createUserStationProvider(filePath) {
+  const file = createJsonFile(filePath, { empty: [], label: 'submitted stations' })
+  const load = () => file.load()
+
+  return {
+    name: 'user',
+
+    async nearby(lat, lng, radius) {
+      return withinRadius(await load(), lat, lng, radius)
+    },
+
+    async along(points, radius) {
+      return nearRoute(await load(), points, radius)
+    },
+
+    async byId(type, id) {
+      if (type !== 'user') return null
+      return (await load()).find((station) => station.id === id) || null
+    },
+
+    /**
+     * Save a submitted station
+     *
+     * @param {Object} submission - {lat, lng, tags: OSM-style tags, name required}
+     * @returns {Promise<Object>} The new station
+     */
+    async add({ lat, lng, tags }) {
+      const stations = await load()
+      const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+      const station = { ...stationFromTags(id, 'user', lat, lng, { amenity: 'fuel', ...tags }), submittedAt: Date.now() }
+
+      stations.push(station)
+      await file.save(stations)
+      return station
+    },
+  }
+}
+
+/**
+ * Normalize a name or brand for comparison ("Kwik Trip #123" -> "kwiktrip123")
+ */
+function normalizeName(value) {
+  return (value || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+/**
+ * Whether two stations' names could belong to the same place
+ *
+ * An unnamed station matches anything; otherwise a name or brand of one has
+ * to contain a name or brand of the other.
+ */
+function namesMatch(a, b) {
+  const namesA = [a.tags?.name, a.tags?.brand].map(normalizeName).filter(Boolean)
+  const namesB = [b.tags?.name, b.tags?.brand].map(normalizeName).filter(Boolean)
+  if (namesA.length === 0 || namesB.length === 0) return true
+
+  return namesA.some((x) => namesB.some((y) => x.includes(y) || y.includes(x)))
+}
+
+/**
+ * Whether two stations are the same physical station
+ */
+function isSameStation(a, b) {
+  return (
+    calculateDistance(a.lat, a.lng, b.lat, b.lng) * METERS_PER_MILE <= DUPLICATE_METERS && namesMatch(a, b)
+  )
+}
+
+/**
+ * Combine two records of the same station, filling gaps in the first from the second
+ */
+function combineStations(primary, secondary) {
+  const hasName = Boolean(primary.tags?.name || primary.tags?.brand)
+
+  return {
+    ...primary,
+    name: hasName ? primary.name : secondary.name,
+    brand: primary.brand || secondary.brand,
+    operator: primary.operator || secondary.operator,
+    address: primary.address || secondary.address,
+    tags: { ...secondary.tags, ...primary.tags },
+  }
+}
+
+/**
+ * Merge station lists from several providers, removing duplicates
+ *
+ * A station can show up twice within OSM (mapped as both a node and a
+ * building way) or once per provider. Across providers the earlier list's
+ * record is kept; within one provider, the record with more tags is. Either
+ * way, missing details are filled in from the duplicate.
+ *
+ * @param {Array<Array>} lists - Station lists, in provider priority order
+ * @returns {Array} Merged stations
+ */
+export function mergeStations(lists) {
+  const merged = []
+  const origins = [] // Which list each merged station came from
+
+  lists.forEach((stations, listIndex) => {
+    for (const station of stations) {
+      const i = merged.findIndex((other) => isSameStation(other, station))
+
+      if (i === -1) {
+        merged.push(station)
+        origins.push(listIndex)
+        continue
+      }
+
+      const existing = merged[i]
+      const preferNew =
+        origins[i] === listIndex && Object.keys(station.tags || {}).length > Object.keys(existing.tags || {}).length
+      merged[i] = preferNew ? combineStations(station, existing) : combineStations(existing, station)
+    }
+  })
+
+  return merged
+}
+
+/**
+ * Create the providers named in STATION_PROVIDERS
+ */
+function createProviders() {
+  const dataDir = path.join(process.cwd(), '.data')
+  const names = (process.env.STATION_PROVIDERS || 'osm,user').split(',').map((name) => name.trim())
+  const providers = []
+
+  for (const name of names) {
+    if (name === 'osm') {
+      providers.push(createOverpassProvider())
+    } else if (name === 'google') {
+      const apiKey = process.env.GOOGLE_PLACES_API_KEY
+      if (apiKey) providers.push(createGooglePlacesProvider(apiKey))
+      else console.warn('Station provider "google" needs GOOGLE_PLACES_API_KEY - skipping it')
+    } else if (name === 'geojson') {
+      providers.push(createGeoJsonProvider(process.env.STATIONS_GEOJSON_PATH || path.join(dataDir, 'stations.geojson')))
+    } else if (name === 'user') {
+      providers.push(createUserStationProvider(process.env.USER_STATIONS_PATH || path.join(dataDir, 'user-stations.json')))
+    } else if (name) {
+      console.warn(`Unknown station provider "${name}" - skipping it`)
+    }
+  }
+
+  return providers
+}
+
+let providers = null
+
+/**
+ * Get the configured station providers (created on first use)
+ *
+ * @returns {Array} Providers, in priority order
+ */
+export function getStationProviders() {
+  if (!providers) providers = createProviders()
+  return providers
+}
+
+/**
+ * Run a query against every provider and merge what comes back
+ *
+ * One provider failing doesn't fail the search, unless nothing was found at
+ * all - then the error is passed on so the client can fall back to its cache.
+ */
+async function queryProviders(selected, query) {
+  const results = await Promise.allSettled(selected.map(query))
+  const lists = []
+  let firstError = null
+
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      lists.push(result.value)
+    } else {
+      console.error(`Station provider "${selected[i].name}" failed:`, result.reason)
+      firstError = firstError || result.reason
+    }
+  })
+
+  if (firstError && lists.every((stations) => stations.length === 0)) throw firstError
+  return mergeStations(lists)
+}
+
+/**
+ * Find stations around a point from every configured provider
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} radius - Search radius in meters
+ * @returns {Promise<Array>} Merged stations (no distance - the client adds it)
+ */
+export async function findStations(lat, lng, radius) {
+  return queryProviders(getStationProviders(), (provider) => provider.nearby(lat, lng, radius))
+}
+
+/**
+ * Find stations along a route from every provider that supports corridors
+ *
+ * @param {Array} points - Route points as {lat, lng}
+ * @param {number} radius - Corridor half-width in meters
+ * @returns {Promise<Array>} Merged stations
+ */
+export async function findStationsAlongRoute(points, radius) {
+  const selected = getStationProviders().filter((provider) => provider.along)
+  return queryProviders(selected, (provider) => provider.along(points, radius))
+}
+
+/**
+ * Look up one station by its type and id, from whichever provider it came from
+ *
+ * @param {string} type - Station type ('node', 'way', 'user'...)
+ * @param {string} id - Station id
+ * @returns {Promise<Object|null>} Station, or null if no provider has it
+ */
+export async function findStationById(type, id) {
+  for (const provider of getStationProviders().filter((candidate) => candidate.byId)) {
+    const station = await provider.byId(type, String(id))
+    if (station) return station
+  }
+  return null
+}
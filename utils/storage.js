@@ -0,0 +1,38 @@
+/**
+ * Local Storage Utilities
+ *
+ * Small JSON wrappers around localStorage that never throw - storage can be
+ * unavailable (private browsing, server rendering) or full.
+ */
+
+const PREFIX = 'mopedfuel:'
+
+/**
+ * Read a JSON value from localStorage
+ *
+ * @param {string} key - Storage key (without prefix)
+ * @param {any} fallback - Value returned when nothing valid is stored
+ * @returns {any} Stored value or fallback
+ */
+export function loadJSON(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key)
+    return raw === null ? fallback : JSON.parse(raw)
+  } catch (error) {
+    return fallback
+  }
+}
+
+/**
+ * Write a JSON value to localStorage
+ *
+ * @param {string} key - Storage key (without prefix)
+ * @param {any} value - JSON-serializable value
+ */
+export function saveJSON(key, value) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value))
+  } catch (error) {
+    console.error(`Error saving ${key}:`, error)
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Theme Utilities
+ *
+ * This module provides functions for:
+ * - Light, dark and auto theme modes
+ * - Local sunrise and sunset times from the rider's coordinates
+ * - Working out which theme auto mode should show right now
+ * - Applying a theme to the page (the `dark` class on <html>, the browser
+ *   theme color) and watching the system dark-mode setting
+ */
+
+import { saveJSON } from './storage'
+
+export const THEME_MODES = [
+  { key: 'light', label: 'Light', icon: '🌞' },
+  { key: 'dark', label: 'Dark', icon: '🌙' },
+  { key: 'auto', label: 'Auto', icon: '🌓' },
+]
+
+export const DEFAULT_THEME_MODE = 'auto'
+
+// Browser chrome color for each theme (matches the top of the page)
+export const THEME_COLORS = { light: '#B8E6F5', dark: '#1E4056' }
+
+/**
+ * Inline script for <head> that sets the dark class before the first paint, so
+ * a night ride doesn't open with a flash of the bright theme. Auto mode reuses
+ * whichever theme was showing last; the page corrects it once it has a location.
+ */
+export const THEME_INIT_SCRIPT = `try {
+  var mode = JSON.parse(localStorage.getItem('mopedfuel:themeMode')) || '${DEFAULT_THEME_MODE}';
+  var theme = mode === 'auto' ? JSON.parse(localStorage.getItem('mopedfuel:lastTheme')) : mode;
+  if (theme === 'dark') document.documentElement.classList.add('dark');
+} catch (error) {}`
+
+const RADIANS = Math.PI / 180
+const DAY_MS = 24 * 60 * 60 * 1000
+const J1970 = 2440588
+const J2000 = 2451545
+const EARTH_TILT = 23.4397 * RADIANS
+
+// Sun's altitude at sunrise/sunset, allowing for refraction and the size of the sun's disc
+const SUNRISE_ALTITUDE = -0.833 * RADIANS
+
+const toJulian = (date) => date.valueOf() / DAY_MS - 0.5 + J1970
+const fromJulian = (julian) => new Date((julian + 0.5 - J1970) * DAY_MS)
+
+/**
+ * Sunrise and sunset nearest a moment, at a place
+ *
+ * Uses the standard sunrise equation, good to a minute or two - plenty for
+ * switching a map theme.
+ *
+ * @param {Date} date - Moment to look around (the solar day whose noon is closest)
+ * @param {Object} location - {lat, lng}
+ * @returns {Object} {sunrise, sunset} as Dates, or {polar: 'day' | 'night'} when
+ *   the sun doesn't rise or set that day
+ */
+export function sunTimes(date, { lat, lng }) {
+  const west = -lng * RADIANS
+  const phi = lat * RADIANS
+
+  const cycle = Math.round(toJulian(date) - J2000 - 0.0009 - west / (2 * Math.PI))
+  const approxNoon = 0.0009 + west / (2 * Math.PI) + cycle
+
+  const meanAnomaly = RADIANS * (357.5291 + 0.98560028 * approxNoon)
+  const center =
+    RADIANS * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly))
+  const eclipticLongitude = meanAnomaly + center + RADIANS * 102.9372 + Math.PI
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(EARTH_TILT))
+
+  const correction = 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude)
+  const noon = J2000 + approxNoon + correction
+
+  const cosHourAngle =
+    (Math.sin(SUNRISE_ALTITUDE) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination))
+  if (cosHourAngle < -1) return { polar: 'day' }
+  if (cosHourAngle > 1) return { polar: 'night' }
+
+  const sunset = J2000 + 0.0009 + (Math.acos(cosHourAngle) + west) / (2 * Math.PI) + cycle + correction
+  return { sunrise: fromJulian(noon - (sunset - noon)), sunset: fromJulian(sunset) }
+}
+
+/**
+ * Whether it's dark out at a place
+ *
+ * @param {Date} date - Moment to check
+ * @param {Object} location - {lat, lng}
+ * @returns {boolean} True between sunset and sunrise
+ */
+export function isNight(date, location) {
+  const times = sunTimes(date, location)
+  if (times.polar) return times.polar === 'night'
+  return date < times.sunrise || date > times.sunset
+}
+
+/**
+ * Pick the theme to show
+ *
+ * Auto mode goes dark when the system asks for dark mode, or after sunset
+ * where the rider is.
+ *
+ * @param {string} mode - 'light', 'dark' or 'auto'
+ * @param {Object} context - {location: {lat, lng} or null, prefersDark: system setting, now: Date}
+ * @returns {string} 'light' or 'dark'
+ */
+export function resolveTheme(mode, { location, prefersDark, now = new Date() }) {
+  if (mode === 'light' || mode === 'dark') return mode
+  if (prefersDark) return 'dark'
+  return location && isNight(now, location) ? 'dark' : 'light'
+}
+
+/**
+ * Show a theme: toggle the `dark` class Tailwind keys off, set the browser
+ * theme color, and remember it for THEME_INIT_SCRIPT
+ *
+ * @param {string} theme - 'light' or 'dark'
+ */
+export function applyTheme(theme) {
+  document.documentElement.classList.toggle('dark', theme === 'dark')
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', THEME_COLORS[theme])
+  saveJSON('lastTheme', theme)
+}
+
+/**
+ * Follow the system dark-mode setting
+ *
+ * @param {Function} onChange - Called with true/false now and whenever the setting changes
+ * @returns {Function} Stops watching
+ */
+export function watchSystemDarkMode(onChange) {
+  if (typeof window === 'undefined' || !window.matchMedia) return () => {}
+
+  const query = window.matchMedia('(prefers-color-scheme: dark)')
+  const listener = (event) => onChange(event.matches)
+  onChange(query.matches)
+  query.addEventListener('change', listener)
+  return () => query.removeEventListener('change', listener)
+}
@@ -0,0 +1,158 @@
+/**
+ * Trip Planner Utilities
+ *
+ * This module provides functions for:
+ * - Finding fuel stations in a corridor along a route
+ * - Inserting fuel stops wherever the moped's range runs out
+ * - Building the final multi-leg trip with per-leg distance and ETA
+ */
+
+import { fetchRoute, fetchStationsAlongRoute } from './getNearestStation'
+import { estimateRange, assessReach, DEFAULT_VEHICLE } from './fuelRange'
+import { filterStations } from './stationFilters'
+import { locateOnRoute, routeLength } from './refreshPolicy'
+import { routeOptionsFor } from './routingProfiles'
+
+// Corridor half-width searched for stations, in meters (~1 mile)
+export const CORRIDOR_METERS = 1500
+
+// Points sent to Overpass for the corridor - keeps the query URL short
+const MAX_CORRIDOR_POINTS = 150
+
+// Most fuel stops a trip can have (the route API accepts up to 10 via points)
+const MAX_FUEL_STOPS = 10
+
+// Time allowed for each fuel stop, in minutes
+export const FUEL_STOP_MINUTES = 5
+
+/**
+ * Thin a route out to evenly spaced points
+ *
+ * @param {Array} route - Route coordinates as [lat, lng] pairs
+ * @param {number} maxPoints - Most points to return
+ * @returns {Array} Subset of the route, always keeping the first and last points
+ */
+export function thinRoute(route, maxPoints = MAX_CORRIDOR_POINTS) {
+  if (route.length <= maxPoints) return route
+
+  const spacing = routeLength(route) / (maxPoints - 2)
+  const thinned = [route[0]]
+  let sinceLast = 0
+
+  for (let i = 1; i < route.length - 1; i++) {
+    sinceLast += routeLength([route[i - 1], route[i]])
+    if (sinceLast >= spacing) {
+      thinned.push(route[i])
+      sinceLast = 0
+    }
+  }
+
+  thinned.push(route[route.length - 1])
+  return thinned
+}
+
+/**
+ * Choose where to stop for fuel along a route
+ *
+ * Greedy: ride as far as the range allows (keeping the reserve), fill up at the
+ * last station before that point, then carry on with a full tank.
+ *
+ * @param {Array} route - Route coordinates as [lat, lng] pairs
+ * @param {Array} stations - Candidate stations near the route
+ * @param {Object} vehicle - Vehicle profile
+ * @returns {Object} {stops: stations with `along` (miles into the trip), gap: null or
+ *   {from, to} miles of the route with no station in range}
+ */
+export function planFuelStops(route, stations, vehicle) {
+  const { reserveMiles } = { ...DEFAULT_VEHICLE, ...vehicle }
+  const total = routeLength(route)
+  const fullTank = estimateRange({ ...vehicle, fuelLevel: 1 }) - reserveMiles
+
+  const located = stations
+    .map((station) => ({ ...station, ...locateOnRoute(station, route) }))
+    .sort((a, b) => a.along - b.along)
+
+  const stops = []
+  let position = 0
+  let reach = estimateRange(vehicle) - reserveMiles
+
+  while (position + reach < total) {
+    // Getting to a station means riding to its point on the route, then out to it
+    const inReach = located.filter(
+      (station) => station.along > position && station.along - position + station.offset <= reach
+    )
+
+    if (inReach.length === 0 || stops.length === MAX_FUEL_STOPS) {
+      return { stops, gap: { from: position, to: Math.min(position + Math.max(reach, 0), total) } }
+    }
+
+    const next = inReach[inReach.length - 1]
+    stops.push(next)
+    position = next.along
+    reach = fullTank - next.offset // Full tank, less the ride back to the route
+  }
+
+  return { stops, gap: null }
+}
+
+/**
+ * Plan a trip to a destination, with fuel stops where the range requires one
+ *
+ * @param {Object} options - {start: {lat, lng}, destination: {name, lat, lng},
+ *   vehicle: vehicle profile, filters: station filters (fuel grade etc.)}
+ * @returns {Promise<Object>} Trip {destination, stops, legs, distance, duration, gap}. Each leg is
+ *   {to, coordinates, distance, duration, arriveIn (minutes from departure), reach}
+ * @throws {ApiError} If there's no route to the destination, or a request failed
+ */
+export async function planTrip({ start, destination, vehicle, filters }) {
+  const routeOptions = routeOptionsFor(vehicle)
+  const direct = await fetchRoute(start, destination, routeOptions)
+
+  let plan = { stops: [], gap: null }
+  const { reserveMiles } = { ...DEFAULT_VEHICLE, ...vehicle }
+
+  if (estimateRange(vehicle) - reserveMiles < direct.distance) {
+    const corridor = await fetchStationsAlongRoute(thinRoute(direct.coordinates), CORRIDOR_METERS)
+
+    // Opening hours are for right now, not when we'll get there
+    const stations = filterStations(corridor, { ...filters, openNow: false })
+    plan = planFuelStops(direct.coordinates, stations, vehicle)
+  }
+
+  const route =
+    plan.stops.length > 0 ? await fetchRoute(start, destination, { ...routeOptions, via: plan.stops }) : direct
+
+  const waypoints = [start, ...plan.stops, destination]
+  let elapsed = 0
+
+  const legs = route.legs.map((leg, i) => {
+    const to = i < plan.stops.length ? { ...plan.stops[i], isFuelStop: true } : destination
+    if (i > 0) elapsed += FUEL_STOP_MINUTES
+    elapsed += leg.duration
+
+    return {
+      to,
+      coordinates:
+        leg.coordinates.length > 1
+          ? leg.coordinates
+          : [
+              [waypoints[i].lat, waypoints[i].lng],
+              [to.lat, to.lng],
+            ],
+      distance: leg.distance,
+      duration: leg.duration,
+      arriveIn: elapsed,
+      // Only the first leg starts on the current gauge reading - the rest start full
+      reach: assessReach(leg.distance, i === 0 ? vehicle : { ...vehicle, fuelLevel: 1 }),
+    }
+  })
+
+  return {
+    destination,
+    stops: plan.stops,
+    legs,
+    distance: route.distance,
+    duration: elapsed,
+    gap: plan.gap,
+  }
+}
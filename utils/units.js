@@ -0,0 +1,259 @@
+/**
+ * Unit Preferences
+ *
+ * This module provides functions for:
+ * - The rider's units: distance (mi/ft or km/m), fuel volume (gallons or liters),
+ *   12- or 24-hour clock and currency
+ * - Sensible defaults from the browser's locale (e.g. kilometers and CAD in Canada)
+ * - Converting between the units the app works in internally (miles, gallons,
+ *   mph, price per gallon) and the ones the rider reads and types
+ *
+ * Everything is stored and computed in US units; only what's shown or typed
+ * is converted. The active preferences are module state, set by the page with
+ * setUnits() whenever they load or change, so formatters anywhere can use them.
+ */
+
+import { formatLocale } from './i18n'
+
+export const KM_PER_MILE = 1.609344
+export const LITERS_PER_GALLON = 3.785411784
+
+// Choices for each preference (labels are in the locale bundles as "units.<key>",
+// except currencies, which Intl names in the rider's language)
+export const UNIT_OPTIONS = {
+  distance: ['mi', 'km'],
+  volume: ['gal', 'l'],
+  clock: ['12h', '24h'],
+  currency: ['USD', 'CAD', 'MXN', 'EUR', 'GBP', 'AUD', 'ARS', 'CLP', 'COP', 'PEN'],
+}
+
+export const DEFAULT_UNITS = { distance: 'mi', volume: 'gal', clock: '12h', currency: 'USD' }
+
+// Per-region defaults where they differ from kilometers, liters and the 24-hour clock
+const REGION_UNITS = {
+  US: { distance: 'mi', volume: 'gal', clock: '12h', currency: 'USD' },
+  GB: { distance: 'mi', volume: 'l', currency: 'GBP' },
+  CA: { clock: '12h', currency: 'CAD' },
+  MX: { clock: '12h', currency: 'MXN' },
+  AU: { clock: '12h', currency: 'AUD' },
+  CO: { clock: '12h', currency: 'COP' },
+  AR: { currency: 'ARS' },
+  CL: { currency: 'CLP' },
+  PE: { currency: 'PEN' },
+}
+
+const EURO_REGIONS = ['ES', 'FR', 'DE', 'IT', 'PT', 'NL', 'BE', 'AT', 'IE', 'FI', 'GR']
+
+let activeUnits = DEFAULT_UNITS
+
+/**
+ * Default units for a browser locale
+ *
+ * @param {string} tag - Locale tag like "en-US", "fr-CA" or "es"
+ * @returns {Object} {distance, volume, clock, currency}
+ */
+export function unitsForLocale(tag) {
+  const [language, region] = (tag || 'en-US').split('-')
+
+  // Without a region, guess the most likely one for the language
+  const country = region?.toUpperCase() || (language === 'es' ? 'ES' : 'US')
+  const currency = EURO_REGIONS.includes(country) ? 'EUR' : 'USD'
+
+  return { distance: 'km', volume: 'l', clock: '24h', currency, ...REGION_UNITS[country] }
+}
+
+/**
+ * Use these units from now on
+ *
+ * @param {Object} units - {distance, volume, clock, currency}, missing fields keep the defaults
+ */
+export function setUnits(units) {
+  activeUnits = { ...DEFAULT_UNITS, ...units }
+}
+
+/**
+ * The units in use
+ *
+ * @returns {Object} {distance, volume, clock, currency}
+ */
+export function getUnits() {
+  return activeUnits
+}
+
+/**
+ * Convert a distance for display, in the rider's big unit (mi or km)
+ *
+ * @param {number} miles - Distance in miles
+ * @returns {number} Miles or kilometers
+ */
+export function toDisplayDistance(miles) {
+  return activeUnits.distance === 'km' ? miles * KM_PER_MILE : miles
+}
+
+/**
+ * Convert a distance the rider typed (mi or km) back to miles
+ */
+export function fromDisplayDistance(value) {
+  return activeUnits.distance === 'km' ? value / KM_PER_MILE : value
+}
+
+/**
+ * Convert a fuel volume for display (gallons or liters)
+ *
+ * @param {number} gallons - Volume in US gallons
+ * @returns {number} Gallons or liters
+ */
+export function toDisplayVolume(gallons) {
+  return activeUnits.volume === 'l' ? gallons * LITERS_PER_GALLON : gallons
+}
+
+/**
+ * Convert a volume the rider typed (gallons or liters) back to gallons
+ */
+export function fromDisplayVolume(value) {
+  return activeUnits.volume === 'l' ? value / LITERS_PER_GALLON : value
+}
+
+/**
+ * Convert a price per gallon to the rider's price per gallon or liter
+ */
+export function toDisplayUnitPrice(pricePerGallon) {
+  return activeUnits.volume === 'l' ? pricePerGallon / LITERS_PER_GALLON : pricePerGallon
+}
+
+/**
+ * Convert a price per gallon or liter the rider typed back to price per gallon
+ */
+export function fromDisplayUnitPrice(value) {
+  return activeUnits.volume === 'l' ? value * LITERS_PER_GALLON : value
+}
+
+/**
+ * Round a converted value for a number field, so 1.2 gal shows as 4.54 L
+ * rather than 4.542494...
+ *
+ * @param {number} value - Value in the rider's units
+ * @param {number} digits - Decimal places to keep
+ * @returns {number} Rounded value
+ */
+export function roundForInput(value, digits) {
+  return Number(value.toFixed(digits))
+}
+
+/**
+ * Short labels for the units in use, for form fields and stats
+ *
+ * @returns {Object} {distance: 'mi' | 'km', volume: 'gal' | 'L', speed: 'mph' | 'km/h'}
+ */
+export function unitLabels() {
+  return {
+    distance: activeUnits.distance,
+    volume: activeUnits.volume === 'l' ? 'L' : 'gal',
+    speed: activeUnits.distance === 'km' ? 'km/h' : 'mph',
+  }
+}
+
+/**
+ * Format a fuel volume
+ *
+ * @param {number} gallons - Volume in US gallons
+ * @param {number} digits - Decimal places (default: 2)
+ * @returns {string} e.g. "1.20 gal" or "4.54 L"
+ */
+export function formatVolume(gallons, digits = 2) {
+  return `${toDisplayVolume(gallons).toFixed(digits)} ${unitLabels().volume}`
+}
+
+/**
+ * Format a speed
+ *
+ * @param {number} mph - Speed in miles per hour
+ * @returns {string} e.g. "28 mph" or "45 km/h"
+ */
+export function formatSpeed(mph) {
+  return `${Math.round(toDisplayDistance(mph))} ${unitLabels().speed}`
+}
+
+/**
+ * The fuel economy unit riders with these units expect
+ *
+ * @returns {string} 'mpg', 'L/100 km', or distance per volume for mixed units ('mi/L', 'km/gal')
+ */
+export function economyUnit() {
+  const { distance, volume } = activeUnits
+  if (distance === 'mi' && volume === 'gal') return 'mpg'
+  if (distance === 'km' && volume === 'l') return 'L/100 km'
+  return `${distance}/${unitLabels().volume}`
+}
+
+/**
+ * Convert fuel economy for display, in economyUnit()
+ *
+ * @param {number} mpg - Miles per US gallon
+ * @returns {number} Economy in the rider's unit
+ */
+export function toDisplayEconomy(mpg) {
+  const perVolume = toDisplayDistance(mpg) / toDisplayVolume(1)
+  return economyUnit() === 'L/100 km' ? 100 / perVolume : perVolume
+}
+
+/**
+ * Convert fuel economy the rider typed (in economyUnit()) back to mpg
+ */
+export function fromDisplayEconomy(value) {
+  const perVolume = economyUnit() === 'L/100 km' ? 100 / value : value
+  return fromDisplayDistance(perVolume) * toDisplayVolume(1)
+}
+
+/**
+ * Format fuel economy
+ *
+ * @param {number} mpg - Miles per US gallon
+ * @returns {string} e.g. "90.0 mpg" or "2.6 L/100 km"
+ */
+export function formatEconomy(mpg) {
+  return `${toDisplayEconomy(mpg).toFixed(1)} ${economyUnit()}`
+}
+
+/**
+ * Format an amount of money in the rider's currency
+ *
+ * @param {number} amount - Amount
+ * @param {number} digits - Decimal places (default: 2)
+ * @returns {string} e.g. "$12.50" or "12,50 €"
+ */
+export function formatMoney(amount, digits = 2) {
+  return new Intl.NumberFormat(formatLocale(), {
+    style: 'currency',
+    currency: activeUnits.currency,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(amount)
+}
+
+/**
+ * The rider's currency symbol, for form labels
+ *
+ * @returns {string} e.g. "$" or "€"
+ */
+export function currencySymbol() {
+  return (
+    new Intl.NumberFormat(formatLocale(), { style: 'currency', currency: activeUnits.currency })
+      .formatToParts(0)
+      .find((part) => part.type === 'currency')?.value || activeUnits.currency
+  )
+}
+
+/**
+ * Format a time of day on the rider's clock
+ *
+ * @param {Date} date - Time to show
+ * @returns {string} e.g. "2:45 PM" or "14:45"
+ */
+export function formatClock(date) {
+  return date.toLocaleTimeString(formatLocale(), {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: activeUnits.clock === '12h',
+  })
+}
@@ -0,0 +1,522 @@
+/**
+ * Upstream Map Service Clients (server-side only)
+ *
+ * This module wraps the map services used by the API routes:
+ * - Overpass for gas station data (around a point, along a route, or one by id)
+ * - Google Places for gas station data, when that provider is enabled
+ * - OSRM or Valhalla for routing and travel-time tables (ROUTING_BACKEND=osrm|valhalla)
+ * - Nominatim for geocoding and place search
+ *
+ * Base URLs come from environment variables so they can point at self-hosted
+ * instances or a local stub. Every call goes through a shared cache and a
+ * throttle that keeps us within each service's usage policy, and is cut off
+ * after a timeout. Overpass queries fall back to a mirror when the main
+ * instance is overloaded or down.
+ */
+
+import { createCache, createThrottle, roundCoord } from './apiCache'
+import { ROUTING_PROFILES, MOPED_TOP_SPEED_MPH, MOPED_MAX_ROAD_SPEED_MPH } from './routingProfiles'
+
+/**
+ * Upstream base URLs - override in .env.local
+ */
+export const UPSTREAMS = {
+  overpass: process.env.OVERPASS_API_URL || 'https://overpass-api.de/api/interpreter',
+  // Tried when the main Overpass instance fails - set OVERPASS_MIRROR_URL= (empty) to turn off
+  overpassMirror: process.env.OVERPASS_MIRROR_URL ?? 'https://overpass.kumi.systems/api/interpreter',
+  osrm: process.env.OSRM_API_URL || 'https://router.project-osrm.org',
+  // OSRM runs one profile per server. Without a moped server, mopeds are routed
+  // on the car server with motorways excluded and fast roads steered around.
+  osrmMoped: process.env.OSRM_MOPED_API_URL || null,
+  osrmBicycle: process.env.OSRM_BICYCLE_API_URL || 'https://routing.openstreetmap.de/routed-bike',
+  valhalla: process.env.VALHALLA_API_URL || 'https://valhalla1.openstreetmap.de',
+  nominatim: process.env.NOMINATIM_API_URL || 'https://nominatim.openstreetmap.org',
+  googlePlaces: process.env.GOOGLE_PLACES_API_URL || 'https://places.googleapis.com/v1',
+}
+
+// Which routing engine answers /api/route
+export const ROUTING_BACKEND = process.env.ROUTING_BACKEND === 'valhalla' ? 'valhalla' : 'osrm'
+
+const METERS_PER_SECOND_PER_MPH = 0.44704
+
+// Nominatim's policy requires an identifying User-Agent, which browsers can't set
+const USER_AGENT = process.env.UPSTREAM_USER_AGENT || 'MopedFuel/1.0 (moped-tracker.vercel.app)'
+
+/**
+ * Read a throttle interval from the environment (set to 0 for self-hosted services)
+ */
+function intervalFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10)
+  return Number.isNaN(value) ? fallback : value
+}
+
+// The public instances all ask for no more than about one request per second
+const throttles = {
+  overpass: createThrottle({ minIntervalMs: intervalFromEnv('OVERPASS_MIN_INTERVAL_MS', 1000) }),
+  overpassMirror: createThrottle({ minIntervalMs: intervalFromEnv('OVERPASS_MIN_INTERVAL_MS', 1000) }),
+  osrm: createThrottle({ minIntervalMs: intervalFromEnv('OSRM_MIN_INTERVAL_MS', 1000) }),
+  valhalla: createThrottle({ minIntervalMs: intervalFromEnv('VALHALLA_MIN_INTERVAL_MS', 1000) }),
+  nominatim: createThrottle({ minIntervalMs: intervalFromEnv('NOMINATIM_MIN_INTERVAL_MS', 1000) }),
+  // Google bills per request rather than asking for a gap, so this only smooths bursts
+  googlePlaces: createThrottle({ minIntervalMs: intervalFromEnv('GOOGLE_PLACES_MIN_INTERVAL_MS', 100) }),
+}
+
+// How long to wait for each service before giving up, in ms. Overpass queries
+// carry their own server-side timeout, so allow a little longer than that.
+const TIMEOUTS_MS = {
+  overpass: 35000,
+  overpassMirror: 35000,
+  default: intervalFromEnv('UPSTREAM_TIMEOUT_MS', 10000),
+}
+
+const caches = {
+  stations: createCache({ ttlMs: 10 * 60 * 1000 }), // Stations rarely change
+  routes: createCache({ ttlMs: 5 * 60 * 1000 }),
+  geocode: createCache({ ttlMs: 24 * 60 * 60 * 1000 }), // Nominatim asks clients to cache
+}
+
+/**
+ * Error raised when an upstream service responds with a failure
+ *
+ * `code` is set to 'NoRoute' when a routing engine found no way between the points.
+ */
+export class UpstreamError extends Error {
+  constructor(service, status, message, code = null) {
+    super(message || `${service} responded with ${status}`)
+    this.name = 'UpstreamError'
+    this.service = service
+    this.status = status
+    this.code = code
+  }
+}
+
+/**
+ * Whether an error response body says there's no route
+ * (OSRM: NoRoute/NoSegment, Valhalla: error 442 "No path could be found")
+ */
+function isNoRouteBody(body) {
+  return ['NoRoute', 'NoSegment'].includes(body?.code) || body?.error_code === 442
+}
+
+/**
+ * Fetch JSON from an upstream service through its throttle
+ */
+async function fetchUpstream(service, url, options = {}) {
+  return throttles[service](async () => {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), TIMEOUTS_MS[service] || TIMEOUTS_MS.default)
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        cache: 'no-store', // We do our own caching
+        signal: controller.signal,
+        headers: {
+          'User-Agent': USER_AGENT,
+          ...options.headers,
+        },
+      })
+
+      if (!response.ok) {
+        const body = response.status === 400 ? await response.json().catch(() => null) : null
+        if (isNoRouteBody(body)) throw new UpstreamError(service, 404, 'No route found', 'NoRoute')
+        throw new UpstreamError(service, response.status)
+      }
+
+      return await response.json()
+    } catch (error) {
+      if (error.name === 'AbortError') throw new UpstreamError(service, 504, `${service} timed out`)
+      throw error
+    } finally {
+      clearTimeout(timer)
+    }
+  })
+}
+
+/**
+ * Run an Overpass query, trying the mirror if the main instance fails
+ */
+async function fetchOverpass(query) {
+  const options = {
+    method: 'POST',
+    body: query,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  }
+
+  try {
+    return await fetchUpstream('overpass', UPSTREAMS.overpass, options)
+  } catch (error) {
+    // A bad query fails the same way everywhere
+    if (!UPSTREAMS.overpassMirror || error.status === 400) throw error
+
+    console.warn(`Overpass failed (${error.message}) - trying the mirror`)
+    return fetchUpstream('overpassMirror', UPSTREAMS.overpassMirror, options)
+  }
+}
+
+/**
+ * Query Overpass for fuel stations around a point
+ *
+ * The center is rounded to ~1 km and the radius padded to match, so riders
+ * close to each other share one cached query.
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} radius - Search radius in meters
+ * @returns {Promise<Object>} Raw Overpass JSON response
+ */
+export async function queryStations(lat, lng, radius) {
+  const centerLat = roundCoord(lat, 2)
+  const centerLng = roundCoord(lng, 2)
+  const paddedRadius = Math.ceil(radius / 1000) * 1000 + 1000
+  const key = `${centerLat},${centerLng},${paddedRadius}`
+
+  return caches.stations.get(key, () => {
+    const radiusInDegrees = paddedRadius / 111000 // Approximate conversion to degrees
+    const bbox = [
+      centerLat - radiusInDegrees,
+      centerLng - radiusInDegrees,
+      centerLat + radiusInDegrees,
+      centerLng + radiusInDegrees,
+    ].join(',')
+
+    const query = `
+      [out:json][timeout:25];
+      (
+        node["amenity"="fuel"](${bbox});
+        way["amenity"="fuel"](${bbox});
+      );
+      out center;
+    `
+
+    return fetchOverpass(query)
+  })
+}
+
+/**
+ * Query Overpass for fuel stations within a corridor along a route
+ *
+ * @param {Array} points - Route points as {lat, lng}, already thinned out by the caller
+ * @param {number} radius - Corridor half-width in meters
+ * @returns {Promise<Object>} Raw Overpass JSON response
+ */
+export async function queryStationsAlongRoute(points, radius) {
+  // ~100 m precision is plenty for a corridor that's over a kilometer wide
+  const line = points.map((point) => `${roundCoord(point.lat, 3)},${roundCoord(point.lng, 3)}`).join(',')
+  const key = `along:${radius}:${line}`
+
+  return caches.stations.get(key, () => {
+    const query = `
+      [out:json][timeout:60];
+      (
+        node["amenity"="fuel"](around:${radius},${line});
+        way["amenity"="fuel"](around:${radius},${line});
+      );
+      out center;
+    `
+
+    return fetchOverpass(query)
+  })
+}
+
+/**
+ * Query Overpass for one OSM element by type and id (for station links)
+ *
+ * @param {string} type - 'node', 'way' or 'relation'
+ * @param {number} id - OSM id
+ * @returns {Promise<Object>} Raw Overpass JSON response (no elements if it doesn't exist)
+ */
+export async function queryStationById(type, id) {
+  return caches.stations.get(`id:${type}/${id}`, () => fetchOverpass(`[out:json][timeout:25];${type}(${id});out center;`))
+}
+
+/**
+ * Query Google Places for gas stations around a point
+ *
+ * Rounded and padded like queryStations. Google returns at most 20 places per
+ * search, nearest first.
+ *
+ * @param {string} apiKey - Google Maps Platform key with the Places API (New) enabled
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} radius - Search radius in meters (Google allows up to 50 km)
+ * @returns {Promise<Object>} Raw Places searchNearby JSON response
+ */
+export async function queryGooglePlaces(apiKey, lat, lng, radius) {
+  const centerLat = roundCoord(lat, 2)
+  const centerLng = roundCoord(lng, 2)
+  const paddedRadius = Math.min(Math.ceil(radius / 1000) * 1000 + 1000, 50000)
+  const key = `google:${centerLat},${centerLng},${paddedRadius}`
+
+  return caches.stations.get(key, () =>
+    fetchUpstream('googlePlaces', `${UPSTREAMS.googlePlaces}/places:searchNearby`, {
+      method: 'POST',
+      body: JSON.stringify({
+        includedTypes: ['gas_station'],
+        maxResultCount: 20,
+        rankPreference: 'DISTANCE',
+        locationRestriction: {
+          circle: { center: { latitude: centerLat, longitude: centerLng }, radius: paddedRadius },
+        },
+      }),
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Goog-Api-Key': apiKey,
+        'X-Goog-FieldMask': 'places.id,places.displayName,places.formattedAddress,places.location',
+      },
+    })
+  )
+}
+
+/**
+ * Fetch a route through any number of points
+ *
+ * Whichever backend is configured, the response is in OSRM's format.
+ *
+ * @param {Array} points - Start, optional stops and end as {lat, lng} (at least two)
+ * @param {string} profile - Routing profile key: 'car', 'moped' or 'bicycle' (default: 'car')
+ * @returns {Promise<Object>} OSRM-style route JSON response, with one leg per pair of points
+ */
+export async function queryRoute(points, profile = 'car') {
+  // ~11 m precision - close enough that the route start doesn't visibly jump
+  const rounded = points.map((point) => ({ lat: roundCoord(point.lat, 4), lng: roundCoord(point.lng, 4) }))
+  const key = `${ROUTING_BACKEND}:${profile}:${rounded.map((point) => `${point.lng},${point.lat}`).join(';')}`
+
+  return caches.routes.get(key, () =>
+    ROUTING_BACKEND === 'valhalla' ? queryValhallaRoute(rounded, profile) : queryOsrmRoute(rounded, profile)
+  )
+}
+
+/**
+ * Route with OSRM
+ */
+async function queryOsrmRoute(points, profile) {
+  const coordinates = points.map((point) => `${point.lng},${point.lat}`).join(';')
+  const { osrmProfile } = ROUTING_PROFILES[profile]
+  const params = 'overview=full&geometries=geojson&steps=true'
+
+  if (profile === 'bicycle') {
+    return fetchUpstream('osrm', `${UPSTREAMS.osrmBicycle}/route/v1/${osrmProfile}/${coordinates}?${params}`)
+  }
+  if (profile === 'car' || UPSTREAMS.osrmMoped) {
+    const base = profile === 'car' ? UPSTREAMS.osrm : UPSTREAMS.osrmMoped
+    return fetchUpstream('osrm', `${base}/route/v1/${osrmProfile}/${coordinates}?${params}`)
+  }
+
+  // Moped on a car server: no motorways, and of the alternatives OSRM offers
+  // (only available between two points) take the one with the least fast road
+  const alternatives = points.length === 2 ? '&alternatives=3' : ''
+  const data = await fetchUpstream(
+    'osrm',
+    `${UPSTREAMS.osrm}/route/v1/${osrmProfile}/${coordinates}?${params}&exclude=motorway&annotations=speed,distance${alternatives}`
+  )
+
+  return pickSlowRoadRoute(data, MOPED_MAX_ROAD_SPEED_MPH * METERS_PER_SECOND_PER_MPH)
+}
+
+/**
+ * Reorder OSRM routes so the one with the fewest meters on roads faster than
+ * `maxSpeed` (m/s) comes first, then drop the bulky annotations
+ */
+function pickSlowRoadRoute(data, maxSpeed) {
+  if (!data.routes) return data
+
+  const fastMeters = (route) =>
+    route.legs.reduce(
+      (total, leg) =>
+        total +
+        (leg.annotation?.speed || []).reduce(
+          (sum, speed, i) => (speed > maxSpeed ? sum + leg.annotation.distance[i] : sum),
+          0
+        ),
+      0
+    )
+
+  const routes = data.routes
+    .map((route) => ({ route, fast: fastMeters(route) }))
+    .sort((a, b) => a.fast - b.fast || a.route.duration - b.route.duration)
+    .map(({ route }) => ({ ...route, legs: route.legs.map(({ annotation, ...leg }) => leg) }))
+
+  return { ...data, routes }
+}
+
+// motor_scooter already keeps off motorways and trunk roads; also cap its
+// speed and keep it off fast primary roads where there's a reasonable alternative
+const VALHALLA_COSTING_OPTIONS = {
+  motor_scooter: { top_speed: Math.round(MOPED_TOP_SPEED_MPH * 1.609), use_primary: 0.2 },
+}
+
+/**
+ * Route with Valhalla, asking for OSRM-format output so callers don't need to care
+ */
+async function queryValhallaRoute(points, profile) {
+  const request = {
+    locations: points.map((point) => ({ lat: point.lat, lon: point.lng })),
+    costing: ROUTING_PROFILES[profile].valhallaCosting,
+    costing_options: VALHALLA_COSTING_OPTIONS,
+    format: 'osrm',
+    shape_format: 'geojson',
+  }
+
+  return fetchUpstream('valhalla', `${UPSTREAMS.valhalla}/route`, {
+    method: 'POST',
+    body: JSON.stringify(request),
+    headers: { 'Content-Type': 'application/json' },
+  })
+}
+
+/**
+ * Fetch travel times and road distances from one point to many
+ *
+ * One request instead of a full route per destination, so many stations can
+ * be compared by how long they actually take to reach. Whichever backend is
+ * configured, the response is in OSRM's table format, with a single row.
+ *
+ * @param {Object} origin - Starting point {lat, lng}
+ * @param {Array} destinations - Destinations as {lat, lng}
+ * @param {string} profile - Routing profile key: 'car', 'moped' or 'bicycle' (default: 'car')
+ * @returns {Promise<Object>} {code: 'Ok', durations: [[seconds]], distances: [[meters]]},
+ *   with null for destinations that can't be reached
+ */
+export async function queryTable(origin, destinations, profile = 'car') {
+  const round = (point) => ({ lat: roundCoord(point.lat, 4), lng: roundCoord(point.lng, 4) })
+  const from = round(origin)
+  const to = destinations.map(round)
+  const key = `table:${ROUTING_BACKEND}:${profile}:${[from, ...to].map((point) => `${point.lng},${point.lat}`).join(';')}`
+
+  return caches.routes.get(key, () =>
+    ROUTING_BACKEND === 'valhalla' ? queryValhallaTable(from, to, profile) : queryOsrmTable(from, to, profile)
+  )
+}
+
+/**
+ * Travel-time table with OSRM
+ */
+async function queryOsrmTable(origin, destinations, profile) {
+  const coordinates = [origin, ...destinations].map((point) => `${point.lng},${point.lat}`).join(';')
+  const { osrmProfile } = ROUTING_PROFILES[profile]
+  let params = `sources=0&destinations=${destinations.map((_, i) => i + 1).join(';')}&annotations=duration,distance`
+
+  let base = UPSTREAMS.osrm
+  if (profile === 'bicycle') base = UPSTREAMS.osrmBicycle
+  else if (profile === 'moped' && UPSTREAMS.osrmMoped) base = UPSTREAMS.osrmMoped
+  // Moped on a car server: at least keep off motorways, as queryOsrmRoute does
+  else if (profile === 'moped') params += '&exclude=motorway'
+
+  return fetchUpstream('osrm', `${base}/table/v1/${osrmProfile}/${coordinates}?${params}`)
+}
+
+/**
+ * Travel-time table with Valhalla, converted to OSRM's table format
+ */
+async function queryValhallaTable(origin, destinations, profile) {
+  const data = await fetchUpstream('valhalla', `${UPSTREAMS.valhalla}/sources_to_targets`, {
+    method: 'POST',
+    body: JSON.stringify({
+      sources: [{ lat: origin.lat, lon: origin.lng }],
+      targets: destinations.map((point) => ({ lat: point.lat, lon: point.lng })),
+      costing: ROUTING_PROFILES[profile].valhallaCosting,
+      costing_options: VALHALLA_COSTING_OPTIONS,
+      units: 'kilometers',
+    }),
+    headers: { 'Content-Type': 'application/json' },
+  })
+
+  const row = data.sources_to_targets?.[0] || []
+  return {
+    code: 'Ok',
+    durations: [row.map((cell) => cell.time ?? null)],
+    distances: [row.map((cell) => (cell.distance == null ? null : cell.distance * 1000))],
+  }
+}
+
+/**
+ * Reverse geocode a point with Nominatim
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Promise<Object>} Raw Nominatim reverse JSON response
+ */
+export async function queryReverseGeocode(lat, lng) {
+  const roundedLat = roundCoord(lat, 4)
+  const roundedLng = roundCoord(lng, 4)
+  const key = `reverse:${roundedLat},${roundedLng}`
+
+  return caches.geocode.get(key, () =>
+    fetchUpstream(
+      'nominatim',
+      `${UPSTREAMS.nominatim}/reverse?format=json&lat=${roundedLat}&lon=${roundedLng}&zoom=18&addressdetails=1`
+    )
+  )
+}
+
+/**
+ * Search for places by name with Nominatim
+ *
+ * @param {string} query - Free-text search (e.g. "Devil's Lake State Park")
+ * @param {Object|null} near - Optional {lat, lng} to prefer results around
+ * @returns {Promise<Array>} Raw Nominatim search JSON response
+ */
+export async function querySearchGeocode(query, near) {
+  const normalized = query.trim().toLowerCase()
+  const params = new URLSearchParams({ format: 'json', q: normalized, limit: '5', addressdetails: '1' })
+
+  // Prefer (but don't restrict to) results within about a degree of the rider
+  let area = ''
+  if (near) {
+    const lat = roundCoord(near.lat, 1)
+    const lng = roundCoord(near.lng, 1)
+    params.set('viewbox', [lng - 1, lat + 1, lng + 1, lat - 1].map((value) => value.toFixed(1)).join(','))
+    area = `${lat},${lng}`
+  }
+
+  return caches.geocode.get(`search:${area}:${normalized}`, () =>
+    fetchUpstream('nominatim', `${UPSTREAMS.nominatim}/search?${params}`)
+  )
+}
+
+/**
+ * Map an error from this module to the HTTP status an API route should return
+ *
+ * @param {Error} error - Error thrown by one of the query functions
+ * @returns {number} HTTP status code
+ */
+export function errorStatus(error) {
+  if (error.name === 'ThrottleError') return 429
+  if (error.name === 'UpstreamError') {
+    if (error.code === 'NoRoute') return 404
+    // Pass rate limiting and timeouts through so clients can back off
+    return [429, 504].includes(error.status) ? error.status : 502
+  }
+  // Anything else is a network failure reaching the upstream
+  return 502
+}
+
+/**
+ * Parse a "lat,lng" query parameter
+ *
+ * @param {string|null} value - Raw parameter value
+ * @returns {Object|null} {lat, lng} or null if missing or invalid
+ */
+export function parseLatLng(value) {
+  if (!value) return null
+
+  const [lat, lng] = value.split(',').map(Number)
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null
+
+  return { lat, lng }
+}
+
+/**
+ * Parse a "lat,lng;lat,lng;..." query parameter
+ *
+ * @param {string|null} value - Raw parameter value
+ * @returns {Array|null} Array of {lat, lng}, or null if missing or any point is invalid
+ */
+export function parseLatLngList(value) {
+  if (!value) return null
+
+  const points = value.split(';').map(parseLatLng)
+  return points.every(Boolean) ? points : null
+}
@@ -0,0 +1,187 @@
+/**
+ * Map Viewport Utilities
+ *
+ * This module provides functions for:
+ * - Splitting the visible map area into fixed tiles, so stations can be loaded
+ *   and cached per tile as the rider pans and zooms
+ * - Grouping station markers into clusters at low zoom
+ * - Merging station lists from several sources without duplicates
+ */
+
+import { stationKey } from './favorites'
+
+/**
+ * Tile sizes in degrees. Zoomed out we load fewer, bigger tiles; each coarse
+ * tile lines up with a 3 x 3 block of fine ones.
+ */
+export const FINE_TILE_DEGREES = 0.1
+export const COARSE_TILE_DEGREES = 0.3
+
+// Below this zoom, load coarse tiles
+const FINE_TILE_MIN_ZOOM = 13
+
+// Never load more than this many tiles for one view (nearest the center first)
+export const MAX_TILES_PER_VIEW = 12
+
+// From this zoom in, every station gets its own marker
+export const CLUSTER_MAX_ZOOM = 15
+
+// Stations closer together than this on screen share a cluster, in pixels
+const CLUSTER_CELL_PIXELS = 64
+
+/**
+ * Pick the tile size for a zoom level
+ *
+ * @param {number} zoom - Map zoom
+ * @returns {number} Tile size in degrees
+ */
+export function tileSizeForZoom(zoom) {
+  return zoom >= FINE_TILE_MIN_ZOOM ? FINE_TILE_DEGREES : COARSE_TILE_DEGREES
+}
+
+/**
+ * Identify a tile
+ *
+ * @param {Object} tile - {size, row, col}
+ * @returns {string} Key like "0.1:430:-895"
+ */
+export function tileKey({ size, row, col }) {
+  return `${size}:${row}:${col}`
+}
+
+/**
+ * The coarse tile a fine tile sits in
+ *
+ * @param {Object} tile - Fine tile {size, row, col}
+ * @returns {Object} Coarse tile {size, row, col}
+ */
+export function parentTile({ row, col }) {
+  const ratio = Math.round(COARSE_TILE_DEGREES / FINE_TILE_DEGREES)
+  return { size: COARSE_TILE_DEGREES, row: Math.floor(row / ratio), col: Math.floor(col / ratio) }
+}
+
+/**
+ * List the tiles covering a map area, nearest the middle first
+ *
+ * @param {Object} bounds - {south, west, north, east} in degrees
+ * @param {number} size - Tile size in degrees
+ * @returns {Array} Tiles {size, row, col}, at most MAX_TILES_PER_VIEW
+ */
+export function tilesInBounds({ south, west, north, east }, size) {
+  const tiles = []
+  const centerRow = (south + north) / 2 / size
+  const centerCol = (west + east) / 2 / size
+
+  for (let row = Math.floor(south / size); row <= Math.floor(north / size); row++) {
+    for (let col = Math.floor(west / size); col <= Math.floor(east / size); col++) {
+      tiles.push({ size, row, col })
+    }
+  }
+
+  const offCenter = (tile) => (tile.row + 0.5 - centerRow) ** 2 + (tile.col + 0.5 - centerCol) ** 2
+  return tiles.sort((a, b) => offCenter(a) - offCenter(b)).slice(0, MAX_TILES_PER_VIEW)
+}
+
+/**
+ * The circle around a tile, for a radius search
+ *
+ * @param {Object} tile - {size, row, col}
+ * @returns {Object} {lat, lng, radius (meters)}
+ */
+export function tileCircle({ size, row, col }) {
+  const lat = (row + 0.5) * size
+  const lng = (col + 0.5) * size
+  const halfHeight = (size / 2) * 111320
+  const halfWidth = halfHeight * Math.cos(lat * (Math.PI / 180))
+
+  return {
+    lat: Number(lat.toFixed(4)),
+    lng: Number(lng.toFixed(4)),
+    radius: Math.ceil(Math.hypot(halfHeight, halfWidth)),
+  }
+}
+
+/**
+ * Whether a point is inside a tile
+ *
+ * @param {Object} tile - {size, row, col}
+ * @param {Object} point - {lat, lng}
+ * @returns {boolean}
+ */
+export function isInTile({ size, row, col }, { lat, lng }) {
+  return Math.floor(lat / size) === row && Math.floor(lng / size) === col
+}
+
+/**
+ * Combine station lists, keeping the first copy of each station
+ *
+ * @param {Array} lists - Arrays of stations
+ * @returns {Array} Stations
+ */
+export function mergeStationLists(lists) {
+  const seen = new Set()
+  const merged = []
+
+  for (const station of lists.flat()) {
+    const key = stationKey(station)
+    if (seen.has(key)) continue
+    seen.add(key)
+    merged.push(station)
+  }
+
+  return merged
+}
+
+/**
+ * Web Mercator pixel position at a zoom level (what Leaflet draws with)
+ */
+function toPixels(lat, lng, zoom) {
+  const scale = 256 * 2 ** zoom
+  const sin = Math.sin(lat * (Math.PI / 180))
+
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  }
+}
+
+/**
+ * Group stations that would overlap on screen
+ *
+ * Uses a fixed pixel grid, so panning never reshuffles the clusters - only zooming does.
+ *
+ * @param {Array} stations - Stations to draw
+ * @param {number} zoom - Map zoom
+ * @returns {Array} Items: {station} for a lone station, or
+ *   {cluster: {key, lat, lng, count, bounds: [[south, west], [north, east]]}}
+ */
+export function clusterStations(stations, zoom) {
+  if (zoom >= CLUSTER_MAX_ZOOM) return stations.map((station) => ({ station }))
+
+  const cells = new Map()
+  for (const station of stations) {
+    const { x, y } = toPixels(station.lat, station.lng, zoom)
+    const key = `${Math.floor(x / CLUSTER_CELL_PIXELS)}:${Math.floor(y / CLUSTER_CELL_PIXELS)}`
+    if (!cells.has(key)) cells.set(key, [])
+    cells.get(key).push(station)
+  }
+
+  return [...cells.entries()].map(([key, members]) => {
+    if (members.length === 1) return { station: members[0] }
+
+    const lats = members.map((station) => station.lat)
+    const lngs = members.map((station) => station.lng)
+    return {
+      cluster: {
+        key: `${zoom}:${key}`,
+        lat: lats.reduce((sum, lat) => sum + lat, 0) / members.length,
+        lng: lngs.reduce((sum, lng) => sum + lng, 0) / members.length,
+        count: members.length,
+        bounds: [
+          [Math.min(...lats), Math.min(...lngs)],
+          [Math.max(...lats), Math.max(...lngs)],
+        ],
+      },
+    }
+  })
+}